@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * mailto-gen Command-Line Converter
+ * * turns .msg/.oft/.eml files into mailto: links, library CSV or JSON with the
+ * same parser and encoder as the web app, for batch processing in scripts.
+ */
+
+'use strict';
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { MsgReader } from '../js/msgreader.js';
+import { MailTo, LINK_CONFIG } from '../js/mailtolink.js';
+import { CSV } from '../js/csv.js';
+
+const FORMATS = ['link', 'json', 'csv'];
+
+const USAGE = `Usage:
+  mailto-gen convert <file...> [options]   Convert email files to links, JSON or CSV
+  mailto-gen export-csv <dir> [options]    Convert a folder tree into a library CSV
+
+Options:
+  -f, --format <link|json|csv>   Output of convert (default: link)
+  -e, --encoding <profile>       Link encoding: ${LINK_CONFIG.ENCODING_PROFILES.map(p => p.id).join(', ')} (default: compatible)
+      --display-names            Keep recipient display names in links
+  -o, --output <file>            Write to a file instead of stdout
+  -h, --help                     Show this help
+
+The CSV matches the web app's library import; export-csv uses each file's
+folder, relative to <dir>, as its path.
+`;
+
+/* =============================================================================
+   CONVERSION
+   ============================================================================= */
+
+function isEmailFile(name) {
+    return MsgReader.EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+}
+
+/**
+ * Reads one email file into template fields.
+ * @param {string} file - File path.
+ * @returns {Promise<{name: string, fields: Object, attachments: Object[], diagnostics: Object[]}>}
+ */
+async function readEmail(file) {
+    const data = await readFile(file);
+    const parsed = MsgReader.read(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    const fields = MailTo.fromMessage(parsed);
+    // Same naming as the app's batch import: subject, else the file name
+    const name = fields.subject.trim() || path.basename(file).replace(/\.[^.]+$/, '');
+    return { name, fields, attachments: parsed.attachments || [], diagnostics: parsed.diagnostics || [] };
+}
+
+/**
+ * Lists email files below a directory, sorted, with their folder relative to it.
+ * @param {string} dir - Directory to walk.
+ * @param {string} [folder] - Relative folder of dir ('' for the root).
+ * @returns {Promise<Array<{file: string, folder: string}>>}
+ */
+async function findEmailFiles(dir, folder = '') {
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    const files = [];
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await findEmailFiles(full, folder ? `${folder}/${entry.name}` : entry.name));
+        else if (entry.isFile() && isEmailFile(entry.name)) files.push({ file: full, folder });
+    }
+    return files;
+}
+
+/**
+ * Converts every file, reporting failures on stderr without stopping.
+ * @returns {Promise<{results: Object[], failed: number}>}
+ */
+async function convertAll(files, linkOptions) {
+    const results = [];
+    let failed = 0;
+    for (const { file, folder } of files) {
+        try {
+            const email = await readEmail(file);
+            const link = MailTo.build(email.fields, linkOptions);
+            const limit = MailTo.strictestLimit();
+            if (link.length > limit) warn(`${file}: link is ${link.length} characters, over the ${limit} some clients accept`);
+            results.push({ file, folder, link, ...email });
+        } catch (err) {
+            warn(`${file}: ${err.message}`);
+            failed++;
+        }
+    }
+    return { results, failed };
+}
+
+function toCSVRow(result) {
+    return { name: result.name, path: result.folder || '/', ...result.fields, description: '', tags: '' };
+}
+
+function render(format, results) {
+    if (format === 'json') {
+        return JSON.stringify(results.map(r => ({
+            file: r.file,
+            name: r.name,
+            fields: r.fields,
+            link: r.link,
+            attachments: r.attachments.map(a => ({ filename: a.filename, mimeType: a.mimeType, size: a.size })),
+            diagnostics: r.diagnostics
+        })), null, 2) + '\n';
+    }
+    if (format === 'csv') return CSV.stringify(results.map(toCSVRow)) + '\n';
+    return results.map(r => r.link).join('\n') + (results.length ? '\n' : '');
+}
+
+/* =============================================================================
+   COMMAND LINE
+   ============================================================================= */
+
+function warn(message) {
+    process.stderr.write(`mailto-gen: ${message}\n`);
+}
+
+async function output(text, file) {
+    if (file) await writeFile(file, text, 'utf8');
+    else process.stdout.write(text);
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - Arguments after the executable.
+ * @returns {Promise<number>} Exit code: 0 ok, 1 some files failed, 2 usage error.
+ */
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'link' },
+            encoding: { type: 'string', short: 'e', default: LINK_CONFIG.ENCODING_PROFILES[0].id },
+            'display-names': { type: 'boolean', default: false },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    const [command, ...targets] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    if (!LINK_CONFIG.ENCODING_PROFILES.some(p => p.id === values.encoding)) {
+        throw new Error(`Unknown encoding "${values.encoding}"`);
+    }
+    const linkOptions = { profile: values.encoding, displayNames: values['display-names'] };
+
+    if (command === 'convert') {
+        if (!FORMATS.includes(values.format)) throw new Error(`Unknown format "${values.format}"`);
+        if (!targets.length) throw new Error('convert needs at least one file');
+        const { results, failed } = await convertAll(targets.map(file => ({ file, folder: '' })), linkOptions);
+        await output(render(values.format, results), values.output);
+        return failed ? 1 : 0;
+    }
+    if (command === 'export-csv') {
+        if (targets.length !== 1) throw new Error('export-csv needs exactly one directory');
+        const files = await findEmailFiles(targets[0]);
+        if (!files.length) throw new Error(`No email files (${MsgReader.EXTENSIONS.join(', ')}) in ${targets[0]}`);
+        const { results, failed } = await convertAll(files, linkOptions);
+        await output(render('csv', results), values.output);
+        return failed ? 1 : 0;
+    }
+    throw new Error(`Unknown command "${command}"`);
+}
+
+main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (err) => {
+        warn(err.message);
+        process.exitCode = 2;
+    }
+);
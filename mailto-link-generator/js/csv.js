@@ -0,0 +1,167 @@
+/**
+ * CSV Library Format
+ * * reads and writes the template library as CSV, one row per template with
+ * its folder path. Quoted cells may hold commas, quotes and line breaks.
+ * No DOM access, so it runs in the page and under Node alike.
+ */
+
+'use strict';
+
+import { LINK_CONFIG } from './mailtolink.js';
+
+const CSV_HEADERS = ['name', 'path', 'to', 'cc', 'bcc', 'subject', 'body'];
+const CSV_OPTIONAL_HEADERS = ['description', 'tags', 'headers'];
+
+/* =============================================================================
+   PARSING
+   ============================================================================= */
+
+/**
+ * Parses a single CSV record, handling quoted fields and commas.
+ * @param {string} line - Raw CSV record.
+ * @returns {string[]} Array of field values.
+ */
+function parseLine(line) {
+    const values = [];
+    let currentVal = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                currentVal += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                currentVal += char;
+            }
+        } else {
+            if (char === '"') inQuotes = true;
+            else if (char === ',') {
+                values.push(currentVal);
+                currentVal = '';
+            } else {
+                currentVal += char;
+            }
+        }
+    }
+    values.push(currentVal);
+    return values;
+}
+
+/**
+ * Parses CSV content into an object array.
+ * @param {string} text - Raw CSV content.
+ * @param {string[]} [requiredHeaders] - Mandatory headers; defaults to the library columns.
+ * @param {string[]} [optionalHeaders] - Extra headers kept when present.
+ * @returns {Object} Result containing 'data' array and 'errors' array.
+ */
+function parse(text, requiredHeaders = CSV_HEADERS, optionalHeaders = CSV_OPTIONAL_HEADERS) {
+    // Split records on newlines outside quotes; quoted cells may span lines
+    const records = [];
+    let current = '', inQuotes = false;
+    for (const char of text.replace(/\r\n/g, '\n')) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (char === '\n' && !inQuotes) {
+            records.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    records.push(current);
+    const lines = records.filter(l => l.trim());
+    if (lines.length === 0) return { data: [], errors: [] };
+
+    const headers = parseLine(lines[0]).map(h => h.trim());
+    const errors = [];
+
+    for (const reqHeader of requiredHeaders) {
+        if (!headers.includes(reqHeader)) {
+            errors.push(`Missing header: "${reqHeader}"`);
+        }
+    }
+    if (errors.length > 0) return { data: [], errors };
+
+    const data = lines.slice(1).map((line) => {
+        const values = parseLine(line);
+        const obj = {};
+        headers.forEach((header, i) => {
+            if (requiredHeaders.includes(header) || optionalHeaders.includes(header)) {
+                obj[header] = values[i] || '';
+            }
+        });
+        return obj;
+    });
+
+    return { data, errors };
+}
+
+/**
+ * Splits a tag list ("onboarding; HR") into unique, trimmed tags.
+ * @param {string} text - Raw tag text.
+ * @returns {string[]} Tags.
+ */
+function parseTags(text) {
+    return [...new Set(String(text || '').split(/[;,]/).map(t => t.trim()).filter(Boolean))];
+}
+
+/**
+ * Reads a library CSV into template descriptions.
+ * @param {string} text - Raw CSV content.
+ * @returns {{
+ *   templates: Array<{path: string, name: string, description: string, tags: string[], fields: Object}>,
+ *   errors: string[]
+ * }}
+ */
+function readTemplates(text) {
+    const { data, errors } = parse(text);
+    const templates = data.map(record => ({
+        path: record.path,
+        name: record.name,
+        description: record.description || '',
+        tags: parseTags(record.tags),
+        fields: Object.fromEntries(LINK_CONFIG.TEMPLATE_FIELDS.map(key => [key, record[key] || '']))
+    }));
+    return { templates, errors };
+}
+
+/* =============================================================================
+   SERIALIZATION
+   ============================================================================= */
+
+/**
+ * Serializes an array of objects to a CSV string.
+ * @param {Object[]} data - Data array.
+ * @param {string[]} [headers] - Column headers; defaults to every library column.
+ * @returns {string} CSV string.
+ */
+function stringify(data, headers = [...CSV_HEADERS, ...CSV_OPTIONAL_HEADERS]) {
+    const escapeCell = (cell) => {
+        const str = String(cell ?? '');
+        if (str.includes('"') || str.includes(',') || str.includes('\n')) {
+            return `"${str.replace(/"/g, '""')}"`;
+        }
+        return str;
+    };
+
+    const rows = data.map(obj =>
+        headers.map(h => escapeCell(obj[h])).join(',')
+    );
+    return [headers.join(','), ...rows].join('\n');
+}
+
+// --- Exported Object ---
+const CSV = {
+    HEADERS: CSV_HEADERS,
+    OPTIONAL_HEADERS: CSV_OPTIONAL_HEADERS,
+    parse,
+    parseLine,
+    parseTags,
+    readTemplates,
+    stringify
+};
+
+export { CSV };
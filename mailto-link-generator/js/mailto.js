@@ -12,8 +12,20 @@
 
 const CONFIG = {
     STORAGE_KEY: 'mailto_generator_data',
-    CSV_HEADERS: ['name', 'path', 'to', 'cc', 'bcc', 'subject', 'body'],
-    MAILTO_PARAMS: ['cc', 'bcc', 'subject']
+    SCHEMA_VERSION: 2,
+    DB_NAME: 'mailto_generator',
+    DB_VERSION: 1,
+    SYNC_CHANNEL: 'mailto_generator_sync',
+    // Typical per-origin localStorage budget; browsers expose no API to query it
+    LOCAL_STORAGE_QUOTA: 5 * 1024 * 1024,
+    STORAGE_WARNING_RATIO: 0.8,
+    EMAIL_EXTENSIONS: ['.msg', '.oft', '.eml', '.email'],
+    PARSE_MAX_BYTES: 50 * 1024 * 1024,
+    PARSE_TIMEOUT_MS: 30000,
+    ARCHIVE_FORMAT: 'mailto-generator-library',
+    ARCHIVE_MANIFEST: 'manifest.json',
+    ARCHIVE_MAX_BYTES: 200 * 1024 * 1024, // Uncompressed, all entries together
+    HISTORY_LIMIT: 50
 };
 
 /* =============================================================================
@@ -72,7 +84,7 @@ const Utils = {
 
     /**
      * Triggers a browser download for the provided content.
-     * @param {string} content - File content.
+     * @param {string|Blob|ArrayBufferView} content - File content.
      * @param {string} filename - Output filename.
      * @param {string} mimeType - MIME type (e.g., 'text/csv').
      */
@@ -88,6 +100,26 @@ const Utils = {
         URL.revokeObjectURL(url);
     },
 
+    /**
+     * Makes a string safe to use as a file or folder name on common systems.
+     * @param {string} name - Desired name.
+     * @returns {string} Sanitized name (never empty).
+     */
+    safeFileName: (name) => String(name || '').replace(/[\\/:*?"<>|\x00-\x1F]/g, '_').replace(/^\.+/, '_').trim().slice(0, 100) || 'Untitled',
+
+    /**
+     * Formats a byte count for display.
+     * @param {number} bytes - Size in bytes.
+     * @returns {string} Human-readable size (e.g., '1.2 MB').
+     */
+    formatBytes: (bytes) => {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exp = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const value = bytes / Math.pow(1024, exp);
+        return `${exp === 0 ? value : value.toFixed(1)} ${units[exp]}`;
+    },
+
     /**
      * Opens the system file picker dialog.
      * @param {Function} callback - Handler for the selected file.
@@ -118,93 +150,48 @@ const Utils = {
     },
 
     /**
-     * Parses a single CSV line, handling quoted fields and commas.
-     * @param {string} line - Raw CSV line.
-     * @returns {string[]} Array of field values.
+     * Wrapper for FileReader API (binary).
+     * @param {File} file - File object to read.
+     * @returns {Promise<ArrayBuffer>} File content.
      */
-    parseCSVLine: (line) => {
-        const values = [];
-        let currentVal = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (inQuotes) {
-                if (char === '"' && line[i + 1] === '"') {
-                    currentVal += '"';
-                    i++;
-                } else if (char === '"') {
-                    inQuotes = false;
-                } else {
-                    currentVal += char;
-                }
-            } else {
-                if (char === '"') inQuotes = true;
-                else if (char === ',') {
-                    values.push(currentVal);
-                    currentVal = '';
-                } else {
-                    currentVal += char;
-                }
-            }
-        }
-        values.push(currentVal);
-        return values;
+    readArrayBuffer: (file) => {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('FileReader error'));
+            reader.readAsArrayBuffer(file);
+        });
     },
 
     /**
-     * Serializes an array of objects to a CSV string.
-     * @param {Object[]} data - Data array.
-     * @param {string[]} headers - Column headers.
-     * @returns {string} CSV string.
+     * Collects files from a drop, descending into dropped directories.
+     * Entries must be taken synchronously, before the drop event returns.
+     * @param {DataTransfer} dataTransfer - Drop payload.
+     * @returns {Promise<Array<{file: File, path: string}>>} Files with their directory path ('' at top level).
      */
-    toCSV: (data, headers) => {
-        const escapeCell = (cell) => {
-            const str = String(cell ?? '');
-            if (str.includes('"') || str.includes(',') || str.includes('\n')) {
-                return `"${str.replace(/"/g, '""')}"`;
+    collectDroppedFiles: async (dataTransfer) => {
+        const entries = [...(dataTransfer.items || [])]
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        if (entries.length === 0) return [...dataTransfer.files].map(file => ({ file, path: '' }));
+
+        const files = [];
+        const walk = async (entry, path) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                const childPath = path ? `${path}/${entry.name}` : entry.name;
+                let batch;
+                do { // readEntries returns at most ~100 entries per call
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await walk(child, childPath);
+                } while (batch.length > 0);
             }
-            return str;
         };
-
-        const rows = data.map(obj => 
-            headers.map(h => escapeCell(obj[h])).join(',')
-        );
-        return [headers.join(','), ...rows].join('\n');
-    },
-
-    /**
-     * Parses CSV content into an object array.
-     * @param {string} text - Raw CSV content.
-     * @param {string[]} requiredHeaders - List of mandatory headers for validation.
-     * @returns {Object} Result containing 'data' array and 'errors' array.
-     */
-    parseCSV: (text, requiredHeaders) => {
-        const lines = text.split('\n').filter(l => l.trim());
-        if (lines.length === 0) return { data: [], errors: [] };
-
-        const headers = Utils.parseCSVLine(lines[0]).map(h => h.trim());
-        const errors = [];
-
-        for (const reqHeader of requiredHeaders) {
-            if (!headers.includes(reqHeader)) {
-                errors.push(`Missing header: "${reqHeader}"`);
-            }
-        }
-        if (errors.length > 0) return { data: [], errors };
-
-        const data = lines.slice(1).map((line) => {
-            const values = Utils.parseCSVLine(line);
-            const obj = {};
-            headers.forEach((header, i) => {
-                if (requiredHeaders.includes(header)) {
-                    obj[header] = values[i] || '';
-                }
-            });
-            return obj;
-        });
-
-        return { data, errors };
+        for (const entry of entries) await walk(entry, '');
+        return files;
     }
 };
 
@@ -219,9 +206,10 @@ const UI = {
      * @param {string} content - HTML content for body.
      * @param {Object[]} buttons - Array of button configs { label, class, callback }.
      */
-    showModal: (title, content, buttons = []) => {
+    showModal: (title, content, buttons = [], options = {}) => {
         const overlay = document.getElementById('modal-overlay');
         const body = document.getElementById('modal-body');
+        body.parentElement.classList.toggle('modal-wide', !!options.wide);
         
         body.innerHTML = `
             <h3>${Utils.escapeHTML(title)}</h3>
@@ -254,15 +242,28 @@ const UI = {
 
     /**
      * Displays a transient toast notification.
+     * @param {string} message - Toast text.
+     * @param {Object} [action] - Optional inline button: { label, callback }.
      */
     showToast: (() => {
         let timeout;
-        return (message) => {
+        return (message, action = null) => {
             const toast = document.getElementById('toast');
             clearTimeout(timeout);
             toast.textContent = message;
+            if (action) {
+                const btn = document.createElement('button');
+                btn.className = 'toast-action';
+                btn.textContent = action.label;
+                btn.onclick = () => {
+                    clearTimeout(timeout);
+                    toast.classList.remove('show');
+                    action.callback();
+                };
+                toast.appendChild(btn);
+            }
             toast.classList.add('show');
-            timeout = setTimeout(() => toast.classList.remove('show'), 3000);
+            timeout = setTimeout(() => toast.classList.remove('show'), action ? 6000 : 3000);
         };
     })(),
 
@@ -298,10 +299,463 @@ const Icons = {
     folder: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.54 3.87.5 3.5a.5.5 0 0 1 .5-.5h5a.5.5 0 0 1 .5.5v.07L6.2 7H1.12zM0 4.25a.5.5 0 0 1 .5-.5h6.19l.74 1.85a.5.5 0 0 1 .44.25h4.13a.5.5 0 0 1 .5.5v.5a.5.5 0 0 1-.5.5H.5a.5.5 0 0 1-.5-.5zM.5 7a.5.5 0 0 0-.5.5v5a.5.5 0 0 0 .5.5h15a.5.5 0 0 0 .5-.5v-5a.5.5 0 0 0-.5-.5z"/></svg>',
     template: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M0 4a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V4Zm2-1a1 1 0 0 0-1 1v.217l7 4.2 7-4.2V4a1 1 0 0 0-1-1H2Zm13 2.383-4.708 2.825L15 11.105V5.383Zm-.034 6.876-5.64-3.471L8 9.583l-1.326-.795-5.64 3.47A1 1 0 0 0 2 13h12a1 1 0 0 0 .966-.741ZM1 11.105l4.708-2.897L1 5.383v5.722Z"/></svg>',
     trash: '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5Zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5Zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6Z"/><path d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1ZM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118ZM2.5 3h11V2h-11v1Z"/></svg>',
+    download: '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>',
     move: '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path fill-rule="evenodd" d="M15 2a1 1 0 0 0-1-1H2a1 1 0 0 0-1 1v12a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1V2zM0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2zm5.854 8.854a.5.5 0 1 0-.708-.708L4 11.293V1.5a.5.5 0 0 0-1 0v9.793l-1.146-1.147a.5.5 0 0 0-.708.708l2 2a.5.5 0 0 0 .708 0l2-2z"/></svg>',
+    launch: '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path fill-rule="evenodd" d="M8.636 3.5a.5.5 0 0 0-.5-.5H1.5A1.5 1.5 0 0 0 0 4.5v10A1.5 1.5 0 0 0 1.5 16h10a1.5 1.5 0 0 0 1.5-1.5V7.864a.5.5 0 0 0-1 0V14.5a.5.5 0 0 1-.5.5h-10a.5.5 0 0 1-.5-.5v-10a.5.5 0 0 1 .5-.5h6.636a.5.5 0 0 0 .5-.5z"/><path fill-rule="evenodd" d="M16 .5a.5.5 0 0 0-.5-.5h-5a.5.5 0 0 0 0 1h3.793L6.146 9.146a.5.5 0 1 0 .708.708L15 1.707V5.5a.5.5 0 0 0 1 0v-5z"/></svg>',
     edit: '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5zm-9.761 5.175-.106.106-1.528 3.821 3.821-1.528.106-.106A.5.5 0 0 1 5 12.5V12h-.5a.5.5 0 0 1-.5-.5V11h-.5a.5.5 0 0 1-.468-.325z"/></svg>'
 };
 
+/* =============================================================================
+   PERSISTENCE
+   ============================================================================= */
+
+/**
+ * Storage backends for the library. IndexedDB keeps one record per item, so a
+ * save only rewrites the items that changed; localStorage holds a single JSON
+ * blob and is used when IndexedDB is unavailable (private mode, disabled storage).
+ */
+const Persistence = {
+    backend: null, // 'indexeddb' | 'localstorage'
+    db: null,
+    written: new Map(), // Item id -> JSON of the last committed record
+    writtenState: null, // JSON of the last committed top-level state
+    queue: Promise.resolve(),
+    onWrite: null,
+    STATE_KEY: 'state',
+
+    /**
+     * Selects the backend, preferring IndexedDB.
+     * @returns {Promise<string>} Active backend id.
+     */
+    open: async () => {
+        if (Persistence.backend) return Persistence.backend;
+        try {
+            Persistence.db = await Persistence.openDatabase();
+            Persistence.backend = 'indexeddb';
+            // Best-effort storage can be evicted under pressure; ask to keep it
+            navigator.storage?.persist?.().catch(() => {});
+        } catch (err) {
+            console.warn('IndexedDB unavailable, using localStorage:', err);
+            Persistence.backend = 'localstorage';
+        }
+        return Persistence.backend;
+    },
+
+    openDatabase: () => new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not supported');
+        const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('items')) db.createObjectStore('items', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            db.onversionchange = () => db.close(); // Let a newer tab upgrade the schema
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    }),
+
+    request: (req) => new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }),
+
+    complete: (tx) => new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    }),
+
+    /**
+     * Reads the stored payload. An empty database falls back to the legacy
+     * localStorage key, flagged so the caller can migrate it.
+     * @returns {Promise<{payload: (Object|Array|null), legacy: boolean}>}
+     */
+    read: async () => {
+        if (Persistence.backend === 'indexeddb') {
+            const stored = await Persistence.snapshot();
+            if (stored) {
+                Persistence.remember({ puts: [...stored.records], deletes: [], state: stored.state });
+                return { payload: Persistence.toPayload(stored), legacy: false };
+            }
+        }
+        const raw = localStorage.getItem(CONFIG.STORAGE_KEY);
+        const payload = raw ? JSON.parse(raw) : null;
+        if (Persistence.backend === 'indexeddb') return { payload, legacy: !!payload };
+        if (payload?.version === CONFIG.SCHEMA_VERSION) {
+            const { library, ...state } = payload;
+            Persistence.remember({ puts: [...Persistence.toRecords(library)], deletes: [], state: JSON.stringify(state) });
+        }
+        return { payload, legacy: false };
+    },
+
+    /**
+     * Reads what is stored now as per-item records, leaving local state alone.
+     * @returns {Promise<?{records: Map<string, string>, state: string}>} Null when nothing is stored.
+     */
+    snapshot: async () => {
+        if (Persistence.backend === 'indexeddb') {
+            const tx = Persistence.db.transaction(['items', 'meta'], 'readonly');
+            const [records, state] = await Promise.all([
+                Persistence.request(tx.objectStore('items').getAll()),
+                Persistence.request(tx.objectStore('meta').get(Persistence.STATE_KEY))
+            ]);
+            if (!state) return null;
+            return { records: new Map(records.map(r => [r.id, JSON.stringify(r)])), state: JSON.stringify(state.value) };
+        }
+        return Persistence.readBlob();
+    },
+
+    readBlob: () => {
+        const raw = localStorage.getItem(CONFIG.STORAGE_KEY);
+        if (!raw) return null;
+        const { library, ...state } = JSON.parse(raw);
+        return { records: Persistence.toRecords(library || []), state: JSON.stringify(state) };
+    },
+
+    toPayload: ({ records, state }) => ({
+        ...JSON.parse(state),
+        library: Persistence.toTree([...records.values()].map(json => JSON.parse(json)))
+    }),
+
+    /**
+     * Flattens the library into per-item records that point at their parent.
+     * @returns {Map<string, string>} Item id -> serialized record.
+     */
+    toRecords: (items, parentId = 'root', records = new Map()) => {
+        items.forEach((item, position) => {
+            const { children, ...rest } = item;
+            records.set(item.id, JSON.stringify({ ...rest, parentId, position }));
+            if (children) Persistence.toRecords(children, item.id, records);
+        });
+        return records;
+    },
+
+    toTree: (records) => {
+        const items = new Map(records.map(({ parentId, position, ...item }) =>
+            [item.id, item.type === 'folder' ? { ...item, children: [] } : item]));
+        const library = [];
+        [...records].sort((a, b) => a.position - b.position).forEach(record => {
+            // Records whose folder is gone surface at the top level rather than vanish
+            (items.get(record.parentId)?.children || library).push(items.get(record.id));
+        });
+        return library;
+    },
+
+    /**
+     * Runs a task once every earlier write and sync has settled.
+     * @param {Function} task - Async function.
+     * @returns {Promise<*>} The task's result.
+     */
+    exclusive: (task) => {
+        const job = Persistence.queue.then(task);
+        Persistence.queue = job.catch(() => {});
+        return job;
+    },
+
+    /**
+     * Queues a save. The state is read when the write runs, so a queued save
+     * always stores the latest data and never reverts a sync merged before it.
+     * @param {Function} read - Returns the full application state.
+     * @returns {Promise<{written: boolean, conflicts: string[]}>}
+     */
+    write: (read) => {
+        const job = Persistence.exclusive(() => {
+            const { library, ...state } = read();
+            const records = Persistence.toRecords(library);
+            return Persistence.backend === 'indexeddb'
+                ? Persistence.writeRecords(records, JSON.stringify(state))
+                : Persistence.writeBlob(records, JSON.stringify(state));
+        });
+        job.then(() => Persistence.onWrite?.(), () => {});
+        return job;
+    },
+
+    /**
+     * Decides what a save may write. A record another tab changed since this
+     * one last read it is left alone and reported, so a sync can merge it.
+     * @param {Map<string, string>} records - Current records.
+     * @param {string} state - Current top-level state.
+     * @param {Map<string, string>} stored - Stored records, at least for every id that differs.
+     * @param {?string} storedState - Stored top-level state.
+     */
+    plan: (records, state, stored, storedState) => {
+        const { written, writtenState } = Persistence;
+        const plan = { puts: [], deletes: [], state: null, conflicts: [], written: false };
+        records.forEach((json, id) => {
+            if (written.get(id) === json) return;
+            if (stored.get(id) === written.get(id) || stored.get(id) === json) plan.puts.push([id, json]);
+            else plan.conflicts.push(id);
+        });
+        written.forEach((json, id) => {
+            if (records.has(id)) return;
+            if (!stored.has(id) || stored.get(id) === json) plan.deletes.push(id);
+            else plan.conflicts.push(id);
+        });
+        if (state !== writtenState) {
+            if (storedState === writtenState || storedState === state || storedState === null) plan.state = state;
+            else plan.conflicts.push(Persistence.STATE_KEY);
+        }
+        plan.written = plan.puts.length > 0 || plan.deletes.length > 0 || plan.state !== null;
+        return plan;
+    },
+
+    remember: (plan) => {
+        plan.puts.forEach(([id, json]) => Persistence.written.set(id, json));
+        plan.deletes.forEach(id => Persistence.written.delete(id));
+        if (plan.state !== null) Persistence.writtenState = plan.state;
+    },
+
+    writeRecords: async (records, state) => {
+        const ids = [...new Set([...records.keys(), ...Persistence.written.keys()])]
+            .filter(id => records.get(id) !== Persistence.written.get(id));
+        if (!ids.length && state === Persistence.writtenState) {
+            return { puts: [], deletes: [], state: null, conflicts: [], written: false };
+        }
+
+        const tx = Persistence.db.transaction(['items', 'meta'], 'readwrite');
+        const done = Persistence.complete(tx);
+        const items = tx.objectStore('items');
+        const meta = tx.objectStore('meta');
+        // Reads and writes share the transaction, so no other tab can write in between
+        const [current, storedState] = await Promise.all([
+            Promise.all(ids.map(id => Persistence.request(items.get(id)))),
+            Persistence.request(meta.get(Persistence.STATE_KEY))
+        ]);
+        const stored = new Map(ids.flatMap((id, i) => current[i] ? [[id, JSON.stringify(current[i])]] : []));
+        const plan = Persistence.plan(records, state, stored, storedState ? JSON.stringify(storedState.value) : null);
+        plan.puts.forEach(([, json]) => items.put(JSON.parse(json)));
+        plan.deletes.forEach(id => items.delete(id));
+        if (plan.state !== null) meta.put({ key: Persistence.STATE_KEY, value: JSON.parse(plan.state) });
+        await done;
+        Persistence.remember(plan);
+        return plan;
+    },
+
+    /**
+     * Patches the localStorage blob with this tab's changes. Reading and
+     * writing happen in one synchronous step so no other tab can interleave.
+     */
+    writeBlob: (records, state) => {
+        // Until this tab has read or written the current schema there is nothing to merge into
+        const synced = Persistence.writtenState !== null;
+        const stored = synced ? Persistence.readBlob() : null;
+        const plan = Persistence.plan(records, state, stored?.records || new Map(), stored?.state ?? null);
+        if (!plan.written) return plan;
+
+        const target = stored?.records || new Map();
+        plan.puts.forEach(([id, json]) => target.set(id, json));
+        plan.deletes.forEach(id => target.delete(id));
+        const payload = Persistence.toPayload({ records: target, state: plan.state ?? stored.state });
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(payload));
+        Persistence.remember(plan);
+        return plan;
+    },
+
+    /**
+     * Keeps a pre-upgrade payload so a failed migration is recoverable.
+     * @param {number} version - Schema version of the payload.
+     * @param {string} raw - Serialized payload.
+     */
+    backup: async (version, raw) => {
+        if (Persistence.backend !== 'indexeddb') {
+            localStorage.setItem(`${CONFIG.STORAGE_KEY}_backup_v${version}`, raw);
+            return;
+        }
+        const tx = Persistence.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key: `backup_v${version}`, value: raw });
+        await Persistence.complete(tx);
+    },
+
+    /** Drops the localStorage copy once its contents live in IndexedDB. */
+    clearLegacy: () => localStorage.removeItem(CONFIG.STORAGE_KEY),
+
+    /**
+     * Reports storage usage for the active backend. Usage and quota are null
+     * when the browser cannot estimate them.
+     * @returns {Promise<{backend: string, usage: ?number, quota: ?number}>}
+     */
+    estimate: async () => {
+        if (Persistence.backend === 'indexeddb') {
+            if (!navigator.storage?.estimate) return { backend: 'indexeddb', usage: null, quota: null };
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return { backend: 'indexeddb', usage, quota };
+        }
+        let usage = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            usage += (key.length + localStorage.getItem(key).length) * 2; // Stored as UTF-16
+        }
+        return { backend: 'localstorage', usage, quota: CONFIG.LOCAL_STORAGE_QUOTA };
+    }
+};
+
+/* =============================================================================
+   TAB SYNC
+   ============================================================================= */
+
+/**
+ * Keeps tabs on the same library in step. After each save a tab announces it
+ * on a BroadcastChannel (or a localStorage ping where that is missing); the
+ * others pull the stored records and three-way merge them into their state,
+ * using the records they last read or wrote as the common base.
+ */
+const Sync = {
+    tabId: Utils.generateId(),
+    channel: null,
+    running: false,
+    again: false,
+    onRemoteChange: null,
+
+    // Properties both tabs may change that merge without asking
+    AUTO_MERGE: {
+        updated: (l, r) => (l > r ? l : r),
+        usageCount: (l, r, b) => l + r - (b || 0),
+        parentId: (l, r) => r,
+        position: (l, r) => r
+    },
+
+    /**
+     * Starts listening for other tabs.
+     * @param {Function} onRemoteChange - Receives { changed, conflicts } after a merge.
+     */
+    start: (onRemoteChange) => {
+        Sync.onRemoteChange = onRemoteChange;
+        if (typeof BroadcastChannel !== 'undefined') {
+            Sync.channel = new BroadcastChannel(CONFIG.SYNC_CHANNEL);
+            Sync.channel.onmessage = (e) => { if (e.data?.tabId !== Sync.tabId) Sync.request(); };
+        } else {
+            window.addEventListener('storage', (e) => { if (e.key === CONFIG.SYNC_CHANNEL) Sync.request(); });
+        }
+    },
+
+    notify: () => {
+        const message = { tabId: Sync.tabId, at: Date.now() };
+        if (Sync.channel) {
+            Sync.channel.postMessage(message);
+            return;
+        }
+        try {
+            localStorage.setItem(CONFIG.SYNC_CHANNEL, JSON.stringify(message));
+        } catch (err) {
+            console.warn('Sync ping failed:', err);
+        }
+    },
+
+    /**
+     * Schedules a pull, coalescing notifications that arrive while one runs.
+     */
+    request: () => {
+        if (Sync.running) {
+            Sync.again = true;
+            return;
+        }
+        Sync.running = true;
+        Persistence.exclusive(Sync.pull)
+            .then(result => {
+                if (!result) return;
+                Sync.onRemoteChange?.(result);
+                State.save(); // Push whatever this tab kept that the store lacks
+            })
+            .catch(err => console.error('Sync failed:', err))
+            .finally(() => {
+                Sync.running = false;
+                if (Sync.again) {
+                    Sync.again = false;
+                    Sync.request();
+                }
+            });
+    },
+
+    /**
+     * Merges what other tabs stored into State.data. Properties changed on
+     * both sides keep the stored value until the user resolves them.
+     * @returns {Promise<?{changed: string[], conflicts: Object[]}>} Null when nothing changed.
+     */
+    pull: async () => {
+        const remote = await Persistence.snapshot();
+        if (!remote) return null;
+        const base = Persistence.written;
+        const changed = [...new Set([...base.keys(), ...remote.records.keys()])]
+            .filter(id => base.get(id) !== remote.records.get(id));
+        if (!changed.length && remote.state === Persistence.writtenState) return null;
+
+        const { library, ...state } = State.data;
+        const local = Persistence.toRecords(library);
+        const merged = new Map();
+        const conflicts = [];
+        new Set([...base.keys(), ...local.keys(), ...remote.records.keys()]).forEach(id => {
+            const [b, l, r] = [base.get(id), local.get(id), remote.records.get(id)];
+            let json = l;
+            if (r === b) json = l;
+            else if (l === b || l === r) json = r;
+            else if (!l || !r) json = l || r; // Edited on one side, deleted on the other: keep the edit
+            else {
+                const mine = JSON.parse(l);
+                const theirs = JSON.parse(r);
+                const result = Sync.mergeProps(b ? JSON.parse(b) : {}, mine, theirs);
+                json = JSON.stringify(result.merged);
+                if (result.conflicts.length) conflicts.push({ id, keys: result.conflicts, mine, theirs });
+            }
+            if (json) merged.set(id, json);
+        });
+        // Settings conflicts are not worth a prompt; this tab's choice wins
+        const { merged: mergedState } = Sync.mergeProps(
+            JSON.parse(Persistence.writtenState || '{}'), JSON.parse(remote.state), JSON.parse(JSON.stringify(state)));
+
+        Persistence.written = new Map(remote.records);
+        Persistence.writtenState = remote.state;
+        State.data = Persistence.toPayload({ records: merged, state: JSON.stringify(mergedState) });
+        return { changed, conflicts };
+    },
+
+    /**
+     * Three-way merges two versions of an object, one level deep (so template
+     * fields and settings merge key by key).
+     * @returns {{merged: Object, conflicts: string[]}} Conflicting keys hold the theirs value.
+     */
+    mergeProps: (base, mine, theirs) => {
+        const [b, l, r] = [base, mine, theirs].map(obj => new Map(Sync.flatten(obj)));
+        const merged = [];
+        const conflicts = [];
+        new Set([...l.keys(), ...r.keys()]).forEach(key => {
+            const [bv, lv, rv] = [b, l, r].map(map => JSON.stringify(map.get(key)));
+            if (lv === rv || rv === bv) {
+                if (l.has(key)) merged.push([key, l.get(key)]);
+            } else if (lv === bv) {
+                if (r.has(key)) merged.push([key, r.get(key)]);
+            } else if (Sync.AUTO_MERGE[key] && l.has(key) && r.has(key)) {
+                merged.push([key, Sync.AUTO_MERGE[key](l.get(key), r.get(key), b.get(key))]);
+            } else {
+                conflicts.push(key);
+                if (r.has(key)) merged.push([key, r.get(key)]);
+            }
+        });
+        return { merged: Sync.unflatten(merged), conflicts };
+    },
+
+    flatten: (obj) => Object.entries(obj).flatMap(([key, value]) =>
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.entries(value).map(([sub, v]) => [`${key}.${sub}`, v])
+            : [[key, value]]),
+
+    /**
+     * Rebuilds an object from flattened entries. Nested keys start from the
+     * matching object on `onto`, so a partial set of fields stays complete.
+     */
+    unflatten: (entries, onto = {}) => {
+        const obj = {};
+        entries.forEach(([path, value]) => {
+            const [key, sub] = path.split('.');
+            if (sub === undefined) obj[key] = value;
+            else obj[key] = { ...(obj[key] ?? onto[key]), [sub]: value };
+        });
+        return obj;
+    }
+};
+
 /* =============================================================================
    STATE MANAGEMENT
    ============================================================================= */
@@ -310,29 +764,148 @@ const State = {
     data: null,
     currentFolderId: 'root',
     currentEditingId: null, // Track if we are editing an existing template
+    readOnly: false, // Set when the stored library comes from a newer build
+    history: { undo: [], redo: [] },
 
-    load: () => {
+    load: async () => {
         try {
-            const stored = localStorage.getItem(CONFIG.STORAGE_KEY);
-            if (!stored) {
-                State.data = { library: [] };
+            await Persistence.open();
+            const { payload, legacy } = await Persistence.read();
+            if (!payload) {
+                State.data = { version: CONFIG.SCHEMA_VERSION, library: [] };
+                return;
+            }
+            const version = State.getSchemaVersion(payload);
+            if (version > CONFIG.SCHEMA_VERSION) {
+                // Saving would label a newer build's data with this schema, so leave it untouched
+                State.readOnly = true;
+                State.data = { version: CONFIG.SCHEMA_VERSION, library: [] };
                 return;
             }
-            const parsed = JSON.parse(stored);
-            State.data = Array.isArray(parsed) ? { library: parsed } : parsed;
+            if (version < CONFIG.SCHEMA_VERSION) await Persistence.backup(version, JSON.stringify(payload));
+            State.data = State.migrate(payload);
+            // A library found only in localStorage moves to IndexedDB; the old key goes once the copy is committed
+            if (legacy || version < CONFIG.SCHEMA_VERSION) {
+                if (await State.save() && legacy) Persistence.clearLegacy();
+            }
         } catch (err) {
             console.error('State load failed:', err);
-            State.data = { library: [] };
+            State.data = { version: CONFIG.SCHEMA_VERSION, library: [] };
+        }
+    },
+
+    /**
+     * Detects the schema version of a stored payload.
+     * 0 = bare library array, 1 = { library } with mailto strings.
+     */
+    getSchemaVersion: (payload) => {
+        if (Array.isArray(payload)) return 0;
+        return Number.isInteger(payload?.version) ? payload.version : 1;
+    },
+
+    /**
+     * Schema upgrades keyed by the version they produce. Each receives the
+     * payload at the previous version and returns the upgraded payload.
+     */
+    migrations: {
+        1: (payload) => ({ library: payload }),
+        2: (payload) => {
+            const now = new Date().toISOString();
+            const upgrade = (items) => items.map(item => {
+                if (item.type === 'folder') {
+                    return { ...item, created: item.created || now, updated: item.updated || now, children: upgrade(item.children || []) };
+                }
+                const { mailto, ...rest } = item;
+                const fields = rest.fields || MailTo.parse(mailto);
+                fields.body = fields.body.replace(/\r\n/g, '\n'); // build() emits CRLF; the editor works in LF
+                return State.createTemplate(fields, { ...rest, created: rest.created || now });
+            });
+            return { ...payload, version: 2, library: upgrade(payload.library || []) };
+        }
+    },
+
+    /**
+     * Upgrades a stored payload to the current schema.
+     * @throws {Error} If the payload comes from a newer schema than this build knows.
+     */
+    migrate: (payload) => {
+        const version = State.getSchemaVersion(payload);
+        if (version > CONFIG.SCHEMA_VERSION) {
+            throw new Error(`Library uses schema version ${version}; this version of the app reads up to ${CONFIG.SCHEMA_VERSION}`);
+        }
+        let data = payload;
+        for (let v = version + 1; v <= CONFIG.SCHEMA_VERSION; v++) {
+            data = State.migrations[v](data);
         }
+        data.version = CONFIG.SCHEMA_VERSION;
+        return data;
+    },
+
+    /**
+     * Builds a template item in the current schema.
+     * @param {Object} fields - Email fields (to, cc, bcc, subject, body).
+     * @param {Object} [meta] - Item properties (name, description, tags, sourceFile, ...).
+     * @returns {Object} Template item.
+     */
+    createTemplate: (fields, meta = {}) => {
+        const now = new Date().toISOString();
+        return {
+            id: meta.id || Utils.generateId(),
+            type: 'template',
+            name: meta.name || 'Untitled Template',
+            fields: Object.fromEntries(CONFIG.TEMPLATE_FIELDS.map(key => [key, fields?.[key] || ''])),
+            description: meta.description || '',
+            tags: Array.isArray(meta.tags) ? meta.tags : [],
+            sourceFile: meta.sourceFile || null,
+            usageCount: meta.usageCount || 0,
+            created: meta.created || now,
+            updated: meta.updated || meta.created || now
+        };
     },
 
+    createFolder: (name) => {
+        const now = new Date().toISOString();
+        return { id: Utils.generateId(), type: 'folder', name: name, children: [], created: now, updated: now };
+    },
+
+    /**
+     * Increments a template's usage counter (launch/copy).
+     * @param {string} id - Template id.
+     */
+    recordUsage: (id) => {
+        const result = id ? State.findItem(id) : null;
+        if (!result?.item || result.item.type !== 'template') return;
+        result.item.usageCount = (result.item.usageCount || 0) + 1;
+        State.save();
+    },
+
+    /**
+     * Reads a user preference stored alongside the library.
+     */
+    getSetting: (key, fallback = null) => State.data.settings?.[key] ?? fallback,
+
+    setSetting: (key, value) => {
+        State.data.settings = { ...State.data.settings, [key]: value };
+        State.save();
+    },
+
+    /**
+     * Persists the state through the active backend.
+     * @returns {Promise<boolean>} Whether the write succeeded.
+     */
     save: () => {
-        try {
-            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(State.data));
-        } catch (err) {
+        if (State.readOnly) return Promise.resolve(false);
+        return Persistence.write(() => State.data).then((result) => {
+            if (result.written) Sync.notify();
+            if (result.conflicts.length) Sync.request(); // Another tab got there first
+            return true;
+        }, (err) => {
             console.error('State save failed:', err);
-            UI.showToast('Failed to save data');
-        }
+            UI.showToast(err?.name === 'QuotaExceededError'
+                ? 'Storage full: export and remove unused templates'
+                : 'Failed to save data');
+            return false;
+        });
     },
 
     findItem: (id, items = State.data.library, parent = null) => {
@@ -349,6 +922,63 @@ const State = {
         return null;
     },
 
+    /**
+     * Returns the live children array of a folder ('root' for the top level).
+     * @param {string} folderId - Folder id.
+     * @returns {Array|null} Children array, or null if the folder is gone.
+     */
+    getChildren: (folderId) => {
+        if (folderId === 'root') return State.data.library;
+        const folder = State.findItem(folderId)?.item;
+        if (!folder || folder.type !== 'folder') return null;
+        if (!folder.children) folder.children = [];
+        return folder.children;
+    },
+
+    /**
+     * Locates an item's parent folder id and sibling index.
+     */
+    locate: (id) => {
+        const result = State.findItem(id);
+        if (!result?.item) return null;
+        const parentId = result.parent ? result.parent.id : 'root';
+        return { item: result.item, parentId, index: State.getChildren(parentId).indexOf(result.item) };
+    },
+
+    isManualOrder: (folderId) => {
+        if (folderId === 'root') return !!State.data.manualOrder;
+        return !!State.findItem(folderId)?.item?.manualOrder;
+    },
+
+    setManualOrder: (folderId, manual) => {
+        if (folderId === 'root') State.data.manualOrder = manual;
+        else State.findItem(folderId).item.manualOrder = manual;
+    },
+
+    /**
+     * Returns a folder's children in display order: the stored order when the
+     * folder has been arranged by hand, otherwise folders first then by name.
+     */
+    getOrderedChildren: (folderId) => {
+        const children = State.getChildren(folderId) || [];
+        if (State.isManualOrder(folderId)) return [...children];
+        return [...children].sort((a, b) => (a.type === b.type) ? a.name.localeCompare(b.name) : (a.type === 'folder' ? -1 : 1));
+    },
+
+    /**
+     * Checks whether an item may be moved into a folder. Rejects the item
+     * itself and, for folders, any of its descendants.
+     * @param {string} id - Item being moved.
+     * @param {string} targetId - Destination folder id.
+     * @returns {boolean}
+     */
+    canMove: (id, targetId) => {
+        if (id === targetId || !State.getChildren(targetId)) return false;
+        const item = State.findItem(id)?.item;
+        if (!item) return false;
+        return item.type !== 'folder' || targetId === 'root' || !State.findItem(targetId, item.children || []);
+    },
+
     getAllFolders: (items = State.data.library, level = 0) => {
         let folders = [];
         if (level === 0) folders.push({ id: 'root', name: 'Root', level: 0 });
@@ -391,15 +1021,13 @@ const State = {
         items.forEach(item => {
             const currentPath = parentPath ? `${parentPath}/${item.name}` : item.name;
             if (item.type === 'template') {
-                const parsed = MailTo.parse(item.mailto);
                 flattened.push({
+                    id: item.id,
                     name: item.name,
                     path: parentPath || '/',
-                    to: parsed.to,
-                    cc: parsed.cc,
-                    bcc: parsed.bcc,
-                    subject: parsed.subject,
-                    body: parsed.body
+                    ...item.fields,
+                    description: item.description,
+                    tags: item.tags.join('; ')
                 });
             }
             if (item.type === 'folder' && item.children) {
@@ -409,77 +1037,669 @@ const State = {
         return flattened;
     },
 
-    importFromCSV: (records) => {
-        const folderMap = new Map([['/', State.data.library]]);
-        records.forEach(record => {
-            let path = (record.path || '/').trim();
-            if (!path.startsWith('/')) path = '/' + path;
-            if (!folderMap.has(path)) {
-                const parts = path.split('/').filter(p => p);
-                let currentPath = '/';
-                let currentArray = State.data.library;
-                parts.forEach(part => {
-                    const nextPath = currentPath === '/' ? `/${part}` : `${currentPath}/${part}`;
-                    if (!folderMap.has(nextPath)) {
-                        let folder = currentArray.find(item => item.type === 'folder' && item.name === part);
-                        if (!folder) {
-                            folder = { id: Utils.generateId(), type: 'folder', name: part, children: [] };
-                            currentArray.push(folder);
-                        }
-                        folderMap.set(nextPath, folder.children);
-                    }
-                    currentArray = folderMap.get(nextPath);
-                    currentPath = nextPath;
-                });
+    /**
+     * Plans the insertion of many items as a single undoable command.
+     * Folders named in each path are reused when they exist and created otherwise.
+     * @param {Array<{path: string, item: Object}>} entries - Items with a '/'-separated folder path.
+     * @param {string} [baseFolderId] - Folder the paths are relative to.
+     * @param {string} [label] - History label.
+     * @returns {Object} Batch command.
+     */
+    planImport: (entries, baseFolderId = 'root', label = `Import ${entries.length} items`) => {
+        const commands = [];
+        const folderIds = new Map([['', baseFolderId]]);
+        const plannedFolders = new Map(); // folder id -> planned child folders
+
+        const resolveFolder = (path) => {
+            if (folderIds.has(path)) return folderIds.get(path);
+            const cut = path.lastIndexOf('/');
+            const parentId = resolveFolder(cut > 0 ? path.slice(0, cut) : '');
+            const name = path.slice(cut + 1);
+            const siblings = [...(State.getChildren(parentId) || []), ...(plannedFolders.get(parentId) || [])];
+            let folder = siblings.find(item => item.type === 'folder' && item.name === name);
+            if (!folder) {
+                folder = State.createFolder(name);
+                plannedFolders.set(parentId, [...(plannedFolders.get(parentId) || []), folder]);
+                commands.push(State.commands.insert(parentId, folder));
             }
-            const targetArray = folderMap.get(path);
-            const mailto = MailTo.build({
-                to: record.to, cc: record.cc, bcc: record.bcc, subject: record.subject, body: record.body
-            });
-            targetArray.push({ id: Utils.generateId(), type: 'template', name: record.name, mailto: mailto });
-        });
-    }
-};
+            folderIds.set(path, folder.id);
+            return folder.id;
+        };
 
-/* =============================================================================
-   MAILTO PROTOCOL
-   ============================================================================= */
+        entries.forEach(({ path, item }) => {
+            const folderId = resolveFolder(String(path || '').trim().split('/').filter(Boolean).join('/'));
+            commands.push(State.commands.insert(folderId, item));
+        });
 
-const MailTo = {
-    parse: (str) => {
-        const data = { to: '', cc: '', bcc: '', subject: '', body: '' };
-        if (!str || !str.startsWith('mailto:')) return data;
-        try {
-            const qIndex = str.indexOf('?');
-            if (qIndex === -1) {
-                data.to = decodeURIComponent(str.substring(7));
-                return data;
-            }
-            data.to = decodeURIComponent(str.substring(7, qIndex));
-            const params = new URLSearchParams(str.substring(qIndex + 1));
-            ['subject', 'body', 'cc', 'bcc'].forEach(key => {
-                if (params.has(key)) data[key] = params.get(key);
-            });
-        } catch (err) {
-            console.error('Parse error:', err);
-        }
-        return data;
+        return State.commands.batch(label, commands);
     },
 
-    build: (data) => {
-        try {
-            const params = [];
-            CONFIG.MAILTO_PARAMS.forEach(key => {
-                if (data[key]) params.push(`${key}=${encodeURIComponent(data[key])}`);
-            });
-            if (data.body) {
-                params.push(`body=${encodeURIComponent(data.body).replace(/%0A/g, '%0D%0A')}`);
-            }
-            return `mailto:${encodeURIComponent(data.to || '')}?${params.join('&')}`;
+    /**
+     * Plans adding templates read by CSV.readTemplates.
+     * @param {Object[]} templates - { path, name, description, tags, fields }.
+     * @returns {Object} Batch command.
+     */
+    importFromCSV: (templates) => State.planImport(templates.map(template => ({
+        path: template.path,
+        item: State.createTemplate(template.fields, template)
+    }))),
+
+    /**
+     * Reads the library tree of an archive manifest into current-schema items.
+     * Items get fresh ids so an archive can be imported next to the data it
+     * came from.
+     * @param {Object} manifest - Parsed archive manifest.
+     * @returns {Object[]} Folder and template items.
+     */
+    readArchiveLibrary: (manifest) => {
+        const { library } = State.migrate({ version: manifest.schemaVersion, library: Array.isArray(manifest.library) ? manifest.library : [] });
+        const copy = (item) => {
+            if (item.type === 'folder') {
+                return {
+                    ...State.createFolder(item.name),
+                    ...(item.manualOrder ? { manualOrder: true } : {}),
+                    children: (item.children || []).map(copy)
+                };
+            }
+            return State.createTemplate(item.fields, { ...item, id: null });
+        };
+        return library.map(copy);
+    },
+
+    /**
+     * Plans adding archive items under a folder.
+     * @param {Object[]} items - Items from State.readArchiveLibrary.
+     * @param {string} targetId - Destination folder id.
+     * @returns {Object} Batch command.
+     */
+    importLibrary: (items, targetId) => State.commands.batch(
+        `Import ${State.flattenLibrary(items).length} templates`,
+        items.map(item => State.commands.insert(targetId, item))
+    ),
+
+    /**
+     * Reversible library mutations. Each factory returns { label, ids, do, undo };
+     * items are addressed by id so commands stay valid across other undos.
+     * `ids` lists every item the command reads or changes, parents included,
+     * so history can drop just the steps another tab's edits invalidate.
+     */
+    commands: {
+        insert: (parentId, item, index = null) => ({
+            label: `Create "${item.name}"`,
+            ids: [parentId, ...State.commands.subtreeIds(item)],
+            do: () => {
+                const children = State.getChildren(parentId);
+                children.splice(index ?? children.length, 0, item);
+            },
+            undo: () => State.commands.detach(item.id)
+        }),
+
+        remove: (id) => {
+            let origin = null;
+            const found = State.locate(id);
+            return {
+                label: `Delete "${found?.item?.name}"`,
+                ids: found ? [found.parentId, ...State.commands.subtreeIds(found.item)] : [id],
+                do: () => { origin = State.commands.detach(id); },
+                undo: () => State.getChildren(origin.parentId).splice(origin.index, 0, origin.item)
+            };
+        },
+
+        move: (id, targetId, index = null) => {
+            let origin = null;
+            const found = State.locate(id);
+            return {
+                label: `Move "${found?.item?.name}"`,
+                ids: found ? [found.parentId, targetId, ...State.commands.subtreeIds(found.item)] : [id, targetId],
+                do: () => {
+                    origin = State.commands.detach(id);
+                    const children = State.getChildren(targetId);
+                    children.splice(index ?? children.length, 0, origin.item);
+                },
+                undo: () => {
+                    // The item as it is now, which a merge may have replaced since
+                    const { item } = State.commands.detach(id);
+                    State.getChildren(origin.parentId).splice(origin.index, 0, item);
+                }
+            };
+        },
+
+        /**
+         * Replaces properties on an item (rename, overwrite on save).
+         */
+        update: (id, changes, label = null) => {
+            let previous = null;
+            return {
+                label: label || `Edit "${State.findItem(id)?.item?.name}"`,
+                ids: [id],
+                do: () => {
+                    const item = State.findItem(id).item;
+                    previous = Object.fromEntries(Object.keys(changes).map(key => [key, item[key]]));
+                    Object.assign(item, changes);
+                },
+                undo: () => Object.assign(State.findItem(id).item, previous)
+            };
+        },
+
+        /**
+         * Rearranges a folder's children by id and sets its manual-order flag.
+         */
+        reorder: (folderId, orderedIds, manual = true) => {
+            let previous = null;
+            const arrange = (ids, isManual) => {
+                const children = State.getChildren(folderId);
+                const byId = new Map(children.map(c => [c.id, c]));
+                children.splice(0, children.length, ...ids.map(id => byId.get(id)));
+                State.setManualOrder(folderId, isManual);
+            };
+            return {
+                label: manual ? 'Reorder items' : 'Sort by name',
+                ids: [folderId, ...orderedIds],
+                do: () => {
+                    previous = { ids: State.getChildren(folderId).map(c => c.id), manual: State.isManualOrder(folderId) };
+                    arrange(orderedIds, manual);
+                },
+                undo: () => arrange(previous.ids, previous.manual)
+            };
+        },
+
+        batch: (label, commands) => ({
+            label,
+            ids: [...new Set(commands.flatMap(c => c.ids))],
+            do: () => commands.forEach(c => c.do()),
+            undo: () => [...commands].reverse().forEach(c => c.undo())
+        }),
+
+        subtreeIds: (item) => [item.id, ...(item.children || []).flatMap(State.commands.subtreeIds)],
+
+        detach: (id) => {
+            const origin = State.locate(id);
+            State.getChildren(origin.parentId).splice(origin.index, 1);
+            return origin;
+        }
+    },
+
+    /**
+     * Applies a command, records it for undo and persists.
+     * @param {Object} command - From State.commands.
+     * @returns {Object} The command.
+     */
+    execute: (command) => {
+        command.do();
+        State.history.undo.push(command);
+        if (State.history.undo.length > CONFIG.HISTORY_LIMIT) State.history.undo.shift();
+        State.history.redo = [];
+        State.save();
+        return command;
+    },
+
+    undo: () => {
+        const command = State.history.undo.pop();
+        if (!command) return null;
+        command.undo();
+        State.history.redo.push(command);
+        State.save();
+        return command;
+    },
+
+    redo: () => {
+        const command = State.history.redo.pop();
+        if (!command) return null;
+        command.do();
+        State.history.undo.push(command);
+        State.save();
+        return command;
+    },
+
+    /**
+     * Drops the undo and redo steps that involve any of the given items.
+     * Steps for other items stay; they find their items by id.
+     * @param {string[]} ids - Items another tab changed.
+     */
+    forgetHistory: (ids) => {
+        const touched = new Set(ids);
+        const keep = (command) => !command.ids.some(id => touched.has(id));
+        State.history.undo = State.history.undo.filter(keep);
+        State.history.redo = State.history.redo.filter(keep);
+    }
+};
+
+/* =============================================================================
+   TEMPLATE PLACEHOLDERS
+   ============================================================================= */
+
+const Placeholders = {
+    // {{name}} or {{name|default value}}
+    PATTERN: /\{\{\s*([\w.\- ]+?)\s*(?:\|([^}]*))?\}\}/g,
+
+    BUILTINS: {
+        today: () => new Date().toLocaleDateString(),
+        date: () => new Date().toISOString().slice(0, 10),
+        time: () => new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        weekday: () => new Date().toLocaleDateString(undefined, { weekday: 'long' }),
+        month: () => new Date().toLocaleDateString(undefined, { month: 'long' }),
+        year: () => String(new Date().getFullYear())
+    },
+
+    isBuiltin: (name) => Object.prototype.hasOwnProperty.call(Placeholders.BUILTINS, name.toLowerCase()),
+
+    /**
+     * Lists the distinct placeholders used across the template fields.
+     * @param {Object} data - Template fields (to, cc, bcc, subject, body).
+     * @returns {Object[]} Array of { name, defaultValue, builtin } in order of appearance.
+     */
+    detect: (data) => {
+        const found = new Map();
+        CONFIG.TEMPLATE_FIELDS.forEach(field => {
+            for (const match of String(data[field] || '').matchAll(Placeholders.PATTERN)) {
+                const name = match[1];
+                if (found.has(name)) {
+                    if (!found.get(name).defaultValue && match[2]) found.get(name).defaultValue = match[2].trim();
+                    continue;
+                }
+                found.set(name, { name, defaultValue: (match[2] || '').trim(), builtin: Placeholders.isBuiltin(name) });
+            }
+        });
+        return [...found.values()];
+    },
+
+    /**
+     * Substitutes placeholders with user values, then defaults, then built-ins.
+     * Placeholders with no value at all are left untouched.
+     * @param {Object} data - Template fields.
+     * @param {Object} values - Map of placeholder name to filled value.
+     * @returns {Object} New field object; the input is not modified.
+     */
+    fill: (data, values = {}) => {
+        const filled = { ...data };
+        // A default declared on any occurrence applies to every occurrence
+        const defaults = Object.fromEntries(Placeholders.detect(data).map(p => [p.name, p.defaultValue]));
+        CONFIG.TEMPLATE_FIELDS.forEach(field => {
+            if (!filled[field]) return;
+            filled[field] = String(filled[field]).replace(Placeholders.PATTERN, (match, name) => {
+                if (values[name]) return values[name];
+                if (defaults[name]) return defaults[name];
+                if (Placeholders.isBuiltin(name)) return Placeholders.BUILTINS[name.toLowerCase()]();
+                return match;
+            });
+        });
+        return filled;
+    }
+};
+
+/* =============================================================================
+   OUTPUT FORMATS
+   ============================================================================= */
+
+const Formats = {
+    LIST: [
+        { id: 'mailto', label: 'mailto: link', copy: 'Copy Link' },
+        { id: 'html', label: 'HTML link', copy: 'Copy HTML' },
+        { id: 'markdown', label: 'Markdown link', copy: 'Copy Markdown' },
+        { id: 'button', label: 'HTML button', copy: 'Copy HTML' },
+        { id: 'qr', label: 'QR code' }, // Image actions live in the QR panel
+        { id: 'gmail', label: 'Gmail compose URL', copy: 'Copy URL' },
+        { id: 'outlook', label: 'Outlook Web compose URL', copy: 'Copy URL' }
+    ],
+
+    BUTTON_STYLE: 'display:inline-block;padding:10px 20px;background:#2563eb;color:#ffffff;border-radius:6px;'
+        + 'font-family:Arial,sans-serif;font-size:14px;font-weight:bold;text-decoration:none;',
+
+    // Markup is pasted elsewhere, so escape without relying on the DOM
+    escape: (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'),
+
+    linkText: (data) => String(data.subject || '').trim() || 'Send email',
+
+    bareAddresses: (value) => Addresses.split(value).map(entry => Addresses.parse(entry).address).join(','),
+
+    /**
+     * Builds a web compose URL; webmail takes bare, comma-separated addresses.
+     * @param {string} base - Compose endpoint.
+     * @param {Object} names - Query parameter name per field.
+     */
+    composeUrl: (base, names, data) => {
+        const params = Object.entries(names)
+            .map(([field, name]) => {
+                const value = Addresses.FIELDS.includes(field) ? Formats.bareAddresses(data[field]) : data[field];
+                return value ? `${name}=${encodeURIComponent(value)}` : null;
+            })
+            .filter(Boolean);
+        return `${base}${base.includes('?') ? '&' : '?'}${params.join('&')}`;
+    },
+
+    markdownText: (text) => String(text).replace(/([\\[\]<>*_`])/g, '\\$1'),
+
+    markdownLink: (text, href) => {
+        const label = Formats.markdownText(text);
+        return `[${label}](${href.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20')})`;
+    },
+
+    /**
+     * Groups flattened templates by folder path, keeping library order.
+     * @param {Object[]} rows - Output of State.flattenLibrary.
+     * @returns {Array<{path: string, rows: Object[]}>}
+     */
+    groupByPath: (rows) => {
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!groups.has(row.path)) groups.set(row.path, []);
+            groups.get(row.path).push(row);
+        });
+        return [...groups].map(([path, items]) => ({ path, rows: items }));
+    },
+
+    sectionTitle: (path) => path === '/' ? 'Top level' : path.split('/').join(' / '),
+
+    /**
+     * Builds a self-contained HTML page listing every template as a mailto button.
+     * @param {Object[]} rows - Output of State.flattenLibrary.
+     * @param {Object} [options] - { title, link }: link options for MailTo.build.
+     * @returns {string} HTML document.
+     */
+    libraryPage: (rows, options = {}) => {
+        const esc = Formats.escape;
+        const title = options.title || 'Email Templates';
+        const groups = Formats.groupByPath(rows);
+        const sections = groups.map((group, index) => `
+<section id="section-${index + 1}">
+<h2>${esc(Formats.sectionTitle(group.path))}</h2>
+<ul class="templates">
+${group.rows.map(row => `<li class="template">
+<a class="send" href="${esc(MailTo.build(row, options.link))}">${esc(row.name)}</a>
+<div class="details">
+<div class="subject">${row.subject ? esc(row.subject) : '<em>No subject</em>'}</div>
+${row.description ? `<div class="meta">${esc(row.description)}</div>` : ''}
+${row.to ? `<div class="meta">To: ${esc(row.to)}</div>` : ''}
+</div>
+</li>`).join('\n')}
+</ul>
+</section>`).join('\n');
+        const toc = groups.length > 1
+            ? `<nav><ul>${groups.map((g, i) => `<li><a href="#section-${i + 1}">${esc(Formats.sectionTitle(g.path))}</a></li>`).join('')}</ul></nav>`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1e293b; background: #f8fafc; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.15rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.3rem; margin-top: 2rem; }
+nav ul { display: flex; flex-wrap: wrap; gap: 0.5rem 1rem; padding: 0; list-style: none; }
+.templates { list-style: none; padding: 0; display: grid; gap: 0.75rem; }
+.template { display: flex; gap: 1rem; align-items: flex-start; background: #ffffff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.75rem 1rem; }
+a.send { ${Formats.BUTTON_STYLE} white-space: nowrap; }
+.subject { font-weight: 600; }
+.meta { font-size: 0.85rem; color: #64748b; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="meta">${rows.length} template${rows.length === 1 ? '' : 's'}, exported ${new Date().toLocaleDateString()}</p>
+${toc}
+${sections}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Builds a Markdown document with one section per folder.
+     * @param {Object[]} rows - Output of State.flattenLibrary.
+     * @param {Object} [options] - Same as libraryPage().
+     * @returns {string}
+     */
+    libraryMarkdown: (rows, options = {}) => {
+        const lines = [`# ${Formats.markdownText(options.title || 'Email Templates')}`, '', `_${rows.length} template${rows.length === 1 ? '' : 's'}, exported ${new Date().toISOString().slice(0, 10)}_`];
+        Formats.groupByPath(rows).forEach(group => {
+            lines.push('', `## ${Formats.markdownText(Formats.sectionTitle(group.path))}`, '');
+            group.rows.forEach(row => {
+                const details = [row.subject, row.description].filter(Boolean).join(': ').replace(/\s+/g, ' ');
+                lines.push(`- **${Formats.markdownLink(row.name, MailTo.build(row, options.link))}**${details ? ` ${Formats.markdownText(details)}` : ''}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Renders a text output format.
+     * @param {string} format - Id from Formats.LIST (anything but 'qr').
+     * @param {string} href - The mailto: link as built for the preview.
+     * @param {Object} data - The fields the link was built from (placeholders filled).
+     * @returns {string}
+     */
+    render: (format, href, data) => {
+        const text = Formats.escape(Formats.linkText(data));
+        switch (format) {
+            case 'html':
+                return `<a href="${Formats.escape(href)}">${text}</a>`;
+            case 'markdown':
+                return Formats.markdownLink(Formats.linkText(data), href);
+            case 'button':
+                return `<a href="${Formats.escape(href)}" style="${Formats.BUTTON_STYLE}">${text}</a>`;
+            case 'gmail':
+                return Formats.composeUrl('https://mail.google.com/mail/?view=cm&fs=1',
+                    { to: 'to', cc: 'cc', bcc: 'bcc', subject: 'su', body: 'body' }, data);
+            case 'outlook':
+                return Formats.composeUrl('https://outlook.office.com/mail/deeplink/compose',
+                    { to: 'to', cc: 'cc', bcc: 'bcc', subject: 'subject', body: 'body' }, data);
+            default:
+                return href;
+        }
+    }
+};
+
+/* =============================================================================
+   LIBRARY SEARCH
+   ============================================================================= */
+
+const Search = {
+    // Searchable columns of State.flattenLibrary rows, with ranking weights
+    FIELDS: { name: 5, tags: 3, subject: 3, description: 2, path: 2, to: 1, cc: 1, bcc: 1, body: 1 },
+
+    FILTERS: {
+        hasCc: { label: 'Has CC', test: (row) => !!row.cc.trim() },
+        hasBcc: { label: 'Has BCC', test: (row) => !!row.bcc.trim() },
+        hasPlaceholder: { label: 'Contains placeholder', test: (row) => Placeholders.detect(row).length > 0 }
+    },
+
+    tokenize: (term) => String(term || '').toLowerCase().split(/\s+/).filter(Boolean),
+
+    /**
+     * Matches flattened library rows against a term and filters.
+     * Every token must appear in at least one field (AND semantics).
+     * @param {Object[]} rows - Rows from State.flattenLibrary.
+     * @param {string} term - Free-text query.
+     * @param {string[]} filters - Keys of Search.FILTERS that must all pass.
+     * @returns {Object[]} Array of { row, fields, score }, best match first.
+     */
+    query: (rows, term, filters = []) => {
+        const tokens = Search.tokenize(term);
+        const results = [];
+
+        rows.forEach(row => {
+            if (!filters.every(key => Search.FILTERS[key]?.test(row))) return;
+
+            const fields = Object.keys(Search.FIELDS).filter(field => {
+                const value = String(row[field] || '').toLowerCase();
+                return tokens.some(token => value.includes(token));
+            });
+            const allTokensFound = tokens.every(token =>
+                fields.some(field => String(row[field]).toLowerCase().includes(token))
+            );
+            if (!allTokensFound) return;
+
+            const score = fields.reduce((sum, field) => sum + Search.FIELDS[field], 0);
+            results.push({ row, fields, score });
+        });
+
+        return results.sort((a, b) => (b.score - a.score) || a.row.name.localeCompare(b.row.name));
+    },
+
+    /**
+     * Escapes text for HTML and wraps token occurrences in <mark>.
+     * @param {string} text - Raw text.
+     * @param {string[]} tokens - Lowercase search tokens.
+     * @returns {string} HTML-safe string.
+     */
+    highlight: (text, tokens) => {
+        if (!tokens.length) return Utils.escapeHTML(text);
+        const pattern = new RegExp(`(${tokens.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return String(text).split(pattern).map((part, i) =>
+            i % 2 === 1 ? `<mark>${Utils.escapeHTML(part)}</mark>` : Utils.escapeHTML(part)
+        ).join('');
+    },
+
+    /**
+     * Cuts a single-line excerpt around the first token occurrence.
+     */
+    snippet: (text, tokens, radius = 40) => {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        const lower = flat.toLowerCase();
+        const index = Math.min(...tokens.map(t => lower.indexOf(t)).filter(i => i >= 0), flat.length);
+        const start = Math.max(0, index - radius);
+        const end = Math.min(flat.length, index + radius * 2);
+        return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+    }
+};
+
+/* =============================================================================
+   EMAIL PARSING
+   ============================================================================= */
+
+/**
+ * Runs MsgReader in a module worker (parseworker.js), one file at a time,
+ * so a large message can't freeze the page. Files over the size limit are
+ * refused up front; a parse that runs past the time limit, or is cancelled,
+ * is stopped by terminating the worker. Where module workers can't start
+ * (older browsers, pages opened from file://) parsing falls back to the
+ * main thread. A file there can't be stopped part-way, so the time limit is
+ * checked once it is read and a cancel takes effect before the next file.
+ */
+const Parser = {
+    worker: null,
+    ready: false,
+    useWorker: typeof Worker !== 'undefined',
+    nextId: 1,
+    job: null, // { id, file, resolve, reject, timer } of the file being parsed
+    cancelled: false, // Refuses further files until the next batch begins
+
+    /**
+     * Starts a batch of files, clearing an earlier cancel.
+     */
+    begin: () => {
+        Parser.cancelled = false;
+    },
+
+    /**
+     * Parses one email file. Wait for the result before starting the next.
+     * @param {File} file - .msg, .oft or .eml file.
+     * @returns {Promise<Object>} MsgReader.read result (without getFieldValue).
+     */
+    parse: async (file) => {
+        if (file.size > CONFIG.PARSE_MAX_BYTES) {
+            throw new Error(`${file.name} is ${Utils.formatBytes(file.size)}, over the ${Utils.formatBytes(CONFIG.PARSE_MAX_BYTES)} import limit`);
+        }
+        if (Parser.cancelled) throw Parser.abortError();
+        const buffer = await Utils.readArrayBuffer(file);
+        if (Parser.cancelled) throw Parser.abortError();
+        const worker = Parser.useWorker && Parser.start();
+        if (!worker) return Parser.parseHere(file, buffer);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => Parser.stop(Parser.timeoutError(file)), CONFIG.PARSE_TIMEOUT_MS);
+            Parser.job = { id: Parser.nextId++, file, resolve, reject, timer };
+            worker.postMessage({ id: Parser.job.id, buffer }, [buffer]);
+        });
+    },
+
+    parseHere: (file, buffer) => {
+        if (!window.MsgReader) throw new Error('Parser module not loaded');
+        const started = Date.now();
+        const parsed = window.MsgReader.read(buffer);
+        // Too late to save the wait, but a slow file fails the same way it would in the worker
+        if (Date.now() - started > CONFIG.PARSE_TIMEOUT_MS) throw Parser.timeoutError(file);
+        return parsed;
+    },
+
+    timeoutError: (file) => new Error(`${file.name} took longer than ${CONFIG.PARSE_TIMEOUT_MS / 1000} s to parse`),
+
+    abortError: () => {
+        const error = new Error('Import cancelled');
+        error.name = 'AbortError';
+        return error;
+    },
+
+    /**
+     * Returns the running worker, starting one if needed, or null when
+     * workers are unavailable.
+     */
+    start: () => {
+        if (Parser.worker) return Parser.worker;
+        try {
+            Parser.worker = new Worker('js/parseworker.js', { type: 'module' });
         } catch (err) {
-            console.error('Build error:', err);
-            return '';
+            console.warn('Parser worker unavailable, parsing on the main thread:', err);
+            Parser.useWorker = false;
+            return null;
         }
+        Parser.ready = false;
+        Parser.worker.onmessage = (e) => Parser.receive(e.data);
+        Parser.worker.onerror = (e) => {
+            e.preventDefault();
+            if (!Parser.ready) {
+                // The worker script never loaded: stay on the main thread from now on
+                console.warn('Parser worker failed to load, parsing on the main thread:', e.message);
+                Parser.useWorker = false;
+                const job = Parser.finish();
+                Parser.worker.terminate();
+                Parser.worker = null;
+                if (job) Utils.readArrayBuffer(job.file).then(buffer => Parser.parseHere(job.file, buffer)).then(job.resolve, job.reject);
+                return;
+            }
+            Parser.stop(new Error(e.message || 'Parser worker crashed'));
+        };
+        return Parser.worker;
+    },
+
+    receive: (data) => {
+        if (data.ready) {
+            Parser.ready = true;
+            return;
+        }
+        if (!Parser.job || data.id !== Parser.job.id) return;
+        const job = Parser.finish();
+        if (data.error) job.reject(Object.assign(new Error(data.error), { diagnostics: data.diagnostics || [] }));
+        else job.resolve(data.result);
+    },
+
+    /**
+     * Clears the current job and returns it.
+     */
+    finish: () => {
+        const job = Parser.job;
+        if (job) clearTimeout(job.timer);
+        Parser.job = null;
+        return job;
+    },
+
+    /**
+     * Terminates the worker, failing the current job with the given error.
+     * The next parse starts a fresh worker.
+     */
+    stop: (error) => {
+        if (Parser.worker) Parser.worker.terminate();
+        Parser.worker = null;
+        const job = Parser.finish();
+        if (job) job.reject(error);
+    },
+
+    cancel: () => {
+        Parser.cancelled = true;
+        Parser.stop(Parser.abortError());
     }
 };
 
@@ -493,25 +1713,73 @@ const App = {
     init: async () => {
         App.elements = {
             treeContainer: document.getElementById('tree-list-container'),
+            searchInput: document.getElementById('library-search'),
+            btnSearchFilters: document.getElementById('btn-search-filters'),
+            searchFilters: document.getElementById('search-filters'),
             breadcrumb: document.getElementById('breadcrumb-container'),
             uploadWrapper: document.getElementById('upload-wrapper'),
+            attachmentNotice: document.getElementById('attachment-notice'),
+            parseReport: document.getElementById('parse-report'),
+            parseReportCount: document.getElementById('parse-report-count'),
+            parseReportList: document.getElementById('parse-report-list'),
+            parseProgress: document.getElementById('parse-progress'),
+            parseProgressBar: document.getElementById('parse-progress-bar'),
+            parseProgressLabel: document.getElementById('parse-progress-label'),
+            btnCancelParse: document.getElementById('btn-cancel-parse'),
             fileInput: document.getElementById('msg-upload'),
             resultTo: document.getElementById('result-to'),
             resultCc: document.getElementById('result-cc'),
             resultBcc: document.getElementById('result-bcc'),
             resultSubject: document.getElementById('result-subject'),
             resultBody: document.getElementById('result-body'),
-            resultMailto: document.getElementById('result-mailto'),
+            resultHeaders: document.getElementById('result-headers'),
+            headersSection: document.getElementById('headers-section'),
+            headersCount: document.getElementById('headers-count'),
+            headerWarnings: document.getElementById('header-warnings'),
+            outputFormat: document.getElementById('output-format'),
+            outputText: document.getElementById('output-text'),
+            outputQr: document.getElementById('output-qr'),
+            qrImage: document.getElementById('qr-image'),
+            btnCopyQr: document.getElementById('btn-copy-qr'),
+            btnDownloadQr: document.getElementById('btn-download-qr'),
+            recipientChips: {
+                to: document.getElementById('recipients-to'),
+                cc: document.getElementById('recipients-cc'),
+                bcc: document.getElementById('recipients-bcc')
+            },
+            optDisplayNames: document.getElementById('opt-display-names'),
+            optEncoding: document.getElementById('opt-encoding'),
+            placeholderBar: document.getElementById('placeholder-bar'),
+            placeholderList: document.getElementById('placeholder-list'),
+            btnFillPlaceholders: document.getElementById('btn-fill-placeholders'),
             resultLink: document.getElementById('result-link'),
             outputWrapper: document.getElementById('output-wrapper'),
+            lengthReport: document.getElementById('length-report'),
             btnNewFolder: document.getElementById('btn-new-folder'),
             btnSave: document.getElementById('btn-save-to-library'),
             btnClear: document.getElementById('btn-clear-all'),
-            btnCopy: document.getElementById('copy-mailto-btn'),
             btnImportCSV: document.getElementById('btn-import-csv'),
-            btnExportCSV: document.getElementById('btn-export-csv')
+            btnExportCSV: document.getElementById('btn-export-csv'),
+            btnExportZip: document.getElementById('btn-export-zip'),
+            btnExportPage: document.getElementById('btn-export-page'),
+            btnDownloadEmail: document.getElementById('btn-download-email'),
+            btnUndo: document.getElementById('btn-undo'),
+            btnRedo: document.getElementById('btn-redo'),
+            storageStatus: document.getElementById('storage-status')
         };
 
+        try {
+            const [link, csv] = await Promise.all([import('./mailtolink.js'), import('./csv.js')]);
+            window.MailTo = link.MailTo;
+            window.Addresses = link.Addresses;
+            window.CSV = csv.CSV;
+            Object.assign(CONFIG, link.LINK_CONFIG); // Link constants live with the encoder
+        } catch (err) {
+            console.error('Link encoder unavailable:', err);
+            UI.showToast('Failed to load the link encoder');
+            return;
+        }
+
         try {
             const module = await import('./msgreader.js');
             window.MsgReader = module.MsgReader;
@@ -520,90 +1788,754 @@ const App = {
             UI.showToast('Email file import disabled');
         }
 
-        State.load();
+        try {
+            const [zip, writer] = await Promise.all([import('./zip.js'), import('./msgwriter.js')]);
+            window.Zip = zip.Zip;
+            window.MsgWriter = writer.MsgWriter;
+        } catch (err) {
+            console.error('Archive modules unavailable:', err);
+        }
+
+        try {
+            window.QRCode = (await import('./qrcode.js')).QRCode;
+        } catch (err) {
+            console.error('QR code module unavailable:', err);
+        }
+
+        await State.load();
+        if (State.readOnly) UI.showToast('Library saved by a newer version of the app was not loaded; changes here are not saved');
+        Persistence.onWrite = Utils.debounce(App.renderStorageStatus, 1000);
+        App.renderStorageStatus();
+        Sync.start(App.handleRemoteChange);
+        App.elements.optEncoding.innerHTML = CONFIG.ENCODING_PROFILES
+            .map(p => `<option value="${p.id}">${Utils.escapeHTML(p.label)}</option>`).join('');
+        App.elements.outputFormat.innerHTML = Formats.LIST
+            .map(f => `<option value="${f.id}">${Utils.escapeHTML(f.label)}</option>`).join('');
+        // The mailto row is in the page; the other text formats get their own row and copy button
+        App.elements.outputText.insertAdjacentHTML('beforeend', Formats.LIST
+            .filter(f => f.copy && f.id !== 'mailto')
+            .map(f => `
+                <div class="input-with-button hidden" data-format="${f.id}">
+                    <input type="text" class="form-input" readonly aria-label="${Utils.escapeHTML(f.label)}">
+                    <button class="btn-secondary" data-format="${f.id}">${f.copy}</button>
+                </div>
+            `).join(''));
+        App.applySettings();
         App.attachEventListeners();
         App.renderLibrary();
+        App.updateHistoryButtons();
         
         // Initial live update check
         App.updatePreview();
     },
 
-    attachEventListeners: () => {
-        // Upload handling
-        App.elements.uploadWrapper.addEventListener('click', () => App.elements.fileInput.click());
-        App.elements.fileInput.addEventListener('change', (e) => { if (e.target.files[0]) App.handleFileUpload(e.target.files[0]); });
-        ['dragenter', 'dragover'].forEach(evt => App.elements.uploadWrapper.addEventListener(evt, e => { e.preventDefault(); e.stopPropagation(); }));
-        App.elements.uploadWrapper.addEventListener('drop', (e) => { e.preventDefault(); e.stopPropagation(); if (e.dataTransfer.files[0]) App.handleFileUpload(e.dataTransfer.files[0]); });
+    /**
+     * Reflects stored preferences in the link option controls.
+     */
+    applySettings: () => {
+        App.elements.optDisplayNames.checked = State.getSetting('displayNames', false);
+        App.elements.optEncoding.value = MailTo.getProfile(State.getSetting('encodingProfile')).id;
+        App.elements.outputFormat.value = State.getSetting('outputFormat', 'mailto');
+    },
+
+    attachEventListeners: () => {
+        // Upload handling
+        App.elements.uploadWrapper.addEventListener('click', () => App.elements.fileInput.click());
+        App.elements.fileInput.addEventListener('change', (e) => {
+            const files = [...e.target.files];
+            if (files.length > 1) App.openBatchImport(files.map(file => ({ file, path: '' })));
+            else if (files[0]?.name.toLowerCase().endsWith('.zip')) App.importZip(files[0]);
+            else if (files[0]) App.handleFileUpload(files[0]);
+            e.target.value = '';
+        });
+        ['dragenter', 'dragover'].forEach(evt => App.elements.uploadWrapper.addEventListener(evt, e => { e.preventDefault(); e.stopPropagation(); }));
+        App.elements.uploadWrapper.addEventListener('drop', (e) => { e.preventDefault(); e.stopPropagation(); App.handleFileDrop(e.dataTransfer); });
+
+        // Buttons
+        App.elements.btnNewFolder.addEventListener('click', App.createFolder);
+        App.elements.btnSave.addEventListener('click', App.openSaveModal);
+        App.elements.btnClear.addEventListener('click', App.clearForm);
+        App.elements.outputText.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-format]');
+            if (button) App.copyOutput(button.dataset.format);
+        });
+        App.elements.btnFillPlaceholders.addEventListener('click', () => App.openPlaceholderForm());
+        App.elements.resultLink.addEventListener('click', () => {
+            State.recordUsage(State.currentEditingId);
+            if (App.currentLink) App.prepareLaunch(App.currentLink);
+        });
+        App.elements.lengthReport.addEventListener('change', (e) => {
+            if (e.target.id !== 'length-strategy') return;
+            App.lengthStrategy = e.target.value;
+            App.updatePreview();
+        });
+        App.elements.btnImportCSV.addEventListener('click', App.importCSV);
+        App.elements.btnExportCSV.addEventListener('click', App.exportCSV);
+        App.elements.btnExportZip.addEventListener('click', App.exportZip);
+        App.elements.btnExportPage.addEventListener('click', App.openLinkPageExport);
+        App.elements.btnDownloadEmail.addEventListener('click', () => {
+            const data = Placeholders.fill(App.getFormData(), App.placeholderValues);
+            App.openDownloadModal(data, data.subject);
+        });
+        App.elements.btnUndo.addEventListener('click', App.undo);
+        App.elements.btnRedo.addEventListener('click', App.redo);
+
+        App.elements.attachmentNotice.addEventListener('click', App.handleAttachmentClick);
+        App.elements.btnCancelParse.addEventListener('click', Parser.cancel);
+
+        // Search
+        App.elements.searchInput.addEventListener('input', Utils.debounce(App.renderLibrary, 150));
+        App.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') App.clearSearch();
+        });
+        App.elements.btnSearchFilters.addEventListener('click', () => {
+            App.elements.searchFilters.classList.toggle('hidden');
+            App.elements.btnSearchFilters.classList.toggle('active', !App.elements.searchFilters.classList.contains('hidden'));
+        });
+        App.elements.searchFilters.addEventListener('change', App.renderLibrary);
+
+        // Tree navigation
+        App.elements.treeContainer.addEventListener('click', App.handleTreeClick);
+        App.elements.breadcrumb.addEventListener('click', App.handleBreadcrumbClick);
+
+        // Drag-and-drop reorganization
+        App.elements.treeContainer.addEventListener('dragstart', App.handleDragStart);
+        App.elements.treeContainer.addEventListener('dragend', App.handleDragEnd);
+        [App.elements.treeContainer, App.elements.breadcrumb].forEach(el => {
+            el.addEventListener('dragover', App.handleDragOver);
+            el.addEventListener('dragleave', App.clearDropIndicators);
+            el.addEventListener('drop', App.handleDrop);
+        });
+
+        // Live Preview Listeners
+        const inputs = ['resultTo', 'resultCc', 'resultBcc', 'resultSubject', 'resultBody', 'resultHeaders'];
+        inputs.forEach(id => {
+            App.elements[id].addEventListener('input', App.updatePreview);
+        });
+
+        // Recipients: unify separators once the user leaves the field
+        Object.entries(App.recipientInputs()).forEach(([field, input]) => {
+            input.addEventListener('change', () => {
+                input.value = Addresses.split(input.value).join(', ');
+                App.updatePreview();
+            });
+            App.elements.recipientChips[field].addEventListener('click', App.handleRecipientChipClick);
+        });
+        App.elements.optDisplayNames.addEventListener('change', (e) => {
+            State.setSetting('displayNames', e.target.checked);
+            App.updatePreview();
+        });
+        App.elements.optEncoding.addEventListener('change', (e) => {
+            State.setSetting('encodingProfile', e.target.value);
+            App.updatePreview();
+        });
+        App.elements.outputFormat.addEventListener('change', (e) => {
+            State.setSetting('outputFormat', e.target.value);
+            App.renderOutput();
+        });
+        App.elements.btnCopyQr.addEventListener('click', App.copyQrCode);
+        App.elements.btnDownloadQr.addEventListener('click', App.downloadQrCode);
+
+        document.getElementById('modal-overlay').addEventListener('click', (e) => {
+            if (e.target.id === 'modal-overlay') UI.hideModal();
+        });
+
+        // History shortcuts (text fields keep their native undo)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+            if (document.getElementById('modal-overlay').classList.contains('show')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); App.undo(); }
+            else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); App.redo(); }
+        });
+    },
+
+    handleFileUpload: async (file) => {
+        const results = await App.parseFiles([{ file, path: '' }]);
+        if (!results) return;
+        const [{ parsed, error, diagnostics }] = results;
+        if (error) {
+            const report = diagnostics.length
+                ? `<details class="parse-report"><summary>Parse Report</summary><ul class="parse-report-list">${App.parseReportItems(diagnostics)}</ul></details>`
+                : '';
+            UI.showModal('Import Error', `<p>${Utils.escapeHTML(error)}</p>${report}`, [{ label: 'OK' }]);
+            return;
+        }
+        const fields = MailTo.fromMessage(parsed);
+        App.currentSourceFile = file.name;
+        State.currentEditingId = null;
+        App.elements.resultTo.value = fields.to;
+        App.elements.resultCc.value = fields.cc;
+        App.elements.resultBcc.value = fields.bcc;
+        App.elements.resultSubject.value = fields.subject;
+        App.elements.resultBody.value = fields.body;
+        App.elements.resultHeaders.value = fields.headers;
+        App.renderAttachments(parsed.attachments || []);
+        App.renderParseReport(diagnostics);
+
+        App.updatePreview();
+        UI.showToast('File imported');
+    },
+
+    parsing: false,
+
+    /**
+     * Parses files one at a time through the Parser, showing progress and a
+     * Cancel button under the upload zone. Per-file failures (unreadable,
+     * too large, too slow) are returned rather than thrown.
+     * @param {Array<{file: File, path: string}>} files - Files to parse.
+     * @returns {Promise<Array<{file: File, path: string, parsed: Object|null, error: string|null, diagnostics: Object[]}>|null>}
+     *   One entry per file, or null if cancelled or another import is running.
+     */
+    parseFiles: async (files) => {
+        if (App.parsing) {
+            UI.showToast('Still reading the previous files');
+            return null;
+        }
+        App.parsing = true;
+        Parser.begin();
+        // Quick single files finish before the progress bar would flash up
+        const reveal = setTimeout(() => App.elements.parseProgress.classList.remove('hidden'), files.length > 1 ? 0 : 300);
+        const results = [];
+        let cancelled = false;
+        try {
+            for (const [i, { file, path }] of files.entries()) {
+                App.elements.parseProgressBar.value = i / files.length;
+                App.elements.parseProgressLabel.textContent = files.length > 1
+                    ? `Reading ${i + 1} of ${files.length}: ${file.name}`
+                    : `Reading ${file.name}`;
+                try {
+                    const parsed = await Parser.parse(file);
+                    results.push({ file, path, parsed, error: null, diagnostics: parsed.diagnostics || [] });
+                } catch (err) {
+                    if (err.name === 'AbortError') {
+                        cancelled = true;
+                        break;
+                    }
+                    results.push({ file, path, parsed: null, error: err.message, diagnostics: err.diagnostics || [] });
+                }
+            }
+        } finally {
+            clearTimeout(reveal);
+            App.elements.parseProgress.classList.add('hidden');
+            App.parsing = false;
+        }
+        if (cancelled) {
+            UI.showToast('Import cancelled');
+            return null;
+        }
+        return results;
+    },
+
+    isEmailFile: (name) => CONFIG.EMAIL_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext)),
+
+    /**
+     * Routes a drop on the upload zone: a single file fills the editor,
+     * several files or a directory open the batch review.
+     */
+    handleFileDrop: async (dataTransfer) => {
+        const files = await Utils.collectDroppedFiles(dataTransfer);
+        if (files.length === 1 && !files[0].path) {
+            if (files[0].file.name.toLowerCase().endsWith('.zip')) App.importZip(files[0].file);
+            else App.handleFileUpload(files[0].file);
+            return;
+        }
+        const emailFiles = files.filter(f => App.isEmailFile(f.file.name));
+        if (emailFiles.length === 0) {
+            UI.showToast('No email files found');
+            return;
+        }
+        App.openBatchImport(emailFiles);
+    },
+
+    batchRows: [],
+
+    /**
+     * Parses every file and opens the review table.
+     * @param {Array<{file: File, path: string}>} files - Files with their dropped directory path.
+     */
+    openBatchImport: async (files) => {
+        const results = await App.parseFiles(files);
+        if (!results) return;
+
+        const rows = results.map(({ file, path, parsed, error, diagnostics }) => {
+            const report = diagnostics.filter(d => d.level === 'warning').map(d => d.message);
+            if (error) return { file, path, fields: null, name: file.name, warnings: [], report, error };
+            const fields = MailTo.fromMessage(parsed);
+            const warnings = [];
+            if (!fields.subject.trim()) warnings.push('No subject');
+            if (!fields.to && !fields.cc && !fields.bcc) warnings.push('No recipients');
+            if (!fields.body.trim()) warnings.push('Empty body');
+            if (parsed.attachments?.length) warnings.push(`${parsed.attachments.length} attachment(s) not kept`);
+            if (report.length) warnings.push(`${report.length} parse warning(s)`);
+            return { file, path, fields, name: fields.subject.trim() || file.name.replace(/\.[^.]+$/, ''), warnings, report, error: null };
+        });
+        App.batchRows = rows;
+
+        const failed = rows.filter(r => r.error).length;
+        const hasPaths = rows.some(r => r.path);
+        const folderOptions = State.getAllFolders().map(f =>
+            `<option value="${f.id}" ${f.id === State.currentFolderId ? 'selected' : ''}>${'&nbsp;'.repeat(f.level * 2)}${Utils.escapeHTML(f.name)}</option>`
+        ).join('');
+        const tableRows = rows.map((row, i) => {
+            const recipients = row.fields ? [row.fields.to, row.fields.cc && `CC: ${row.fields.cc}`, row.fields.bcc && `BCC: ${row.fields.bcc}`].filter(Boolean).join('; ') : '';
+            const notes = row.error ? `<span class="batch-error">${Utils.escapeHTML(row.error)}</span>` : Utils.escapeHTML(row.warnings.join(', '));
+            return `
+                <tr class="${row.error ? 'batch-failed' : ''}">
+                    <td><input type="checkbox" class="batch-include" data-index="${i}" ${row.error ? 'disabled' : 'checked'}></td>
+                    <td><input type="text" class="form-input batch-name" data-index="${i}" value="${Utils.escapeHTML(row.name)}" title="${Utils.escapeHTML(row.file.name)}" ${row.error ? 'disabled' : ''}></td>
+                    ${hasPaths ? `<td class="batch-path">${Utils.escapeHTML(row.path || '—')}</td>` : ''}
+                    <td class="batch-recipients" title="${Utils.escapeHTML(recipients)}">${Utils.escapeHTML(recipients || '—')}</td>
+                    <td class="batch-notes" title="${Utils.escapeHTML(row.report.join('\n'))}">${notes}</td>
+                </tr>
+            `;
+        }).join('');
+
+        UI.showModal('Import Email Files', `
+            <p class="modal-note">${rows.length - failed} of ${rows.length} file${rows.length === 1 ? '' : 's'} parsed${failed ? `, ${failed} failed` : ''}.</p>
+            <div class="batch-table-wrapper">
+                <table class="batch-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" id="batch-select-all" checked title="Select all"></th>
+                            <th>Name</th>
+                            ${hasPaths ? '<th>Folder</th>' : ''}
+                            <th>Recipients</th>
+                            <th>Warnings</th>
+                        </tr>
+                    </thead>
+                    <tbody>${tableRows}</tbody>
+                </table>
+            </div>
+            <div class="form-row batch-options">
+                <div class="form-group">
+                    <label for="batch-target-folder">Save into</label>
+                    <select id="batch-target-folder" class="form-input">${folderOptions}</select>
+                </div>
+                ${hasPaths ? `
+                <label class="batch-preserve">
+                    <input type="checkbox" id="batch-preserve" checked> Preserve folder structure
+                </label>` : ''}
+            </div>
+        `, [
+            { label: 'Cancel' },
+            { label: 'Import', class: 'btn-primary', callback: () => App.performBatchImport() }
+        ], { wide: true });
+
+        document.getElementById('batch-select-all').onchange = (e) => {
+            document.querySelectorAll('.batch-include:not(:disabled)').forEach(el => { el.checked = e.target.checked; });
+        };
+    },
+
+    performBatchImport: () => {
+        const targetId = document.getElementById('batch-target-folder').value;
+        const preserve = document.getElementById('batch-preserve')?.checked;
+        const entries = [...document.querySelectorAll('.batch-include:checked')].map(el => {
+            const row = App.batchRows[Number(el.dataset.index)];
+            const name = document.querySelector(`.batch-name[data-index="${el.dataset.index}"]`).value.trim();
+            return {
+                path: preserve ? row.path : '',
+                item: State.createTemplate(row.fields, { name: name || row.name, sourceFile: row.file.name })
+            };
+        });
+
+        if (entries.length === 0) {
+            UI.showToast('Nothing selected');
+            return false;
+        }
+        App.commit(State.planImport(entries, targetId, `Import ${entries.length} emails`), `Imported ${entries.length} templates`, true);
+        App.batchRows = [];
+        return true;
+    },
+
+    currentAttachments: [],
+    currentSourceFile: null,
+
+    /**
+     * Lists attachments carried by the imported file. A mailto: link has no
+     * way to reference them, so the notice doubles as a warning.
+     * @param {Object[]} attachments - Attachments returned by MsgReader.read.
+     */
+    renderAttachments: (attachments) => {
+        App.currentAttachments = attachments;
+        const notice = App.elements.attachmentNotice;
+        if (attachments.length === 0) {
+            notice.classList.add('hidden');
+            notice.innerHTML = '';
+            return;
+        }
+
+        const rows = attachments.map((att, i) => `
+            <li>
+                <span class="attachment-name" title="${Utils.escapeHTML(att.mimeType)}">${Utils.escapeHTML(att.filename)}</span>
+                ${att.inline ? '<span class="attachment-tag">inline</span>' : ''}
+                <span class="attachment-meta">${Utils.formatBytes(att.size)}</span>
+                ${att.content ? `<button class="btn-secondary btn-sm attachment-download" data-index="${i}">Save</button>` : ''}
+            </li>
+        `).join('');
+
+        notice.innerHTML = `
+            <p>⚠ The original file carried ${attachments.length} attachment${attachments.length === 1 ? '' : 's'}. mailto: links cannot include attachments; add them manually after launching.</p>
+            <ul class="attachment-list">${rows}</ul>
+        `;
+        notice.classList.remove('hidden');
+    },
+
+    /**
+     * Shows how the imported file was decoded in the collapsible report
+     * under the attachment notice; the summary counts warnings.
+     * @param {Array<{level: string, code: string, message: string}>} diagnostics - From MsgReader.read.
+     */
+    renderParseReport: (diagnostics) => {
+        const { parseReport, parseReportCount, parseReportList } = App.elements;
+        parseReport.classList.toggle('hidden', diagnostics.length === 0);
+        parseReport.open = false;
+        const warnings = diagnostics.filter(d => d.level === 'warning').length;
+        parseReportCount.textContent = warnings ? `(${warnings} warning${warnings === 1 ? '' : 's'})` : `(${diagnostics.length} note${diagnostics.length === 1 ? '' : 's'})`;
+        parseReportCount.classList.toggle('has-warnings', warnings > 0);
+        parseReportList.innerHTML = App.parseReportItems(diagnostics);
+    },
+
+    parseReportItems: (diagnostics) => diagnostics.map(d => d.level === 'warning'
+        ? `<li class="parse-warning" title="${Utils.escapeHTML(d.code)}">⚠ ${Utils.escapeHTML(d.message)}</li>`
+        : `<li title="${Utils.escapeHTML(d.code)}">${Utils.escapeHTML(d.message)}</li>`
+    ).join(''),
+
+    handleAttachmentClick: (e) => {
+        const btn = e.target.closest('.attachment-download');
+        if (!btn) return;
+        const att = App.currentAttachments[Number(btn.dataset.index)];
+        if (att?.content) Utils.downloadFile(att.content, att.filename, att.mimeType);
+    },
+
+    placeholderValues: {},
+
+    getFormData: () => ({
+        to: App.elements.resultTo.value,
+        cc: App.elements.resultCc.value,
+        bcc: App.elements.resultBcc.value,
+        subject: App.elements.resultSubject.value,
+        body: App.elements.resultBody.value,
+        headers: App.elements.resultHeaders.value
+    }),
+
+    updatePreview: () => {
+        const data = App.getFormData();
+        const placeholders = Placeholders.detect(data);
+        App.renderPlaceholderBar(placeholders);
+        App.renderRecipientChips(data);
+        App.renderHeaderWarnings(data.headers);
+
+        // The link uses filled values; the editor keeps the raw placeholders
+        App.currentLink = App.buildLink(placeholders.length ? Placeholders.fill(data, App.placeholderValues) : data);
+        App.elements.resultLink.href = App.currentLink.href;
+        App.elements.outputWrapper.classList.remove('hidden');
+        App.renderOutput();
+        App.renderLengthReport(App.currentLink);
+    },
+
+    /**
+     * Shows the current link in the selected output format.
+     */
+    renderOutput: () => {
+        const format = State.getSetting('outputFormat', 'mailto');
+        const isQr = format === 'qr';
+        App.elements.outputText.classList.toggle('hidden', isQr);
+        App.elements.outputQr.classList.toggle('hidden', !isQr);
+        if (isQr) {
+            App.renderQrCode(App.currentLink.href);
+            return;
+        }
+        App.elements.outputText.querySelectorAll('[data-format]:not(button)').forEach(row => {
+            row.classList.toggle('hidden', row.dataset.format !== format);
+            if (row.dataset.format === format) row.querySelector('input').value = Formats.render(format, App.currentLink.href, App.currentLink.data);
+        });
+    },
+
+    qrCode: null, // Last encoded symbol, reused by copy/download
+
+    renderQrCode: (href) => {
+        const container = App.elements.qrImage;
+        App.qrCode = null;
+        if (!window.QRCode) {
+            container.innerHTML = '<p class="qr-message">QR code module not loaded</p>';
+            return;
+        }
+        try {
+            // Prefer level M; long links fall back to L, which holds the most data
+            try {
+                App.qrCode = window.QRCode.encode(href, { ecc: 'M' });
+            } catch {
+                App.qrCode = window.QRCode.encode(href, { ecc: 'L' });
+            }
+            container.innerHTML = window.QRCode.toSVG(App.qrCode, { scale: 3 });
+        } catch (err) {
+            container.innerHTML = `<p class="qr-message">${Utils.escapeHTML(err.message)}. Shorten the link (see the length options below).</p>`;
+        }
+        App.elements.btnCopyQr.disabled = App.elements.btnDownloadQr.disabled = !App.qrCode;
+    },
+
+    /**
+     * Renders the current QR code as a PNG blob.
+     * @returns {Promise<Blob|null>}
+     */
+    qrCodeBlob: () => new Promise(resolve => {
+        if (!App.qrCode) return resolve(null);
+        const canvas = document.createElement('canvas');
+        window.QRCode.drawToCanvas(App.qrCode, canvas, { scale: 8 });
+        canvas.toBlob(resolve, 'image/png');
+    }),
+
+    copyQrCode: () => {
+        App.qrCodeBlob().then(blob => {
+            if (!blob || typeof ClipboardItem === 'undefined') throw new Error('Image clipboard unavailable');
+            return navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        }).then(() => {
+            State.recordUsage(State.currentEditingId);
+            UI.showToast('QR code copied');
+        }).catch(err => {
+            console.error('QR copy failed:', err);
+            UI.showToast('Copy failed, use Download instead');
+        });
+    },
+
+    downloadQrCode: () => {
+        App.qrCodeBlob().then(blob => {
+            if (blob) Utils.downloadFile(blob, `${Utils.safeFileName(App.currentLink.data.subject || 'mailto')}-qr.png`, 'image/png');
+        });
+    },
+
+    lengthStrategy: 'none', // 'none' | 'trim' | 'clipboard'
+    currentLink: null,
+
+    /**
+     * Builds the link for the fields, applying App.lengthStrategy when the
+     * full link is longer than the strictest client limit.
+     * @returns {{ href: string, data: Object, analysis: Object, applied: string|null, clipboardText: string|null }}
+     */
+    buildLink: (data) => {
+        const options = App.linkOptions();
+        const analysis = MailTo.analyze(data, options);
+        const limit = MailTo.strictestLimit();
+        if (analysis.length <= limit || App.lengthStrategy === 'none' || !data.body) {
+            return { href: MailTo.build(data, options), data, analysis, applied: null, clipboardText: null };
+        }
+        if (App.lengthStrategy === 'trim') {
+            const trimmed = MailTo.trimBody(data, limit, options);
+            return { href: MailTo.build(trimmed, options), data: trimmed, analysis, applied: 'trim', clipboardText: null };
+        }
+        return { href: MailTo.build({ ...data, body: '' }, options), data, analysis, applied: 'clipboard', clipboardText: data.body };
+    },
+
+    linkOptions: () => ({
+        displayNames: State.getSetting('displayNames', false),
+        profile: State.getSetting('encodingProfile', CONFIG.ENCODING_PROFILES[0].id)
+    }),
+
+    /**
+     * Copies the body first when the link was built without it.
+     */
+    prepareLaunch: (link) => {
+        if (link.applied !== 'clipboard') return Promise.resolve();
+        return Utils.copyToClipboard(link.clipboardText).then(success => {
+            UI.showToast(success ? 'Body copied, paste it into the message' : 'Could not copy the body');
+        });
+    },
+
+    renderLengthReport: ({ href, analysis, applied }) => {
+        const report = App.elements.lengthReport;
+        const fieldLabels = { to: 'To', cc: 'CC', bcc: 'BCC', subject: 'Subject', body: 'Body', headers: 'Extra headers' };
+        const chips = CONFIG.CLIENT_LIMITS.map(c => {
+            const over = href.length > c.limit;
+            return `<span class="limit-chip ${over ? 'over' : ''}" title="${c.label}: ~${c.limit.toLocaleString()} characters">${over ? '✕' : '✓'} ${Utils.escapeHTML(c.label)}</span>`;
+        }).join('');
+
+        let details = '';
+        if (analysis.exceeded.length > 0) {
+            const largest = analysis.fields[0];
+            const notes = {
+                none: 'Full link kept.',
+                trim: `Body shortened to fit ${MailTo.strictestLimit().toLocaleString()} characters.`,
+                clipboard: 'Link opens without the body; it is copied to the clipboard on launch.'
+            };
+            details = `
+                <div class="length-details">
+                    Full link ${analysis.length.toLocaleString()} characters; largest field: <strong>${fieldLabels[largest.key]}</strong> (${largest.length.toLocaleString()}).
+                    <label class="length-strategy">When too long:
+                        <select id="length-strategy" class="form-input">
+                            <option value="none" ${App.lengthStrategy === 'none' ? 'selected' : ''}>Keep full link</option>
+                            <option value="trim" ${App.lengthStrategy === 'trim' ? 'selected' : ''}>Trim body</option>
+                            <option value="clipboard" ${App.lengthStrategy === 'clipboard' ? 'selected' : ''}>Copy body, launch without it</option>
+                        </select>
+                    </label>
+                    <span class="length-note">${notes[applied || 'none']}</span>
+                </div>
+            `;
+        }
+
+        report.innerHTML = `<span class="length-count">${href.length.toLocaleString()} characters</span>${chips}${details}`;
+        report.classList.toggle('warning', href.length > MailTo.strictestLimit());
+    },
+
+    recipientInputs: () => ({ to: App.elements.resultTo, cc: App.elements.resultCc, bcc: App.elements.resultBcc }),
+
+    /**
+     * Shows every recipient as a chip under its field; invalid and duplicate
+     * entries are flagged. Chips can be edited or removed in place.
+     */
+    renderRecipientChips: (data) => {
+        const analysis = Addresses.analyze(data);
+        const labels = { to: 'To', cc: 'CC', bcc: 'BCC' };
+        Object.entries(App.recipientInputs()).forEach(([field, input]) => {
+            const container = App.elements.recipientChips[field];
+            container.innerHTML = analysis[field].map((entry, index) => {
+                const status = entry.error ? 'invalid' : entry.duplicateOf ? 'duplicate' : entry.placeholder ? 'placeholder' : '';
+                const note = entry.error || (entry.duplicateOf ? `Already in ${labels[entry.duplicateOf]}` : '');
+                const label = entry.name
+                    ? `<strong>${Utils.escapeHTML(entry.name)}</strong> <span class="chip-address">${Utils.escapeHTML(entry.address)}</span>`
+                    : Utils.escapeHTML(entry.address);
+                return `
+                    <span class="recipient-chip ${status}" title="${Utils.escapeHTML(note || entry.raw)}">
+                        <button class="chip-edit" data-field="${field}" data-index="${index}" title="Edit">${label}</button>
+                        ${note ? `<span class="chip-note">${Utils.escapeHTML(note)}</span>` : ''}
+                        <button class="chip-remove" data-field="${field}" data-index="${index}" title="Remove from ${labels[field]}">&times;</button>
+                    </span>
+                `;
+            }).join('');
+            container.classList.toggle('hidden', analysis[field].length === 0);
+            input.classList.toggle('invalid', analysis[field].some(entry => entry.error));
+        });
+    },
+
+    handleRecipientChipClick: (e) => {
+        const button = e.target.closest('.chip-edit, .chip-remove');
+        if (!button) return;
+        const field = button.dataset.field;
+        const index = Number(button.dataset.index);
+        const input = App.recipientInputs()[field];
+        const entries = Addresses.split(input.value);
+        const apply = () => {
+            input.value = entries.join(', ');
+            App.updatePreview();
+        };
 
-        // Buttons
-        App.elements.btnNewFolder.addEventListener('click', App.createFolder);
-        App.elements.btnSave.addEventListener('click', App.openSaveModal);
-        App.elements.btnClear.addEventListener('click', App.clearForm);
-        App.elements.btnCopy.addEventListener('click', App.copyLink);
-        App.elements.btnImportCSV.addEventListener('click', App.importCSV);
-        App.elements.btnExportCSV.addEventListener('click', App.exportCSV);
+        if (button.classList.contains('chip-remove')) {
+            entries.splice(index, 1);
+            apply();
+            return;
+        }
 
-        // Tree navigation
-        App.elements.treeContainer.addEventListener('click', App.handleTreeClick);
-        App.elements.breadcrumb.addEventListener('click', App.handleBreadcrumbClick);
+        const entry = Addresses.parse(entries[index]);
+        UI.showModal('Edit Recipient', `
+            <div class="form-group">
+                <label for="recipient-name">Display Name</label>
+                <input type="text" id="recipient-name" class="form-input" value="${Utils.escapeHTML(entry.name)}" placeholder="Optional">
+            </div>
+            <div class="form-group">
+                <label for="recipient-address">Address</label>
+                <input type="text" id="recipient-address" class="form-input" value="${Utils.escapeHTML(entry.address)}">
+            </div>
+        `, [
+            { label: 'Cancel' },
+            { label: 'Save', class: 'btn-primary', callback: () => {
+                const address = document.getElementById('recipient-address').value.trim();
+                if (!address) {
+                    UI.showToast('Address required');
+                    return false;
+                }
+                entries[index] = Addresses.format({ name: document.getElementById('recipient-name').value, address });
+                apply();
+            }}
+        ]);
+    },
 
-        // Live Preview Listeners
-        const inputs = ['resultTo', 'resultCc', 'resultBcc', 'resultSubject', 'resultBody'];
-        inputs.forEach(id => {
-            App.elements[id].addEventListener('input', App.updatePreview);
-        });
+    /**
+     * Lists skipped header lines and headers that clients are likely to ignore.
+     */
+    renderHeaderWarnings: (text) => {
+        const count = MailTo.parseHeaders(text).length;
+        const issues = MailTo.checkHeaders(text);
+        App.elements.headersCount.textContent = count ? `(${count})` : '';
+        App.elements.headerWarnings.innerHTML = issues.map(issue => `
+            <li class="header-${issue.level}">
+                Line ${issue.line}${issue.name ? ` <strong>${Utils.escapeHTML(issue.name)}</strong>` : ''}: ${Utils.escapeHTML(issue.message)}${issue.level === 'error' ? ' (not included in the link)' : ''}
+            </li>
+        `).join('');
+        App.elements.headerWarnings.classList.toggle('hidden', issues.length === 0);
+    },
 
-        document.getElementById('modal-overlay').addEventListener('click', (e) => {
-            if (e.target.id === 'modal-overlay') UI.hideModal();
-        });
+    renderPlaceholderBar: (placeholders) => {
+        const bar = App.elements.placeholderBar;
+        if (placeholders.length === 0) {
+            bar.classList.add('hidden');
+            return;
+        }
+        App.elements.placeholderList.innerHTML = placeholders.map(p => {
+            const filled = p.builtin || App.placeholderValues[p.name] || p.defaultValue;
+            return `<span class="placeholder-chip ${filled ? 'filled' : ''}" title="${p.builtin ? 'Built-in' : Utils.escapeHTML(App.placeholderValues[p.name] || p.defaultValue || 'Not filled')}">${Utils.escapeHTML(p.name)}</span>`;
+        }).join('');
+        bar.classList.remove('hidden');
     },
 
-    handleFileUpload: (file) => {
-        if (!window.MsgReader) {
-            UI.showToast('Parser module not loaded');
+    /**
+     * Prompts for placeholder values. Filled values only affect the generated
+     * link; the editor and stored template keep their placeholders.
+     * @param {Object} [data] - Template fields; defaults to the editor content.
+     * @param {Function} [onApply] - Called with the filled field object.
+     */
+    openPlaceholderForm: (data = App.getFormData(), onApply = null) => {
+        const placeholders = Placeholders.detect(data);
+        const custom = placeholders.filter(p => !p.builtin);
+        const builtins = placeholders.filter(p => p.builtin);
+
+        if (custom.length === 0) {
+            if (onApply) onApply(Placeholders.fill(data, App.placeholderValues));
+            else UI.showToast('No placeholders to fill');
             return;
         }
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const parsed = window.MsgReader.read(e.target.result);
-                App.elements.resultSubject.value = parsed.subject || '';
-                App.elements.resultBody.value = parsed.body || '';
-                const recipientMap = { 1: [], 2: [], 3: [] };
-                parsed.recipients.forEach(r => {
-                    const addr = r.email || (r.name?.includes('@') ? r.name : '');
-                    if (addr) recipientMap[r.recipientType || 1].push(addr);
+
+        const inputs = custom.map((p, i) => `
+            <div class="form-group">
+                <label for="placeholder-input-${i}">${Utils.escapeHTML(p.name)}</label>
+                <input type="text" id="placeholder-input-${i}" class="form-input placeholder-input" data-name="${Utils.escapeHTML(p.name)}"
+                    value="${Utils.escapeHTML(App.placeholderValues[p.name] ?? p.defaultValue)}">
+            </div>
+        `).join('');
+        const builtinNote = builtins.length
+            ? `<p class="modal-note">Filled automatically: ${builtins.map(p => `{{${Utils.escapeHTML(p.name)}}}`).join(', ')}</p>`
+            : '';
+
+        UI.showModal('Fill In Template', `<div class="placeholder-form">${inputs}</div>${builtinNote}`, [
+            { label: 'Cancel' },
+            { label: 'Apply', class: 'btn-primary', callback: () => {
+                document.querySelectorAll('.placeholder-input').forEach(input => {
+                    App.placeholderValues[input.dataset.name] = input.value;
                 });
-                App.elements.resultTo.value = recipientMap[1].join(', ');
-                App.elements.resultCc.value = recipientMap[2].join(', ');
-                App.elements.resultBcc.value = recipientMap[3].join(', ');
-                
                 App.updatePreview();
-                UI.showToast('File imported');
-            } catch (err) {
-                UI.showModal('Import Error', `<p>${Utils.escapeHTML(err.message)}</p>`, [{ label: 'OK' }]);
-            }
-        };
-        reader.readAsArrayBuffer(file);
+                if (onApply) onApply(Placeholders.fill(data, App.placeholderValues));
+            }}
+        ]);
+        document.getElementById('placeholder-input-0')?.focus();
     },
 
-    updatePreview: () => {
-        const data = {
-            to: App.elements.resultTo.value,
-            cc: App.elements.resultCc.value,
-            bcc: App.elements.resultBcc.value,
-            subject: App.elements.resultSubject.value,
-            body: App.elements.resultBody.value
-        };
-        const mailto = MailTo.build(data);
-        App.elements.resultMailto.value = mailto;
-        App.elements.resultLink.href = mailto;
-        App.elements.outputWrapper.classList.remove('hidden');
+    /**
+     * Opens a template's link in the mail client, filling placeholders first.
+     * @param {Object} data - Template fields.
+     * @param {string} [id] - Template id, for usage tracking.
+     */
+    launchTemplate: (data, id = null) => {
+        App.openPlaceholderForm(data, (filled) => {
+            const link = App.buildLink(filled);
+            State.recordUsage(id);
+            App.prepareLaunch(link).then(() => { window.location.href = link.href; });
+        });
     },
 
     openSaveModal: () => {
         const folders = State.getAllFolders();
-        const defaultName = App.elements.resultSubject.value.trim() || 'Untitled Template';
+        const editing = State.currentEditingId ? State.findItem(State.currentEditingId)?.item : null;
+        const defaultName = editing?.name || App.elements.resultSubject.value.trim() || 'Untitled Template';
         
         const folderOptions = folders.map(f => 
             `<option value="${f.id}" ${f.id === State.currentFolderId ? 'selected' : ''}>${'&nbsp;'.repeat(f.level * 2)}${f.level > 0 ? '📂 ' : ''}${Utils.escapeHTML(f.name)}</option>`
@@ -614,6 +2546,14 @@ const App = {
                 <label for="modal-save-name">Template Name</label>
                 <input type="text" id="modal-save-name" class="form-input" value="${Utils.escapeHTML(defaultName)}">
             </div>
+            <div class="form-group">
+                <label for="modal-save-description">Description</label>
+                <input type="text" id="modal-save-description" class="form-input" placeholder="Optional" value="${Utils.escapeHTML(editing?.description || '')}">
+            </div>
+            <div class="form-group">
+                <label for="modal-save-tags">Tags</label>
+                <input type="text" id="modal-save-tags" class="form-input" placeholder="e.g. onboarding; HR" value="${Utils.escapeHTML(editing?.tags.join('; ') || '')}">
+            </div>
             <div class="form-group">
                 <label for="modal-save-folder">Location</label>
                 <div style="display:flex; gap:0.5rem;">
@@ -634,27 +2574,18 @@ const App = {
             if (folderName && folderName.trim()) {
                 // Create inside the currently selected folder in the dropdown
                 const parentId = document.getElementById('modal-save-folder').value;
-                const parentRes = State.findItem(parentId);
-                const parentFolder = parentRes?.item || parentRes || { children: State.data.library };
-                
-                if (!parentFolder.children) parentFolder.children = [];
-                const newFolderId = Utils.generateId();
-                parentFolder.children.push({
-                    id: newFolderId,
-                    type: 'folder',
-                    name: folderName.trim(),
-                    children: []
-                });
-                State.save();
+                const newFolder = State.createFolder(folderName.trim());
+                App.commit(State.commands.insert(parentId, newFolder));
                 
                 // Refresh modal state
-                const currentName = document.getElementById('modal-save-name').value;
+                const restore = ['modal-save-name', 'modal-save-description', 'modal-save-tags']
+                    .map(id => [id, document.getElementById(id).value]);
                 App.openSaveModal(); // Re-render
                 
                 // Restore state
                 setTimeout(() => {
-                    document.getElementById('modal-save-name').value = currentName;
-                    document.getElementById('modal-save-folder').value = newFolderId; 
+                    restore.forEach(([id, value]) => { document.getElementById(id).value = value; });
+                    document.getElementById('modal-save-folder').value = newFolder.id; 
                 }, 0);
             }
         };
@@ -671,43 +2602,62 @@ const App = {
             return false; // Keep modal open
         }
 
-        const targetRes = State.findItem(folderId);
-        const targetFolder = targetRes?.item || targetRes || { children: State.data.library };
-        if (!targetFolder.children) targetFolder.children = [];
+        const siblings = State.getChildren(folderId);
 
         // Check for overwrite
-        const existingIndex = targetFolder.children.findIndex(c => c.type === 'template' && c.name === name);
+        const existing = siblings.find(c => c.type === 'template' && c.name === name);
         
-        // Ensure we are saving the LATEST content from the form
-        const data = {
-            to: App.elements.resultTo.value,
-            cc: App.elements.resultCc.value,
-            bcc: App.elements.resultBcc.value,
-            subject: App.elements.resultSubject.value,
-            body: App.elements.resultBody.value
+        // Ensure we are saving the LATEST content from the form (placeholders unfilled)
+        const fields = App.getFormData();
+        const losses = MailTo.verifyRoundTrip(fields, App.linkOptions());
+        const meta = {
+            name: name,
+            description: document.getElementById('modal-save-description').value.trim(),
+            tags: CSV.parseTags(document.getElementById('modal-save-tags').value)
         };
-        const freshMailto = MailTo.build(data);
-        App.elements.resultMailto.value = freshMailto;
-        App.elements.resultLink.href = freshMailto;
+        App.updatePreview();
         
-        if (existingIndex >= 0) {
-            targetFolder.children[existingIndex].mailto = freshMailto;
-            UI.showToast(`Updated "${name}"`);
-        } else {
-            targetFolder.children.push({
-                id: Utils.generateId(),
-                type: 'template',
-                name: name,
-                mailto: freshMailto
+        if (existing) {
+            const { id, type, ...updated } = State.createTemplate(fields, {
+                ...existing, ...meta,
+                sourceFile: existing.sourceFile || App.currentSourceFile,
+                updated: new Date().toISOString()
             });
-            UI.showToast('Saved new template');
+            App.commit(State.commands.update(existing.id, updated, `Update "${name}"`), `Updated "${name}"`);
+            State.currentEditingId = existing.id;
+        } else {
+            const template = State.createTemplate(fields, { ...meta, sourceFile: App.currentSourceFile });
+            App.commit(State.commands.insert(folderId, template), 'Saved new template');
+            State.currentEditingId = template.id;
         }
-
-        State.save();
-        App.renderLibrary();
+        App.editingFields = { ...fields };
+        if (losses.length > 0) App.reportRoundTripLoss(losses);
         return true; // Close modal
     },
 
+    /**
+     * Explains which fields the saved template's link does not reproduce.
+     * @param {Object[]} losses - Result of MailTo.verifyRoundTrip.
+     */
+    reportRoundTripLoss: (losses) => {
+        const labels = { to: 'To', cc: 'CC', bcc: 'BCC', subject: 'Subject', body: 'Body', headers: 'Extra headers' };
+        const rows = losses.map(loss => `
+            <tr>
+                <th>${labels[loss.key]}</th>
+                <td><pre>${Utils.escapeHTML(loss.expected)}</pre></td>
+                <td><pre>${Utils.escapeHTML(loss.actual)}</pre></td>
+            </tr>
+        `).join('');
+        // The save modal is closing; show the report once it has
+        setTimeout(() => UI.showModal('Link Does Not Round-Trip', `
+            <p class="modal-note">The template was saved, but opening its link would not reproduce these fields exactly.</p>
+            <table class="roundtrip-table">
+                <thead><tr><th>Field</th><th>Template</th><th>Link carries</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `, [{ label: 'OK', class: 'btn-primary' }], { wide: true }), 0);
+    },
+
     createFolder: () => {
         UI.showModal('New Folder', `
             <div class="form-group">
@@ -723,81 +2673,310 @@ const App = {
                     UI.showToast('Name required');
                     return false;
                 }
-                const result = State.findItem(State.currentFolderId);
-                const folder = result?.item || result || { children: State.data.library };
-                if (!folder.children) folder.children = [];
-                folder.children.push({
-                    id: Utils.generateId(),
-                    type: 'folder',
-                    name: name,
-                    children: []
-                });
-                State.save();
-                App.renderLibrary();
+                App.commit(State.commands.insert(State.currentFolderId, State.createFolder(name)));
             }}
         ]);
     },
 
     clearForm: () => {
-        ['resultTo', 'resultCc', 'resultBcc', 'resultSubject', 'resultBody'].forEach(k => App.elements[k].value = '');
+        ['resultTo', 'resultCc', 'resultBcc', 'resultSubject', 'resultBody', 'resultHeaders'].forEach(k => App.elements[k].value = '');
         if (App.elements.fileInput) App.elements.fileInput.value = '';
+        App.placeholderValues = {};
+        App.currentSourceFile = null;
+        State.currentEditingId = null;
+        App.renderAttachments([]);
+        App.renderParseReport([]);
         App.updatePreview();
         UI.showToast('Form cleared');
     },
 
-    copyLink: () => {
-        const link = App.elements.resultMailto.value;
-        if (link) {
-            Utils.copyToClipboard(link).then(success => UI.showToast(success ? 'Copied' : 'Copy failed'));
+    /**
+     * Copies the current link in one output format.
+     * @param {string} format - Id from Formats.LIST.
+     */
+    copyOutput: (format) => {
+        if (!App.currentLink) return;
+        const { label } = Formats.LIST.find(f => f.id === format);
+        Utils.copyToClipboard(Formats.render(format, App.currentLink.href, App.currentLink.data)).then(success => {
+            if (success) State.recordUsage(State.currentEditingId);
+            UI.showToast(success ? `${label} copied` : 'Copy failed');
+        });
+    },
+
+    openLinkPageExport: () => {
+        if (State.flattenLibrary().length === 0) { UI.showToast('Library is empty'); return; }
+        const inFolder = State.currentFolderId !== 'root';
+        UI.showModal('Export Link Page', `
+            <div class="form-group">
+                <label for="page-title">Page Title</label>
+                <input type="text" id="page-title" class="form-input" value="Email Templates">
+            </div>
+            ${inFolder ? '<label class="output-option"><input type="checkbox" id="page-folder-only"> Only the current folder</label>' : ''}
+            <p class="modal-note">Every template becomes a mailto button grouped by folder, using the current link settings. Placeholders are left as written.</p>
+        `, [
+            { label: 'Cancel' },
+            { label: 'Markdown', callback: () => App.exportLinkPage('markdown') },
+            { label: 'HTML Page', class: 'btn-primary', callback: () => App.exportLinkPage('html') }
+        ]);
+    },
+
+    exportLinkPage: (format) => {
+        const title = document.getElementById('page-title').value.trim() || 'Email Templates';
+        const folderOnly = document.getElementById('page-folder-only')?.checked;
+        let rows = State.flattenLibrary();
+        if (folderOnly) {
+            const path = State.getBreadcrumb(State.currentFolderId).slice(1).map(f => f.name).join('/');
+            rows = State.flattenLibrary(State.getChildren(State.currentFolderId), path);
         }
+        if (rows.length === 0) {
+            UI.showToast('No templates in this folder');
+            return false;
+        }
+        const options = { title, link: App.linkOptions() };
+        const base = `${Utils.safeFileName(title)}-${new Date().toISOString().slice(0, 10)}`;
+        if (format === 'markdown') Utils.downloadFile(Formats.libraryMarkdown(rows, options), `${base}.md`, 'text/markdown');
+        else Utils.downloadFile(Formats.libraryPage(rows, options), `${base}.html`, 'text/html');
     },
 
     exportCSV: () => {
         const data = State.flattenLibrary();
         if (data.length === 0) { UI.showToast('Library is empty'); return; }
-        const csvContent = Utils.toCSV(data, CONFIG.CSV_HEADERS);
+        const csvContent = CSV.stringify(data);
         Utils.downloadFile(csvContent, `mailto-export-${new Date().toISOString().slice(0,10)}.csv`, 'text/csv');
     },
 
     importCSV: () => {
         Utils.openFilePicker((file) => {
-            Utils.readTextFile(file).then(text => {
-                const { data, errors } = Utils.parseCSV(text, CONFIG.CSV_HEADERS);
-                if (errors.length > 0) {
-                    UI.showModal('Import Errors', `<ul style="color: var(--danger); padding-left: 1rem;">${errors.map(e => `<li>${Utils.escapeHTML(e)}</li>`).join('')}</ul>`, [{ label: 'OK' }]);
+            if (file.name.toLowerCase().endsWith('.zip')) App.importZip(file);
+            else App.importCSVFile(file);
+        }, '.csv,.zip');
+    },
+
+    importCSVFile: (file) => {
+        Utils.readTextFile(file).then(text => {
+            const { templates, errors } = CSV.readTemplates(text);
+            if (errors.length > 0) {
+                UI.showModal('Import Errors', `<ul style="color: var(--danger); padding-left: 1rem;">${errors.map(e => `<li>${Utils.escapeHTML(e)}</li>`).join('')}</ul>`, [{ label: 'OK' }]);
+                return;
+            }
+            if (templates.length === 0) { UI.showToast('No data found'); return; }
+            App.commit(State.importFromCSV(templates), `Imported ${templates.length} items`, true);
+        });
+    },
+
+    /**
+     * Offers the fields as a draft email file: .eml (any client) or .msg/.oft (Outlook).
+     * @param {Object} fields - Email fields.
+     * @param {string} name - Base file name.
+     */
+    openDownloadModal: (fields, name) => {
+        if (!window.MsgWriter) { UI.showToast('Email writer module not loaded'); return; }
+        const filename = Utils.safeFileName(name || fields.subject);
+        // The Outlook formats have no place for arbitrary headers, only .eml keeps them
+        const extraHeaders = MailTo.parseHeaders(fields.headers).filter(h => !MailTo.headerError(h.name));
+        const download = (ext) => {
+            try {
+                const content = ext === 'eml'
+                    ? window.MsgWriter.buildEml(fields, { unsent: true })
+                    : window.MsgWriter.buildMsg(fields, { unsent: true });
+                Utils.downloadFile(content, `${filename}.${ext}`, ext === 'eml' ? 'message/rfc822' : 'application/vnd.ms-outlook');
+            } catch (err) {
+                UI.showToast(`Download failed: ${err.message}`);
+            }
+        };
+        UI.showModal('Download as Email', `
+            <p>Save "${Utils.escapeHTML(filename)}" as a draft that opens in your mail client, with no link length limit.</p>
+            <p class="modal-note">.eml opens as a draft in Outlook, Thunderbird and Apple Mail; .msg and .oft are Outlook message and template files.</p>
+            ${extraHeaders.length ? `<p class="modal-note warning">.msg and .oft leave out the extra headers (${extraHeaders.map(h => Utils.escapeHTML(h.name)).join(', ')}); only .eml keeps them.</p>` : ''}
+        `, [
+            { label: 'Cancel' },
+            { label: '.oft', callback: () => download('oft') },
+            { label: '.msg', callback: () => download('msg') },
+            { label: '.eml', class: 'btn-primary', callback: () => download('eml') }
+        ]);
+    },
+
+    /**
+     * Exports the library as a ZIP: manifest.json (authoritative, re-importable)
+     * plus one .eml per template in folders mirroring the tree.
+     */
+    exportZip: () => {
+        if (!window.Zip || !window.MsgWriter) { UI.showToast('Archive module not loaded'); return; }
+        if (State.flattenLibrary().length === 0) { UI.showToast('Library is empty'); return; }
+
+        const files = [];
+        const walk = (items, dir) => {
+            const used = new Set();
+            const unique = (base, ext) => {
+                let candidate = `${base}${ext}`;
+                for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${ext}`;
+                used.add(candidate.toLowerCase());
+                return candidate;
+            };
+            return items.map(item => {
+                if (item.type === 'folder') {
+                    const folderDir = `${dir}${unique(Utils.safeFileName(item.name), '')}/`;
+                    return { ...item, children: walk(item.children || [], folderDir) };
+                }
+                const file = `${dir}${unique(Utils.safeFileName(item.name), '.eml')}`;
+                files.push({ name: file, content: window.MsgWriter.buildEml(item.fields, { date: new Date(item.updated) }), date: new Date(item.updated) });
+                return { ...item, file };
+            });
+        };
+
+        const library = walk(State.data.library, 'templates/');
+        const manifest = {
+            format: CONFIG.ARCHIVE_FORMAT,
+            schemaVersion: CONFIG.SCHEMA_VERSION,
+            exported: new Date().toISOString(),
+            templateCount: files.length,
+            manualOrder: !!State.data.manualOrder,
+            library
+        };
+        files.unshift({ name: CONFIG.ARCHIVE_MANIFEST, content: JSON.stringify(manifest, null, 2) });
+        Utils.downloadFile(window.Zip.create(files), `mailto-library-${new Date().toISOString().slice(0,10)}.zip`, 'application/zip');
+    },
+
+    /**
+     * Imports a ZIP: library archives restore their tree from the manifest,
+     * any other archive feeds its .msg/.eml files into the batch review.
+     */
+    importZip: (file) => {
+        if (!window.Zip) { UI.showToast('Archive module not loaded'); return; }
+        Utils.readArrayBuffer(file).then(buffer => {
+            const entries = window.Zip.read(buffer, { maxTotalSize: CONFIG.ARCHIVE_MAX_BYTES });
+            const manifestEntry = entries.find(e => e.name === CONFIG.ARCHIVE_MANIFEST);
+            if (manifestEntry) {
+                const manifest = JSON.parse(new TextDecoder().decode(manifestEntry.content));
+                if (manifest.format === CONFIG.ARCHIVE_FORMAT) {
+                    App.openArchiveImport(manifest, file.name);
                     return;
                 }
-                if (data.length === 0) { UI.showToast('No data found'); return; }
-                State.importFromCSV(data);
-                State.save();
-                App.renderLibrary();
-                UI.showToast(`Imported ${data.length} items`);
+            }
+
+            const emailFiles = entries.filter(e => App.isEmailFile(e.name)).map(e => {
+                const cut = e.name.lastIndexOf('/');
+                return { file: new File([e.content], e.name.slice(cut + 1), { lastModified: e.date.getTime() }), path: cut > 0 ? e.name.slice(0, cut) : '' };
             });
-        }, '.csv');
+            if (emailFiles.length === 0) { UI.showToast('No email files found in archive'); return; }
+            App.openBatchImport(emailFiles);
+        }).catch(err => {
+            UI.showModal('Import Error', `<p>${Utils.escapeHTML(err.message)}</p>`, [{ label: 'OK' }]);
+        });
+    },
+
+    openArchiveImport: (manifest, filename) => {
+        if (manifest.schemaVersion > CONFIG.SCHEMA_VERSION) {
+            UI.showModal('Import Error', `<p>${Utils.escapeHTML(filename)} was exported by a newer version (schema ${Utils.escapeHTML(String(manifest.schemaVersion))}).</p>`, [{ label: 'OK' }]);
+            return;
+        }
+        // Count what will actually be imported rather than the manifest's templateCount
+        const items = State.readArchiveLibrary(manifest);
+        const count = State.flattenLibrary(items).length;
+        const folderOptions = State.getAllFolders().map(f =>
+            `<option value="${f.id}" ${f.id === State.currentFolderId ? 'selected' : ''}>${'&nbsp;'.repeat(f.level * 2)}${Utils.escapeHTML(f.name)}</option>`
+        ).join('');
+        UI.showModal('Import Library Archive', `
+            <p class="modal-note">${Utils.escapeHTML(filename)}: ${count} templates exported ${Utils.escapeHTML(new Date(manifest.exported).toLocaleString())}.</p>
+            <div class="form-group">
+                <label for="archive-target-folder">Add into</label>
+                <select id="archive-target-folder" class="form-input">${folderOptions}</select>
+            </div>
+        `, [
+            { label: 'Cancel' },
+            { label: 'Import', class: 'btn-primary', callback: () => {
+                const targetId = document.getElementById('archive-target-folder').value;
+                App.commit(State.importLibrary(items, targetId), `Imported ${count} templates`, true);
+            }}
+        ]);
+    },
+
+    getSearchState: () => {
+        const checked = [...App.elements.searchFilters.querySelectorAll('input:checked')].map(el => el.value);
+        return {
+            term: App.elements.searchInput.value.trim(),
+            filters: checked.filter(key => key !== 'scope'),
+            folderOnly: checked.includes('scope')
+        };
+    },
+
+    clearSearch: () => {
+        App.elements.searchInput.value = '';
+        App.elements.searchFilters.querySelectorAll('input').forEach(el => { el.checked = false; });
+        App.renderLibrary();
+    },
+
+    renderSearchResults: ({ term, filters, folderOnly }) => {
+        let rows;
+        if (folderOnly && State.currentFolderId !== 'root') {
+            const folderPath = State.getBreadcrumb(State.currentFolderId).slice(1).map(p => p.name).join('/');
+            rows = State.flattenLibrary(State.findItem(State.currentFolderId)?.item?.children || [], folderPath);
+        } else {
+            rows = State.flattenLibrary();
+        }
+
+        const tokens = Search.tokenize(term);
+        const results = Search.query(rows, term, filters);
+        const scopeLabel = folderOnly ? `in "${State.getBreadcrumb(State.currentFolderId).pop().name}"` : 'in library';
+        App.elements.breadcrumb.innerHTML = `<span class="breadcrumb-current">${results.length} result${results.length === 1 ? '' : 's'} ${Utils.escapeHTML(scopeLabel)}</span>
+            <a href="#" class="breadcrumb-link search-clear">Clear</a>`;
+
+        UI.renderList(App.elements.treeContainer, results, 'No matching templates', ({ row, fields }) => {
+            const div = document.createElement('div');
+            div.className = 'list-item search-result';
+            div.dataset.id = row.id;
+            div.dataset.type = 'template';
+            const detailFields = fields.filter(f => f !== 'name' && f !== 'path');
+            div.innerHTML = `
+                <div class="item-icon template">${Icons.template}</div>
+                <div class="search-result-body">
+                    <div class="item-name">${Search.highlight(row.name, tokens)}</div>
+                    <div class="search-result-path">${Search.highlight(row.path, tokens)}</div>
+                    ${detailFields.map(f => `<div class="search-result-match"><span class="search-result-field">${f}</span> ${Search.highlight(Search.snippet(row[f], tokens), tokens)}</div>`).join('')}
+                </div>
+                <div class="item-actions">
+                    <button class="action-btn launch-btn" title="Launch">${Icons.launch}</button>
+                </div>
+            `;
+            return div;
+        });
     },
 
     renderLibrary: () => {
+        const search = App.getSearchState();
+        if (search.term || search.filters.length) {
+            App.renderSearchResults(search);
+            return;
+        }
+
         const path = State.getBreadcrumb(State.currentFolderId);
         App.elements.breadcrumb.innerHTML = path.map((p, i) => 
             i === path.length - 1 
             ? `<span class="breadcrumb-current">${Utils.escapeHTML(p.name)}</span>`
             : `<a href="#" class="breadcrumb-link" data-id="${p.id}">${Utils.escapeHTML(p.name)}</a><span class="breadcrumb-sep">/</span>`
-        ).join('');
+        ).join('') + (State.isManualOrder(State.currentFolderId) ? '<a href="#" class="breadcrumb-link sort-reset" title="Restore folders-first, A–Z order">Sort A–Z</a>' : '');
 
-        const result = State.findItem(State.currentFolderId);
-        const items = result?.item?.children || result?.children || State.data.library;
-        const sortedItems = [...items].sort((a, b) => (a.type === b.type) ? a.name.localeCompare(b.name) : (a.type === 'folder' ? -1 : 1));
+        const sortedItems = State.getOrderedChildren(State.currentFolderId);
 
         UI.renderList(App.elements.treeContainer, sortedItems, 'Empty folder', (item) => {
             const div = document.createElement('div');
             div.className = 'list-item';
             div.dataset.id = item.id;
             div.dataset.type = item.type;
+            div.draggable = true;
             const isFolder = item.type === 'folder';
+            const tooltip = isFolder ? item.name : [
+                item.name,
+                item.description,
+                item.tags.length ? `Tags: ${item.tags.join(', ')}` : '',
+                `Used ${item.usageCount} time${item.usageCount === 1 ? '' : 's'}`
+            ].filter(Boolean).join('\n');
             div.innerHTML = `
                 <div class="item-icon ${isFolder ? 'folder' : 'template'}">${isFolder ? Icons.folder : Icons.template}</div>
-                <div class="item-name" title="${Utils.escapeHTML(item.name)}">${Utils.escapeHTML(item.name)}</div>
+                <div class="item-name" title="${Utils.escapeHTML(tooltip)}">${Utils.escapeHTML(item.name)}</div>
                 <div class="item-actions">
+                    ${isFolder ? '' : `<button class="action-btn launch-btn" title="Launch">${Icons.launch}</button>`}
+                    ${isFolder ? '' : `<button class="action-btn download-btn" title="Download as email">${Icons.download}</button>`}
                     <button class="action-btn move-btn" title="Move">${Icons.move}</button>
                     ${!isFolder ? '' : `<button class="action-btn edit-btn" title="Rename">${Icons.edit}</button>`}
                     <button class="action-btn delete-btn" title="Delete">${Icons.trash}</button>
@@ -822,14 +3001,17 @@ const App = {
             return;
         }
 
-        if (e.target.closest('.delete-btn')) {
+        if (itemEl.classList.contains('search-result') && !e.target.closest('.item-actions')) {
+            App.loadTemplate(item);
+        } else if (e.target.closest('.launch-btn')) {
+            App.launchTemplate(item.fields, item.id);
+        } else if (e.target.closest('.download-btn')) {
+            App.openDownloadModal(item.fields, item.name);
+        } else if (e.target.closest('.delete-btn')) {
             UI.showModal('Confirm Delete', `Delete "${Utils.escapeHTML(item.name)}"?`, [
                 { label: 'Cancel' },
                 { label: 'Delete', class: 'btn-danger', callback: () => {
-                    const parent = result.parent || { children: State.data.library };
-                    parent.children = parent.children.filter(c => c.id !== id);
-                    State.save();
-                    App.renderLibrary();
+                    App.commit(State.commands.remove(id), `Deleted "${item.name}"`, true);
                 }}
             ]);
         } else if (e.target.closest('.edit-btn')) {
@@ -843,12 +3025,14 @@ const App = {
                     { label: 'Cancel' },
                     { label: 'Save', class: 'btn-primary', callback: () => {
                         const val = document.getElementById('rename-input').value.trim();
-                        if (val) { item.name = val; State.save(); App.renderLibrary(); }
+                        if (val && val !== item.name) {
+                            App.commit(State.commands.update(id, { name: val, updated: new Date().toISOString() }, `Rename "${item.name}"`), `Renamed to "${val}"`, true);
+                        }
                     }}
                 ]);
             }
         } else if (e.target.closest('.move-btn')) {
-            const folders = State.getAllFolders();
+            const folders = State.getAllFolders().filter(f => State.canMove(id, f.id));
             UI.showModal('Move Item', `
                 <div class="form-group">
                     <label>Destination:</label>
@@ -860,33 +3044,336 @@ const App = {
                 { label: 'Cancel' },
                 { label: 'Move', class: 'btn-primary', callback: () => {
                     const targetId = document.getElementById('move-select').value;
-                    if (targetId === id) return;
-                    const targetRes = State.findItem(targetId);
-                    const targetFolder = targetRes?.item || targetRes || { children: State.data.library };
-                    const oldParent = result.parent || { children: State.data.library };
-                    oldParent.children = oldParent.children.filter(c => c.id !== id);
-                    if (!targetFolder.children) targetFolder.children = [];
-                    targetFolder.children.push(item);
-                    State.save();
-                    App.renderLibrary();
+                    if (!State.canMove(id, targetId)) {
+                        UI.showToast('Cannot move a folder into itself');
+                        return false;
+                    }
+                    if (targetId === (result.parent?.id || 'root')) return;
+                    App.commit(State.commands.move(id, targetId), `Moved "${item.name}"`, true);
                 }}
             ]);
         } 
         // Clicking on the template name itself should also load it
         else if (type === 'template' && (e.target.classList.contains('item-name') || e.target.classList.contains('item-icon'))) {
-            const parsed = MailTo.parse(item.mailto);
-            App.elements.resultTo.value = parsed.to || '';
-            App.elements.resultCc.value = parsed.cc || '';
-            App.elements.resultBcc.value = parsed.bcc || '';
-            App.elements.resultSubject.value = parsed.subject || '';
-            App.elements.resultBody.value = parsed.body || '';
-            State.currentEditingId = item.id;
+            App.loadTemplate(item);
+        }
+    },
+
+    /**
+     * Loads a library template into the editor and prompts for placeholders.
+     * @param {Object} item - Template item.
+     */
+    loadTemplate: (item) => {
+        const fields = item.fields;
+        App.fillEditor(fields);
+        App.renderAttachments([]);
+        App.renderParseReport([]);
+        App.placeholderValues = {};
+        App.currentSourceFile = item.sourceFile;
+        State.currentEditingId = item.id;
+        App.editingFields = { ...fields };
+        App.updatePreview();
+        UI.showToast('Template loaded');
+        if (Placeholders.detect(fields).some(p => !p.builtin)) App.openPlaceholderForm(fields);
+    },
+
+    fillEditor: (fields) => {
+        App.elements.resultTo.value = fields.to;
+        App.elements.resultCc.value = fields.cc;
+        App.elements.resultBcc.value = fields.bcc;
+        App.elements.resultSubject.value = fields.subject;
+        App.elements.resultBody.value = fields.body;
+        App.elements.resultHeaders.value = fields.headers || '';
+        if (fields.headers) App.elements.headersSection.open = true;
+    },
+
+    dragItemId: null, // Item being dragged; dataTransfer is unreadable during dragover
+
+    handleDragStart: (e) => {
+        const itemEl = e.target.closest('.list-item');
+        if (!itemEl || !itemEl.draggable) return;
+        App.dragItemId = itemEl.dataset.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', itemEl.querySelector('.item-name').textContent);
+        itemEl.classList.add('dragging');
+    },
+
+    handleDragEnd: () => {
+        App.dragItemId = null;
+        App.elements.treeContainer.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        App.clearDropIndicators();
+    },
+
+    clearDropIndicators: () => {
+        document.querySelectorAll('.drop-before, .drop-after, .drop-into').forEach(el => {
+            el.classList.remove('drop-before', 'drop-after', 'drop-into');
+        });
+    },
+
+    /**
+     * Resolves what dropping at the pointer would do.
+     * Folder rows split into before / into / after bands; template rows into before / after.
+     * Breadcrumb links always mean "move into".
+     * @returns {{ el: HTMLElement, mode: string, targetId: string }|null}
+     */
+    getDropTarget: (e) => {
+        const id = App.dragItemId;
+        if (!id) return null;
+
+        const crumb = e.target.closest('.breadcrumb-link[data-id]');
+        if (crumb) return State.canMove(id, crumb.dataset.id) ? { el: crumb, mode: 'into', targetId: crumb.dataset.id } : null;
+
+        const itemEl = e.target.closest('.list-item[draggable="true"]');
+        if (!itemEl || itemEl.dataset.id === id) return null;
+
+        const rect = itemEl.getBoundingClientRect();
+        const offset = (e.clientY - rect.top) / rect.height;
+        const band = itemEl.dataset.type === 'folder' ? 0.25 : 0.5;
+        if (offset < band) return { el: itemEl, mode: 'before', targetId: itemEl.dataset.id };
+        if (offset > 1 - band) return { el: itemEl, mode: 'after', targetId: itemEl.dataset.id };
+        return State.canMove(id, itemEl.dataset.id) ? { el: itemEl, mode: 'into', targetId: itemEl.dataset.id } : null;
+    },
+
+    handleDragOver: (e) => {
+        const target = App.getDropTarget(e);
+        App.clearDropIndicators();
+        if (!target) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        target.el.classList.add(`drop-${target.mode}`);
+    },
+
+    handleDrop: (e) => {
+        const target = App.getDropTarget(e);
+        App.clearDropIndicators();
+        if (!target) return;
+        e.preventDefault();
+
+        const id = App.dragItemId;
+        const name = State.findItem(id).item.name;
+        if (target.mode === 'into') {
+            App.commit(State.commands.move(id, target.targetId), `Moved "${name}"`, true);
+            return;
+        }
+
+        // Sibling reorder within the current folder
+        const ids = State.getOrderedChildren(State.currentFolderId).map(c => c.id).filter(c => c !== id);
+        const index = ids.indexOf(target.targetId) + (target.mode === 'after' ? 1 : 0);
+        ids.splice(index, 0, id);
+        App.commit(State.commands.reorder(State.currentFolderId, ids));
+    },
+
+    /**
+     * Executes a library command and refreshes the view.
+     * @param {Object} command - From State.commands.
+     * @param {string} [message] - Toast text.
+     * @param {boolean} [offerUndo] - Adds an "Undo" button to the toast.
+     */
+    commit: (command, message = null, offerUndo = false) => {
+        State.execute(command);
+        App.refreshLibrary();
+        if (message) UI.showToast(message, offerUndo ? { label: 'Undo', callback: App.undo } : null);
+    },
+
+    undo: () => {
+        const command = State.undo();
+        if (!command) { UI.showToast('Nothing to undo'); return; }
+        App.refreshLibrary();
+        UI.showToast(`Undone: ${command.label}`, { label: 'Redo', callback: App.redo });
+    },
+
+    redo: () => {
+        const command = State.redo();
+        if (!command) { UI.showToast('Nothing to redo'); return; }
+        App.refreshLibrary();
+        UI.showToast(`Redone: ${command.label}`, { label: 'Undo', callback: App.undo });
+    },
+
+    /**
+     * Re-renders the library after a mutation, leaving folders that no longer exist.
+     */
+    refreshLibrary: () => {
+        if (!State.getChildren(State.currentFolderId)) State.currentFolderId = 'root';
+        if (State.currentEditingId && !State.findItem(State.currentEditingId)) State.currentEditingId = null;
+        App.renderLibrary();
+        App.updateHistoryButtons();
+    },
+
+    updateHistoryButtons: () => {
+        const [lastUndo] = State.history.undo.slice(-1);
+        const [lastRedo] = State.history.redo.slice(-1);
+        App.elements.btnUndo.disabled = !lastUndo;
+        App.elements.btnRedo.disabled = !lastRedo;
+        App.elements.btnUndo.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        App.elements.btnRedo.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    },
+
+    /**
+     * Shows the storage backend and how much of its quota the library uses.
+     */
+    renderStorageStatus: async () => {
+        const el = App.elements.storageStatus;
+        try {
+            const { backend, usage, quota } = await Persistence.estimate();
+            const label = backend === 'indexeddb' ? 'IndexedDB' : 'Local storage';
+            el.textContent = quota ? `${label}: ${Utils.formatBytes(usage)} of ${Utils.formatBytes(quota)} used` : label;
+            el.classList.toggle('warning', !!quota && usage / quota >= CONFIG.STORAGE_WARNING_RATIO);
+            el.title = backend === 'indexeddb' ? '' : 'IndexedDB is unavailable; the library is limited to about 5 MB';
+        } catch (err) {
+            console.error('Storage estimate failed:', err);
+        }
+    },
+
+    editingFields: null, // Fields of the open template as last loaded or saved, the base for merges
+    pendingConflicts: [], // Prompts waiting for the modal to be free
+
+    /**
+     * Applies a merge pulled from another tab.
+     * @param {Object} result - From Sync.pull: { changed, conflicts }.
+     */
+    handleRemoteChange: ({ changed, conflicts }) => {
+        // Steps on items the other tab changed would undo its edits too
+        State.forgetHistory(changed);
+        App.applySettings();
+        App.refreshLibrary();
+        App.renderStorageStatus();
+
+        const editing = State.currentEditingId ? State.findItem(State.currentEditingId)?.item : null;
+        if (editing && changed.includes(editing.id) && !conflicts.some(c => c.id === editing.id)) {
+            App.syncEditor(editing);
+        }
+        conflicts.forEach(conflict => App.pendingConflicts.push(() => App.resolveItemConflict(conflict)));
+        App.updatePreview();
+        if (App.pendingConflicts.length) App.showNextConflict();
+        else if (changed.length) UI.showToast('Library updated in another tab');
+    },
+
+    showNextConflict: () => {
+        if (!App.pendingConflicts.length) return;
+        // Never replace a dialog the user is working in; try again once it closes
+        if (document.getElementById('modal-overlay').classList.contains('show')) {
+            setTimeout(App.showNextConflict, 1000);
+            return;
+        }
+        App.pendingConflicts.shift()();
+    },
+
+    /**
+     * Carries another tab's edits to the open template into the editor,
+     * asking only about fields that were also changed here.
+     * @param {Object} item - The template as now stored.
+     */
+    syncEditor: (item) => {
+        const theirs = item.fields;
+        const mine = App.getFormData();
+        const { merged, conflicts } = Sync.mergeProps(App.editingFields ?? theirs, mine, theirs);
+        const finish = (fields) => {
+            App.fillEditor(fields);
+            App.editingFields = { ...theirs };
             App.updatePreview();
-            UI.showToast('Template loaded');
+        };
+        if (!conflicts.length) {
+            finish(merged);
+            return;
         }
+        App.pendingConflicts.push(() => App.resolveConflict(
+            `"${item.name}" Changed in Another Tab`,
+            'This template was saved in another tab while you were editing it. Your edits here are not saved yet.',
+            App.conflictRows(conflicts, mine, theirs),
+            (picked) => finish({ ...merged, ...Object.fromEntries(picked) })
+        ));
+    },
+
+    /**
+     * Asks which version to keep of an item both tabs saved.
+     * @param {Object} conflict - From Sync.pull: { id, keys, mine, theirs }.
+     */
+    resolveItemConflict: (conflict) => {
+        const item = State.findItem(conflict.id)?.item;
+        if (!item) {
+            App.showNextConflict();
+            return;
+        }
+        const mine = Object.fromEntries(Sync.flatten(conflict.mine));
+        const theirs = Object.fromEntries(Sync.flatten(conflict.theirs));
+        App.resolveConflict(
+            `"${item.name}" Was Also Saved in Another Tab`,
+            'Both tabs saved changes to this item. The other tab\'s version is kept unless you choose yours.',
+            App.conflictRows(conflict.keys, mine, theirs),
+            (picked) => {
+                const kept = picked.filter(([key, value]) => value !== theirs[key]);
+                if (kept.length) {
+                    App.commit(State.commands.update(item.id, Sync.unflatten(kept, item), `Resolve "${item.name}"`), 'Conflict resolved');
+                }
+                if (State.currentEditingId === item.id && item.type === 'template') {
+                    App.fillEditor(item.fields);
+                    App.editingFields = { ...item.fields };
+                    App.updatePreview();
+                }
+            }
+        );
+    },
+
+    conflictRows: (keys, mine, theirs) => {
+        const labels = { to: 'To', cc: 'CC', bcc: 'BCC', subject: 'Subject', body: 'Body', headers: 'Extra headers', name: 'Name', description: 'Description', tags: 'Tags' };
+        const show = (value) => (Array.isArray(value) ? value.join('; ') : String(value ?? ''));
+        return keys.map(key => ({
+            key,
+            label: labels[key.split('.').pop()] || key,
+            mine: mine[key],
+            theirs: theirs[key],
+            display: [show(mine[key]), show(theirs[key])]
+        }));
+    },
+
+    /**
+     * Shows a side-by-side choice for each conflicting property.
+     * @param {string} title - Modal title.
+     * @param {string} note - Explanation above the table.
+     * @param {Object[]} rows - From App.conflictRows.
+     * @param {Function} apply - Receives [key, value] pairs for the chosen values.
+     */
+    resolveConflict: (title, note, rows, apply) => {
+        const table = rows.map((row, i) => `
+            <tr>
+                <th>${Utils.escapeHTML(row.label)}</th>
+                <td><label><input type="radio" name="conflict-${i}" value="mine" checked><pre>${Utils.escapeHTML(row.display[0])}</pre></label></td>
+                <td><label><input type="radio" name="conflict-${i}" value="theirs"><pre>${Utils.escapeHTML(row.display[1])}</pre></label></td>
+            </tr>
+        `).join('');
+        const choose = (side) => () => {
+            apply(rows.map((row, i) => {
+                const pick = side || document.querySelector(`input[name="conflict-${i}"]:checked`).value;
+                return [row.key, pick === 'mine' ? row.mine : row.theirs];
+            }));
+            // This modal is closing; the next prompt opens once it has
+            setTimeout(App.showNextConflict, 0);
+        };
+        UI.showModal(title, `
+            <p class="modal-note">${note}</p>
+            <table class="roundtrip-table conflict-table">
+                <thead><tr><th>Field</th><th>This tab</th><th>Other tab</th></tr></thead>
+                <tbody>${table}</tbody>
+            </table>
+        `, [
+            { label: 'Keep Theirs', callback: choose('theirs') },
+            { label: 'Keep Mine', callback: choose('mine') },
+            { label: 'Merge', class: 'btn-primary', callback: choose(null) }
+        ], { wide: true });
     },
 
     handleBreadcrumbClick: (e) => {
+        if (e.target.classList.contains('search-clear')) {
+            e.preventDefault();
+            App.clearSearch();
+            return;
+        }
+        if (e.target.classList.contains('sort-reset')) {
+            e.preventDefault();
+            const ids = State.getChildren(State.currentFolderId).map(c => c.id);
+            App.commit(State.commands.reorder(State.currentFolderId, ids, false), 'Sorted by name', true);
+            return;
+        }
         if (e.target.classList.contains('breadcrumb-link')) {
             e.preventDefault();
             State.currentFolderId = e.target.dataset.id;
@@ -0,0 +1,500 @@
+/**
+ * mailto: Link Encoding & Recipient Addresses
+ * * builds and parses RFC 6068 links, validates RFC 5322/6531 recipients and
+ * measures links against client length limits. No DOM access, so the same
+ * code runs in the page, in workers and under Node.
+ */
+
+'use strict';
+
+const CONFIG = {
+    MAILTO_PARAMS: ['cc', 'bcc', 'subject'],
+    // Link encodings; literal lists characters left unencoded in values and addresses
+    ENCODING_PROFILES: [
+        { id: 'compatible', label: 'Compatible (Outlook, Gmail, Apple Mail)', literal: '', addressLiteral: '', lineBreak: '%0D%0A' },
+        { id: 'strict', label: 'RFC 6068 strict', literal: "$,;:@", addressLiteral: '$@', lineBreak: '%0D%0A' },
+        { id: 'lf', label: 'LF line breaks', literal: '', addressLiteral: '', lineBreak: '%0A' }
+    ],
+    // Extra header notes; Outlook and Gmail only honor to/cc/bcc/subject/body
+    HEADER_NOTES: {
+        'in-reply-to': 'Honored by Thunderbird; Outlook and Gmail ignore it',
+        'reply-to': 'Honored by Thunderbird; Outlook and Gmail ignore it',
+        'keywords': 'Honored by Thunderbird; Outlook and Gmail ignore it',
+        default: 'Ignored by Outlook, Gmail and most webmail clients'
+    },
+    // RFC 6068 §6: clients refuse these for safety, so they never reach the message
+    UNSAFE_HEADERS: ['from', 'sender', 'received', 'return-path', 'message-id', 'date', 'mime-version', 'content-type', 'content-transfer-encoding'],
+    // Approximate URL lengths beyond which handlers truncate or refuse mailto: links
+    CLIENT_LIMITS: [
+        { id: 'shell', label: 'Windows shell', limit: 2048 },
+        { id: 'outlook', label: 'Outlook', limit: 2083 },
+        { id: 'gmail', label: 'Gmail', limit: 8000 },
+        { id: 'desktop', label: 'Apple Mail / Thunderbird', limit: 32000 }
+    ],
+    TRUNCATION_NOTE: '\n\n[Message shortened, see full text]',
+    TEMPLATE_FIELDS: ['to', 'cc', 'bcc', 'subject', 'body', 'headers']
+};
+
+/* =============================================================================
+   MAILTO PROTOCOL
+   ============================================================================= */
+
+const MailTo = {
+    /**
+     * Decodes a link per RFC 6068. Unlike URLSearchParams, '+' stays a plus
+     * sign; body line breaks come back as LF, the editor's convention.
+     * @param {string} str - mailto: URI.
+     * @returns {Object} Email fields; unknown query keys become extra headers.
+     */
+    parse: (str) => {
+        const data = { to: '', cc: '', bcc: '', subject: '', body: '', headers: '' };
+        if (!str || !/^mailto:/i.test(str)) return data;
+        try {
+            const qIndex = str.indexOf('?');
+            const path = qIndex === -1 ? str.substring(7) : str.substring(7, qIndex);
+            const recipients = { to: [MailTo.decode(path)], cc: [], bcc: [] };
+            const headers = [];
+            const query = qIndex === -1 ? '' : str.substring(qIndex + 1);
+            query.split('&').filter(Boolean).forEach(pair => {
+                const eq = pair.indexOf('=');
+                const name = MailTo.decode(eq === -1 ? pair : pair.substring(0, eq));
+                const value = eq === -1 ? '' : MailTo.decode(pair.substring(eq + 1));
+                // Header names are case-insensitive; unknown ones become extra headers
+                const key = name.toLowerCase();
+                if (Addresses.FIELDS.includes(key)) recipients[key].push(value);
+                else if (key === 'subject') data.subject = value;
+                else if (key === 'body') data.body = value.replace(/\r\n?/g, '\n');
+                else headers.push({ name, value });
+            });
+            Addresses.FIELDS.forEach(key => {
+                data[key] = recipients[key].flatMap(Addresses.split).join(', ');
+            });
+            data.headers = MailTo.formatHeaders(headers);
+        } catch (err) {
+            console.error('Parse error:', err);
+        }
+        return data;
+    },
+
+    /**
+     * Percent-decodes text, leaving malformed escapes as they are.
+     */
+    decode: (text) => text.replace(/(?:%[0-9A-F]{2})+/gi, run => {
+        try {
+            return decodeURIComponent(run);
+        } catch {
+            return run;
+        }
+    }),
+
+    getProfile: (id) => CONFIG.ENCODING_PROFILES.find(p => p.id === id) || CONFIG.ENCODING_PROFILES[0],
+
+    /**
+     * Percent-encodes text for one component of the link. Characters the
+     * profile lists as literal are left unencoded; '+' is always encoded
+     * since many decoders read it as a space.
+     * @param {string} text - Raw text.
+     * @param {string} literal - Characters to keep as-is.
+     */
+    encode: (text, literal = '') => {
+        const encoded = encodeURIComponent(text);
+        if (!literal) return encoded;
+        return encoded.replace(/%[0-9A-F]{2}/g, escape => {
+            const char = String.fromCharCode(parseInt(escape.slice(1), 16));
+            return literal.includes(char) ? char : escape;
+        });
+    },
+
+    /**
+     * Percent-encodes one field the way build() emits it.
+     * @param {Object} [options] - { displayNames }: keep `Name <addr>` recipients
+     *   instead of reducing them to the bare address; { profile }: id from
+     *   CONFIG.ENCODING_PROFILES.
+     */
+    encodeField: (key, value, options = {}) => {
+        const profile = MailTo.getProfile(options.profile);
+        // Extra headers expand to their own name=value pairs
+        if (key === 'headers') {
+            return MailTo.parseHeaders(value)
+                .filter(h => !MailTo.headerError(h.name))
+                .map(h => `${MailTo.encode(h.name)}=${MailTo.encode(h.value, profile.literal)}`)
+                .join('&');
+        }
+        // Recipients are joined with a literal comma, the only separator RFC 6068 defines
+        if (Addresses.FIELDS.includes(key)) {
+            return Addresses.split(value)
+                .map(entry => options.displayNames ? entry : Addresses.parse(entry).address)
+                .map(entry => MailTo.encode(entry, profile.addressLiteral)).join(',');
+        }
+        if (key === 'body') {
+            // Any line break style becomes the profile's encoded line break
+            return MailTo.encode(String(value || '').replace(/\r\n?/g, '\n'), profile.literal).replace(/%0A/g, profile.lineBreak);
+        }
+        return MailTo.encode(value || '', profile.literal);
+    },
+
+    build: (data, options = {}) => {
+        try {
+            const params = [];
+            [...CONFIG.MAILTO_PARAMS, 'headers', 'body'].forEach(key => {
+                if (!data[key]) return;
+                const encoded = MailTo.encodeField(key, data[key], options);
+                if (encoded) params.push(key === 'headers' ? encoded : `${key}=${encoded}`);
+            });
+            const query = params.length ? `?${params.join('&')}` : '';
+            return `mailto:${MailTo.encodeField('to', data.to, options)}${query}`;
+        } catch (err) {
+            console.error('Build error:', err);
+            return '';
+        }
+    },
+
+    /**
+     * Reduces fields to what a link is expected to carry, so they can be
+     * compared with parse() output.
+     */
+    canonicalize: (data, options = {}) => {
+        const result = {
+            subject: data.subject || '',
+            body: String(data.body || '').replace(/\r\n?/g, '\n'),
+            headers: MailTo.formatHeaders(MailTo.parseHeaders(data.headers))
+        };
+        Addresses.FIELDS.forEach(key => {
+            result[key] = Addresses.split(data[key])
+                .map(entry => options.displayNames ? entry : Addresses.parse(entry).address)
+                .join(', ');
+        });
+        return result;
+    },
+
+    /**
+     * Builds the link, parses it back and lists the fields that changed.
+     * @param {Object} data - Email fields.
+     * @param {Object} [options] - Passed to build().
+     * @returns {Array<{key: string, expected: string, actual: string}>} Empty when lossless.
+     */
+    verifyRoundTrip: (data, options = {}) => {
+        const expected = MailTo.canonicalize(data, options);
+        const actual = MailTo.parse(MailTo.build(data, options));
+        return ['to', 'cc', 'bcc', 'subject', 'body', 'headers']
+            .filter(key => expected[key] !== actual[key])
+            .map(key => ({ key, expected: expected[key], actual: actual[key] }));
+    },
+
+    /**
+     * Measures the encoded link against CONFIG.CLIENT_LIMITS.
+     * @param {Object} data - Email fields.
+     * @param {Object} [options] - Passed to build().
+     * @returns {{ length: number, fields: Array<{key: string, length: number}>, exceeded: Object[] }}
+     *   fields are sorted by encoded size, largest first.
+     */
+    analyze: (data, options = {}) => {
+        const length = MailTo.build(data, options).length;
+        const fields = ['to', ...CONFIG.MAILTO_PARAMS, 'headers', 'body']
+            .filter(key => data[key])
+            .map(key => ({ key, length: MailTo.encodeField(key, data[key], options).length }))
+            .sort((a, b) => b.length - a.length);
+        return { length, fields, exceeded: CONFIG.CLIENT_LIMITS.filter(c => length > c.limit) };
+    },
+
+    /**
+     * Reads the editor's extra headers, one `Name: value` per line.
+     * @param {string} text - Header block.
+     * @returns {Array<{name: string, value: string, line: number}>} Entries; a
+     *   line without a colon yields an empty name.
+     */
+    parseHeaders: (text) => String(text || '').split('\n')
+        .map((raw, index) => ({ raw: raw.trim(), line: index + 1 }))
+        .filter(entry => entry.raw)
+        .map(({ raw, line }) => {
+            const colon = raw.indexOf(':');
+            if (colon === -1) return { name: '', value: raw, line };
+            return { name: raw.slice(0, colon).trim(), value: raw.slice(colon + 1).trim(), line };
+        }),
+
+    formatHeaders: (headers) => headers.map(h => h.name ? `${h.name}: ${h.value}` : h.value).join('\n'),
+
+    /**
+     * @returns {string|null} Why a header name cannot be emitted, or null.
+     */
+    headerError: (name) => {
+        if (!name) return 'Expected "Name: value"';
+        // RFC 5322 field name: printable ASCII except colon
+        if (!/^[!-9;-~]+$/.test(name)) return 'Invalid header name';
+        const key = name.toLowerCase();
+        if ([...Addresses.FIELDS, 'subject', 'body'].includes(key)) return `Use the ${name} field instead`;
+        return null;
+    },
+
+    /**
+     * Lists problems with the extra headers: errors for lines build() skips,
+     * warnings for headers that major clients ignore or refuse.
+     * @returns {Array<{line: number, name: string, level: string, message: string}>}
+     */
+    checkHeaders: (text) => MailTo.parseHeaders(text).map(({ name, line }) => {
+        const error = MailTo.headerError(name);
+        if (error) return { line, name, level: 'error', message: error };
+        const key = name.toLowerCase();
+        if (CONFIG.UNSAFE_HEADERS.includes(key)) {
+            return { line, name, level: 'warning', message: 'Clients refuse to set this header from a link' };
+        }
+        return { line, name, level: 'warning', message: CONFIG.HEADER_NOTES[key] || CONFIG.HEADER_NOTES.default };
+    }),
+
+    strictestLimit: () => Math.min(...CONFIG.CLIENT_LIMITS.map(c => c.limit)),
+
+    /**
+     * Shortens the body so the built link fits within a length, ending it
+     * with CONFIG.TRUNCATION_NOTE. Cuts at a word boundary when one is near.
+     * @param {Object} data - Email fields.
+     * @param {number} limit - Maximum link length.
+     * @param {Object} [options] - Passed to build().
+     * @returns {Object} Fields with the shortened body ('' if nothing fits).
+     */
+    trimBody: (data, limit, options = {}) => {
+        const fits = (body) => MailTo.build({ ...data, body }, options).length <= limit;
+        if (fits(data.body)) return data;
+
+        const chars = Array.from(data.body); // Never split surrogate pairs
+        const withNote = (count) => chars.slice(0, count).join('').trimEnd() + CONFIG.TRUNCATION_NOTE;
+        let low = 0, high = chars.length;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (fits(withNote(mid))) low = mid;
+            else high = mid - 1;
+        }
+        if (low === 0) return { ...data, body: '' };
+
+        const prefix = chars.slice(0, low).join('');
+        const boundary = prefix.search(/\s\S*$/);
+        const text = (boundary > 0 && prefix.length - boundary < 40) ? prefix.slice(0, boundary) : prefix;
+        return { ...data, body: text.trimEnd() + CONFIG.TRUNCATION_NOTE };
+    },
+
+    /**
+     * Maps MsgReader output to template fields.
+     * @param {Object} parsed - Result of MsgReader.read.
+     * @returns {Object} { to, cc, bcc, subject, body, headers }
+     */
+    fromMessage: (parsed) => {
+        const recipientMap = { 1: [], 2: [], 3: [] };
+        parsed.recipients.forEach(r => {
+            const addr = r.email || (r.name?.includes('@') ? r.name : '');
+            // Outlook often repeats the address as the display name
+            const name = r.name && !r.name.includes('@') ? r.name : '';
+            if (addr) recipientMap[r.recipientType || 1].push(Addresses.format({ name, address: addr }));
+        });
+        return Addresses.normalize({
+            to: recipientMap[1].join(', '),
+            cc: recipientMap[2].join(', '),
+            bcc: recipientMap[3].join(', '),
+            subject: parsed.subject || '',
+            body: parsed.body || '',
+            headers: ''
+        });
+    }
+};
+
+/* =============================================================================
+   RECIPIENT ADDRESSES
+   ============================================================================= */
+
+const Addresses = {
+    FIELDS: ['to', 'cc', 'bcc'],
+
+    // RFC 5322 atext, widened to any non-ASCII character (RFC 6532)
+    ATOM: /^[\w!#$%&'*+/=?^`{|}~\-\u{80}-\u{10FFFF}]+$/u,
+    QUOTED_LOCAL: /^"(?:[^"\\\r\n]|\\.)*"$/,
+    IPV4: /^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)$/,
+
+    /**
+     * Splits a recipient list on ',' or ';', ignoring separators inside
+     * quotes, angle brackets and {{placeholders}}.
+     * @param {string} text - Raw field value.
+     * @returns {string[]} Trimmed, non-empty entries.
+     */
+    split: (text) => {
+        const value = String(text || '');
+        const parts = [];
+        let current = '', inQuotes = false, angle = 0, braces = 0;
+        for (let i = 0; i < value.length; i++) {
+            const ch = value[i];
+            if (inQuotes) {
+                current += ch;
+                if (ch === '\\' && i + 1 < value.length) current += value[++i];
+                else if (ch === '"') inQuotes = false;
+                continue;
+            }
+            if (ch === '"') inQuotes = true;
+            else if (ch === '<') angle++;
+            else if (ch === '>' && angle) angle--;
+            else if (ch === '{') braces++;
+            else if (ch === '}' && braces) braces--;
+            else if ((ch === ',' || ch === ';') && !angle && !braces) { parts.push(current); current = ''; continue; }
+            current += ch;
+        }
+        parts.push(current);
+        return parts.map(p => p.trim()).filter(Boolean);
+    },
+
+    /**
+     * Converts a domain to its ASCII (punycode) form.
+     * @returns {string|null} Lowercased hostname, or null if it is not one.
+     */
+    toASCII: (domain) => {
+        // URL would silently percent-decode or split on these
+        if (!domain || /[\s%/\\?#@:[\]<>^|"]/.test(domain)) return null;
+        try {
+            return new URL(`http://${domain}`).hostname;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * @returns {string|null} Why the domain is unusable, or null if it is valid.
+     */
+    validateDomain: (domain) => {
+        if (!domain) return 'Missing domain';
+        if (domain.startsWith('[') && domain.endsWith(']')) {
+            const literal = domain.slice(1, -1);
+            if (/^IPv6:/i.test(literal)) {
+                try {
+                    new URL(`http://[${literal.slice(5)}]`);
+                    return null;
+                } catch {
+                    return 'Invalid IPv6 address literal';
+                }
+            }
+            return Addresses.IPV4.test(literal) ? null : 'Invalid IP address literal';
+        }
+        const ascii = Addresses.toASCII(domain);
+        if (!ascii) return 'Invalid domain';
+        if (ascii.length > 253) return 'Domain longer than 253 characters';
+        const labels = ascii.split('.');
+        if (labels.length < 2) return 'Domain needs a dot, e.g. example.com';
+        if (!labels.every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(label))) return 'Invalid domain label';
+        if (/^\d+$/.test(labels[labels.length - 1])) return 'Invalid top-level domain';
+        return null;
+    },
+
+    /**
+     * Checks an addr-spec against RFC 5321/5322: dot-atom or quoted local
+     * part, hostname (IDN allowed) or address literal, and length limits.
+     * @returns {string|null} Why the address is invalid, or null if it is valid.
+     */
+    validate: (address) => {
+        if (!address) return 'Missing address';
+        const at = address.lastIndexOf('@');
+        if (at === -1) return 'Missing @';
+        if (at === 0) return 'Missing local part';
+        const local = address.slice(0, at);
+        const domain = address.slice(at + 1);
+        if (local.startsWith('"')) {
+            if (!Addresses.QUOTED_LOCAL.test(local)) return 'Malformed quoted local part';
+        } else if (!local.split('.').every(atom => Addresses.ATOM.test(atom))) {
+            return 'Invalid characters or dots in local part';
+        }
+        if (local.length > 64) return 'Local part longer than 64 characters';
+        const domainError = Addresses.validateDomain(domain);
+        if (domainError) return domainError;
+        if (Addresses.key(address).length > 254) return 'Address longer than 254 characters';
+        return null;
+    },
+
+    /**
+     * Comparison key: domains are case-insensitive and IDN-normalized; local
+     * parts are compared case-insensitively as every major provider does.
+     */
+    key: (address) => {
+        const at = address.lastIndexOf('@');
+        const domain = address.slice(at + 1);
+        const ascii = domain.startsWith('[') ? domain : (Addresses.toASCII(domain) || domain);
+        return `${address.slice(0, at)}@${ascii}`.toLowerCase();
+    },
+
+    /**
+     * Parses one list entry: a bare address or `Display Name <address>`.
+     * Entries holding a {{placeholder}} are not validated.
+     * @returns {Object} { raw, name, address, error, placeholder }
+     */
+    parse: (entry) => {
+        const raw = entry.trim();
+        const result = { raw, name: '', address: raw, error: null, placeholder: false };
+        if (/\{\{.*?\}\}/.test(raw)) {
+            result.placeholder = true;
+            return result;
+        }
+
+        const match = raw.match(/^(.*?)\s*<([^<>]*)>$/);
+        if (match) {
+            result.address = match[2].trim();
+            const name = match[1].trim();
+            if (/^".*"$/.test(name)) {
+                result.name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+            } else if (/[()<>[\]:;@\\,"]/.test(name)) {
+                result.name = name;
+                result.error = 'Display name with special characters must be quoted';
+                return result;
+            } else {
+                result.name = name;
+            }
+        }
+        result.error = Addresses.validate(result.address);
+        return result;
+    },
+
+    /**
+     * Formats a recipient as `Name <address>`, quoting the name when it
+     * contains characters that are not allowed in an unquoted phrase.
+     * @param {Object} recipient - { name, address }
+     * @returns {string} The list entry, or the bare address when there is no name.
+     */
+    format: ({ name, address }) => {
+        const display = String(name || '').trim();
+        if (!display) return address;
+        const safe = display.split(/\s+/).every(word => /^[\w!#$%&'*+/=?^`{|}~.\-\u{80}-\u{10FFFF}]+$/u.test(word));
+        return safe ? `${display} <${address}>` : `"${display.replace(/(["\\])/g, '\\$1')}" <${address}>`;
+    },
+
+    /**
+     * Parses To/CC/BCC and marks repeats. The first occurrence wins, in
+     * To, CC, BCC order, so a duplicate entry records where it already is.
+     * @param {Object} data - Email fields.
+     * @returns {Object} Map of field to entries from parse(), each with a
+     *   duplicateOf field name or null.
+     */
+    analyze: (data) => {
+        const seen = new Map();
+        const result = {};
+        Addresses.FIELDS.forEach(field => {
+            result[field] = Addresses.split(data[field]).map(entry => {
+                const parsed = { ...Addresses.parse(entry), duplicateOf: null };
+                if (parsed.error || parsed.placeholder) return parsed;
+                const key = Addresses.key(parsed.address);
+                if (seen.has(key)) parsed.duplicateOf = seen.get(key);
+                else seen.set(key, field);
+                return parsed;
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Rewrites To/CC/BCC as ', '-separated lists without duplicates.
+     * Invalid entries are kept so the user can still fix them.
+     * @param {Object} data - Email fields.
+     * @returns {Object} New field object; the input is not modified.
+     */
+    normalize: (data) => {
+        const analysis = Addresses.analyze(data);
+        const result = { ...data };
+        Addresses.FIELDS.forEach(field => {
+            result[field] = analysis[field].filter(e => !e.duplicateOf).map(e => e.raw).join(', ');
+        });
+        return result;
+    }
+};
+
+// --- Exported Objects ---
+export { MailTo, Addresses, CONFIG as LINK_CONFIG };
@@ -1,7 +1,8 @@
 /**
  * OLE/MIME Email File Parser
  * * processes .msg (OLE Compound Document) and .eml (MIME) file formats.
- * Handles binary property extraction, text decoding, and recipient reconciliation.
+ * Handles binary property extraction, text decoding, compressed RTF bodies,
+ * and recipient reconciliation.
  */
 
 'use strict';
@@ -11,12 +12,14 @@ const PROP_TYPE_INTEGER32 = 0x0003;
 const PROP_TYPE_BOOLEAN = 0x000B;
 const PROP_TYPE_STRING = 0x001E;
 const PROP_TYPE_STRING8 = 0x001F;
+const PROP_TYPE_OBJECT = 0x000D;
 const PROP_TYPE_TIME = 0x0040;
 const PROP_TYPE_BINARY = 0x0102;
 
 const PROP_ID_SUBJECT = 0x0037;
 const PROP_ID_BODY = 0x1000;
 const PROP_ID_HTML_BODY = 0x1013;
+const PROP_ID_RTF_COMPRESSED = 0x1009;
 const PROP_ID_DISPLAY_TO = 0x0E04;
 const PROP_ID_DISPLAY_CC = 0x0E03;
 const PROP_ID_DISPLAY_BCC = 0x0E02;
@@ -26,10 +29,42 @@ const PROP_ID_RECIPIENT_DISPLAY_NAME = 0x3001;
 const PROP_ID_RECIPIENT_EMAIL_ADDRESS = 0x3003;
 const PROP_ID_RECIPIENT_SMTP_ADDRESS = 0x39FE;
 
+const PROP_ID_ATTACH_SIZE = 0x0E20;
+const PROP_ID_ATTACH_DATA = 0x3701;
+const PROP_ID_ATTACH_FILENAME = 0x3704;
+const PROP_ID_ATTACH_METHOD = 0x3705;
+const PROP_ID_ATTACH_LONG_FILENAME = 0x3707;
+const PROP_ID_ATTACH_MIME_TAG = 0x370E;
+const PROP_ID_ATTACH_CONTENT_ID = 0x3712;
+const PROP_ID_ATTACH_FLAGS = 0x3714;
+const PROP_ID_ATTACHMENT_HIDDEN = 0x7FFE;
+
+// Names used in parse diagnostics; other properties are reported by hex id
+const PROP_LABELS = {
+    [PROP_ID_SUBJECT]: 'Subject', [PROP_ID_BODY]: 'Body', [PROP_ID_HTML_BODY]: 'HTML body',
+    [PROP_ID_DISPLAY_TO]: 'Display To', [PROP_ID_DISPLAY_CC]: 'Display CC', [PROP_ID_DISPLAY_BCC]: 'Display BCC',
+    [PROP_ID_RECIPIENT_DISPLAY_NAME]: 'Display name', [PROP_ID_RECIPIENT_EMAIL_ADDRESS]: 'Recipient address',
+    [PROP_ID_RECIPIENT_SMTP_ADDRESS]: 'Recipient SMTP address', [PROP_ID_ATTACH_FILENAME]: 'Attachment name',
+    [PROP_ID_ATTACH_LONG_FILENAME]: 'Attachment name', [PROP_ID_ATTACH_MIME_TAG]: 'Attachment type'
+};
+
+const ATTACH_METHOD_EMBEDDED_MSG = 5;
+const ATTACH_FLAG_RENDERED_IN_BODY = 0x4;
+
 const RECIPIENT_TYPE_TO = 1;
 const RECIPIENT_TYPE_CC = 2;
 const RECIPIENT_TYPE_BCC = 3;
 
+// OLE Compound File
+const OLE_SIGNATURE = 0xE011CFD0;
+const OLE_HEADER_SIZE = 512;
+const OLE_HEADER_DIFAT_ENTRIES = 109;
+const OLE_MAX_REGULAR_SECTOR = 0xFFFFFFFA;
+const OLE_ENDOFCHAIN = 0xFFFFFFFE;
+const OLE_FREESECT = 0xFFFFFFFF;
+const OLE_DIR_ENTRY_SIZE = 128;
+const OLE_ENTRY_ROOT = 5;
+
 // Module-Level Decoders
 let _textDecoderUtf16 = null;
 let _textDecoderWin1252 = null;
@@ -47,6 +82,13 @@ function getTextDecoder(encoding) {
     return new TextDecoder(encoding, { fatal: false });
 }
 
+/**
+ * Default diagnostics sink for helpers called without a parser.
+ * Diagnostics are reported as note(level, code, message), level being
+ * 'info' or 'warning'.
+ */
+function _ignoreNote() {}
+
 function getDOMParser() {
     if (!_domParser && typeof DOMParser !== 'undefined') {
         _domParser = new DOMParser();
@@ -58,30 +100,6 @@ function getDOMParser() {
    TEXT PROCESSING UTILS
    ============================================================================= */
 
-/**
- * Decodes Quoted-Printable strings to raw text.
- */
-function _decodeQuotedPrintable(str, charset = 'utf-8') {
-    if (!str) return '';
-    
-    // Join soft lines and convert hex to chars
-    let decoded = str
-        .replace(/=(\r\n|\n)/g, '') 
-        .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
-    
-    try {
-        let bytes = new Uint8Array(decoded.length);
-        for (let i = 0; i < decoded.length; i++) bytes[i] = decoded.charCodeAt(i);
-        
-        let encoding = charset.toLowerCase();
-        if (encoding === 'us-ascii') encoding = 'utf-8';
-        
-        return new TextDecoder(encoding, { fatal: false }).decode(bytes);
-    } catch (e) { 
-        return decoded; 
-    }
-}
-
 /**
  * Removes HTML tags and CSS artifacts, normalizing to plain text.
  */
@@ -96,8 +114,8 @@ function _stripHtml(html) {
         .replace(/<!--[\s\S]*?-->/g, '')
         .replace(/<\?xml[^>]*\?>/gi, '');
 
-    // Outlook-specific CSS artifact removal
-    text = text.replace(/[.#a-z0-9_]+\s*\{[^}]+\}/gi, '');
+    // Outlook-specific CSS artifact removal ({{placeholders}} are not CSS)
+    text = text.replace(/[.#a-z0-9_]+\s*\{(?!\{)[^}]+\}/gi, '');
 
     // Block tag spacing
     text = text.replace(/\s*<(br|p|div|tr|li|h1|h2|h3|h4|h5|h6)[^>]*>\s*/gi, '\n');
@@ -110,15 +128,31 @@ function _stripHtml(html) {
             junk.forEach(el => el.remove());
             text = doc.body ? doc.body.textContent : (doc.documentElement.textContent || '');
         } catch (e) {
-            text = text.replace(/<[^>]+>/g, '');
+            text = _decodeEntities(text.replace(/<[^>]+>/g, ''));
         }
     } else {
-        text = text.replace(/<[^>]+>/g, '');
+        // No DOM (Node, workers): strip tags and decode entities by hand
+        text = _decodeEntities(text.replace(/<[^>]+>/g, ''));
     }
     
     return _normalizeText(text);
 }
 
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '\u00A9', reg: '\u00AE', hellip: '\u2026', mdash: '\u2014', ndash: '\u2013', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D', bull: '\u2022', euro: '\u20AC' };
+
+/**
+ * Decodes numeric and common named HTML entities; unknown names are kept.
+ */
+function _decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            let code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return (code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF)) ? String.fromCodePoint(code) : '\uFFFD';
+        }
+        return HTML_ENTITIES[ref.toLowerCase()] ?? match;
+    });
+}
+
 /**
  * Normalizes line endings and collapses excessive whitespace.
  */
@@ -131,7 +165,46 @@ function _normalizeText(text) {
         .trim();
 }
 
-function dataViewToString(view, encoding) {
+/**
+ * Decodes a Base64 string (whitespace tolerant) to raw bytes.
+ */
+function _decodeBase64(str, note = _ignoreNote) {
+    if (!str) return new Uint8Array(0);
+    try {
+        let binary = atob(str.replace(/[^A-Za-z0-9+/=]/g, ''));
+        let bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    } catch (e) {
+        note('warning', 'bad-base64', 'Invalid Base64 data was dropped');
+        return new Uint8Array(0);
+    }
+}
+
+const MIME_TYPES_BY_EXTENSION = {
+    pdf: 'application/pdf', doc: 'application/msword', xls: 'application/vnd.ms-excel',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    zip: 'application/zip', txt: 'text/plain', csv: 'text/csv', htm: 'text/html', html: 'text/html',
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp',
+    ics: 'text/calendar', eml: 'message/rfc822', msg: 'application/vnd.ms-outlook'
+};
+
+/**
+ * Guesses a MIME type from a file name when the source omits one.
+ */
+function _guessMimeType(filename) {
+    let ext = (filename || '').split('.').pop().toLowerCase();
+    return MIME_TYPES_BY_EXTENSION[ext] || 'application/octet-stream';
+}
+
+/**
+ * Decodes a property value up to its first NUL. Invalid UTF-8 falls back
+ * to Windows-1252, and missing decoders to byte-by-byte copies; each
+ * fallback is reported through note.
+ */
+function dataViewToString(view, encoding, note = _ignoreNote) {
     if (encoding === 'utf-8') {
         try {
             if (typeof TextDecoder === 'undefined') throw new Error("TextDecoder missing");
@@ -139,7 +212,8 @@ function dataViewToString(view, encoding) {
             const nullIdx = decoded.indexOf('\0');
             return nullIdx !== -1 ? decoded.substring(0, nullIdx) : decoded;
         } catch (e) { 
-            return dataViewToString(view, 'ascii'); 
+            note('warning', 'utf8-fallback', 'not valid UTF-8, decoded as Windows-1252');
+            return dataViewToString(view, 'ascii', note); 
         }
     }
     
@@ -150,6 +224,7 @@ function dataViewToString(view, encoding) {
             const nullIdx = decoded.indexOf('\0');
             return nullIdx !== -1 ? decoded.substring(0, nullIdx) : decoded;
         } catch (e) {
+            note('warning', 'manual-decode', 'no UTF-16 decoder available, decoded byte by byte');
             let result = '';
             for (let i = 0; i < view.byteLength - 1; i += 2) {
                 let charCode = view.getUint16(i, true);
@@ -165,6 +240,7 @@ function dataViewToString(view, encoding) {
         const nullIdx = decoded.indexOf('\0');
         return nullIdx !== -1 ? decoded.substring(0, nullIdx) : decoded;
     } catch(e) {
+        note('warning', 'manual-decode', 'no Windows-1252 decoder available, bytes read as Latin-1');
         let result = '';
         for (let i = 0; i < view.byteLength; i++) {
             let charCode = view.getUint8(i);
@@ -184,6 +260,626 @@ function filetimeToDate(low, high) {
     } catch (e) { return null; }
 }
 
+/* =============================================================================
+   MIME PARSER
+   ============================================================================= */
+
+const BYTE_CR = 0x0D;
+const BYTE_LF = 0x0A;
+const MIME_MAX_DEPTH = 20;
+
+/**
+ * Decodes a byte range 1:1 into a binary string (byte N -> char code N).
+ */
+function _bytesToBinaryString(bytes, start = 0, end = bytes.length) {
+    let out = '';
+    for (let i = start; i < end; i += 8192) {
+        out += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, end)));
+    }
+    return out;
+}
+
+function _binaryStringToBytes(str) {
+    let bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xFF;
+    return bytes;
+}
+
+/**
+ * Decodes bytes with a MIME charset label, falling back to UTF-8 and then
+ * byte-by-byte decoding when the label is unknown to TextDecoder.
+ */
+function _decodeCharset(bytes, charset, note = _ignoreNote) {
+    let label = (charset || 'utf-8').trim().replace(/^"|"$/g, '').toLowerCase();
+    if (label === 'us-ascii' || label === 'ascii') label = 'utf-8';
+    try { return new TextDecoder(label, { fatal: false }).decode(bytes); }
+    catch (e) {
+        note('warning', 'unknown-charset', `Unknown charset "${label}", decoded as UTF-8`);
+        try { return new TextDecoder('utf-8', { fatal: false }).decode(bytes); }
+        catch (e2) { return _bytesToBinaryString(bytes); }
+    }
+}
+
+/**
+ * Decodes Quoted-Printable bytes, joining soft line breaks.
+ */
+function _decodeQuotedPrintable(bytes) {
+    let out = new Uint8Array(bytes.length);
+    let length = 0;
+    const hex = (b) => (b >= 48 && b <= 57) ? b - 48 : (b >= 65 && b <= 70) ? b - 55 : (b >= 97 && b <= 102) ? b - 87 : -1;
+
+    for (let i = 0; i < bytes.length; i++) {
+        let b = bytes[i];
+        if (b !== 0x3D) { out[length++] = b; continue; }
+        if (bytes[i + 1] === BYTE_CR && bytes[i + 2] === BYTE_LF) { i += 2; continue; }
+        if (bytes[i + 1] === BYTE_LF) { i += 1; continue; }
+        let hi = hex(bytes[i + 1]), lo = hex(bytes[i + 2]);
+        if (hi !== -1 && lo !== -1) { out[length++] = (hi << 4) | lo; i += 2; }
+        else out[length++] = b;
+    }
+    return out.subarray(0, length);
+}
+
+/**
+ * Decodes RFC 2047 encoded-words (=?charset?B|Q?text?=). Adjacent words
+ * separated only by whitespace are joined before decoding so multibyte
+ * characters split across words survive.
+ */
+function _decodeEncodedWords(str, note = _ignoreNote) {
+    if (!str || str.indexOf('=?') === -1) return str || '';
+    const wordPattern = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+
+    let out = '', lastIndex = 0, pending = null;
+    const flush = () => {
+        if (pending) out += _decodeCharset(pending.bytes, pending.charset, note);
+        pending = null;
+    };
+
+    let match;
+    while ((match = wordPattern.exec(str)) !== null) {
+        let gap = str.substring(lastIndex, match.index);
+        let charset = match[1].split('*')[0].toLowerCase();
+        let bytes = match[2].toUpperCase() === 'B'
+            ? _decodeBase64(match[3], note)
+            : _decodeQuotedPrintable(_binaryStringToBytes(match[3].replace(/_/g, ' ')));
+
+        let gapIsSpace = /^\s*$/.test(gap);
+
+        if (pending && gapIsSpace && pending.charset === charset) {
+            let merged = new Uint8Array(pending.bytes.length + bytes.length);
+            merged.set(pending.bytes); merged.set(bytes, pending.bytes.length);
+            pending.bytes = merged;
+        } else {
+            flush();
+            if (!(lastIndex > 0 && gapIsSpace)) out += gap;
+            pending = { charset, bytes };
+        }
+        lastIndex = wordPattern.lastIndex;
+    }
+    flush();
+    return out + str.substring(lastIndex);
+}
+
+/**
+ * Splits a structured header value into its main token and parameters.
+ * Handles quoted strings and RFC 2231 extended/continued parameters.
+ * @returns {{ value: string, params: Object<string, string> }}
+ */
+function _parseHeaderValue(header) {
+    let segments = [], current = '', inQuotes = false;
+    for (let i = 0; i < (header || '').length; i++) {
+        let ch = header[i];
+        if (inQuotes && ch === '\\' && i + 1 < header.length) { current += header[++i]; continue; }
+        if (ch === '"') { inQuotes = !inQuotes; current += ch; continue; }
+        if (ch === ';' && !inQuotes) { segments.push(current); current = ''; continue; }
+        current += ch;
+    }
+    segments.push(current);
+
+    let value = segments.shift().trim().toLowerCase();
+    let params = {}, extended = {};
+
+    segments.forEach(segment => {
+        let eq = segment.indexOf('=');
+        if (eq === -1) return;
+        let key = segment.substring(0, eq).trim().toLowerCase();
+        let val = segment.substring(eq + 1).trim();
+        if (val[0] === '"' && val[val.length - 1] === '"') val = val.substring(1, val.length - 1);
+
+        let ext = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+        if (!ext) { params[key] = _decodeEncodedWords(val); return; }
+
+        let name = ext[1];
+        let isEncoded = ext[2] === undefined ? true : !!ext[3];
+        (extended[name] = extended[name] || []).push({ index: Number(ext[2] || 0), value: val, isEncoded });
+    });
+
+    Object.keys(extended).forEach(name => {
+        let charset = 'utf-8', raw = '';
+        extended[name].sort((a, b) => a.index - b.index).forEach((piece, i) => {
+            let val = piece.value;
+            if (piece.isEncoded && i === 0) {
+                let parts = val.split("'");
+                if (parts.length >= 3) { charset = parts[0] || charset; val = parts.slice(2).join("'"); }
+            }
+            raw += piece.isEncoded ? val.replace(/%([0-9A-Fa-f]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16))) : val;
+        });
+        params[name] = _decodeCharset(_binaryStringToBytes(raw), charset);
+    });
+
+    return { value, params };
+}
+
+/**
+ * Splits an address header on commas/semicolons outside quotes, comments
+ * and angle brackets. Group syntax ("Team: a@b, c@d;") is flattened.
+ */
+function _splitAddressList(value) {
+    let parts = [], current = '', inQuotes = false, angle = 0, comment = 0;
+    for (let i = 0; i < (value || '').length; i++) {
+        let ch = value[i];
+        if (inQuotes) {
+            current += ch;
+            if (ch === '\\' && i + 1 < value.length) current += value[++i];
+            else if (ch === '"') inQuotes = false;
+            continue;
+        }
+        if (ch === '"') inQuotes = true;
+        else if (ch === '(') comment++;
+        else if (ch === ')' && comment) comment--;
+        else if (ch === '<') angle++;
+        else if (ch === '>' && angle) angle--;
+        else if ((ch === ',' || ch === ';') && !angle && !comment) { parts.push(current); current = ''; continue; }
+        else if (ch === ':' && !angle && !comment) { current = ''; continue; }
+        current += ch;
+    }
+    parts.push(current);
+    return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * MIME tree parser.
+ * Walks the raw bytes line by line, so bodies and attachments are sliced
+ * rather than decoded to strings, and only leaf parts are ever decoded.
+ * It needs the complete file in one buffer: parts are byte ranges into it,
+ * so memory stays near the file size plus the decoded leaves, but nothing
+ * is returned before the whole tree has been walked.
+ */
+function MimeParser(bytes, note = _ignoreNote) {
+    this.bytes = bytes;
+    this.note = note;
+}
+
+MimeParser.prototype.parse = function(start = 0, end = this.bytes.length) {
+    // Skip an mbox "From " separator line
+    if (this.bytes[start] === 0x46 && _bytesToBinaryString(this.bytes, start, Math.min(start + 5, end)) === 'From ') {
+        start = this._nextLine(start, end).next;
+    }
+    return this.parseEntity(start, end, 0, 'text/plain');
+};
+
+/**
+ * Returns the next line in [pos, end) as { start, contentEnd, next }, where
+ * contentEnd excludes the CRLF/LF terminator.
+ */
+MimeParser.prototype._nextLine = function(pos, end) {
+    let lf = this.bytes.indexOf(BYTE_LF, pos);
+    if (lf === -1 || lf >= end) return { start: pos, contentEnd: end, next: end };
+    let contentEnd = (lf > pos && this.bytes[lf - 1] === BYTE_CR) ? lf - 1 : lf;
+    return { start: pos, contentEnd, next: lf + 1 };
+};
+
+MimeParser.prototype._readHeaders = function(start, end) {
+    let headers = {}, lines = [], pos = start;
+
+    while (pos < end) {
+        let line = this._nextLine(pos, end);
+        if (line.contentEnd === line.start) { pos = line.next; break; }
+        let first = this.bytes[line.start];
+        let isContinuation = (first === 0x20 || first === 0x09);
+        if (!isContinuation && lines.length === 0 && !this._looksLikeHeader(line.start, line.contentEnd)) break;
+        if (!isContinuation && !this._looksLikeHeader(line.start, line.contentEnd)) { pos = line.start; break; }
+        lines.push(line);
+        pos = line.next;
+    }
+
+    let raw = lines.length ? this.bytes.subarray(lines[0].start, lines[lines.length - 1].contentEnd) : new Uint8Array(0);
+    let text;
+    try { text = new TextDecoder('utf-8', { fatal: true }).decode(raw); }
+    catch (e) {
+        this.note('warning', 'header-charset', 'Headers contain bytes that are not UTF-8, read as Windows-1252');
+        text = getTextDecoder('windows-1252').decode(raw);
+    }
+
+    text.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/).forEach(line => {
+        let idx = line.indexOf(':');
+        if (idx <= 0) return;
+        let key = line.substring(0, idx).trim().toLowerCase();
+        (headers[key] = headers[key] || []).push(line.substring(idx + 1).trim());
+    });
+
+    return { headers, bodyStart: pos };
+};
+
+MimeParser.prototype._looksLikeHeader = function(start, end) {
+    for (let i = start; i < end; i++) {
+        let b = this.bytes[i];
+        if (b === 0x3A) return i > start;
+        if (b <= 0x20 || b >= 0x7F) return false;
+    }
+    return false;
+};
+
+/**
+ * Parses one entity (message or body part) and, for multiparts, its children.
+ */
+MimeParser.prototype.parseEntity = function(start, end, depth, defaultType) {
+    let { headers, bodyStart } = this._readHeaders(start, end);
+    const header = (name) => headers[name] ? headers[name][0] : '';
+
+    let contentType = _parseHeaderValue(header('content-type') || defaultType);
+    if (contentType.value.indexOf('/') === -1) contentType = _parseHeaderValue(defaultType);
+    let disposition = _parseHeaderValue(header('content-disposition'));
+
+    let entity = {
+        headers: headers,
+        header: header,
+        contentType: contentType.value,
+        params: contentType.params,
+        disposition: disposition.value,
+        filename: disposition.params.filename || contentType.params.name || null,
+        contentId: header('content-id').replace(/^<|>$/g, '') || null,
+        transferEncoding: header('content-transfer-encoding').toLowerCase(),
+        bodyStart: bodyStart,
+        bodyEnd: end,
+        children: [],
+        message: null
+    };
+
+    if (depth >= MIME_MAX_DEPTH) return entity;
+
+    if (entity.contentType.indexOf('multipart/') === 0 && entity.params.boundary) {
+        let childType = entity.contentType === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+        this._splitMultipart(entity, entity.params.boundary).forEach(range => {
+            entity.children.push(this.parseEntity(range[0], range[1], depth + 1, childType));
+        });
+    } else if (entity.contentType === 'message/rfc822' && !/^(base64|quoted-printable)$/.test(entity.transferEncoding)) {
+        entity.message = this.parseEntity(bodyStart, end, depth + 1, 'text/plain');
+    }
+    return entity;
+};
+
+/**
+ * Finds the byte ranges of each body part between boundary delimiter lines.
+ * The line break preceding a delimiter belongs to the delimiter.
+ */
+MimeParser.prototype._splitMultipart = function(entity, boundary) {
+    let delimiter = _binaryStringToBytes(`--${boundary}`);
+    let ranges = [], partStart = -1, pos = entity.bodyStart;
+
+    const isDelimiter = (line) => {
+        if (line.contentEnd - line.start < delimiter.length) return false;
+        for (let i = 0; i < delimiter.length; i++) {
+            if (this.bytes[line.start + i] !== delimiter[i]) return false;
+        }
+        return true;
+    };
+
+    while (pos < entity.bodyEnd) {
+        let line = this._nextLine(pos, entity.bodyEnd);
+        if (isDelimiter(line)) {
+            if (partStart !== -1) {
+                let partEnd = line.start;
+                if (partEnd > partStart && this.bytes[partEnd - 1] === BYTE_LF) partEnd--;
+                if (partEnd > partStart && this.bytes[partEnd - 1] === BYTE_CR) partEnd--;
+                ranges.push([partStart, Math.max(partStart, partEnd)]);
+            }
+            let isClosing = this.bytes[line.start + delimiter.length] === 0x2D && this.bytes[line.start + delimiter.length + 1] === 0x2D;
+            if (isClosing) return ranges;
+            partStart = line.next;
+        }
+        pos = line.next;
+    }
+
+    // Missing closing delimiter: the last part runs to the end of the entity
+    if (partStart !== -1 && partStart < entity.bodyEnd) ranges.push([partStart, entity.bodyEnd]);
+    return ranges;
+};
+
+/**
+ * Returns the transfer-decoded bytes of a leaf entity.
+ */
+MimeParser.prototype.getContent = function(entity) {
+    let raw = this.bytes.subarray(entity.bodyStart, entity.bodyEnd);
+    if (entity.transferEncoding === 'base64') return _decodeBase64(_bytesToBinaryString(raw), this.note);
+    if (entity.transferEncoding === 'quoted-printable') return _decodeQuotedPrintable(raw);
+    return raw;
+};
+
+MimeParser.prototype.getText = function(entity) {
+    if (!entity.params.charset) this.note('info', 'charset-assumed', `${entity.contentType} part declares no charset, assumed UTF-8`);
+    return _decodeCharset(this.getContent(entity), entity.params.charset, this.note);
+};
+
+/**
+ * Reduces a parsed MIME tree to the fields MsgReader exposes: decoded
+ * headers, the preferred text and HTML bodies, and attachments.
+ */
+MimeParser.prototype.summarize = function(root) {
+    let result = {
+        subject: null, to: null, cc: null, bcc: null,
+        body: null, bodyHTML: null, attachments: []
+    };
+    if (root.headers.subject) result.subject = _decodeEncodedWords(root.header('subject'), this.note);
+    ['to', 'cc', 'bcc'].forEach(key => {
+        if (root.headers[key]) result[key] = root.headers[key].join(', ');
+    });
+
+    let plainPart = null, htmlPart = null;
+    const isAttachment = (part) => part.disposition === 'attachment' || !!part.filename;
+
+    const walk = (entity) => {
+        if (entity.children.length > 0) {
+            // multipart/alternative lists parts in increasing order of preference
+            let children = entity.contentType === 'multipart/alternative' ? [...entity.children].reverse() : entity.children;
+            children.forEach(walk);
+            return;
+        }
+        if (entity.contentType.indexOf('multipart/') === 0) return;
+        let isBodyType = entity.contentType === 'text/plain' || entity.contentType === 'text/html';
+        if (isBodyType && !isAttachment(entity)) {
+            if (entity.contentType === 'text/plain' && !plainPart) plainPart = entity;
+            if (entity.contentType === 'text/html' && !htmlPart) htmlPart = entity;
+            return;
+        }
+        result.attachments.push(this._toAttachment(entity));
+    };
+    walk(root);
+
+    const describe = (part) => `${part.contentType} part (${part.params.charset || 'no charset'}, ${part.transferEncoding || '7bit'})`;
+    if (htmlPart) {
+        this.note('info', 'mime-part', `HTML body: ${describe(htmlPart)}`);
+        result.bodyHTML = this.getText(htmlPart);
+    }
+    if (plainPart) {
+        this.note('info', 'mime-part', `Body: ${describe(plainPart)}`);
+        result.body = _normalizeText(this.getText(plainPart));
+    } else if (result.bodyHTML) {
+        this.note('info', 'html-stripped', 'Body: no text/plain part, text taken from the HTML part');
+        result.body = _stripHtml(result.bodyHTML);
+    } else {
+        this.note('warning', 'no-body', 'No text/plain or text/html body part found');
+    }
+
+    if (result.bodyHTML) {
+        result.attachments.forEach(att => {
+            if (att.contentId && result.bodyHTML.indexOf(`cid:${att.contentId}`) > -1) att.inline = true;
+        });
+    }
+    return result;
+};
+
+MimeParser.prototype._toAttachment = function(entity) {
+    let content = this.getContent(entity);
+    let filename = entity.filename;
+    if (!filename && entity.message && entity.message.headers.subject) {
+        filename = `${_decodeEncodedWords(entity.message.header('subject'), this.note).replace(/[\\/:*?"<>|]/g, '_')}.eml`;
+    }
+    if (!filename && entity.contentType === 'message/rfc822') filename = 'Attached Message.eml';
+    if (!filename) {
+        let subtype = entity.contentType.split('/')[1] || '';
+        filename = /^[a-z0-9]{1,5}$/.test(subtype) ? `attachment.${subtype}` : 'attachment';
+    }
+
+    return {
+        filename: filename,
+        mimeType: entity.contentType || _guessMimeType(filename),
+        size: content.byteLength,
+        contentId: entity.contentId,
+        inline: entity.disposition === 'inline' && !!entity.contentId,
+        content: content.slice()
+    };
+};
+
+/* =============================================================================
+   RTF DECOMPRESSION
+   ============================================================================= */
+
+const RTF_COMPRESSED_LZFU = 0x75465A4C;
+const RTF_COMPRESSED_MELA = 0x414C454D;
+const RTF_DICTIONARY_SIZE = 4096;
+const RTF_PREBUF = '{\\rtf1\\ansi\\mac\\deff0\\deftab720{\\fonttbl;}{\\f0\\fnil \\froman \\fswiss \\fmodern \\fscript \\fdecor MS Sans SerifSymbolArialTimes New RomanCourier{\\colortbl\\red0\\green0\\blue0\r\n\\par \\pard\\plain\\f0\\fs20\\b\\i\\u\\tab\\tx';
+
+// Destinations whose text never belongs to the body
+const RTF_SKIP_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+    'headerl', 'headerr', 'headerf', 'footerl', 'footerr', 'footerf', 'listtable',
+    'listoverridetable', 'revtbl', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata',
+    'colorschememapping', 'latentstyles', 'datastore', 'filetbl', 'pgdsctbl', 'mhtmltag'
+]);
+
+const RTF_CODEPAGES = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh', 65001: 'utf-8' };
+
+/**
+ * Decompresses a PR_RTF_COMPRESSED stream (MS-OXRTFCP LZFu).
+ * @param {Uint8Array} data - Raw property stream.
+ * @returns {Uint8Array|null} RTF bytes, or null if the header is unrecognized.
+ */
+function _decompressRtf(data) {
+    if (!data || data.byteLength < 16) return null;
+    let view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let compSize = view.getUint32(0, true);
+    let rawSize = view.getUint32(4, true);
+    let compType = view.getUint32(8, true);
+    let end = Math.min(data.byteLength, compSize + 4);
+
+    if (compType === RTF_COMPRESSED_MELA) return data.slice(16, Math.min(16 + rawSize, data.byteLength));
+    if (compType !== RTF_COMPRESSED_LZFU) return null;
+
+    let dict = new Uint8Array(RTF_DICTIONARY_SIZE);
+    for (let i = 0; i < RTF_PREBUF.length; i++) dict[i] = RTF_PREBUF.charCodeAt(i);
+    let writePos = RTF_PREBUF.length;
+
+    // rawSize is untrusted: a 2-byte reference expands to at most 17 bytes, and emit grows the buffer
+    let out = new Uint8Array(Math.min(rawSize, Math.max(0, end - 16) * 9));
+    let outLength = 0;
+    const emit = (b) => {
+        if (outLength === out.length) {
+            let grown = new Uint8Array(out.length * 2 + 256);
+            grown.set(out);
+            out = grown;
+        }
+        out[outLength++] = b;
+        dict[writePos] = b;
+        writePos = (writePos + 1) % RTF_DICTIONARY_SIZE;
+    };
+
+    let pos = 16;
+    while (pos < end) {
+        let control = data[pos++];
+        for (let bit = 0; bit < 8 && pos < end; bit++) {
+            if ((control & (1 << bit)) === 0) {
+                emit(data[pos++]);
+                continue;
+            }
+            if (pos + 1 >= end) { pos = end; break; }
+            let token = (data[pos] << 8) | data[pos + 1];
+            pos += 2;
+            let offset = token >> 4;
+            let length = (token & 0x0F) + 2;
+            if (offset === writePos) return out.slice(0, outLength); // End-of-stream marker
+            for (let i = 0; i < length; i++) emit(dict[(offset + i) % RTF_DICTIONARY_SIZE]);
+        }
+    }
+    return out.slice(0, outLength);
+}
+
+/**
+ * Converts RTF to plain text, or de-encapsulates the original HTML when the
+ * RTF was generated from HTML (\fromhtml1, MS-OXRTFEX).
+ * @param {string} rtf - RTF source as a binary string.
+ * @param {Function} [note] - Diagnostics sink, see _ignoreNote.
+ * @returns {{ text: string|null, html: string|null }}
+ */
+function _convertRtf(rtf, note = _ignoreNote) {
+    if (!rtf || rtf.indexOf('{\\rtf') === -1) return { text: null, html: null };
+    let fromHtml = /\\fromhtml1/.test(rtf.substring(0, 1024));
+
+    let cpgMatch = rtf.match(/\\ansicpg(\d+)/);
+    let codepage = cpgMatch ? (RTF_CODEPAGES[cpgMatch[1]] || `windows-${cpgMatch[1]}`) : 'windows-1252';
+    note('info', 'rtf-codepage', cpgMatch ? `RTF code page ${cpgMatch[1]} (${codepage})` : 'RTF declares no code page, assumed windows-1252');
+
+    let out = '';
+    let pendingBytes = [];
+    let state = { skip: false, htmlrtf: false, htmltag: false, uc: 1 };
+    let stack = [];
+    let skipChars = 0;
+
+    const flushBytes = () => {
+        if (pendingBytes.length === 0) return;
+        out += _decodeCharset(Uint8Array.from(pendingBytes), codepage, note);
+        pendingBytes = [];
+    };
+    const isSuppressed = () => state.skip || (fromHtml && state.htmlrtf && !state.htmltag);
+    const write = (str) => {
+        if (isSuppressed()) return;
+        flushBytes();
+        out += str;
+    };
+
+    let i = 0;
+    let groupStart = false;
+    while (i < rtf.length) {
+        let ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push(state);
+            state = Object.assign({}, state);
+            groupStart = true;
+            i++;
+            continue;
+        }
+        if (ch === '}') {
+            if (stack.length) state = stack.pop();
+            groupStart = false;
+            i++;
+            continue;
+        }
+        if (ch === '\r' || ch === '\n') { i++; continue; }
+
+        if (ch !== '\\') {
+            if (skipChars > 0) skipChars--;
+            else write(ch);
+            groupStart = false;
+            i++;
+            continue;
+        }
+
+        // Control symbols and words
+        let next = rtf[i + 1];
+        if (next === '\\' || next === '{' || next === '}') {
+            if (skipChars > 0) skipChars--;
+            else write(next);
+            i += 2;
+            continue;
+        }
+        if (next === "'") {
+            let byte = parseInt(rtf.substr(i + 2, 2), 16);
+            i += 4;
+            if (skipChars > 0) { skipChars--; continue; }
+            if (!isSuppressed() && !isNaN(byte)) pendingBytes.push(byte);
+            continue;
+        }
+        if (next === '*') {
+            // Ignorable destination unless it carries encapsulated HTML
+            let word = rtf.substr(i + 2, 16).match(/^\s*\\([a-z]+)/);
+            if (!(fromHtml && word && word[1] === 'htmltag')) state.skip = true;
+            i += 2;
+            continue;
+        }
+        if (next === '~') { write(' '); i += 2; continue; }
+        if (next === '-' || next === '_') { i += 2; continue; }
+
+        let match = rtf.substring(i, i + 64).match(/^\\([a-z]+)(-?\d+)? ?/);
+        if (!match) { i += 2; continue; }
+        i += match[0].length;
+        let word = match[1];
+        let param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+        let wasGroupStart = groupStart;
+        groupStart = false;
+
+        if (skipChars > 0) { skipChars--; continue; }
+
+        if (wasGroupStart && RTF_SKIP_DESTINATIONS.has(word)) { state.skip = true; continue; }
+
+        switch (word) {
+            case 'htmltag': state.htmltag = true; state.skip = false; break;
+            case 'htmlrtf': state.htmlrtf = param !== 0; break;
+            case 'uc': state.uc = param === null ? 1 : param; break;
+            case 'u': {
+                let code = param < 0 ? param + 65536 : param;
+                write(String.fromCharCode(code));
+                skipChars = state.uc;
+                break;
+            }
+            case 'par': case 'line': write(fromHtml ? '\r\n' : '\n'); break;
+            case 'tab': write('\t'); break;
+            case 'emdash': write('—'); break;
+            case 'endash': write('–'); break;
+            case 'bullet': write('•'); break;
+            case 'lquote': write('‘'); break;
+            case 'rquote': write('’'); break;
+            case 'ldblquote': write('“'); break;
+            case 'rdblquote': write('”'); break;
+            default: break;
+        }
+    }
+    flushBytes();
+
+    if (fromHtml) return { text: null, html: out };
+    return { text: _normalizeText(out), html: null };
+}
+
 /* =============================================================================
    PARSER LOGIC
    ============================================================================= */
@@ -196,9 +892,8 @@ function _parsePropTag(entryName) {
         if (parts.length >= 3) propTagStr = parts[2];
         else return null;
     }
-    try {
-        return { id: parseInt(propTagStr.substring(0, 4), 16), type: parseInt(propTagStr.substring(4, 8), 16) };
-    } catch (e) { return null; }
+    if (!/^[0-9A-Fa-f]{8}$/.test(propTagStr)) return null;
+    return { id: parseInt(propTagStr.substring(0, 4), 16), type: parseInt(propTagStr.substring(4, 8), 16) };
 }
 
 function _shouldStoreProperty(propId, newPropType, existingProp) {
@@ -214,13 +909,16 @@ function _shouldStoreProperty(propId, newPropType, existingProp) {
     return false;
 }
 
+// addr-spec with a dot-atom or quoted local part and a hostname (IDN allowed) or address literal
+const ADDR_SPEC_PATTERN = /(?:"(?:[^"\\\r\n]|\\.)*"|[\w!#$%&'*+/=?^`{|}~\-\u{80}-\u{10FFFF}]+(?:\.[\w!#$%&'*+/=?^`{|}~\-\u{80}-\u{10FFFF}]+)*)@(?:\[[^\[\]\s]+\]|(?:[\p{L}\p{N}](?:[\p{L}\p{N}\p{M}-]*[\p{L}\p{N}])?\.)+(?:xn--[a-z0-9-]+|[\p{L}\p{M}]{2,}))/iu;
+
 function parseAddress(addr) {
     if (!addr) return { name: '', email: null };
     addr = addr.trim();
     let email = addr, name = addr;
     let match = addr.match(/^(.*)<([^>]+)>$/);
     if (match) { name = match[1].trim().replace(/^"|"$/g, ''); email = match[2].trim(); }
-    let emailMatch = email.match(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i);
+    let emailMatch = email.match(ADDR_SPEC_PATTERN);
     if (emailMatch) {
         email = emailMatch[0];
         if (name === addr) name = (name === email) ? '' : name.replace(email, '').trim();
@@ -238,136 +936,187 @@ function MsgReaderParser(arrayBuffer) {
     this.buffer = arrayBuffer instanceof ArrayBuffer ? arrayBuffer : new Uint8Array(arrayBuffer).buffer;
     this.dataView = new DataView(this.buffer);
     this.header = null; this.fat = null; this.miniFat = null;
-    this.directoryEntries = []; this.properties = {}; this._mimeScanCache = null;
+    this.directoryEntries = []; this.directoryIndex = [];
+    this.properties = {}; this._mimeScanCache = null;
+    this.diagnostics = [];
+    this.note = this.note.bind(this);
 }
 
+/**
+ * Records a diagnostic, once per distinct message.
+ * @param {string} level - 'info' or 'warning'.
+ * @param {string} code - Stable identifier, e.g. 'utf8-fallback'.
+ * @param {string} message - Human-readable explanation.
+ */
+MsgReaderParser.prototype.note = function(level, code, message) {
+    if (this.diagnostics.some(d => d.code === code && d.message === message)) return;
+    this.diagnostics.push({ level, code, message });
+};
+
 MsgReaderParser.prototype.parse = function() {
-    this.readHeader(); this.readFAT(); this.readMiniFAT(); this.readDirectory(); this.extractProperties();
+    this.readHeader();
+    this.note('info', 'format', `OLE compound file, version ${this.header.majorVersion} (${this.header.sectorSize}-byte sectors)`);
+    this.readFAT(); this.readMiniFAT(); this.readDirectory(); this.extractProperties();
+    this.extractAttachments();
     return {
         getFieldValue: this.getFieldValue.bind(this),
         subject: this.getFieldValue('subject'),
         body: this.getFieldValue('body'),
         bodyHTML: this.getFieldValue('bodyHTML'),
-        recipients: this.getFieldValue('recipients')
+        recipients: this.getFieldValue('recipients'),
+        attachments: this.getFieldValue('attachments'),
+        diagnostics: this.diagnostics
     };
 };
 
 MsgReaderParser.prototype.parseMime = function() {
-    this._mimeScanCache = null;
-    let rawText = '';
-    try { rawText = new TextDecoder('utf-8', { fatal: false }).decode(this.dataView); }
-    catch (e) { 
-        try { rawText = new TextDecoder('latin1').decode(this.dataView); }
-        catch (e2) { rawText = ''; }
-    }
-    
-    let mimeData = this._scanBufferForMimeText(rawText);
+    this.note('info', 'format', 'MIME message');
+    let parser = new MimeParser(new Uint8Array(this.buffer), this.note);
+    let mimeData = parser.summarize(parser.parse());
+    this._mimeScanCache = mimeData;
     let recipients = [];
     
     let parseMimeAddresses = (addrString, type) => {
         if (!addrString) return;
-        addrString.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/).forEach(addr => {
-            let parsed = parseAddress(addr);
+        _splitAddressList(addrString).forEach(addr => {
+            let parsed = parseAddress(_decodeEncodedWords(addr, this.note));
             if (parsed.email) recipients.push({ name: parsed.name, email: parsed.email, recipientType: type });
         });
     };
 
     parseMimeAddresses(mimeData.to, RECIPIENT_TYPE_TO);
     parseMimeAddresses(mimeData.cc, RECIPIENT_TYPE_CC);
-    let bccMatch = rawText.match(/^Bcc:\s*([^\r\n]+)/im);
-    if (bccMatch) parseMimeAddresses(bccMatch[1].trim(), RECIPIENT_TYPE_BCC);
+    parseMimeAddresses(mimeData.bcc, RECIPIENT_TYPE_BCC);
 
     this.properties[PROP_ID_SUBJECT] = { id: PROP_ID_SUBJECT, value: mimeData.subject };
     this.properties[PROP_ID_BODY] = { id: PROP_ID_BODY, value: mimeData.body };
-    this.properties[PROP_ID_HTML_BODY] = { id: PROP_ID_HTML_BODY, value: null };
+    this.properties[PROP_ID_HTML_BODY] = { id: PROP_ID_HTML_BODY, value: mimeData.bodyHTML };
     this.properties['recipients'] = { id: 0, value: recipients };
+    this.properties['attachments'] = { id: 0, value: mimeData.attachments };
 
     return {
         getFieldValue: this.getFieldValue.bind(this),
         subject: mimeData.subject,
         body: mimeData.body,
-        bodyHTML: null, recipients: recipients
+        bodyHTML: mimeData.bodyHTML, recipients: recipients,
+        attachments: mimeData.attachments,
+        diagnostics: this.diagnostics
     };
 };
 
 MsgReaderParser.prototype.readHeader = function() {
-    if (this.buffer.byteLength < 512) throw new Error('File too small to be a valid OLE file');
-    if (this.dataView.getUint32(0, true) !== 0xE011CFD0) throw new Error('Invalid OLE file signature.');
+    if (this.buffer.byteLength < OLE_HEADER_SIZE) throw new Error('File too small to be a valid OLE file');
+    if (this.dataView.getUint32(0, true) !== OLE_SIGNATURE) throw new Error('Invalid OLE file signature.');
     this.header = {
+        majorVersion: this.dataView.getUint16(26, true),
         sectorShift: this.dataView.getUint16(30, true),
         miniSectorShift: this.dataView.getUint16(32, true),
         fatSectors: this.dataView.getUint32(44, true),
         directoryFirstSector: this.dataView.getUint32(48, true),
+        miniStreamCutoff: this.dataView.getUint32(56, true),
         miniFatFirstSector: this.dataView.getUint32(60, true),
         miniFatTotalSectors: this.dataView.getUint32(64, true),
         difFirstSector: this.dataView.getUint32(68, true),
         difTotalSectors: this.dataView.getUint32(72, true)
     };
+    // Version 3 files use 512-byte sectors, version 4 files 4096-byte ones
+    if (this.header.sectorShift !== 9 && this.header.sectorShift !== 12) {
+        throw new Error(`Unsupported OLE sector size (2^${this.header.sectorShift} bytes)`);
+    }
+    if (this.header.miniSectorShift !== 6) {
+        throw new Error(`Unsupported OLE mini sector size (2^${this.header.miniSectorShift} bytes)`);
+    }
     this.header.sectorSize = Math.pow(2, this.header.sectorShift);
     this.header.miniSectorSize = Math.pow(2, this.header.miniSectorShift);
+    if (!this.header.miniStreamCutoff) this.header.miniStreamCutoff = 4096;
+};
+
+/**
+ * Byte offset of a regular sector. The header fills sector -1, so with
+ * 4096-byte sectors the first sector starts at 4096, not 512.
+ */
+MsgReaderParser.prototype._sectorOffset = function(sector) {
+    let offset = (sector + 1) * this.header.sectorSize;
+    if (offset >= this.buffer.byteLength) {
+        throw new Error(`Corrupt OLE file: sector ${sector} is past the end of the file`);
+    }
+    return offset;
 };
 
+/**
+ * Reads the FAT from the sectors listed in the header's 109 DIFAT entries
+ * and, for larger files, the DIFAT sector chain that continues the list.
+ */
 MsgReaderParser.prototype.readFAT = function() {
-    let sectorSize = this.header.sectorSize, entriesPerSector = sectorSize / 4;
-    this.fat = [];
+    let entriesPerSector = this.header.sectorSize / 4;
+    let fatSectorCount = this.header.fatSectors;
     let fatSectorPositions = [];
-    for (let i = 0; i < 109 && i < this.header.fatSectors; i++) {
-        let s = this.dataView.getUint32(76 + i * 4, true);
-        if (s !== 0xFFFFFFFE && s !== 0xFFFFFFFF) fatSectorPositions.push(s);
-    }
-    if (this.header.difTotalSectors > 0) {
-        let difSector = this.header.difFirstSector;
-        let sectorsRead = 0;
-        while (difSector !== 0xFFFFFFFE && difSector !== 0xFFFFFFFF && sectorsRead < this.header.difTotalSectors) {
-            let difOffset = 512 + difSector * sectorSize;
-            for (let j = 0; j < entriesPerSector - 1; j++) {
-                let s = this.dataView.getUint32(difOffset + j * 4, true);
-                if (s !== 0xFFFFFFFE && s !== 0xFFFFFFFF) fatSectorPositions.push(s);
-            }
-            difSector = this.dataView.getUint32(difOffset + (entriesPerSector - 1) * 4, true);
-            sectorsRead++;
-        }
+    let addFatSector = (s) => {
+        if (s <= OLE_MAX_REGULAR_SECTOR && fatSectorPositions.length < fatSectorCount) fatSectorPositions.push(s);
+    };
+
+    for (let i = 0; i < OLE_HEADER_DIFAT_ENTRIES; i++) addFatSector(this.dataView.getUint32(76 + i * 4, true));
+
+    // Each DIFAT sector holds entriesPerSector - 1 FAT sector ids, then the next DIFAT sector
+    let difSector = this.header.difFirstSector;
+    let visited = new Set();
+    while (fatSectorPositions.length < fatSectorCount && difSector <= OLE_MAX_REGULAR_SECTOR) {
+        if (visited.has(difSector)) throw new Error(`Corrupt OLE file: DIFAT chain loops at sector ${difSector}`);
+        visited.add(difSector);
+        let offset = this._sectorOffset(difSector);
+        for (let j = 0; j < entriesPerSector - 1; j++) addFatSector(this.dataView.getUint32(offset + j * 4, true));
+        difSector = this.dataView.getUint32(offset + (entriesPerSector - 1) * 4, true);
     }
-    for (let i = 0; i < fatSectorPositions.length; i++) {
-        let offset = 512 + fatSectorPositions[i] * sectorSize;
-        for (let j = 0; j < entriesPerSector; j++) {
-            if (offset + j * 4 + 4 <= this.buffer.byteLength) this.fat.push(this.dataView.getUint32(offset + j * 4, true));
-        }
+    if (fatSectorPositions.length < fatSectorCount) {
+        throw new Error(`Corrupt OLE file: found ${fatSectorPositions.length} of ${fatSectorCount} FAT sectors (DIFAT chain is incomplete)`);
     }
+
+    this.fat = new Uint32Array(fatSectorCount * entriesPerSector);
+    fatSectorPositions.forEach((sector, i) => {
+        let offset = this._sectorOffset(sector);
+        let count = Math.min(entriesPerSector, (this.buffer.byteLength - offset) >> 2);
+        for (let j = 0; j < count; j++) this.fat[i * entriesPerSector + j] = this.dataView.getUint32(offset + j * 4, true);
+        // A truncated last FAT sector leaves its remaining entries free
+        this.fat.fill(OLE_FREESECT, i * entriesPerSector + count, (i + 1) * entriesPerSector);
+    });
 };
 
 MsgReaderParser.prototype.readMiniFAT = function() {
-    if (this.header.miniFatFirstSector === 0xFFFFFFFE) { this.miniFat = []; return; }
-    this.miniFat = [];
-    let sector = this.header.miniFatFirstSector, sectorSize = this.header.sectorSize;
-    let sectorsRead = 0; 
-    while (sector !== 0xFFFFFFFE && sector !== 0xFFFFFFFF && sectorsRead < this.header.miniFatTotalSectors) {
-        let offset = 512 + sector * sectorSize;
-        for (let i = 0; i < sectorSize / 4; i++) {
-            if (offset + i * 4 + 4 <= this.buffer.byteLength) this.miniFat.push(this.dataView.getUint32(offset + i * 4, true));
-        }
-        if (sector >= this.fat.length) break;
-        sector = this.fat[sector];
-        sectorsRead++;
+    if (this.header.miniFatFirstSector === OLE_ENDOFCHAIN || this.header.miniFatTotalSectors === 0) {
+        this.miniFat = new Uint32Array(0);
+        return;
     }
+    let size = this.header.miniFatTotalSectors * this.header.sectorSize;
+    let data = this._readSectorChain(this.header.miniFatFirstSector, this.header.sectorSize, this.fat, size, 'MiniFAT');
+    let view = new DataView(data.buffer);
+    this.miniFat = new Uint32Array(size / 4);
+    for (let i = 0; i < this.miniFat.length; i++) this.miniFat[i] = view.getUint32(i * 4, true);
 };
 
+/**
+ * Reads every directory entry. An entry's id is its position in the
+ * directory stream (its SID), which sibling and child links refer to, so
+ * unused slots keep their place in directoryIndex.
+ */
 MsgReaderParser.prototype.readDirectory = function() {
-    let sector = this.header.directoryFirstSector, sectorSize = this.header.sectorSize, entrySize = 128;
-    let sectorsRead = 0;
-    while (sector !== 0xFFFFFFFE && sector !== 0xFFFFFFFF) {
-        let offset = 512 + sector * sectorSize;
-        for (let i = 0; i < sectorSize / entrySize; i++) {
-            let entryOffset = offset + i * entrySize;
-            if (entryOffset + entrySize > this.buffer.byteLength) break;
+    let sectorSize = this.header.sectorSize;
+    let sectors = this._chainSectors(this.header.directoryFirstSector, this.fat, this.fat.length, 'directory');
+    let entriesPerSector = sectorSize / OLE_DIR_ENTRY_SIZE;
+    sectors.forEach((sector, s) => {
+        let offset = this._sectorOffset(sector);
+        for (let i = 0; i < entriesPerSector; i++) {
+            let entryOffset = offset + i * OLE_DIR_ENTRY_SIZE;
+            if (entryOffset + OLE_DIR_ENTRY_SIZE > this.buffer.byteLength) break;
             let entry = this.readDirectoryEntry(entryOffset);
-            if (entry && entry.name) this.directoryEntries.push(entry);
+            if (!entry || !entry.name) continue;
+            entry.id = s * entriesPerSector + i;
+            this.directoryEntries.push(entry);
+            this.directoryIndex[entry.id] = entry;
         }
-        if (sector >= this.fat.length) break;
-        sector = this.fat[sector];
-        sectorsRead++;
+    });
+    if (!this.directoryIndex[0] || this.directoryIndex[0].type !== OLE_ENTRY_ROOT) {
+        throw new Error('Corrupt OLE file: the directory has no root entry');
     }
-    this.directoryEntries.forEach((de, idx) => de.id = idx);
 };
 
 MsgReaderParser.prototype.readDirectoryEntry = function(offset) {
@@ -375,7 +1124,10 @@ MsgReaderParser.prototype.readDirectoryEntry = function(offset) {
     if (nameLen === 0 || nameLen > 64) return null;
     let name = dataViewToString(new DataView(this.buffer, offset, Math.min(nameLen, 64)), 'utf16le');
     let type = this.dataView.getUint8(offset + 66);
-    if (type !== 1 && type !== 2 && type !== 5) return null;
+    if (type !== 1 && type !== 2 && type !== OLE_ENTRY_ROOT) return null;
+    // Version 3 writers may leave garbage in the high half of the 64-bit size
+    let sizeHigh = this.header.majorVersion === 4 ? this.dataView.getUint32(offset + 124, true) : 0;
+    if (sizeHigh !== 0) throw new Error(`Unsupported OLE file: stream "${name}" is larger than 4 GB`);
     return {
         name: name, type: type,
         startSector: this.dataView.getUint32(offset + 116, true),
@@ -387,154 +1139,125 @@ MsgReaderParser.prototype.readDirectoryEntry = function(offset) {
     };
 };
 
-MsgReaderParser.prototype._readSectorChain = function(startSector, sectorSize, fatArray, totalSize) {
-    let data = new Uint8Array(totalSize);
-    let dataOffset = 0;
+/**
+ * Follows a sector chain through an allocation table.
+ * @param {number} startSector - First sector of the chain.
+ * @param {Uint32Array} fatArray - FAT or MiniFAT.
+ * @param {number} maxSectors - Stops after this many sectors.
+ * @param {string} label - What the chain holds, for error messages.
+ * @returns {number[]} Sector ids in order.
+ */
+MsgReaderParser.prototype._chainSectors = function(startSector, fatArray, maxSectors, label) {
+    let sectors = [];
+    let visited = new Set();
     let sector = startSector;
-    
-    while (sector !== 0xFFFFFFFE && sector !== 0xFFFFFFFF && dataOffset < totalSize) {
-        let offset = (fatArray === this.miniFat) 
-            ? sector * sectorSize 
-            : 512 + sector * sectorSize;
-            
-        let sourceData = (fatArray === this.miniFat)
-            ? this._miniStreamData
-            : this.dataView; 
-            
-        let copy = Math.min(sectorSize, totalSize - dataOffset);
-        
-        for (let i = 0; i < copy; i++) {
-            data[dataOffset++] = (fatArray === this.miniFat) 
-                ? sourceData[offset + i] 
-                : sourceData.getUint8(offset + i);
+    while (sector !== OLE_ENDOFCHAIN && sectors.length < maxSectors) {
+        if (sector >= fatArray.length) {
+            throw new Error(`Corrupt OLE file: ${label} chain points to sector ${sector}, outside the ${fatArray === this.miniFat ? 'MiniFAT' : 'FAT'}`);
         }
-        
-        if (sector >= fatArray.length) break;
+        if (visited.has(sector)) throw new Error(`Corrupt OLE file: ${label} chain loops at sector ${sector}`);
+        visited.add(sector);
+        sectors.push(sector);
         sector = fatArray[sector];
     }
+    return sectors;
+};
+
+/**
+ * Reads totalSize bytes from a chain of regular sectors (fatArray is the
+ * FAT) or mini sectors (fatArray is the MiniFAT). Throws rather than return
+ * partial data when the chain is too short, loops or leaves the file.
+ */
+MsgReaderParser.prototype._readSectorChain = function(startSector, sectorSize, fatArray, totalSize, label = 'stream') {
+    let isMini = fatArray === this.miniFat;
+    let source = isMini ? this._miniStreamData : new Uint8Array(this.buffer);
+    let sectors = this._chainSectors(startSector, fatArray, Math.ceil(totalSize / sectorSize), label);
+    if (sectors.length * sectorSize < totalSize) {
+        throw new Error(`Corrupt OLE file: ${label} chain ends after ${sectors.length * sectorSize} of ${totalSize} bytes`);
+    }
+
+    let data = new Uint8Array(totalSize);
+    sectors.forEach((sector, i) => {
+        let offset = isMini ? sector * sectorSize : this._sectorOffset(sector);
+        let length = Math.min(sectorSize, totalSize - i * sectorSize);
+        if (offset + length > source.length) {
+            throw new Error(`Corrupt OLE file: ${label} is truncated at sector ${sector}`);
+        }
+        data.set(source.subarray(offset, offset + length), i * sectorSize);
+    });
     return data;
 };
 
 MsgReaderParser.prototype.readStream = function(entry) {
     if (!entry || entry.size === 0) return new Uint8Array(0);
     
-    if (entry.size < 4096 && entry.type !== 5) {
-        let root = this.directoryEntries.find(e => e.type === 5);
-        if (!root) return new Uint8Array(0);
-        
+    if (entry.size < this.header.miniStreamCutoff && entry.type !== OLE_ENTRY_ROOT) {
         if (!this._miniStreamData) {
-             this._miniStreamData = this.readStream(root);
+            this._miniStreamData = this.readStream(this.directoryIndex[0]);
         }
-        
-        return this._readSectorChain(entry.startSector, this.header.miniSectorSize, this.miniFat, entry.size);
+        return this._readSectorChain(entry.startSector, this.header.miniSectorSize, this.miniFat, entry.size, `"${entry.name}"`);
     } else {
-        return this._readSectorChain(entry.startSector, this.header.sectorSize, this.fat, entry.size);
+        return this._readSectorChain(entry.startSector, this.header.sectorSize, this.fat, entry.size, `"${entry.name}"`);
     }
 };
 
-MsgReaderParser.prototype._scanBufferForMimeText = function(rawText) {
-    if (this._mimeScanCache) return this._mimeScanCache;
-    
-    if (!rawText) {
-        try { rawText = new TextDecoder('utf-8', { fatal: false }).decode(this.dataView); }
-        catch (e) { 
-            try { rawText = new TextDecoder('latin1').decode(this.dataView); }
-            catch (e2) { 
-                return { subject: null, to: null, cc: null, body: null };
-            }
-        }
+const MIME_SCAN_HEADERS = ['Return-Path', 'Received', 'From', 'Date', 'Subject', 'To', 'MIME-Version', 'Message-ID'];
+
+/**
+ * Offset of the first line starting with a common RFC 5322 header name and
+ * a colon, or -1. Bytes are compared in place, so the file is never decoded.
+ */
+function _findHeaderLine(bytes) {
+    let names = MIME_SCAN_HEADERS.map(name => Array.from(`${name.toLowerCase()}:`, ch => ch.charCodeAt(0)));
+    let lower = (b) => (b >= 0x41 && b <= 0x5A) ? b | 0x20 : b;
+    for (let pos = 0; pos < bytes.length; pos++) {
+        if (pos > 0 && bytes[pos - 1] !== BYTE_LF && bytes[pos - 1] !== BYTE_CR) continue;
+        if (names.some(name => name.every((code, i) => lower(bytes[pos + i]) === code))) return pos;
     }
+    return -1;
+}
 
-    let result = { subject: null, to: null, cc: null, body: null };
-    
-    const findField = (name) => {
-        const search = new RegExp(`\\b${name}:\\s*([^\\r\\n]+)`, 'i');
-        const match = rawText.match(search);
-        return match ? match[1].trim() : null;
-    };
-    
-    result.subject = findField('Subject');
-    result.to = findField('To');
-    result.cc = findField('Cc');
-    
-    let headerEndIndex = rawText.indexOf('\r\n\r\n');
-    let headerOffset = 4;
+/**
+ * Fallback for OLE files without subject/body properties: locates an
+ * embedded RFC 5322 header block (e.g. transport headers or a wrapped
+ * message) in the raw buffer and parses it with the MIME parser.
+ * @param {string} missing - Fields being looked for, for the diagnostics.
+ */
+MsgReaderParser.prototype._scanBufferForMimeText = function(missing) {
+    if (this._mimeScanCache) return this._mimeScanCache;
 
-    if (headerEndIndex === -1) {
-        headerEndIndex = rawText.indexOf('\n\n');
-        headerOffset = 2;
-    }
-    
-    if (headerEndIndex !== -1) {
-        let bodyText = rawText.substring(headerEndIndex + headerOffset);
-        let encoding = null;
-        let charset = 'utf-8'; // Default
-
-        if (/Content-Type:\s*multipart/i.test(rawText)) {
-             const plainMatch = bodyText.match(/Content-Type:\s*text\/plain/i);
-             if (plainMatch) {
-                 const plainTypeIndex = plainMatch.index;
-                 
-                 let start = -1;
-                 let startOffset = 0;
-                 
-                 const rnrn = bodyText.indexOf('\r\n\r\n', plainTypeIndex);
-                 const nn = bodyText.indexOf('\n\n', plainTypeIndex);
-                 
-                 if (rnrn !== -1 && (nn === -1 || rnrn < nn)) {
-                     start = rnrn;
-                     startOffset = 4;
-                 } else if (nn !== -1) {
-                     start = nn;
-                     startOffset = 2;
-                 }
-                 
-                 const partHeaders = bodyText.substring(plainTypeIndex, start);
-                 if (/Content-Transfer-Encoding:\s*quoted-printable/i.test(partHeaders)) {
-                     encoding = 'quoted-printable';
-                 }
-                 
-                 const charsetMatch = partHeaders.match(/charset=["']?([^"';\r\n]+)/i);
-                 if (charsetMatch) charset = charsetMatch[1];
-
-                 if (start !== -1) {
-                     let end = -1;
-                     const boundRN = bodyText.indexOf('\r\n--', start + startOffset);
-                     const boundN = bodyText.indexOf('\n--', start + startOffset);
-                     
-                     if (boundRN !== -1 && (boundN === -1 || boundRN < boundN)) {
-                         end = boundRN;
-                     } else if (boundN !== -1) {
-                         end = boundN;
-                     }
-                     
-                     if (end === -1) end = bodyText.length;
-                     
-                     bodyText = bodyText.substring(start + startOffset, end).trim();
-                 }
-             }
-        } else {
-             if (rawText.match(/^Content-Transfer-Encoding:\s*quoted-printable/im)) {
-                encoding = 'quoted-printable';
-             }
-             // Check global charset
-             const charsetMatch = rawText.match(/charset=["']?([^"';\r\n]+)/i);
-             if (charsetMatch) charset = charsetMatch[1];
-        }
-        
-        result.body = (encoding === 'quoted-printable') ? _decodeQuotedPrintable(bodyText, charset) : bodyText;
+    let bytes = new Uint8Array(this.buffer);
+    let start = _findHeaderLine(bytes);
+
+    let result = { subject: null, to: null, cc: null, bcc: null, body: null, bodyHTML: null, attachments: [] };
+    if (start >= 0) {
+        this.note('warning', 'mime-scan', `No ${missing} property, read from MIME headers found at byte ${start}`);
+        let parser = new MimeParser(bytes, (level, code, message) => this.note(level, code, `Raw MIME scan: ${message}`));
+        result = parser.summarize(parser.parse(start));
+    } else {
+        this.note('warning', 'mime-scan', `No ${missing} property, and no MIME headers found in the raw file`);
     }
-    
+
     this._mimeScanCache = result;
     return result;
 };
 
 MsgReaderParser.prototype.extractProperties = function() {
     let self = this, rawProps = {};
+    // Attachment storages (including embedded messages) carry their own subject/body streams
+    let attachmentEntryIds = new Set();
+    this.directoryEntries
+        .filter(entry => entry.type === 1 && entry.name.indexOf('__attach_version1.0_') === 0)
+        .forEach(storage => this._findDescendants(storage.id).forEach(d => attachmentEntryIds.add(d.id)));
+
     this.directoryEntries.forEach(entry => {
+        if (attachmentEntryIds.has(entry.id)) return;
         if (entry.name.indexOf('__substg1.0_') !== 0 || entry.name.indexOf('__recip_version1.0_') > -1) return;
         let propTag = _parsePropTag(entry.name);
-        if (!propTag) return;
+        if (!propTag) {
+            self.note('warning', 'unknown-stream', `Skipped stream "${entry.name}": no property tag in its name`);
+            return;
+        }
         if (!_shouldStoreProperty(propTag.id, propTag.type, rawProps[propTag.id])) return;
         rawProps[propTag.id] = { id: propTag.id, type: propTag.type, data: self.readStream(entry) };
     });
@@ -562,7 +1285,25 @@ MsgReaderParser.prototype.extractProperties = function() {
          this.properties[PROP_ID_BODY] = { id: PROP_ID_BODY, value: body };
     }
 
-    if (!body && bodyHtml) body = _stripHtml(bodyHtml);
+    // Many Outlook templates only store the body as compressed RTF
+    if (!bodyHtml && rawProps[PROP_ID_RTF_COMPRESSED]) {
+        let rtfBytes = _decompressRtf(rawProps[PROP_ID_RTF_COMPRESSED].data);
+        if (!rtfBytes) this.note('warning', 'rtf-unreadable', 'Compressed RTF body has an unknown header and was ignored');
+        let rtf = rtfBytes ? _convertRtf(_bytesToBinaryString(rtfBytes), this.note) : { text: null, html: null };
+        if (rtf.html) {
+            this.note('info', 'rtf-html', 'HTML body: recovered from the compressed RTF body');
+            bodyHtml = rtf.html;
+            this.properties[PROP_ID_HTML_BODY] = { id: PROP_ID_HTML_BODY, value: bodyHtml };
+        } else if (!body && rtf.text) {
+            this.note('info', 'rtf-text', 'Body: no plain-text property, converted from the compressed RTF body');
+            body = rtf.text;
+        }
+    }
+
+    if (!body && bodyHtml) {
+        this.note('info', 'html-stripped', 'Body: no plain-text property, text taken from the HTML body');
+        body = _stripHtml(bodyHtml);
+    }
     if (body) this.properties[PROP_ID_BODY] = { id: PROP_ID_BODY, value: body };
 
     Object.values(rawProps).forEach(p => {
@@ -571,9 +1312,12 @@ MsgReaderParser.prototype.extractProperties = function() {
         }
     });
 
-    let mimeData = this._scanBufferForMimeText(null);
-    if (!this.properties[PROP_ID_SUBJECT]) this.properties[PROP_ID_SUBJECT] = { value: mimeData.subject };
-    if (!this.properties[PROP_ID_BODY]) this.properties[PROP_ID_BODY] = { value: mimeData.body };
+    if (!this.properties[PROP_ID_SUBJECT] || !this.properties[PROP_ID_BODY]) {
+        let missing = ['subject', 'body'].filter(name => !this.getFieldValue(name)).join(' or ');
+        let mimeData = this._scanBufferForMimeText(missing);
+        if (!this.properties[PROP_ID_SUBJECT]) this.properties[PROP_ID_SUBJECT] = { value: mimeData.subject };
+        if (!this.properties[PROP_ID_BODY]) this.properties[PROP_ID_BODY] = { value: mimeData.body };
+    }
 
     this.extractRecipients();
 };
@@ -586,8 +1330,10 @@ MsgReaderParser.prototype.convertPropertyValue = function(data, type, propId) {
     
     if (isBodyProp || type === PROP_TYPE_STRING || type === PROP_TYPE_STRING8) {
         let u16 = '', u8 = '';
-        try { u16 = dataViewToString(view, 'utf16le'); } catch (e) {}
-        try { u8 = dataViewToString(view, 'utf-8'); } catch (e) {}
+        // Both decodings are tried; only fallbacks of the one kept are reported
+        let u16Notes = [], u8Notes = [];
+        try { u16 = dataViewToString(view, 'utf16le', (...args) => u16Notes.push(args)); } catch (e) {}
+        try { u8 = dataViewToString(view, 'utf-8', (...args) => u8Notes.push(args)); } catch (e) {}
         
         let isPrintable = (s) => {
             if (!s || s.length === 0) return false;
@@ -610,6 +1356,7 @@ MsgReaderParser.prototype.convertPropertyValue = function(data, type, propId) {
         }
         
         let text = useU16 ? u16 : u8;
+        if (text) this._noteDecoder(propId, type, useU16, u16IsBetter || u8IsBetter, useU16 ? u16Notes : u8Notes);
 
         if (propId === PROP_ID_BODY) return _normalizeText(_stripHtml(text));
         
@@ -623,10 +1370,30 @@ MsgReaderParser.prototype.convertPropertyValue = function(data, type, propId) {
     return data;
 };
 
+/**
+ * Reports which decoding convertPropertyValue kept for a string property:
+ * always for the subject and bodies, and for other properties only when the
+ * choice contradicts the stored type or neither decoding was readable.
+ */
+MsgReaderParser.prototype._noteDecoder = function(propId, type, useU16, readable, fallbacks) {
+    let label = PROP_LABELS[propId] || `Property 0x${propId.toString(16).toUpperCase().padStart(4, '0')}`;
+    let stored = type === PROP_TYPE_STRING8 ? 'Unicode' : type === PROP_TYPE_STRING ? 'ANSI' : 'binary';
+    let decoder = useU16 ? 'UTF-16LE' : 'UTF-8';
+
+    fallbacks.forEach(([level, code, message]) => this.note(level, code, `${label}: ${message}`));
+    if (!readable) {
+        this.note('warning', 'unreadable-text', `${label}: neither UTF-16LE nor UTF-8 gives readable text, kept ${decoder}`);
+    } else if ((type === PROP_TYPE_STRING8 && !useU16) || (type === PROP_TYPE_STRING && useU16)) {
+        this.note('warning', 'decoder-mismatch', `${label}: stored as ${stored} but decoded as ${decoder}, which gave more readable text`);
+    } else if (propId === PROP_ID_SUBJECT || propId === PROP_ID_BODY || propId === PROP_ID_HTML_BODY) {
+        this.note('info', 'decoder', `${label}: ${stored} property decoded as ${decoder}`);
+    }
+};
+
 function _extractAddresses(displayString) {
     let emails = [];
     if (displayString) {
-        displayString.split(/[;,]/).forEach(addr => {
+        _splitAddressList(displayString).forEach(addr => {
             let parsed = parseAddress(addr);
             if (parsed.email) emails.push(parsed.email.toLowerCase());
         });
@@ -634,6 +1401,65 @@ function _extractAddresses(displayString) {
     return emails;
 }
 
+/**
+ * Collects the direct children of a storage by walking its sibling tree.
+ */
+MsgReaderParser.prototype._findChildren = function(parentId) {
+    let parent = this.directoryIndex[parentId];
+    if (!parent || parent.childId === -1) return [];
+    let children = [];
+    let stack = [parent.childId];
+    let visited = new Set();
+    
+    while (stack.length > 0) {
+        let id = stack.pop();
+        if (id === -1 || visited.has(id)) continue;
+        visited.add(id);
+        let entry = this.directoryIndex[id];
+        if (!entry) continue;
+        children.push(entry);
+        if (entry.leftSiblingId !== -1) stack.push(entry.leftSiblingId);
+        if (entry.rightSiblingId !== -1) stack.push(entry.rightSiblingId);
+    }
+    return children;
+};
+
+/**
+ * Collects every entry nested below a storage, at any depth.
+ */
+MsgReaderParser.prototype._findDescendants = function(parentId) {
+    let descendants = [];
+    let stack = [parentId];
+    let visited = new Set([parentId]);
+    while (stack.length > 0) {
+        this._findChildren(stack.pop()).forEach(child => {
+            if (visited.has(child.id)) return;
+            visited.add(child.id);
+            descendants.push(child);
+            if (child.type === 1) stack.push(child.id);
+        });
+    }
+    return descendants;
+};
+
+/**
+ * Reads the fixed-size property entries (16 bytes each) of a
+ * __properties_version1.0 stream. Only inline integer and boolean
+ * values are returned; variable-length values live in substreams.
+ */
+MsgReaderParser.prototype._readFixedProperties = function(data, headerSize) {
+    let props = {};
+    if (!data || data.length <= headerSize) return props;
+    let view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (let offset = headerSize; offset + 16 <= view.byteLength; offset += 16) {
+        let type = view.getUint16(offset, true);
+        let id = view.getUint16(offset + 2, true);
+        if (type === PROP_TYPE_INTEGER32) props[id] = view.getUint32(offset + 8, true);
+        else if (type === PROP_TYPE_BOOLEAN) props[id] = view.getUint8(offset + 8) !== 0;
+    }
+    return props;
+};
+
 /**
  * Extracts recipients from the OLE structure.
  * Iterates through directory entries to find recipient objects,
@@ -656,28 +1482,14 @@ MsgReaderParser.prototype.extractRecipients = function() {
             email: ''
         };
         
-        let findChildren = (parentId) => {
-            let parent = self.directoryEntries[parentId];
-            if (!parent || parent.childId === -1) return [];
-            let children = [];
-            let stack = [parent.childId];
-            let visited = new Set();
-            
-            while (stack.length > 0) {
-                let id = stack.pop();
-                if (id === -1 || visited.has(id)) continue;
-                visited.add(id);
-                let entry = self.directoryEntries[id];
-                if (!entry) continue;
-                children.push(entry);
-                if (entry.leftSiblingId !== -1) stack.push(entry.leftSiblingId);
-                if (entry.rightSiblingId !== -1) stack.push(entry.rightSiblingId);
-            }
-            return children;
-        };
-        
-        let children = findChildren(storage.id);
+        let children = self._findChildren(storage.id);
         children.forEach(child => {
+            if (child.name === '__properties_version1.0') {
+                // Recipient type is a fixed-size property, not a substream
+                let fixed = self._readFixedProperties(self.readStream(child), 8);
+                if (fixed[PROP_ID_RECIPIENT_TYPE]) recipient.recipientType = fixed[PROP_ID_RECIPIENT_TYPE];
+                return;
+            }
             let propTag = _parsePropTag(child.name);
             if (!propTag) return;
             
@@ -696,6 +1508,7 @@ MsgReaderParser.prototype.extractRecipients = function() {
         });
         
         if (recipient.email || recipient.name) {
+            if (!recipient.email) self.note('warning', 'recipient-no-address', `Recipient "${recipient.name}" has no SMTP address`);
             recipients.push(recipient);
         }
     });
@@ -735,14 +1548,78 @@ MsgReaderParser.prototype.extractRecipients = function() {
     this.properties['recipients'] = { id: 0, value: recipients };
 };
 
+/**
+ * Extracts attachments from the OLE structure.
+ * Each __attach_version1.0_ storage holds the file name, MIME tag and data
+ * as substreams, while the attach method, flags and hidden marker sit in
+ * its fixed-size property stream. Embedded messages (attach method 5) are
+ * storages rather than streams and are listed without raw content.
+ */
+MsgReaderParser.prototype.extractAttachments = function() {
+    let self = this;
+    let attachments = [];
+    let bodyHtml = this.getFieldValue('bodyHTML') || '';
+
+    let attachmentStorages = this.directoryEntries.filter(entry =>
+        entry.type === 1 && entry.name.indexOf('__attach_version1.0_') === 0
+    );
+
+    attachmentStorages.forEach(storage => {
+        let props = {}, fixedProps = {}, embeddedStorage = null;
+
+        self._findChildren(storage.id).forEach(child => {
+            if (child.name === '__properties_version1.0') {
+                fixedProps = self._readFixedProperties(self.readStream(child), 8);
+                return;
+            }
+            let propTag = _parsePropTag(child.name);
+            if (!propTag) return;
+            if (child.type === 1) {
+                if (propTag.id === PROP_ID_ATTACH_DATA && propTag.type === PROP_TYPE_OBJECT) embeddedStorage = child;
+                return;
+            }
+            props[propTag.id] = self.convertPropertyValue(self.readStream(child), propTag.type, propTag.id);
+        });
+
+        let isEmbedded = !!embeddedStorage || fixedProps[PROP_ID_ATTACH_METHOD] === ATTACH_METHOD_EMBEDDED_MSG;
+        let content = props[PROP_ID_ATTACH_DATA] instanceof Uint8Array ? props[PROP_ID_ATTACH_DATA] : null;
+        let filename = props[PROP_ID_ATTACH_LONG_FILENAME] || props[PROP_ID_ATTACH_FILENAME] || props[PROP_ID_RECIPIENT_DISPLAY_NAME] || '';
+        if (!filename) filename = isEmbedded ? 'Embedded Message.msg' : 'attachment';
+        else if (isEmbedded && !/\.msg$/i.test(filename)) filename += '.msg';
+
+        if (isEmbedded) self.note('info', 'embedded-message', `Attachment "${filename}" is an embedded message; its contents are not read`);
+        else if (!content) self.note('warning', 'attachment-no-data', `Attachment "${filename}" has no data stream`);
+
+        let contentId = (props[PROP_ID_ATTACH_CONTENT_ID] || '').replace(/^<|>$/g, '') || null;
+        let flags = fixedProps[PROP_ID_ATTACH_FLAGS] || 0;
+        let inline = fixedProps[PROP_ID_ATTACHMENT_HIDDEN] === true
+            || (flags & ATTACH_FLAG_RENDERED_IN_BODY) !== 0
+            || (!!contentId && bodyHtml.indexOf(`cid:${contentId}`) > -1);
+
+        attachments.push({
+            filename: filename,
+            mimeType: props[PROP_ID_ATTACH_MIME_TAG] || (isEmbedded ? 'application/vnd.ms-outlook' : _guessMimeType(filename)),
+            size: content ? content.byteLength : (fixedProps[PROP_ID_ATTACH_SIZE] || 0),
+            contentId: contentId,
+            inline: inline,
+            content: content
+        });
+    });
+
+    this.properties['attachments'] = { id: 0, value: attachments };
+};
+
 MsgReaderParser.prototype.getFieldValue = function(name) {
     let id = { subject: PROP_ID_SUBJECT, body: PROP_ID_BODY, bodyHTML: PROP_ID_HTML_BODY }[name];
     if (name === 'recipients') return this.properties['recipients'] ? this.properties['recipients'].value : [];
+    if (name === 'attachments') return this.properties['attachments'] ? this.properties['attachments'].value : [];
     return (this.properties[id]) ? this.properties[id].value : null;
 };
 
 // --- Exported Object ---
 const MsgReader = {
+    EXTENSIONS: ['.msg', '.oft', '.eml', '.email'],
+
     /**
      * Parses .msg (OLE Compound Document) and .eml (MIME) email files.
      * @param {ArrayBuffer} arrayBuffer - The raw file content to parse.
@@ -755,14 +1632,35 @@ const MsgReader = {
      *     email: string|null,
      *     recipientType: number
      *   }>,
+     *   attachments: Array<{
+     *     filename: string,
+     *     mimeType: string,
+     *     size: number,
+     *     contentId: string|null,
+     *     inline: boolean,
+     *     content: Uint8Array|null
+     *   }>,
+     *   diagnostics: Array<{
+     *     level: 'info'|'warning',
+     *     code: string,
+     *     message: string
+     *   }>,
      *   getFieldValue: (name: string) => any
-     * }} The parsed email object.
+     * }} The parsed email object. Diagnostics explain how it was decoded
+     * (format, decoders and charsets chosen, fallbacks taken, parts skipped).
+     * @throws {Error} On unreadable files; the error carries the diagnostics
+     * gathered so far as err.diagnostics.
      */
     read: function(arrayBuffer) {
         let reader = new MsgReaderParser(arrayBuffer);
-        if (reader.dataView.byteLength < 8) return reader.parseMime();
-        let sig = reader.dataView.getUint32(0, true);
-        return (sig === 0xE011CFD0) ? reader.parse() : reader.parseMime();
+        try {
+            if (reader.dataView.byteLength < 8) return reader.parseMime();
+            let sig = reader.dataView.getUint32(0, true);
+            return (sig === OLE_SIGNATURE) ? reader.parse() : reader.parseMime();
+        } catch (err) {
+            err.diagnostics = reader.diagnostics;
+            throw err;
+        }
     }
 };
 
@@ -0,0 +1,534 @@
+/**
+ * Email File Writer
+ * * produces MIME (.eml) and Outlook (.msg/.oft OLE compound) files from
+ * template fields so templates can be archived, shared, or reopened in a
+ * desktop mail client.
+ */
+
+'use strict';
+
+const CRLF = '\r\n';
+const QP_LINE_LIMIT = 76;
+const HEADER_LINE_LIMIT = 78;
+// "=?UTF-8?B?" + 60 base64 characters + "?=" stays within RFC 2047's 75
+const ENCODED_WORD_MAX_BYTES = 45;
+
+/* =============================================================================
+   ENCODING UTILS
+   ============================================================================= */
+
+function _isAscii(str) {
+    return /^[\x00-\x7F]*$/.test(str);
+}
+
+function _encodeBase64Utf8(str) {
+    let bytes = new TextEncoder().encode(str);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+/**
+ * Encodes text as space-separated encoded-words of at most 75 characters,
+ * split between characters so none straddles two words.
+ */
+function _encodedWords(text) {
+    let encoder = new TextEncoder();
+    let words = [], chunk = '', chunkBytes = 0;
+    for (let ch of text) {
+        let size = encoder.encode(ch).length;
+        if (chunkBytes + size > ENCODED_WORD_MAX_BYTES) {
+            words.push(chunk);
+            chunk = '';
+            chunkBytes = 0;
+        }
+        chunk += ch;
+        chunkBytes += size;
+    }
+    words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${_encodeBase64Utf8(word)}?=`).join(' ');
+}
+
+/**
+ * RFC 2047-encodes the non-ASCII parts of a header value. Decoders drop
+ * whitespace between adjacent encoded-words, so each run of non-ASCII words
+ * is encoded together with the whitespace inside it; ASCII words such as
+ * addresses stay readable.
+ * @param {string} value - Unfolded header value.
+ * @returns {string} Header-safe value.
+ */
+function _encodeHeaderValue(value) {
+    if (_isAscii(value)) return value;
+    let tokens = value.split(/(\s+)/);
+    let out = '';
+    for (let i = 0; i < tokens.length; i++) {
+        if (_isAscii(tokens[i])) {
+            out += tokens[i];
+            continue;
+        }
+        // Extend the run over whitespace followed by another non-ASCII word
+        let end = i;
+        while (end + 2 < tokens.length && !_isAscii(tokens[end + 2])) end += 2;
+        out += _encodedWords(tokens.slice(i, end + 1).join(''));
+        i = end;
+    }
+    return out;
+}
+
+/**
+ * Folds a header line at whitespace so lines stay within 78 characters
+ * where possible (RFC 5322 section 2.2.3).
+ * @param {string} line - "Name: value".
+ * @returns {string} Line with CRLF + whitespace folds.
+ */
+function _foldHeader(line) {
+    let lines = [], current = '';
+    line.split(/(?=[ \t])/).forEach(piece => {
+        if (current && current.length + piece.length > HEADER_LINE_LIMIT) {
+            lines.push(current);
+            current = '';
+        }
+        current += piece;
+    });
+    lines.push(current);
+    return lines.join(CRLF);
+}
+
+/**
+ * Quoted-Printable encodes UTF-8 text with CRLF line endings and soft breaks.
+ * @param {string} text - Body text (any line endings).
+ * @returns {string} Encoded body.
+ */
+function _encodeQuotedPrintable(text) {
+    let encoder = new TextEncoder();
+    return text.replace(/\r\n|\r/g, '\n').split('\n').map(line => {
+        let bytes = encoder.encode(line);
+        let out = '';
+        let lineLength = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            let b = bytes[i];
+            let isTrailingSpace = (b === 0x20 || b === 0x09) && i === bytes.length - 1;
+            let token = (b >= 33 && b <= 126 && b !== 61) || ((b === 0x20 || b === 0x09) && !isTrailingSpace)
+                ? String.fromCharCode(b)
+                : `=${b.toString(16).toUpperCase().padStart(2, '0')}`;
+            if (lineLength + token.length > QP_LINE_LIMIT - 1) {
+                out += `=${CRLF}`;
+                lineLength = 0;
+            }
+            out += token;
+            lineLength += token.length;
+        }
+        return out;
+    }).join(CRLF);
+}
+
+function _formatDate(date) {
+    // RFC 5322 date-time; toUTCString yields "Tue, 01 Jan 2030 10:00:00 GMT"
+    return date.toUTCString().replace('GMT', '+0000');
+}
+
+/* =============================================================================
+   WRITER LOGIC
+   ============================================================================= */
+
+// Headers buildEml writes itself; extra headers with these names are dropped
+const EML_OWN_HEADERS = ['to', 'cc', 'bcc', 'subject', 'date', 'x-unsent', 'mime-version', 'content-type', 'content-transfer-encoding'];
+
+/**
+ * Builds a single-part text/plain message.
+ * @param {Object} fields - { to, cc, bcc, subject, body, headers }.
+ * @param {Object} [options]
+ * @param {boolean} [options.unsent] - Adds X-Unsent: 1 so clients open it as a draft.
+ * @param {Date} [options.date] - Date header value.
+ * @returns {string} RFC 5322 message with CRLF line endings.
+ */
+function buildEml(fields, options = {}) {
+    let headers = [];
+    let add = (name, value) => { if (value && value.trim()) headers.push(_foldHeader(`${name}: ${_encodeHeaderValue(value.trim())}`)); };
+
+    add('To', fields.to);
+    add('Cc', fields.cc);
+    add('Bcc', fields.bcc);
+    add('Subject', fields.subject);
+    // Extra headers from the editor, one "Name: value" per line
+    String(fields.headers || '').split('\n').forEach(line => {
+        let match = line.trim().match(/^([!-9;-~]+):\s*(.*)$/);
+        if (match && !EML_OWN_HEADERS.includes(match[1].toLowerCase())) add(match[1], match[2]);
+    });
+    headers.push(`Date: ${_formatDate(options.date || new Date())}`);
+    if (options.unsent) headers.push('X-Unsent: 1');
+    headers.push('MIME-Version: 1.0');
+    headers.push('Content-Type: text/plain; charset=UTF-8');
+    headers.push('Content-Transfer-Encoding: quoted-printable');
+
+    return headers.join(CRLF) + CRLF + CRLF + _encodeQuotedPrintable(fields.body || '') + CRLF;
+}
+
+/* =============================================================================
+   ADDRESS UTILS
+   ============================================================================= */
+
+/**
+ * Splits an address list on commas/semicolons outside quotes and angle brackets.
+ * @param {string} value - e.g. 'a@x.com; "Doe, Jane" <jane@y.org>'.
+ * @returns {Array<{name: string, email: string}>}
+ */
+function _parseAddressList(value) {
+    let parts = [];
+    let current = '', inQuotes = false, inAngle = false;
+    for (let ch of String(value || '')) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === '<' && !inQuotes) inAngle = true;
+        else if (ch === '>' && !inQuotes) inAngle = false;
+        if ((ch === ',' || ch === ';') && !inQuotes && !inAngle) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(Boolean).map(part => {
+        let match = part.match(/^(.*)<([^>]*)>\s*$/);
+        if (!match) return { name: '', email: part };
+        return { name: match[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1'), email: match[2].trim() };
+    });
+}
+
+/* =============================================================================
+   OLE COMPOUND FILE WRITER
+   ============================================================================= */
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const MINI_STREAM_CUTOFF = 4096;
+const DIR_ENTRY_SIZE = 128;
+const HEADER_DIFAT_ENTRIES = 109;
+
+const FREESECT = 0xFFFFFFFF;
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FATSECT = 0xFFFFFFFD;
+const NOSTREAM = 0xFFFFFFFF;
+
+const ENTRY_STORAGE = 1;
+const ENTRY_STREAM = 2;
+const ENTRY_ROOT = 5;
+const COLOR_BLACK = 1;
+
+// {00020D0B-0000-0000-C000-000000000046}: Outlook message root storage
+const CLSID_MESSAGE = [0x0B, 0x0D, 0x02, 0x00, 0x00, 0x00, 0x00, 0x00, 0xC0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x46];
+
+/**
+ * Minimal version 3 compound file builder (512-byte sectors). Small streams
+ * go to the mini stream, sibling trees are balanced and all black.
+ */
+function CompoundFileWriter() {
+    this.entries = [{ name: 'Root Entry', type: ENTRY_ROOT, children: [], data: null, clsid: null }];
+}
+
+CompoundFileWriter.prototype.addStorage = function(parentId, name) {
+    this.entries.push({ name, type: ENTRY_STORAGE, children: [], data: null, clsid: null });
+    this.entries[parentId].children.push(this.entries.length - 1);
+    return this.entries.length - 1;
+};
+
+CompoundFileWriter.prototype.addStream = function(parentId, name, data) {
+    this.entries.push({ name, type: ENTRY_STREAM, children: null, data, clsid: null });
+    this.entries[parentId].children.push(this.entries.length - 1);
+    return this.entries.length - 1;
+};
+
+/**
+ * Links each storage's children into a balanced binary tree ordered by
+ * name length, then by upper-cased name (MS-CFB 2.6.4).
+ */
+CompoundFileWriter.prototype._linkTrees = function() {
+    let entries = this.entries;
+    let compare = (a, b) => {
+        let x = entries[a].name, y = entries[b].name;
+        if (x.length !== y.length) return x.length - y.length;
+        x = x.toUpperCase();
+        y = y.toUpperCase();
+        return x < y ? -1 : (x > y ? 1 : 0);
+    };
+    let build = (ids) => {
+        if (ids.length === 0) return NOSTREAM;
+        let mid = ids.length >> 1;
+        let node = entries[ids[mid]];
+        node.left = build(ids.slice(0, mid));
+        node.right = build(ids.slice(mid + 1));
+        return ids[mid];
+    };
+    entries.forEach(entry => {
+        entry.left = entry.left ?? NOSTREAM;
+        entry.right = entry.right ?? NOSTREAM;
+        if (entry.children) entry.child = build([...entry.children].sort(compare));
+    });
+};
+
+CompoundFileWriter.prototype.build = function() {
+    let entries = this.entries;
+    this._linkTrees();
+
+    // Mini stream: streams below the cutoff, packed in 64-byte mini sectors
+    let miniFat = [];
+    let miniChunks = [];
+    entries.forEach(entry => {
+        if (entry.type !== ENTRY_STREAM) return;
+        entry.size = entry.data.length;
+        if (entry.size === 0) { entry.start = ENDOFCHAIN; return; }
+        if (entry.size >= MINI_STREAM_CUTOFF) return;
+        let count = Math.ceil(entry.size / MINI_SECTOR_SIZE);
+        entry.start = miniFat.length;
+        for (let i = 0; i < count; i++) miniFat.push(i === count - 1 ? ENDOFCHAIN : entry.start + i + 1);
+        miniChunks.push(entry.data);
+    });
+    let miniStream = new Uint8Array(miniFat.length * MINI_SECTOR_SIZE);
+    let miniPos = 0;
+    miniChunks.forEach(chunk => {
+        miniStream.set(chunk, miniPos);
+        miniPos += Math.ceil(chunk.length / MINI_SECTOR_SIZE) * MINI_SECTOR_SIZE;
+    });
+
+    let sectorsFor = (bytes) => Math.ceil(bytes / SECTOR_SIZE);
+    let bigStreams = entries.filter(e => e.type === ENTRY_STREAM && e.size >= MINI_STREAM_CUTOFF);
+    let miniFatBytes = miniFat.length * 4;
+    let dataSectors = bigStreams.reduce((sum, e) => sum + sectorsFor(e.size), 0)
+        + sectorsFor(miniStream.length) + sectorsFor(miniFatBytes) + sectorsFor(entries.length * DIR_ENTRY_SIZE);
+
+    let fatSectors = 1;
+    while (fatSectors * (SECTOR_SIZE / 4) < dataSectors + fatSectors) fatSectors++;
+    if (fatSectors > HEADER_DIFAT_ENTRIES) throw new Error('Message too large to write');
+
+    let totalSectors = fatSectors + dataSectors;
+    let fat = new Uint32Array(fatSectors * (SECTOR_SIZE / 4)).fill(FREESECT);
+    for (let i = 0; i < fatSectors; i++) fat[i] = FATSECT;
+    let nextSector = fatSectors;
+    let allocate = (bytes) => {
+        let count = sectorsFor(bytes);
+        if (count === 0) return ENDOFCHAIN;
+        let start = nextSector;
+        for (let i = 0; i < count; i++) fat[start + i] = (i === count - 1) ? ENDOFCHAIN : start + i + 1;
+        nextSector += count;
+        return start;
+    };
+
+    let out = new Uint8Array(SECTOR_SIZE * (1 + totalSectors));
+    let view = new DataView(out.buffer);
+    let sectorOffset = (sector) => SECTOR_SIZE * (sector + 1);
+
+    bigStreams.forEach(entry => {
+        entry.start = allocate(entry.size);
+        out.set(entry.data, sectorOffset(entry.start));
+    });
+
+    let root = entries[0];
+    root.size = miniStream.length;
+    root.start = allocate(miniStream.length);
+    if (miniStream.length) out.set(miniStream, sectorOffset(root.start));
+
+    let miniFatStart = allocate(miniFatBytes);
+    if (miniFatBytes) {
+        let base = sectorOffset(miniFatStart);
+        let padded = sectorsFor(miniFatBytes) * SECTOR_SIZE / 4;
+        for (let i = 0; i < padded; i++) view.setUint32(base + i * 4, i < miniFat.length ? miniFat[i] : FREESECT, true);
+    }
+
+    let dirStart = allocate(entries.length * DIR_ENTRY_SIZE);
+    let dirBase = sectorOffset(dirStart);
+    let dirSlots = sectorsFor(entries.length * DIR_ENTRY_SIZE) * SECTOR_SIZE / DIR_ENTRY_SIZE;
+    for (let i = 0; i < dirSlots; i++) {
+        let offset = dirBase + i * DIR_ENTRY_SIZE;
+        let entry = entries[i];
+        if (!entry) {
+            // Unused slots: empty name, no siblings or child
+            view.setUint32(offset + 68, NOSTREAM, true);
+            view.setUint32(offset + 72, NOSTREAM, true);
+            view.setUint32(offset + 76, NOSTREAM, true);
+            continue;
+        }
+        let name = entry.name.slice(0, 31);
+        for (let c = 0; c < name.length; c++) view.setUint16(offset + c * 2, name.charCodeAt(c), true);
+        view.setUint16(offset + 64, (name.length + 1) * 2, true);
+        view.setUint8(offset + 66, entry.type);
+        view.setUint8(offset + 67, COLOR_BLACK);
+        view.setUint32(offset + 68, entry.left, true);
+        view.setUint32(offset + 72, entry.right, true);
+        view.setUint32(offset + 76, entry.children ? entry.child : NOSTREAM, true);
+        if (entry.clsid) out.set(entry.clsid, offset + 80);
+        view.setUint32(offset + 116, entry.type === ENTRY_STORAGE ? 0 : entry.start, true);
+        view.setUint32(offset + 120, entry.type === ENTRY_STORAGE ? 0 : entry.size, true);
+    }
+
+    for (let i = 0; i < fat.length; i++) view.setUint32(SECTOR_SIZE + i * 4, fat[i], true);
+
+    // Header
+    out.set([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1], 0);
+    view.setUint16(24, 0x003E, true);           // Minor version
+    view.setUint16(26, 0x0003, true);           // Major version 3
+    view.setUint16(28, 0xFFFE, true);           // Little-endian byte order mark
+    view.setUint16(30, 9, true);                // Sector shift (512)
+    view.setUint16(32, 6, true);                // Mini sector shift (64)
+    view.setUint32(44, fatSectors, true);
+    view.setUint32(48, dirStart, true);
+    view.setUint32(56, MINI_STREAM_CUTOFF, true);
+    view.setUint32(60, miniFatBytes ? miniFatStart : ENDOFCHAIN, true);
+    view.setUint32(64, sectorsFor(miniFatBytes), true);
+    view.setUint32(68, ENDOFCHAIN, true);       // No DIFAT sectors
+    view.setUint32(72, 0, true);
+    for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) view.setUint32(76 + i * 4, i < fatSectors ? i : FREESECT, true);
+
+    return out;
+};
+
+/* =============================================================================
+   MSG WRITER LOGIC
+   ============================================================================= */
+
+const PT_LONG = 0x0003;
+const PT_UNICODE = 0x001F;
+
+const PROP_MESSAGE_CLASS = 0x001A;
+const PROP_SUBJECT = 0x0037;
+const PROP_CONVERSATION_TOPIC = 0x0070;
+const PROP_DISPLAY_BCC = 0x0E02;
+const PROP_DISPLAY_CC = 0x0E03;
+const PROP_DISPLAY_TO = 0x0E04;
+const PROP_MESSAGE_FLAGS = 0x0E07;
+const PROP_BODY = 0x1000;
+const PROP_STORE_SUPPORT_MASK = 0x340D;
+const PROP_INTERNET_CPID = 0x3FDE;
+
+const PROP_RECIPIENT_TYPE = 0x0C15;
+const PROP_OBJECT_TYPE = 0x0FFE;
+const PROP_ROWID = 0x3000;
+const PROP_DISPLAY_NAME = 0x3001;
+const PROP_ADDRTYPE = 0x3002;
+const PROP_EMAIL_ADDRESS = 0x3003;
+const PROP_DISPLAY_TYPE = 0x3900;
+const PROP_SMTP_ADDRESS = 0x39FE;
+const PROP_RECIPIENT_DISPLAY_NAME = 0x5FF6;
+
+const MSGFLAG_READ = 0x1;
+const MSGFLAG_UNSENT = 0x8;
+const STORE_UNICODE_OK = 0x00040000;
+const MAPI_MAILUSER = 6;
+const CODEPAGE_UTF8 = 65001;
+const PROPATTR_READABLE_WRITABLE = 0x6;
+
+const PROPS_HEADER_MESSAGE = 32;
+const PROPS_HEADER_RECIPIENT = 8;
+
+function _utf16z(str) {
+    let bytes = new Uint8Array((str.length + 1) * 2);
+    let view = new DataView(bytes.buffer);
+    for (let i = 0; i < str.length; i++) view.setUint16(i * 2, str.charCodeAt(i), true);
+    return bytes;
+}
+
+function _hex(value, width) {
+    return value.toString(16).toUpperCase().padStart(width, '0');
+}
+
+/**
+ * Collects a storage's properties: strings become __substg1.0_ streams,
+ * everything is listed in its __properties_version1.0 stream.
+ */
+function PropertyBag(cfb, storageId) {
+    this.cfb = cfb;
+    this.storageId = storageId;
+    this.entries = [];
+}
+
+PropertyBag.prototype.setString = function(id, value) {
+    if (value === null || value === undefined) return;
+    let data = _utf16z(String(value));
+    this.cfb.addStream(this.storageId, `__substg1.0_${_hex(id, 4)}${_hex(PT_UNICODE, 4)}`, data);
+    this.entries.push({ tag: (id << 16) | PT_UNICODE, value: data.length });
+};
+
+PropertyBag.prototype.setLong = function(id, value) {
+    this.entries.push({ tag: (id << 16) | PT_LONG, value });
+};
+
+PropertyBag.prototype.write = function(header) {
+    let data = new Uint8Array(header.length + this.entries.length * 16);
+    let view = new DataView(data.buffer);
+    data.set(header, 0);
+    this.entries.forEach((entry, i) => {
+        let offset = header.length + i * 16;
+        view.setUint32(offset, entry.tag >>> 0, true);
+        view.setUint32(offset + 4, PROPATTR_READABLE_WRITABLE, true);
+        view.setUint32(offset + 8, entry.value >>> 0, true);
+    });
+    this.cfb.addStream(this.storageId, '__properties_version1.0', data);
+};
+
+/**
+ * Builds an Outlook .msg (or .oft: same format) compound file.
+ * @param {Object} fields - { to, cc, bcc, subject, body }.
+ * @param {Object} [options]
+ * @param {boolean} [options.unsent=true] - Marks the message as an unsent draft.
+ * @returns {Uint8Array} File bytes.
+ */
+function buildMsg(fields, options = {}) {
+    let cfb = new CompoundFileWriter();
+    cfb.entries[0].clsid = CLSID_MESSAGE;
+
+    let recipients = [];
+    [[fields.to, 1], [fields.cc, 2], [fields.bcc, 3]].forEach(([list, type]) => {
+        _parseAddressList(list).forEach(addr => recipients.push({ ...addr, type }));
+    });
+    let displayList = (type) => recipients.filter(r => r.type === type).map(r => r.name || r.email).join('; ');
+
+    // Named property mapping: required by Outlook even when empty
+    let nameId = cfb.addStorage(0, '__nameid_version1.0');
+    ['00020102', '00030102', '00040102'].forEach(tag => cfb.addStream(nameId, `__substg1.0_${tag}`, new Uint8Array(0)));
+
+    recipients.forEach((recipient, index) => {
+        let storage = cfb.addStorage(0, `__recip_version1.0_#${_hex(index, 8)}`);
+        let bag = new PropertyBag(cfb, storage);
+        bag.setLong(PROP_RECIPIENT_TYPE, recipient.type);
+        bag.setLong(PROP_ROWID, index);
+        bag.setLong(PROP_OBJECT_TYPE, MAPI_MAILUSER);
+        bag.setLong(PROP_DISPLAY_TYPE, 0);
+        bag.setString(PROP_DISPLAY_NAME, recipient.name || recipient.email);
+        bag.setString(PROP_RECIPIENT_DISPLAY_NAME, recipient.name || recipient.email);
+        bag.setString(PROP_ADDRTYPE, 'SMTP');
+        bag.setString(PROP_EMAIL_ADDRESS, recipient.email);
+        bag.setString(PROP_SMTP_ADDRESS, recipient.email);
+        bag.write(new Uint8Array(PROPS_HEADER_RECIPIENT));
+    });
+
+    let message = new PropertyBag(cfb, 0);
+    message.setString(PROP_MESSAGE_CLASS, 'IPM.Note');
+    message.setString(PROP_SUBJECT, fields.subject || '');
+    message.setString(PROP_CONVERSATION_TOPIC, fields.subject || '');
+    message.setString(PROP_BODY, (fields.body || '').replace(/\r\n|\r|\n/g, '\r\n'));
+    message.setString(PROP_DISPLAY_TO, displayList(1));
+    message.setString(PROP_DISPLAY_CC, displayList(2));
+    message.setString(PROP_DISPLAY_BCC, displayList(3));
+    message.setLong(PROP_MESSAGE_FLAGS, options.unsent === false ? MSGFLAG_READ : MSGFLAG_UNSENT | MSGFLAG_READ);
+    message.setLong(PROP_STORE_SUPPORT_MASK, STORE_UNICODE_OK);
+    message.setLong(PROP_INTERNET_CPID, CODEPAGE_UTF8);
+
+    // Top-level header: 8 reserved, next recipient id, next attachment id, recipient count, attachment count, 8 reserved
+    let header = new Uint8Array(PROPS_HEADER_MESSAGE);
+    let headerView = new DataView(header.buffer);
+    headerView.setUint32(8, recipients.length, true);
+    headerView.setUint32(12, 0, true);
+    headerView.setUint32(16, recipients.length, true);
+    headerView.setUint32(20, 0, true);
+    message.write(header);
+
+    return cfb.build();
+}
+
+// --- Exported Object ---
+const MsgWriter = {
+    buildEml,
+    buildMsg
+};
+
+export { MsgWriter };
@@ -0,0 +1,33 @@
+/**
+ * Email Parsing Worker
+ * * runs MsgReader off the main thread so large .msg/.eml files don't freeze
+ * the page. Posts { ready: true } once loaded, then answers each
+ * { id, buffer } request with { id, result } or { id, error, diagnostics }.
+ */
+
+'use strict';
+
+import { MsgReader } from './msgreader.js';
+
+self.onmessage = (event) => {
+    const { id, buffer } = event.data;
+    try {
+        const parsed = MsgReader.read(buffer);
+        // getFieldValue is a function and can't be cloned across threads
+        self.postMessage({
+            id,
+            result: {
+                subject: parsed.subject,
+                body: parsed.body,
+                bodyHTML: parsed.bodyHTML,
+                recipients: parsed.recipients,
+                attachments: parsed.attachments,
+                diagnostics: parsed.diagnostics
+            }
+        });
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err), diagnostics: err.diagnostics || [] });
+    }
+};
+
+self.postMessage({ ready: true });
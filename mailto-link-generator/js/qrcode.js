@@ -0,0 +1,434 @@
+/**
+ * QR Code Generator
+ * * Encodes text as a QR code (ISO/IEC 18004, byte mode, versions 1-40)
+ * and renders it as SVG or onto a canvas. Pure JavaScript, no network.
+ */
+
+'use strict';
+
+// Error correction levels; bits are the format-information encoding
+const ECC_LEVELS = {
+    L: { ordinal: 0, bits: 1 },
+    M: { ordinal: 1, bits: 0 },
+    Q: { ordinal: 2, bits: 3 },
+    H: { ordinal: 3, bits: 2 }
+};
+
+// Indexed [level ordinal][version]; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+const MODE_BYTE = 0x4;
+const PAD_BYTES = [0xEC, 0x11];
+
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+/* =============================================================================
+   CAPACITY
+   ============================================================================= */
+
+/**
+ * Modules available for data and ECC once function patterns are drawn.
+ */
+function _rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        let numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function _dataCodewords(version, ecc) {
+    return Math.floor(_rawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+}
+
+function _countBits(version) {
+    return version <= 9 ? 8 : 16;
+}
+
+function _alignmentPositions(version) {
+    if (version === 1) return [];
+    let numAlign = Math.floor(version / 7) + 2;
+    let step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    let result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+/* =============================================================================
+   REED-SOLOMON
+   ============================================================================= */
+
+function _gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function _rsDivisor(degree) {
+    let result = new Uint8Array(degree);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = _gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = _gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function _rsRemainder(data, divisor) {
+    let result = new Uint8Array(divisor.length);
+    for (let b of data) {
+        let factor = b ^ result[0];
+        result.copyWithin(0, 1);
+        result[result.length - 1] = 0;
+        for (let i = 0; i < divisor.length; i++) result[i] ^= _gfMultiply(divisor[i], factor);
+    }
+    return result;
+}
+
+/**
+ * Splits data into blocks, appends ECC to each and interleaves them.
+ */
+function _addEccAndInterleave(data, version, ecc) {
+    let numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+    let blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+    let rawCodewords = Math.floor(_rawDataModules(version) / 8);
+    let numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    let shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    let blocks = [];
+    let divisor = _rsDivisor(blockEccLen);
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        let dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+        let block = Array.from(data.slice(k, k + dataLen));
+        k += dataLen;
+        let eccBytes = _rsRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0); // Placeholder, skipped when interleaving
+        blocks.push(block.concat(Array.from(eccBytes)));
+    }
+
+    let result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/* =============================================================================
+   SYMBOL LAYOUT
+   ============================================================================= */
+
+function QrSymbol(version, ecc) {
+    this.version = version;
+    this.ecc = ecc;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+}
+
+QrSymbol.prototype.setFunction = function(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+};
+
+QrSymbol.prototype.drawFunctionPatterns = function() {
+    let size = this.size;
+    for (let i = 0; i < size; i++) {
+        this.setFunction(6, i, i % 2 === 0);
+        this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                let x = cx + dx, y = cy + dy;
+                let dist = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    });
+
+    let positions = _alignmentPositions(this.version);
+    let last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // Skip the three corners occupied by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        });
+    });
+
+    this.drawFormatBits(0); // Reserve the area; redrawn once the mask is chosen
+    this.drawVersionBits();
+};
+
+QrSymbol.prototype.drawFormatBits = function(mask) {
+    let data = (this.ecc.bits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    let bits = ((data << 10) | rem) ^ 0x5412;
+    let bit = (i) => ((bits >>> i) & 1) !== 0;
+    let size = this.size;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // Always-dark module
+};
+
+QrSymbol.prototype.drawVersionBits = function() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    let bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+        let dark = ((bits >>> i) & 1) !== 0;
+        let a = this.size - 11 + i % 3;
+        let b = Math.floor(i / 3);
+        this.setFunction(a, b, dark);
+        this.setFunction(b, a, dark);
+    }
+};
+
+/**
+ * Places codewords in the two-column zigzag from the bottom-right corner.
+ */
+QrSymbol.prototype.drawCodewords = function(codewords) {
+    let i = 0;
+    let total = codewords.length * 8;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing pattern
+        for (let vert = 0; vert < this.size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                let x = right - j;
+                let upward = ((right + 1) & 2) === 0;
+                let y = upward ? this.size - 1 - vert : vert;
+                if (!this.isFunction[y][x] && i < total) {
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+};
+
+QrSymbol.prototype.applyMask = function(mask) {
+    let test = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+        for (let x = 0; x < this.size; x++) {
+            if (!this.isFunction[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+        }
+    }
+};
+
+/**
+ * Scores the symbol with the four penalty rules; lower is better.
+ */
+QrSymbol.prototype.penalty = function() {
+    let size = this.size;
+    let modules = this.modules;
+    let result = 0;
+    let finderLike = [true, false, true, true, true, false, true];
+
+    let scanLine = (get) => {
+        let runColor = get(0), runLength = 0;
+        for (let i = 0; i < size; i++) {
+            if (get(i) === runColor) {
+                runLength++;
+            } else {
+                if (runLength >= 5) result += PENALTY_N1 + runLength - 5;
+                runColor = get(i);
+                runLength = 1;
+            }
+        }
+        if (runLength >= 5) result += PENALTY_N1 + runLength - 5;
+
+        // 1:1:3:1:1 finder-like pattern with four light modules on either side
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((dark, k) => get(i + k) === dark)) continue;
+            let lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !get(i - k));
+            let lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !get(i + k));
+            if (lightBefore || lightAfter) result += PENALTY_N3;
+        }
+    };
+
+    for (let y = 0; y < size; y++) scanLine((x) => modules[y][x]);
+    for (let x = 0; x < size; x++) scanLine((y) => modules[y][x]);
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            let color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) result += PENALTY_N2;
+        }
+    }
+
+    let dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    let total = size * size;
+    let k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * PENALTY_N4;
+    return result;
+};
+
+/* =============================================================================
+   ENCODER
+   ============================================================================= */
+
+/**
+ * Encodes text in byte mode at the smallest version that fits.
+ * @param {string} text - Content, encoded as UTF-8.
+ * @param {Object} [options]
+ * @param {string} [options.ecc='M'] - Minimum error correction level (L, M, Q, H);
+ *   raised when that costs no extra size.
+ * @returns {{ version: number, ecc: string, size: number, modules: boolean[][] }}
+ *   modules[y][x] is true for dark modules.
+ */
+function encode(text, options = {}) {
+    let bytes = new TextEncoder().encode(String(text));
+    let eccName = (options.ecc || 'M').toUpperCase();
+    let ecc = ECC_LEVELS[eccName];
+    if (!ecc) throw new Error(`Unknown error correction level "${options.ecc}"`);
+
+    let version = MIN_VERSION;
+    let usedBits = (v) => 4 + _countBits(v) + bytes.length * 8;
+    while (usedBits(version) > _dataCodewords(version, ecc) * 8) {
+        if (++version > MAX_VERSION) throw new Error(`Too much data for a QR code (${bytes.length} bytes)`);
+    }
+    for (let name of ['M', 'Q', 'H']) {
+        let level = ECC_LEVELS[name];
+        if (level.ordinal > ecc.ordinal && usedBits(version) <= _dataCodewords(version, level) * 8) {
+            ecc = level;
+            eccName = name;
+        }
+    }
+
+    // Mode indicator, character count, payload, terminator and padding
+    let bits = [];
+    let push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    push(MODE_BYTE, 4);
+    push(bytes.length, _countBits(version));
+    bytes.forEach(b => push(b, 8));
+    let capacity = _dataCodewords(version, ecc) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    let data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    for (let i = 0; data.length < capacity / 8; i++) data.push(PAD_BYTES[i % 2]);
+
+    let symbol = new QrSymbol(version, ecc);
+    symbol.drawFunctionPatterns();
+    symbol.drawCodewords(_addEccAndInterleave(data, version, ecc));
+
+    let bestMask = 0, bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        symbol.applyMask(mask);
+        symbol.drawFormatBits(mask);
+        let score = symbol.penalty();
+        if (score < bestPenalty) { bestMask = mask; bestPenalty = score; }
+        symbol.applyMask(mask); // XOR again to undo
+    }
+    symbol.applyMask(bestMask);
+    symbol.drawFormatBits(bestMask);
+
+    return { version, ecc: eccName, size: symbol.size, modules: symbol.modules };
+}
+
+/* =============================================================================
+   RENDERING
+   ============================================================================= */
+
+/**
+ * Renders an encoded symbol as a standalone SVG document.
+ * @param {Object} qr - Result of encode().
+ * @param {Object} [options]
+ * @param {number} [options.margin=4] - Quiet zone in modules.
+ * @param {number} [options.scale=4] - Pixels per module for width/height.
+ * @param {string} [options.dark='#000000']
+ * @param {string} [options.light='#ffffff']
+ * @returns {string} SVG markup.
+ */
+function toSVG(qr, options = {}) {
+    let margin = options.margin ?? 4;
+    let scale = options.scale ?? 4;
+    let full = qr.size + margin * 2;
+    let path = [];
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => { if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`); });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${full * scale}" height="${full * scale}" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="${options.light || '#ffffff'}"/>`
+        + `<path d="${path.join('')}" fill="${options.dark || '#000000'}"/></svg>`;
+}
+
+/**
+ * Draws an encoded symbol onto a canvas, resizing it to fit.
+ * @param {Object} qr - Result of encode().
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Target canvas.
+ * @param {Object} [options] - Same as toSVG().
+ */
+function drawToCanvas(qr, canvas, options = {}) {
+    let margin = options.margin ?? 4;
+    let scale = options.scale ?? 4;
+    canvas.width = canvas.height = (qr.size + margin * 2) * scale;
+    let ctx = canvas.getContext('2d');
+    ctx.fillStyle = options.light || '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = options.dark || '#000000';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => { if (dark) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale); });
+    });
+}
+
+// --- Exported Object ---
+const QRCode = {
+    encode,
+    toSVG,
+    drawToCanvas
+};
+
+export { QRCode };
@@ -0,0 +1,413 @@
+/**
+ * ZIP Archive Reader/Writer
+ * * writes uncompressed (STORE) archives and reads STORE/DEFLATE archives.
+ * Pure JavaScript: no CompressionStream, no network, no dependencies.
+ */
+
+'use strict';
+
+const SIG_LOCAL_FILE = 0x04034B50;
+const SIG_CENTRAL_DIR = 0x02014B50;
+const SIG_END_OF_CENTRAL_DIR = 0x06054B50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const ZIP_VERSION = 20; // 2.0: deflate, folders
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_COMMENT = 0xFFFF;
+const MAX_TOTAL_SIZE = 256 * 1024 * 1024; // Default cap on the uncompressed size of an archive
+
+let _crcTable = null;
+let _utf8Encoder = null;
+
+/* =============================================================================
+   CHECKSUM & ENCODING UTILS
+   ============================================================================= */
+
+function getCrcTable() {
+    if (_crcTable) return _crcTable;
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        _crcTable[n] = c >>> 0;
+    }
+    return _crcTable;
+}
+
+/**
+ * CRC-32 (IEEE 802.3) as used by ZIP.
+ * @param {Uint8Array} bytes - Data.
+ * @returns {number} Unsigned checksum.
+ */
+function crc32(bytes) {
+    let table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function _toBytes(content) {
+    if (content instanceof Uint8Array) return content;
+    if (ArrayBuffer.isView(content)) return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+    if (content instanceof ArrayBuffer) return new Uint8Array(content);
+    if (!_utf8Encoder) _utf8Encoder = new TextEncoder();
+    return _utf8Encoder.encode(String(content ?? ''));
+}
+
+function _dosDateTime(date) {
+    let year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function _decodeName(bytes, utf8) {
+    if (utf8) return new TextDecoder('utf-8').decode(bytes);
+    // Names without the UTF-8 flag are often UTF-8 anyway; otherwise assume a Western code page
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+/* =============================================================================
+   INFLATE (RFC 1951)
+   ============================================================================= */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const MAX_BITS = 15;
+// First output buffer relative to the compressed size; larger outputs grow into place
+const INFLATE_FIRST_RATIO = 4;
+
+let _fixedTables = null;
+
+/**
+ * Canonical Huffman table: symbol counts per code length plus symbols in code order.
+ */
+function _buildHuffman(lengths) {
+    let counts = new Uint16Array(MAX_BITS + 1);
+    for (let i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+    counts[0] = 0;
+
+    let offsets = new Uint16Array(MAX_BITS + 2);
+    for (let len = 1; len <= MAX_BITS; len++) offsets[len + 1] = offsets[len] + counts[len];
+
+    let symbols = new Uint16Array(lengths.length);
+    for (let sym = 0; sym < lengths.length; sym++) {
+        if (lengths[sym]) symbols[offsets[lengths[sym]]++] = sym;
+    }
+    return { counts, symbols };
+}
+
+function getFixedTables() {
+    if (_fixedTables) return _fixedTables;
+    let lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    _fixedTables = { literal: _buildHuffman(lengths), distance: _buildHuffman(new Uint8Array(30).fill(5)) };
+    return _fixedTables;
+}
+
+function Inflater(data, sizeHint, maxSize = Infinity) {
+    this.data = data;
+    this.pos = 0;
+    this.bitBuf = 0;
+    this.bitCount = 0;
+    // The hint comes from the archive, so it only ever shrinks the first buffer
+    this.out = new Uint8Array(Math.max(Math.min(sizeHint || Infinity, data.length * INFLATE_FIRST_RATIO, maxSize), 1024));
+    this.outLength = 0;
+    this.maxSize = maxSize;
+}
+
+Inflater.prototype.bits = function(n) {
+    while (this.bitCount < n) {
+        if (this.pos >= this.data.length) throw new Error('Unexpected end of compressed data');
+        this.bitBuf |= this.data[this.pos++] << this.bitCount;
+        this.bitCount += 8;
+    }
+    let value = this.bitBuf & ((1 << n) - 1);
+    this.bitBuf >>>= n;
+    this.bitCount -= n;
+    return value;
+};
+
+Inflater.prototype.decode = function(table) {
+    let code = 0, first = 0, index = 0;
+    for (let len = 1; len <= MAX_BITS; len++) {
+        code |= this.bits(1);
+        let count = table.counts[len];
+        if (code - first < count) return table.symbols[index + code - first];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+    throw new Error('Invalid Huffman code');
+};
+
+Inflater.prototype.ensure = function(extra) {
+    if (this.outLength + extra <= this.out.length) return;
+    if (this.outLength + extra > this.maxSize) throw new Error(`Decompressed data exceeds ${this.maxSize} bytes`);
+    let grown = new Uint8Array(Math.min(Math.max(this.out.length * 2, this.outLength + extra), this.maxSize));
+    grown.set(this.out.subarray(0, this.outLength));
+    this.out = grown;
+};
+
+Inflater.prototype.stored = function() {
+    this.bitBuf = 0;
+    this.bitCount = 0; // Stored blocks start on a byte boundary
+    if (this.pos + 4 > this.data.length) throw new Error('Unexpected end of compressed data');
+    let len = this.data[this.pos] | (this.data[this.pos + 1] << 8);
+    let nlen = this.data[this.pos + 2] | (this.data[this.pos + 3] << 8);
+    if (len !== (~nlen & 0xFFFF)) throw new Error('Corrupt stored block');
+    this.pos += 4;
+    if (this.pos + len > this.data.length) throw new Error('Unexpected end of compressed data');
+    this.ensure(len);
+    this.out.set(this.data.subarray(this.pos, this.pos + len), this.outLength);
+    this.outLength += len;
+    this.pos += len;
+};
+
+Inflater.prototype.dynamicTables = function() {
+    let nlen = this.bits(5) + 257;
+    let ndist = this.bits(5) + 1;
+    let ncode = this.bits(4) + 4;
+    if (nlen > 286 || ndist > 30) throw new Error('Corrupt dynamic block header');
+
+    let codeLengths = new Uint8Array(19);
+    for (let i = 0; i < ncode; i++) codeLengths[CODE_LENGTH_ORDER[i]] = this.bits(3);
+    let codeTable = _buildHuffman(codeLengths);
+
+    let lengths = new Uint8Array(nlen + ndist);
+    let i = 0;
+    while (i < nlen + ndist) {
+        let sym = this.decode(codeTable);
+        if (sym < 16) {
+            lengths[i++] = sym;
+            continue;
+        }
+        let value = 0, repeat;
+        if (sym === 16) {
+            if (i === 0) throw new Error('Corrupt dynamic block header');
+            value = lengths[i - 1];
+            repeat = 3 + this.bits(2);
+        } else if (sym === 17) {
+            repeat = 3 + this.bits(3);
+        } else {
+            repeat = 11 + this.bits(7);
+        }
+        if (i + repeat > nlen + ndist) throw new Error('Corrupt dynamic block header');
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+    }
+    return { literal: _buildHuffman(lengths.subarray(0, nlen)), distance: _buildHuffman(lengths.subarray(nlen)) };
+};
+
+Inflater.prototype.codes = function(tables) {
+    for (;;) {
+        let sym = this.decode(tables.literal);
+        if (sym < 256) {
+            this.ensure(1);
+            this.out[this.outLength++] = sym;
+            continue;
+        }
+        if (sym === 256) return;
+
+        sym -= 257;
+        if (sym >= LENGTH_BASE.length) throw new Error('Invalid length code');
+        let length = LENGTH_BASE[sym] + this.bits(LENGTH_EXTRA[sym]);
+        let distSym = this.decode(tables.distance);
+        if (distSym >= DIST_BASE.length) throw new Error('Invalid distance code');
+        let distance = DIST_BASE[distSym] + this.bits(DIST_EXTRA[distSym]);
+        if (distance > this.outLength) throw new Error('Distance too far back');
+
+        this.ensure(length);
+        let from = this.outLength - distance;
+        for (let k = 0; k < length; k++) this.out[this.outLength++] = this.out[from + k];
+    }
+};
+
+Inflater.prototype.run = function() {
+    let last;
+    do {
+        last = this.bits(1);
+        let type = this.bits(2);
+        if (type === 0) this.stored();
+        else if (type === 1) this.codes(getFixedTables());
+        else if (type === 2) this.codes(this.dynamicTables());
+        else throw new Error('Invalid block type');
+    } while (!last);
+    return this.out.slice(0, this.outLength);
+};
+
+/**
+ * Decompresses a raw DEFLATE stream.
+ * @param {Uint8Array} data - Compressed bytes.
+ * @param {number} [sizeHint] - Expected output size.
+ * @param {number} [maxSize=Infinity] - Output size at which to give up.
+ * @returns {Uint8Array} Decompressed bytes.
+ */
+function inflate(data, sizeHint, maxSize) {
+    return new Inflater(data, sizeHint, maxSize).run();
+}
+
+/* =============================================================================
+   ARCHIVE LOGIC
+   ============================================================================= */
+
+/**
+ * Builds an uncompressed ZIP archive.
+ * @param {Array<{name: string, content: string|Uint8Array|ArrayBuffer, date?: Date}>} files - Entries; names use '/' separators.
+ * @returns {Uint8Array} Archive bytes.
+ */
+function createZip(files) {
+    let encoder = new TextEncoder();
+    let entries = files.map(file => {
+        let data = _toBytes(file.content);
+        return { name: encoder.encode(file.name), data, crc: crc32(data), stamp: _dosDateTime(file.date || new Date()) };
+    });
+
+    let localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    let centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    let out = new Uint8Array(localSize + centralSize + EOCD_MIN_SIZE);
+    let view = new DataView(out.buffer);
+    let pos = 0;
+
+    entries.forEach(e => {
+        e.offset = pos;
+        view.setUint32(pos, SIG_LOCAL_FILE, true);
+        view.setUint16(pos + 4, ZIP_VERSION, true);
+        view.setUint16(pos + 6, FLAG_UTF8, true);
+        view.setUint16(pos + 8, METHOD_STORE, true);
+        view.setUint16(pos + 10, e.stamp.time, true);
+        view.setUint16(pos + 12, e.stamp.date, true);
+        view.setUint32(pos + 14, e.crc, true);
+        view.setUint32(pos + 18, e.data.length, true);
+        view.setUint32(pos + 22, e.data.length, true);
+        view.setUint16(pos + 26, e.name.length, true);
+        view.setUint16(pos + 28, 0, true);
+        out.set(e.name, pos + 30);
+        out.set(e.data, pos + 30 + e.name.length);
+        pos += 30 + e.name.length + e.data.length;
+    });
+
+    let centralStart = pos;
+    entries.forEach(e => {
+        view.setUint32(pos, SIG_CENTRAL_DIR, true);
+        view.setUint16(pos + 4, ZIP_VERSION, true);
+        view.setUint16(pos + 6, ZIP_VERSION, true);
+        view.setUint16(pos + 8, FLAG_UTF8, true);
+        view.setUint16(pos + 10, METHOD_STORE, true);
+        view.setUint16(pos + 12, e.stamp.time, true);
+        view.setUint16(pos + 14, e.stamp.date, true);
+        view.setUint32(pos + 16, e.crc, true);
+        view.setUint32(pos + 20, e.data.length, true);
+        view.setUint32(pos + 24, e.data.length, true);
+        view.setUint16(pos + 28, e.name.length, true);
+        // Extra length, comment length, disk start, internal attrs, external attrs: all zero
+        view.setUint32(pos + 42, e.offset, true);
+        out.set(e.name, pos + 46);
+        pos += 46 + e.name.length;
+    });
+
+    view.setUint32(pos, SIG_END_OF_CENTRAL_DIR, true);
+    view.setUint16(pos + 8, entries.length, true);
+    view.setUint16(pos + 10, entries.length, true);
+    view.setUint32(pos + 12, pos - centralStart, true);
+    view.setUint32(pos + 16, centralStart, true);
+    return out;
+}
+
+function _findEndOfCentralDir(view) {
+    let stop = Math.max(0, view.byteLength - EOCD_MIN_SIZE - EOCD_MAX_COMMENT);
+    for (let pos = view.byteLength - EOCD_MIN_SIZE; pos >= stop; pos--) {
+        if (view.getUint32(pos, true) === SIG_END_OF_CENTRAL_DIR) return pos;
+    }
+    return -1;
+}
+
+/**
+ * Reads every file entry of a ZIP archive (directories are skipped).
+ * Entries are never inflated past their declared size, and the declared
+ * sizes together must stay under maxTotalSize.
+ * @param {ArrayBuffer|Uint8Array} buffer - Archive bytes.
+ * @param {Object} [options]
+ * @param {number} [options.maxTotalSize=256 MB] - Uncompressed size limit for the whole archive.
+ * @returns {Array<{name: string, content: Uint8Array, date: Date}>} Entries.
+ */
+function readZip(buffer, { maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+    let bytes = _toBytes(buffer);
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.byteLength < EOCD_MIN_SIZE) throw new Error('Not a ZIP archive');
+
+    let eocd = _findEndOfCentralDir(view);
+    if (eocd < 0) throw new Error('Not a ZIP archive (no central directory)');
+    let count = view.getUint16(eocd + 10, true);
+    let pos = view.getUint32(eocd + 16, true);
+    if (count === 0xFFFF || pos === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+    let files = [];
+    let totalSize = 0;
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > view.byteLength || view.getUint32(pos, true) !== SIG_CENTRAL_DIR) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        let flags = view.getUint16(pos + 8, true);
+        let method = view.getUint16(pos + 10, true);
+        let time = view.getUint16(pos + 12, true);
+        let date = view.getUint16(pos + 14, true);
+        let crc = view.getUint32(pos + 16, true);
+        let compressedSize = view.getUint32(pos + 20, true);
+        let size = view.getUint32(pos + 24, true);
+        let nameLength = view.getUint16(pos + 28, true);
+        let extraLength = view.getUint16(pos + 30, true);
+        let commentLength = view.getUint16(pos + 32, true);
+        let localOffset = view.getUint32(pos + 42, true);
+        let name = _decodeName(bytes.subarray(pos + 46, pos + 46 + nameLength), flags & FLAG_UTF8);
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & FLAG_ENCRYPTED) throw new Error(`"${name}" is encrypted`);
+        totalSize += size;
+        if (totalSize > maxTotalSize) throw new Error(`Archive expands to more than ${maxTotalSize} bytes`);
+
+        if (view.getUint32(localOffset, true) !== SIG_LOCAL_FILE) throw new Error(`Corrupt local header for "${name}"`);
+        let dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        let raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === METHOD_STORE) content = raw.slice();
+        else if (method === METHOD_DEFLATE) content = inflate(raw, size, size);
+        else throw new Error(`"${name}" uses unsupported compression method ${method}`);
+
+        if (crc32(content) !== crc) throw new Error(`Checksum mismatch in "${name}"`);
+        files.push({
+            name,
+            content,
+            date: new Date(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F, time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2)
+        });
+    }
+    return files;
+}
+
+// --- Exported Object ---
+const Zip = {
+    create: createZip,
+    read: readZip,
+    inflate,
+    crc32
+};
+
+export { Zip };
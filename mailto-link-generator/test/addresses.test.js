@@ -0,0 +1,111 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Addresses } from '../js/mailtolink.js';
+
+describe('Addresses.split', () => {
+    test('split on commas and semicolons outside quotes, brackets and placeholders', () => {
+        assert.deepEqual(
+            Addresses.split('"Doe, Jane" <jane@example.org>; a@example.com,{{boss, cc}} , <x;y@example.com>,,'),
+            ['"Doe, Jane" <jane@example.org>', 'a@example.com', '{{boss, cc}}', '<x;y@example.com>']
+        );
+    });
+
+    test('keep escaped quotes inside quoted names', () => {
+        assert.deepEqual(Addresses.split('"A \\"B, C\\"" <a@example.com>, b@example.com'), ['"A \\"B, C\\"" <a@example.com>', 'b@example.com']);
+    });
+});
+
+describe('Addresses.validate', () => {
+    test('accept RFC 5322 and internationalized addresses', () => {
+        for (let address of [
+            'ana@example.com',
+            "o'brien+tag@mail.example.co.uk",
+            '"john doe"@example.com',
+            'jörg@bücher.de',
+            'user@xn--bcher-kva.de',
+            'root@[192.0.2.1]',
+            'root@[IPv6:2001:db8::1]'
+        ]) {
+            assert.equal(Addresses.validate(address), null, address);
+        }
+    });
+
+    test('say why an address is rejected', () => {
+        assert.equal(Addresses.validate('ana.example.com'), 'Missing @');
+        assert.equal(Addresses.validate('@example.com'), 'Missing local part');
+        assert.equal(Addresses.validate('a..b@example.com'), 'Invalid characters or dots in local part');
+        assert.equal(Addresses.validate('john doe@example.com'), 'Invalid characters or dots in local part');
+        assert.equal(Addresses.validate(`${'a'.repeat(65)}@example.com`), 'Local part longer than 64 characters');
+        assert.equal(Addresses.validate('ana@localhost'), 'Domain needs a dot, e.g. example.com');
+        assert.equal(Addresses.validate('ana@-bad.com'), 'Invalid domain label');
+        assert.equal(Addresses.validate('ana@192.0.2.1'), 'Invalid top-level domain');
+        assert.equal(Addresses.validate('ana@exa mple.com'), 'Invalid domain');
+        assert.equal(Addresses.validate('root@[300.1.1.1]'), 'Invalid IP address literal');
+        assert.equal(Addresses.validate('root@[IPv6:zz::1]'), 'Invalid IPv6 address literal');
+    });
+});
+
+describe('Addresses.toASCII', () => {
+    test('convert IDN domains to punycode and lowercase them', () => {
+        assert.equal(Addresses.toASCII('Bücher.DE'), 'xn--bcher-kva.de');
+        assert.equal(Addresses.toASCII('example.com'), 'example.com');
+    });
+
+    test('reject what the URL parser would reinterpret', () => {
+        for (let domain of ['', 'exa mple.com', 'a%41.com', 'a/b.com', 'a@b.com', 'a:80']) {
+            assert.equal(Addresses.toASCII(domain), null, domain);
+        }
+    });
+});
+
+describe('Addresses.parse', () => {
+    test('read display names, quoted or not', () => {
+        assert.deepEqual(Addresses.parse('"Doe, \\"JD\\" Jane" <jane@example.org>'), {
+            raw: '"Doe, \\"JD\\" Jane" <jane@example.org>', name: 'Doe, "JD" Jane', address: 'jane@example.org', error: null, placeholder: false
+        });
+        assert.equal(Addresses.parse('Jane Doe <jane@example.org>').name, 'Jane Doe');
+    });
+
+    test('require quotes around special characters in names', () => {
+        assert.equal(Addresses.parse('Doe (HR) <jane@example.org>').error, 'Display name with special characters must be quoted');
+    });
+
+    test('skip validation for placeholders', () => {
+        let parsed = Addresses.parse('{{manager}}');
+        assert.equal(parsed.placeholder, true);
+        assert.equal(parsed.error, null);
+    });
+});
+
+describe('Addresses.format', () => {
+    test('quote names only when they need it, and parse back', () => {
+        for (let [name, expected] of [
+            ['Jane Doe', 'Jane Doe <jane@example.org>'],
+            ['Jörg Müller', 'Jörg Müller <jane@example.org>'],
+            ['Doe, Jane', '"Doe, Jane" <jane@example.org>'],
+            ['Say "hi"', '"Say \\"hi\\"" <jane@example.org>']
+        ]) {
+            let entry = Addresses.format({ name, address: 'jane@example.org' });
+            assert.equal(entry, expected);
+            assert.deepEqual([Addresses.parse(entry).name, Addresses.parse(entry).error], [name, null]);
+        }
+    });
+
+    test('write the bare address without a name', () => {
+        assert.equal(Addresses.format({ name: '  ', address: 'a@example.com' }), 'a@example.com');
+    });
+});
+
+describe('Addresses.normalize', () => {
+    test('mark the later copies of an address as duplicates', () => {
+        let analysis = Addresses.analyze({ to: 'Ana@Example.com', cc: 'ana@example.COM; bo@bücher.de', bcc: 'bo@xn--bcher-kva.de, {{x}}, {{x}}' });
+        assert.deepEqual(analysis.cc.map(e => e.duplicateOf), ['to', null]);
+        assert.deepEqual(analysis.bcc.map(e => e.duplicateOf), ['cc', null, null]);
+    });
+
+    test('drop duplicates and keep invalid entries', () => {
+        assert.deepEqual(Addresses.normalize({ to: 'a@example.com;broken;A@example.com', cc: 'a@example.com', bcc: '', subject: 'Hi' }), {
+            to: 'a@example.com, broken', cc: '', bcc: '', subject: 'Hi'
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CSV } from '../js/csv.js';
+import { FIXTURES } from './fixtures/index.js';
+import { Golden } from './golden.js';
+
+const BIN = fileURLToPath(new URL('../bin/mailto-gen.js', import.meta.url));
+const FILES = ['basic-unicode.msg', 'plain-7bit.eml', 'koi8r-base64.eml'];
+
+/**
+ * Runs mailto-gen and resolves with its exit code and output.
+ */
+function run(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [BIN, ...args], (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('mailto-gen', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'mailto-gen-'));
+        await mkdir(path.join(dir, 'Sales', 'EMEA'), { recursive: true });
+        for (const file of FILES) {
+            const folder = file.endsWith('.msg') ? 'Sales/EMEA' : '';
+            await writeFile(path.join(dir, folder, file), FIXTURES.find(f => f.file === file).build());
+        }
+        await writeFile(path.join(dir, 'broken.msg'), new Uint8Array([0xD0, 0xCF, 0x11, 0xE0, 0, 0, 0, 0]));
+    });
+
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    test('convert prints one link per file', async () => {
+        const result = await run(['convert', path.join(dir, 'plain-7bit.eml'), path.join(dir, 'Sales/EMEA/basic-unicode.msg')]);
+        assert.equal(result.code, 0);
+        assert.equal(result.stdout, `${Golden.read('plain-7bit').link}\n${Golden.read('basic').link}\n`);
+    });
+
+    test('convert to JSON carries the template fields', async () => {
+        const result = await run(['convert', '-f', 'json', path.join(dir, 'koi8r-base64.eml')]);
+        assert.equal(result.code, 0);
+        const [entry] = JSON.parse(result.stdout);
+        assert.deepEqual(entry.fields, Golden.read('koi8r-base64').fields);
+        assert.equal(entry.name, 'Привет из Москвы');
+        assert.ok(entry.diagnostics.some(d => d.message === 'Body: text/plain part (koi8-r, base64)'));
+    });
+
+    test('export-csv keeps folders and reports unreadable files', async () => {
+        const result = await run(['export-csv', dir]);
+        assert.equal(result.code, 1);
+        assert.match(result.stderr, /broken\.msg: /);
+        const { templates, errors } = CSV.readTemplates(result.stdout);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(templates.map(t => [t.path, t.name]), [
+            ['/', 'Привет из Москвы'],
+            ['/', 'Quarterly résuméreview'],
+            ['Sales/EMEA', 'Café menu — week 42 ✓']
+        ]);
+    });
+
+    test('usage errors exit with 2', async () => {
+        assert.equal((await run([])).code, 2);
+        assert.equal((await run(['convert', '-f', 'xml', path.join(dir, 'plain-7bit.eml')])).code, 2);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV } from '../js/csv.js';
+
+const HEADERS = ['name', 'body'];
+
+describe('CSV.parse', () => {
+    test('keep line breaks, commas and quotes inside quoted cells', () => {
+        let text = 'name,body\r\nOffer,"Hello,\r\n\r\nsee ""attached"".\nBye"\r\nPlain,one line\n';
+        assert.deepEqual(CSV.parse(text, HEADERS).data, [
+            { name: 'Offer', body: 'Hello,\n\nsee "attached".\nBye' },
+            { name: 'Plain', body: 'one line' }
+        ]);
+    });
+
+    test('skip blank records and fill missing cells', () => {
+        assert.deepEqual(CSV.parse('name,body\n\nA\n  \n', HEADERS).data, [{ name: 'A', body: '' }]);
+    });
+
+    test('keep optional columns and drop unknown ones', () => {
+        let { data } = CSV.parse('body,headers,extra,name\nHi,Reply-To: a@example.com,x,A', HEADERS, ['headers']);
+        assert.deepEqual(data, [{ body: 'Hi', headers: 'Reply-To: a@example.com', name: 'A' }]);
+    });
+
+    test('report every missing header', () => {
+        assert.deepEqual(CSV.parse('name\nA', ['name', 'to', 'body']), {
+            data: [],
+            errors: ['Missing header: "to"', 'Missing header: "body"']
+        });
+    });
+});
+
+describe('CSV.stringify', () => {
+    test('read back what it wrote', () => {
+        let rows = [{
+            name: 'Offer, final', path: 'Sales/2024', to: 'a@example.com', cc: '', bcc: '',
+            subject: 'Say "hi"', body: 'Line 1\nLine 2', description: '', tags: 'a; b', headers: 'Reply-To: b@example.com\nKeywords: x'
+        }];
+        assert.deepEqual(CSV.parse(CSV.stringify(rows)).data, rows);
+    });
+});
+
+describe('CSV.readTemplates', () => {
+    test('split tags and gather the link fields', () => {
+        let { templates, errors } = CSV.readTemplates('name,path,to,cc,bcc,subject,body,tags\nOffer,/Sales,a@example.com,,,Hi,,"a; b, a"');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(templates, [{
+            path: '/Sales', name: 'Offer', description: '', tags: ['a', 'b'],
+            fields: { to: 'a@example.com', cc: '', bcc: '', subject: 'Hi', body: '', headers: '' }
+        }]);
+    });
+});
@@ -0,0 +1,406 @@
+/**
+ * OLE Compound File Fixture Builder
+ * * writes synthetic .msg/.oft files with a configurable layout: 512- or
+ * 4096-byte sectors, DIFAT chains, mini stream placement and Unicode or ANSI
+ * string properties, so reader edge cases don't depend on real Outlook files.
+ */
+
+'use strict';
+
+const MINI_SECTOR_SIZE = 64;
+const MINI_STREAM_CUTOFF = 4096;
+const DIR_ENTRY_SIZE = 128;
+const HEADER_DIFAT_ENTRIES = 109;
+
+const FREESECT = 0xFFFFFFFF;
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FATSECT = 0xFFFFFFFD;
+const DIFSECT = 0xFFFFFFFC;
+const NOSTREAM = 0xFFFFFFFF;
+
+const ENTRY_UNUSED = 0;
+const ENTRY_STORAGE = 1;
+const ENTRY_STREAM = 2;
+const ENTRY_ROOT = 5;
+const COLOR_BLACK = 1;
+
+/* =============================================================================
+   COMPOUND FILE
+   ============================================================================= */
+
+/**
+ * Compound file builder. Unlike MsgWriter's, the sector size is selectable
+ * and the FAT grows into DIFAT sectors instead of refusing large files.
+ * Sectors are laid out as: large streams, mini stream, MiniFAT, directory,
+ * FAT, DIFAT; so with a large enough stream, the directory's FAT entries are
+ * only reachable through the DIFAT.
+ * @param {Object} [options]
+ * @param {number} [options.sectorShift=9] - 9 for version 3 (512-byte sectors), 12 for version 4 (4096).
+ */
+function CompoundFile(options = {}) {
+    this.sectorShift = options.sectorShift || 9;
+    this.sectorSize = 1 << this.sectorShift;
+    this.entries = [{ name: 'Root Entry', type: ENTRY_ROOT, children: [], data: null }];
+}
+
+CompoundFile.prototype.addStorage = function(parentId, name) {
+    this.entries.push({ name, type: ENTRY_STORAGE, children: [], data: null });
+    this.entries[parentId].children.push(this.entries.length - 1);
+    return this.entries.length - 1;
+};
+
+CompoundFile.prototype.addStream = function(parentId, name, data) {
+    this.entries.push({ name, type: ENTRY_STREAM, children: null, data });
+    this.entries[parentId].children.push(this.entries.length - 1);
+    return this.entries.length - 1;
+};
+
+/**
+ * Leaves an unused directory slot, as deleting an entry does: later
+ * entries keep their ids, so readers must not renumber around it.
+ */
+CompoundFile.prototype.addFreeSlot = function() {
+    this.entries.push({ name: '', type: ENTRY_UNUSED, children: null, data: null });
+};
+
+/**
+ * Links each storage's children into a balanced binary tree ordered by
+ * name length, then by upper-cased name (MS-CFB 2.6.4).
+ */
+CompoundFile.prototype._linkTrees = function() {
+    let entries = this.entries;
+    let compare = (a, b) => {
+        let x = entries[a].name, y = entries[b].name;
+        if (x.length !== y.length) return x.length - y.length;
+        x = x.toUpperCase();
+        y = y.toUpperCase();
+        return x < y ? -1 : (x > y ? 1 : 0);
+    };
+    let build = (ids) => {
+        if (ids.length === 0) return NOSTREAM;
+        let mid = ids.length >> 1;
+        entries[ids[mid]].left = build(ids.slice(0, mid));
+        entries[ids[mid]].right = build(ids.slice(mid + 1));
+        return ids[mid];
+    };
+    entries.forEach(entry => {
+        entry.left = entry.left ?? NOSTREAM;
+        entry.right = entry.right ?? NOSTREAM;
+        if (entry.children) entry.child = build([...entry.children].sort(compare));
+    });
+};
+
+/**
+ * @returns {Uint8Array} File bytes.
+ */
+CompoundFile.prototype.build = function() {
+    let entries = this.entries, sectorSize = this.sectorSize;
+    let entriesPerSector = sectorSize / 4;
+    this._linkTrees();
+
+    let miniFat = [], miniChunks = [];
+    entries.forEach(entry => {
+        if (entry.type !== ENTRY_STREAM) return;
+        entry.size = entry.data.length;
+        if (entry.size === 0) { entry.start = ENDOFCHAIN; return; }
+        if (entry.size >= MINI_STREAM_CUTOFF) return;
+        let count = Math.ceil(entry.size / MINI_SECTOR_SIZE);
+        entry.start = miniFat.length;
+        for (let i = 0; i < count; i++) miniFat.push(i === count - 1 ? ENDOFCHAIN : entry.start + i + 1);
+        miniChunks.push(entry.data);
+    });
+    let miniStream = new Uint8Array(miniFat.length * MINI_SECTOR_SIZE);
+    let miniPos = 0;
+    miniChunks.forEach(chunk => {
+        miniStream.set(chunk, miniPos);
+        miniPos += Math.ceil(chunk.length / MINI_SECTOR_SIZE) * MINI_SECTOR_SIZE;
+    });
+
+    let sectorsFor = (bytes) => Math.ceil(bytes / sectorSize);
+    let bigStreams = entries.filter(e => e.type === ENTRY_STREAM && e.size >= MINI_STREAM_CUTOFF);
+    let miniFatBytes = miniFat.length * 4;
+    let dirSectors = sectorsFor(entries.length * DIR_ENTRY_SIZE);
+    let dataSectors = bigStreams.reduce((sum, e) => sum + sectorsFor(e.size), 0)
+        + sectorsFor(miniStream.length) + sectorsFor(miniFatBytes) + dirSectors;
+
+    // The FAT must also map its own sectors and the DIFAT sectors listing it
+    let fatSectors = 1, difatSectors = 0;
+    for (;;) {
+        difatSectors = Math.max(0, Math.ceil((fatSectors - HEADER_DIFAT_ENTRIES) / (entriesPerSector - 1)));
+        if (fatSectors * entriesPerSector >= dataSectors + fatSectors + difatSectors) break;
+        fatSectors++;
+    }
+
+    let totalSectors = dataSectors + fatSectors + difatSectors;
+    let fat = new Uint32Array(fatSectors * entriesPerSector).fill(FREESECT);
+    let nextSector = 0;
+    let allocate = (bytes) => {
+        let count = sectorsFor(bytes);
+        if (count === 0) return ENDOFCHAIN;
+        let start = nextSector;
+        for (let i = 0; i < count; i++) fat[start + i] = (i === count - 1) ? ENDOFCHAIN : start + i + 1;
+        nextSector += count;
+        return start;
+    };
+
+    // The header occupies a whole sector in version 4
+    let out = new Uint8Array(sectorSize * (1 + totalSectors));
+    let view = new DataView(out.buffer);
+    let sectorOffset = (sector) => sectorSize * (sector + 1);
+
+    bigStreams.forEach(entry => {
+        entry.start = allocate(entry.size);
+        out.set(entry.data, sectorOffset(entry.start));
+    });
+
+    let root = entries[0];
+    root.size = miniStream.length;
+    root.start = allocate(miniStream.length);
+    if (miniStream.length) out.set(miniStream, sectorOffset(root.start));
+
+    let miniFatStart = allocate(miniFatBytes);
+    if (miniFatBytes) {
+        let base = sectorOffset(miniFatStart);
+        let padded = sectorsFor(miniFatBytes) * entriesPerSector;
+        for (let i = 0; i < padded; i++) view.setUint32(base + i * 4, i < miniFat.length ? miniFat[i] : FREESECT, true);
+    }
+
+    let dirStart = allocate(entries.length * DIR_ENTRY_SIZE);
+    let dirBase = sectorOffset(dirStart);
+    for (let i = 0; i < dirSectors * sectorSize / DIR_ENTRY_SIZE; i++) {
+        let offset = dirBase + i * DIR_ENTRY_SIZE;
+        let entry = entries[i];
+        if (!entry || entry.type === ENTRY_UNUSED) {
+            view.setUint32(offset + 68, NOSTREAM, true);
+            view.setUint32(offset + 72, NOSTREAM, true);
+            view.setUint32(offset + 76, NOSTREAM, true);
+            continue;
+        }
+        let name = entry.name.slice(0, 31);
+        for (let c = 0; c < name.length; c++) view.setUint16(offset + c * 2, name.charCodeAt(c), true);
+        view.setUint16(offset + 64, (name.length + 1) * 2, true);
+        view.setUint8(offset + 66, entry.type);
+        view.setUint8(offset + 67, COLOR_BLACK);
+        view.setUint32(offset + 68, entry.left, true);
+        view.setUint32(offset + 72, entry.right, true);
+        view.setUint32(offset + 76, entry.children ? entry.child : NOSTREAM, true);
+        view.setUint32(offset + 116, entry.type === ENTRY_STORAGE ? 0 : entry.start, true);
+        view.setUint32(offset + 120, entry.type === ENTRY_STORAGE ? 0 : entry.size, true);
+    }
+
+    let fatIds = [];
+    for (let i = 0; i < fatSectors; i++) {
+        fatIds.push(nextSector);
+        fat[nextSector++] = FATSECT;
+    }
+    let difatIds = [];
+    for (let i = 0; i < difatSectors; i++) {
+        difatIds.push(nextSector);
+        fat[nextSector++] = DIFSECT;
+    }
+    fatIds.forEach((sector, i) => {
+        let base = sectorOffset(sector);
+        for (let j = 0; j < entriesPerSector; j++) view.setUint32(base + j * 4, fat[i * entriesPerSector + j], true);
+    });
+
+    // DIFAT sectors: FAT sector ids past the header's 109, then the next DIFAT sector
+    let overflow = fatIds.slice(HEADER_DIFAT_ENTRIES);
+    difatIds.forEach((sector, i) => {
+        let base = sectorOffset(sector);
+        for (let j = 0; j < entriesPerSector - 1; j++) {
+            let id = overflow[i * (entriesPerSector - 1) + j];
+            view.setUint32(base + j * 4, id === undefined ? FREESECT : id, true);
+        }
+        view.setUint32(base + (entriesPerSector - 1) * 4, i + 1 < difatIds.length ? difatIds[i + 1] : ENDOFCHAIN, true);
+    });
+
+    out.set([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1], 0);
+    view.setUint16(24, 0x003E, true);
+    view.setUint16(26, this.sectorShift === 12 ? 4 : 3, true);
+    view.setUint16(28, 0xFFFE, true);
+    view.setUint16(30, this.sectorShift, true);
+    view.setUint16(32, 6, true);
+    // Directory sector count is only recorded in version 4
+    view.setUint32(40, this.sectorShift === 12 ? dirSectors : 0, true);
+    view.setUint32(44, fatSectors, true);
+    view.setUint32(48, dirStart, true);
+    view.setUint32(56, MINI_STREAM_CUTOFF, true);
+    view.setUint32(60, miniFatBytes ? miniFatStart : ENDOFCHAIN, true);
+    view.setUint32(64, sectorsFor(miniFatBytes), true);
+    view.setUint32(68, difatIds.length ? difatIds[0] : ENDOFCHAIN, true);
+    view.setUint32(72, difatIds.length, true);
+    for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) view.setUint32(76 + i * 4, i < fatIds.length ? fatIds[i] : FREESECT, true);
+
+    return out;
+};
+
+/* =============================================================================
+   MESSAGE PROPERTIES
+   ============================================================================= */
+
+const PT_LONG = 0x0003;
+const PT_STRING8 = 0x001E;
+const PT_UNICODE = 0x001F;
+const PT_BINARY = 0x0102;
+
+const PROP_MESSAGE_CLASS = 0x001A;
+const PROP_SUBJECT = 0x0037;
+const PROP_DISPLAY_BCC = 0x0E02;
+const PROP_DISPLAY_CC = 0x0E03;
+const PROP_DISPLAY_TO = 0x0E04;
+const PROP_BODY = 0x1000;
+const PROP_HTML = 0x1013;
+const PROP_RTF_COMPRESSED = 0x1009;
+const PROP_TRANSPORT_HEADERS = 0x007D;
+const PROP_INTERNET_CPID = 0x3FDE;
+
+const PROP_RECIPIENT_TYPE = 0x0C15;
+const PROP_DISPLAY_NAME = 0x3001;
+const PROP_EMAIL_ADDRESS = 0x3003;
+const PROP_SMTP_ADDRESS = 0x39FE;
+
+const PROP_ATTACH_SIZE = 0x0E20;
+const PROP_ATTACH_DATA = 0x3701;
+const PROP_ATTACH_METHOD = 0x3705;
+const PROP_ATTACH_LONG_FILENAME = 0x3707;
+const PROP_ATTACH_MIME_TAG = 0x370E;
+
+const ATTACH_BY_VALUE = 1;
+const CODEPAGE_UTF8 = 65001;
+const PROPS_HEADER_MESSAGE = 32;
+const PROPS_HEADER_CHILD = 8;
+
+function _hex(value, width) {
+    return value.toString(16).toUpperCase().padStart(width, '0');
+}
+
+/**
+ * Encodes a string property value, null terminated. ANSI strings are
+ * written as UTF-8, which is what Outlook stores when the message's
+ * internet code page is 65001.
+ */
+function _encodeString(value, type) {
+    if (type === PT_STRING8) {
+        let text = new TextEncoder().encode(value);
+        let bytes = new Uint8Array(text.length + 1);
+        bytes.set(text);
+        return bytes;
+    }
+    let bytes = new Uint8Array((value.length + 1) * 2);
+    let view = new DataView(bytes.buffer);
+    for (let i = 0; i < value.length; i++) view.setUint16(i * 2, value.charCodeAt(i), true);
+    return bytes;
+}
+
+/**
+ * One storage's properties: variable-length values become __substg1.0_
+ * streams, fixed-size ones go in its __properties_version1.0 stream.
+ */
+function PropertyBag(cfb, storageId, stringType) {
+    this.cfb = cfb;
+    this.storageId = storageId;
+    this.stringType = stringType;
+    this.fixed = [];
+}
+
+PropertyBag.prototype.setString = function(id, value) {
+    if (value === null || value === undefined) return;
+    this.setBinary(id, _encodeString(String(value), this.stringType), this.stringType);
+};
+
+PropertyBag.prototype.setBinary = function(id, data, type = PT_BINARY) {
+    this.cfb.addStream(this.storageId, `__substg1.0_${_hex(id, 4)}${_hex(type, 4)}`, data);
+    this.fixed.push({ tag: (id << 16) | type, value: data.length });
+};
+
+PropertyBag.prototype.setLong = function(id, value) {
+    this.fixed.push({ tag: (id << 16) | PT_LONG, value });
+};
+
+PropertyBag.prototype.write = function(header) {
+    let data = new Uint8Array(header.length + this.fixed.length * 16);
+    let view = new DataView(data.buffer);
+    data.set(header, 0);
+    this.fixed.forEach((prop, i) => {
+        view.setUint32(header.length + i * 16, prop.tag >>> 0, true);
+        view.setUint32(header.length + i * 16 + 4, 0x6, true);
+        view.setUint32(header.length + i * 16 + 8, prop.value >>> 0, true);
+    });
+    this.cfb.addStream(this.storageId, '__properties_version1.0', data);
+};
+
+/**
+ * Builds an Outlook message compound file.
+ * @param {Object} spec
+ * @param {string} [spec.subject]
+ * @param {string} [spec.body]
+ * @param {string} [spec.bodyHTML] - Stored as PR_HTML (binary, UTF-8).
+ * @param {Uint8Array} [spec.rtfCompressed] - Raw PR_RTF_COMPRESSED stream.
+ * @param {string} [spec.transportHeaders] - Raw RFC 5322 headers (PR_TRANSPORT_MESSAGE_HEADERS).
+ * @param {Array<{name?: string, email: string, type?: number}>} [spec.recipients]
+ * @param {Array<{filename: string, mimeType?: string, data: Uint8Array}>} [spec.attachments]
+ * @param {Object} [layout]
+ * @param {number} [layout.sectorShift=9] - Sector size exponent (9 or 12).
+ * @param {boolean} [layout.ansi=false] - Write PT_STRING8 instead of PT_UNICODE strings.
+ * @param {boolean} [layout.freeSlot=false] - Leave an unused directory slot after the root.
+ * @returns {Uint8Array} File bytes.
+ */
+function buildMessage(spec, layout = {}) {
+    let cfb = new CompoundFile({ sectorShift: layout.sectorShift });
+    if (layout.freeSlot) cfb.addFreeSlot();
+    let stringType = layout.ansi ? PT_STRING8 : PT_UNICODE;
+    let recipients = spec.recipients || [];
+    let attachments = spec.attachments || [];
+    let displayList = (type) => recipients.filter(r => (r.type || 1) === type).map(r => r.name || r.email).join('; ');
+
+    recipients.forEach((recipient, index) => {
+        let bag = new PropertyBag(cfb, cfb.addStorage(0, `__recip_version1.0_#${_hex(index, 8)}`), stringType);
+        bag.setLong(PROP_RECIPIENT_TYPE, recipient.type || 1);
+        bag.setString(PROP_DISPLAY_NAME, recipient.name || recipient.email);
+        bag.setString(PROP_EMAIL_ADDRESS, recipient.email);
+        bag.setString(PROP_SMTP_ADDRESS, recipient.email);
+        bag.write(new Uint8Array(PROPS_HEADER_CHILD));
+    });
+
+    attachments.forEach((attachment, index) => {
+        let bag = new PropertyBag(cfb, cfb.addStorage(0, `__attach_version1.0_#${_hex(index, 8)}`), stringType);
+        bag.setLong(PROP_ATTACH_METHOD, ATTACH_BY_VALUE);
+        bag.setLong(PROP_ATTACH_SIZE, attachment.data.length);
+        bag.setString(PROP_ATTACH_LONG_FILENAME, attachment.filename);
+        bag.setString(PROP_ATTACH_MIME_TAG, attachment.mimeType);
+        bag.setBinary(PROP_ATTACH_DATA, attachment.data);
+        bag.write(new Uint8Array(PROPS_HEADER_CHILD));
+    });
+
+    let message = new PropertyBag(cfb, 0, stringType);
+    message.setString(PROP_MESSAGE_CLASS, 'IPM.Note');
+    message.setString(PROP_SUBJECT, spec.subject);
+    message.setString(PROP_BODY, spec.body);
+    if (spec.bodyHTML !== undefined) message.setBinary(PROP_HTML, new TextEncoder().encode(spec.bodyHTML));
+    if (spec.rtfCompressed) message.setBinary(PROP_RTF_COMPRESSED, spec.rtfCompressed);
+    message.setString(PROP_TRANSPORT_HEADERS, spec.transportHeaders);
+    if (recipients.length) {
+        message.setString(PROP_DISPLAY_TO, displayList(1));
+        message.setString(PROP_DISPLAY_CC, displayList(2));
+        message.setString(PROP_DISPLAY_BCC, displayList(3));
+    }
+    message.setLong(PROP_INTERNET_CPID, CODEPAGE_UTF8);
+
+    let header = new Uint8Array(PROPS_HEADER_MESSAGE);
+    let headerView = new DataView(header.buffer);
+    headerView.setUint32(8, recipients.length, true);
+    headerView.setUint32(12, attachments.length, true);
+    headerView.setUint32(16, recipients.length, true);
+    headerView.setUint32(20, attachments.length, true);
+    message.write(header);
+
+    return cfb.build();
+}
+
+// --- Exported Object ---
+const Compound = {
+    CompoundFile,
+    buildMessage
+};
+
+export { Compound };
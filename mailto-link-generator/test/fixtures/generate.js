@@ -0,0 +1,24 @@
+/**
+ * Fixture Writer
+ * * saves every synthetic fixture to a folder, for dropping into the web app
+ * or feeding to other mail tools by hand.
+ * Usage: node test/fixtures/generate.js <dir>
+ */
+
+'use strict';
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { FIXTURES } from './index.js';
+
+const dir = process.argv[2];
+if (!dir) {
+    process.stderr.write('Usage: node test/fixtures/generate.js <dir>\n');
+    process.exit(2);
+}
+
+await mkdir(dir, { recursive: true });
+for (const { file, build } of FIXTURES) {
+    await writeFile(path.join(dir, file), build());
+    process.stdout.write(`${path.join(dir, file)}\n`);
+}
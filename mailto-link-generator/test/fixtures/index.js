@@ -0,0 +1,181 @@
+/**
+ * Fixture Catalogue
+ * * every synthetic email file the suite parses. Fixtures sharing a golden
+ * carry the same message in different containers (sector size, string
+ * type), so they must all parse to identical output.
+ */
+
+'use strict';
+
+import { Compound } from './compound.js';
+import { Mime } from './mime.js';
+
+const TO = 1, CC = 2, BCC = 3;
+
+/**
+ * Deterministic filler bytes, so large streams aren't runs of one value
+ * that would hide sector mix-ups.
+ */
+function pattern(length, seed = 1) {
+    let bytes = new Uint8Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        bytes[i] = state >>> 24;
+    }
+    return bytes;
+}
+
+/* =============================================================================
+   OUTLOOK MESSAGES
+   ============================================================================= */
+
+const BASIC = {
+    subject: 'Café menu — week 42 ✓',
+    body: 'Hi team,\r\n\r\nThe new menu is attached: crème brûlée on Friday.\r\n\r\nThanks,\r\nZoë',
+    recipients: [
+        { name: 'Ana Souza', email: 'ana@example.com', type: TO },
+        { email: 'kitchen@example.org', type: TO },
+        { name: 'Jörg Müller', email: 'joerg@example.de', type: CC },
+        { name: 'Audit', email: 'audit@example.com', type: BCC }
+    ],
+    attachments: [{ filename: 'menu.txt', mimeType: 'text/plain', data: new TextEncoder().encode('Mon: soup\r\nFri: crème brûlée\r\n') }]
+};
+
+// Sizes straddle the 4096-byte mini stream cutoff: the body (2046 UTF-16
+// code units + terminator = 4094 bytes) stays in the mini stream
+const CUTOFF = {
+    subject: 'Mini stream cutoff',
+    body: 'x'.repeat(2000) + '\r\n' + 'end of body'.padStart(44, '.'),
+    recipients: [{ name: 'Boundary', email: 'boundary@example.com', type: TO }],
+    attachments: [
+        { filename: 'mini.bin', mimeType: 'application/octet-stream', data: pattern(4095, 7) },
+        { filename: 'regular.bin', mimeType: 'application/octet-stream', data: pattern(4096, 11) }
+    ]
+};
+
+// A 7.5 MB attachment needs more than the header's 109 FAT sectors, and
+// the directory sits past it, so its FAT entries are reachable only via the DIFAT
+const LARGE = {
+    subject: 'Site photos',
+    body: 'Full-resolution photo attached.',
+    recipients: [{ name: 'Field Office', email: 'field@example.com', type: TO }],
+    attachments: [{ filename: 'site.jpg', mimeType: 'image/jpeg', data: pattern(7.5 * 1024 * 1024, 3) }]
+};
+
+const HTML_ONLY = {
+    subject: 'HTML only',
+    bodyHTML: '<html><body><p>Hello&nbsp;<b>world</b> &amp; friends</p><p>Second&#160;line &euro;5</p></body></html>',
+    recipients: [{ email: 'html@example.com', type: TO }]
+};
+
+// No subject property: the subject must come from the raw header scan
+const HEADERS_ONLY = {
+    body: 'Body from the property stream.',
+    transportHeaders: 'Received: from mx.example.com\r\nSubject: Subject from transport headers\r\nTo: scan@example.com\r\nMIME-Version: 1.0\r\n\r\n',
+    recipients: [{ email: 'scan@example.com', type: TO }]
+};
+
+/* =============================================================================
+   MIME MESSAGES
+   ============================================================================= */
+
+const PLAIN_7BIT = () => Mime.buildEml([
+    ['From', 'Sender <sender@example.com>'],
+    ['To', '"Doe, Jane" <jane@example.com>, bob@example.com'],
+    ['Cc', `${Mime.encodedWord('Zoë')} <zoe@example.com>`],
+    ['Subject', `Quarterly ${Mime.encodedWord('résumé')} ${Mime.encodedWord('review')}`]
+], {
+    type: 'text/plain', charset: 'us-ascii', encoding: '7bit',
+    text: 'Plain ASCII body.\nSecond line with a trailing space \n\n\n\nAfter extra blank lines.'
+});
+
+const ALTERNATIVE_QP = () => Mime.buildEml([
+    ['To', 'team@example.com'],
+    ['Bcc', 'archive@example.com'],
+    ['Subject', 'Alternative parts']
+], {
+    type: 'multipart/alternative',
+    parts: [
+        {
+            type: 'text/plain', charset: 'utf-8', encoding: 'quoted-printable',
+            text: 'A long line that must be soft-wrapped by quoted-printable because it runs well past seventy-six characters, with = signs and naïve accents.\nShort line.'
+        },
+        {
+            type: 'text/html', charset: 'utf-8', encoding: 'quoted-printable',
+            text: '<p>A long line that must be soft-wrapped, in <b>HTML</b>.</p>'
+        }
+    ]
+});
+
+const MIXED_BASE64 = () => Mime.buildEml([
+    ['To', 'Printer <print@example.com>'],
+    ['Subject', Mime.encodedWord('Rapport trimestriel — été', 'utf-8', 'Q')]
+], {
+    type: 'multipart/mixed',
+    parts: [
+        {
+            type: 'multipart/related',
+            parts: [
+                {
+                    type: 'multipart/alternative',
+                    parts: [
+                        { type: 'text/plain', charset: 'utf-8', encoding: 'base64', text: 'Voir le logo ci-dessous et le rapport en pièce jointe.\n— Équipe' },
+                        { type: 'text/html', charset: 'utf-8', encoding: 'base64', text: '<p>Voir le logo <img src="cid:logo@fixture"> et le rapport.</p>' }
+                    ]
+                },
+                { type: 'image/png', encoding: 'base64', filename: 'logo.png', contentId: 'logo@fixture', bytes: pattern(300, 5) }
+            ]
+        },
+        { type: 'application/pdf', encoding: 'base64', filename: 'rapport.pdf', bytes: pattern(5000, 9) }
+    ]
+});
+
+const LATIN1 = () => Mime.buildEml([
+    ['To', `${Mime.encodedWord('François Lefèvre', 'iso-8859-1', 'Q')} <francois@example.fr>`],
+    ['Subject', Mime.encodedWord('«Offre» spéciale à 50 %', 'iso-8859-1', 'Q')]
+], {
+    type: 'text/plain', charset: 'iso-8859-1', encoding: 'quoted-printable',
+    text: 'Bonjour François,\nVoilà le devis: 1 250 EUR (hors TVA).'
+});
+
+const KOI8R = () => Mime.buildEml([
+    ['To', 'ivan@example.ru'],
+    ['Subject', Mime.encodedWord('Привет из Москвы', 'koi8-r', 'B')]
+], {
+    type: 'text/plain', charset: 'koi8-r', encoding: 'base64',
+    text: 'Добрый день!\nВстреча в пятницу.'
+});
+
+const HTML_ONLY_EML = () => Mime.buildEml([
+    ['To', 'html@example.com'],
+    ['Subject', 'HTML only']
+], {
+    type: 'text/html', charset: 'utf-8', encoding: 'quoted-printable',
+    text: '<html><body><p>Hello&nbsp;<b>world</b> &amp; friends</p><p>Second&#160;line &euro;5</p></body></html>'
+});
+
+// --- Exported Object ---
+
+/**
+ * @type {Array<{file: string, golden: string, build: () => Uint8Array, skip?: string}>}
+ */
+const FIXTURES = [
+    { file: 'basic-unicode.msg', golden: 'basic', build: () => Compound.buildMessage(BASIC) },
+    { file: 'basic-ansi.msg', golden: 'basic', build: () => Compound.buildMessage(BASIC, { ansi: true }) },
+    { file: 'basic-4096.oft', golden: 'basic', build: () => Compound.buildMessage(BASIC, { sectorShift: 12 }) },
+    { file: 'basic-free-slot.msg', golden: 'basic', build: () => Compound.buildMessage(BASIC, { freeSlot: true }) },
+    { file: 'cutoff-unicode.msg', golden: 'cutoff', build: () => Compound.buildMessage(CUTOFF) },
+    { file: 'cutoff-4096.msg', golden: 'cutoff', build: () => Compound.buildMessage(CUTOFF, { sectorShift: 12 }) },
+    { file: 'large-difat.msg', golden: 'large', build: () => Compound.buildMessage(LARGE) },
+    { file: 'html-only.msg', golden: 'html-only', build: () => Compound.buildMessage(HTML_ONLY) },
+    { file: 'headers-only-ansi.msg', golden: 'headers-only', build: () => Compound.buildMessage(HEADERS_ONLY, { ansi: true }) },
+    { file: 'plain-7bit.eml', golden: 'plain-7bit', build: PLAIN_7BIT },
+    { file: 'alternative-qp.eml', golden: 'alternative-qp', build: ALTERNATIVE_QP },
+    { file: 'mixed-base64.eml', golden: 'mixed-base64', build: MIXED_BASE64 },
+    { file: 'latin1-qp.eml', golden: 'latin1-qp', build: LATIN1 },
+    { file: 'koi8r-base64.eml', golden: 'koi8r-base64', build: KOI8R },
+    { file: 'html-only.eml', golden: 'html-only-eml', build: HTML_ONLY_EML }
+];
+
+export { FIXTURES, pattern };
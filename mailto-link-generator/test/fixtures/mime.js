@@ -0,0 +1,150 @@
+/**
+ * MIME Message Fixture Builder
+ * * assembles .eml files from a part tree, applying charsets, transfer
+ * encodings (7bit, quoted-printable, base64) and RFC 2047 encoded words the
+ * way mail clients write them.
+ */
+
+'use strict';
+
+const CRLF = '\r\n';
+
+/* =============================================================================
+   ENCODINGS
+   ============================================================================= */
+
+// KOI8-R lower-case Cyrillic, enough for fixture text
+const KOI8_R = 'юабцдефгхийклмнопярстужвьызшэщчъ';
+
+/**
+ * Encodes text in one of the charsets fixtures use.
+ * @param {string} text
+ * @param {string} charset - utf-8, us-ascii, iso-8859-1 or koi8-r.
+ * @returns {Uint8Array}
+ */
+function encodeCharset(text, charset) {
+    let label = charset.toLowerCase();
+    if (label === 'utf-8') return new TextEncoder().encode(text);
+    return Uint8Array.from([...text], ch => {
+        let code = ch.charCodeAt(0);
+        if (code < 0x80) return code;
+        if (label === 'koi8-r' && KOI8_R.includes(ch.toLowerCase())) {
+            return 0xC0 + KOI8_R.indexOf(ch.toLowerCase()) + (ch === ch.toLowerCase() ? 0 : 0x20);
+        }
+        if (label === 'iso-8859-1' && code < 0x100) return code;
+        throw new Error(`Cannot encode U+${code.toString(16).toUpperCase()} as ${charset}`);
+    });
+}
+
+function _base64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/.{1,76}/g, line => line + CRLF).slice(0, -CRLF.length);
+}
+
+/**
+ * Quoted-printable with 76-character lines and soft breaks; line breaks in
+ * the text stay hard breaks.
+ */
+function _quotedPrintable(bytes) {
+    let lines = [], line = '';
+    let push = (token) => {
+        if (line.length + token.length > 75) {
+            lines.push(line + '=');
+            line = '';
+        }
+        line += token;
+    };
+    for (let i = 0; i < bytes.length; i++) {
+        let b = bytes[i];
+        if (b === 0x0D && bytes[i + 1] === 0x0A) {
+            lines.push(line);
+            line = '';
+            i++;
+            continue;
+        }
+        let trailingSpace = (b === 0x20 || b === 0x09) && (i + 1 === bytes.length || bytes[i + 1] === 0x0D);
+        let literal = b >= 0x21 && b <= 0x7E && b !== 0x3D;
+        push(literal || (b === 0x20 && !trailingSpace) ? String.fromCharCode(b) : '=' + b.toString(16).toUpperCase().padStart(2, '0'));
+    }
+    lines.push(line);
+    return lines.join(CRLF);
+}
+
+/**
+ * RFC 2047 encoded word.
+ * @param {string} text
+ * @param {string} [charset='utf-8']
+ * @param {string} [mode='B'] - 'B' (base64) or 'Q' (quoted-printable).
+ */
+function encodedWord(text, charset = 'utf-8', mode = 'B') {
+    let bytes = encodeCharset(text, charset);
+    let payload = mode === 'B'
+        ? _base64(bytes).replace(/\r\n/g, '')
+        : Array.from(bytes, b => b === 0x20 ? '_' : (b >= 0x21 && b <= 0x7E && b !== 0x3D && b !== 0x3F && b !== 0x5F)
+            ? String.fromCharCode(b) : '=' + b.toString(16).toUpperCase().padStart(2, '0')).join('');
+    return `=?${charset}?${mode}?${payload}?=`;
+}
+
+/* =============================================================================
+   MESSAGE ASSEMBLY
+   ============================================================================= */
+
+/**
+ * Serializes one entity. Leaf parts give `text` (encoded in `charset`) or
+ * raw `bytes`; multiparts give `parts`.
+ * @param {Object} part
+ * @param {string} part.type - Content type, e.g. text/plain or multipart/mixed.
+ * @param {string} [part.charset]
+ * @param {string} [part.encoding] - 7bit, quoted-printable or base64.
+ * @param {string} [part.filename] - Makes the part an attachment (or inline with part.contentId).
+ * @param {string} [part.contentId]
+ * @param {Object[]} [part.parts]
+ * @param {string[][]} [headers] - Extra [name, value] headers written first.
+ * @returns {string} Binary string (one char per byte).
+ */
+function _entity(part, headers = [], path = '0') {
+    let lines = headers.map(([name, value]) => `${name}: ${value}`);
+
+    if (part.parts) {
+        let boundary = `=_fixture_${path}`;
+        lines.push(`Content-Type: ${part.type}; boundary="${boundary}"`, '');
+        lines.push('This is a multi-part message in MIME format.');
+        part.parts.forEach((child, i) => lines.push(`--${boundary}`, _entity(child, [], `${path}.${i}`)));
+        lines.push(`--${boundary}--`, '');
+        return lines.join(CRLF);
+    }
+
+    let type = part.type + (part.charset ? `; charset="${part.charset}"` : '') + (part.filename ? `; name="${part.filename}"` : '');
+    lines.push(`Content-Type: ${type}`);
+    if (part.encoding) lines.push(`Content-Transfer-Encoding: ${part.encoding}`);
+    if (part.filename) lines.push(`Content-Disposition: ${part.contentId ? 'inline' : 'attachment'}; filename="${part.filename}"`);
+    if (part.contentId) lines.push(`Content-ID: <${part.contentId}>`);
+    lines.push('');
+
+    let bytes = part.bytes || encodeCharset(part.text.replace(/\r?\n/g, CRLF), part.charset || 'utf-8');
+    if (part.encoding === 'base64') lines.push(_base64(bytes));
+    else if (part.encoding === 'quoted-printable') lines.push(_quotedPrintable(bytes));
+    else lines.push(String.fromCharCode(...bytes));
+    return lines.join(CRLF);
+}
+
+/**
+ * Builds an .eml file.
+ * @param {string[][]} headers - [name, value] pairs; values must already be ASCII (see encodedWord).
+ * @param {Object} body - Root part, see _entity.
+ * @returns {Uint8Array} File bytes.
+ */
+function buildEml(headers, body) {
+    let text = _entity(body, [...headers, ['MIME-Version', '1.0']]) + CRLF;
+    return Uint8Array.from(text, ch => ch.charCodeAt(0));
+}
+
+// --- Exported Object ---
+const Mime = {
+    buildEml,
+    encodeCharset,
+    encodedWord
+};
+
+export { Mime };
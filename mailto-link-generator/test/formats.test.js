@@ -0,0 +1,117 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+const { Formats } = Page.load();
+
+const DATA = {
+    to: '"Doe, Jane" <jane@example.org>, bo@example.com',
+    cc: '', bcc: 'audit@example.com',
+    subject: 'Q&A [draft] <today>',
+    body: 'Hi (all)\nBye'
+};
+const HREF = 'mailto:jane%40example.org?subject=Q%26A&body=x';
+
+describe('Formats.render', () => {
+    test('escape the link and subject in HTML', () => {
+        assert.equal(Formats.render('html', 'mailto:a@b.io?subject=a&body="x"', DATA), '<a href="mailto:a@b.io?subject=a&amp;body=&quot;x&quot;">Q&amp;A [draft] &lt;today&gt;</a>');
+        assert.match(Formats.render('button', HREF, DATA), /^<a href="mailto:jane%40example\.org\?subject=Q%26A&amp;body=x" style="display:inline-block;[^"]*">Q&amp;A/);
+    });
+
+    test('escape brackets in Markdown labels and parentheses and spaces in targets', () => {
+        assert.equal(Formats.render('markdown', 'mailto:a@b.io?subject=(a b)', DATA), '[Q&A \\[draft\\] \\<today\\>](mailto:a@b.io?subject=%28a%20b%29)');
+    });
+
+    test('fall back to a generic label without a subject', () => {
+        assert.equal(Formats.render('html', 'mailto:', { subject: '  ' }), '<a href="mailto:">Send email</a>');
+    });
+
+    test('build webmail compose URLs with bare addresses', () => {
+        assert.equal(
+            Formats.render('gmail', HREF, DATA),
+            'https://mail.google.com/mail/?view=cm&fs=1&to=jane%40example.org%2Cbo%40example.com&bcc=audit%40example.com&su=Q%26A%20%5Bdraft%5D%20%3Ctoday%3E&body=Hi%20(all)%0ABye'
+        );
+        assert.equal(
+            Formats.render('outlook', HREF, { to: 'a@example.com', subject: 'Hi' }),
+            'https://outlook.office.com/mail/deeplink/compose?to=a%40example.com&subject=Hi'
+        );
+    });
+
+    test('return the link itself for mailto', () => {
+        assert.equal(Formats.render('mailto', HREF, DATA), HREF);
+    });
+});
+
+describe('copy buttons', () => {
+    test('label a copy action for every text format', () => {
+        assert.deepEqual(Formats.LIST.filter(f => !f.copy).map(f => f.id), ['qr']);
+    });
+
+    test('copy the format the button belongs to', async () => {
+        let page = Page.load();
+        let copied = [], toasts = [];
+        page.State.data = { version: 2, library: [] };
+        page.Utils.copyToClipboard = async (text) => { copied.push(text); return true; };
+        page.UI.showToast = (message) => toasts.push(message);
+        page.App.currentLink = page.App.buildLink({ to: 'a@example.com', subject: 'Hi' });
+
+        for (let format of ['mailto', 'markdown', 'gmail']) await page.App.copyOutput(format);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(copied, [
+            'mailto:a%40example.com?subject=Hi',
+            '[Hi](mailto:a%40example.com?subject=Hi)',
+            'https://mail.google.com/mail/?view=cm&fs=1&to=a%40example.com&su=Hi'
+        ]);
+        assert.deepEqual(toasts, ['mailto: link copied', 'Markdown link copied', 'Gmail compose URL copied']);
+    });
+});
+
+describe('library export', () => {
+    const { Formats: Export, State } = Page.load();
+    State.data = { version: 2, library: [
+        State.createTemplate({ to: 'ana@example.com', subject: 'Offer <new>' }, { name: 'Offer & more', description: 'For *leads*' }),
+        { ...State.createFolder('Support'), children: [
+            { ...State.createFolder('EU'), children: [State.createTemplate({ subject: 'Ticket' }, { name: 'Ticket [EU]' })] },
+            State.createTemplate({}, { name: 'Blank' })
+        ] }
+    ] };
+    const ROWS = State.flattenLibrary();
+
+    test('group templates by folder in library order', () => {
+        assert.deepEqual(Export.groupByPath(ROWS).map(g => [Export.sectionTitle(g.path), g.rows.map(r => r.name)]), [
+            ['Top level', ['Offer & more']],
+            ['Support / EU', ['Ticket [EU]']],
+            ['Support', ['Blank']]
+        ]);
+    });
+
+    test('write an escaped HTML page with a button per template', () => {
+        let html = Export.libraryPage(ROWS, { title: 'Team <links>' });
+        assert.match(html, /<title>Team &lt;links&gt;<\/title>/);
+        assert.match(html, /<a class="send" href="mailto:ana%40example\.com\?subject=Offer%20%3Cnew%3E">Offer &amp; more<\/a>/);
+        assert.match(html, /<div class="subject">Offer &lt;new&gt;<\/div>\n<div class="meta">For \*leads\*<\/div>\n<div class="meta">To: ana@example\.com<\/div>/);
+        assert.match(html, /<div class="subject"><em>No subject<\/em><\/div>/);
+        assert.match(html, /<nav><ul><li><a href="#section-1">Top level<\/a><\/li><li><a href="#section-2">Support \/ EU<\/a><\/li>/);
+        assert.equal(html.match(/<a class="send"/g).length, 3);
+        assert.doesNotMatch(html, /<script/);
+    });
+
+    test('leave out the contents list for a single folder', () => {
+        assert.doesNotMatch(Export.libraryPage(ROWS.slice(0, 1)), /<nav>/);
+    });
+
+    test('write Markdown with escaped labels', () => {
+        let lines = Export.libraryMarkdown(ROWS, { title: 'Team', link: { displayNames: true } }).split('\n');
+        assert.equal(lines[0], '# Team');
+        assert.match(lines[2], /^_3 templates, exported \d{4}-\d{2}-\d{2}_$/);
+        assert.deepEqual(lines.slice(3), [
+            '', '## Top level', '',
+            '- **[Offer & more](mailto:ana%40example.com?subject=Offer%20%3Cnew%3E)** Offer \\<new\\>: For \\*leads\\*',
+            '', '## Support / EU', '',
+            '- **[Ticket \\[EU\\]](mailto:?subject=Ticket)** Ticket',
+            '', '## Support', '',
+            '- **[Blank](mailto:)**',
+            ''
+        ]);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Golden Output Helpers
+ * * reduces parser output to the fields templates are built from and compares
+ * it with the JSON files in test/golden. Run with UPDATE_GOLDEN=1 to rewrite
+ * them after an intended change, then review the diff.
+ */
+
+'use strict';
+
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { MsgReader } from '../js/msgreader.js';
+import { MailTo } from '../js/mailtolink.js';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Parses file bytes the way the app does: MsgReader, then template fields,
+ * then the default link.
+ * @param {Uint8Array} bytes
+ * @returns {Object} Subject, body, recipients, attachment digests, fields and link.
+ */
+function summarize(bytes) {
+    let parsed = MsgReader.read(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    let fields = MailTo.fromMessage(parsed);
+    return {
+        subject: parsed.subject,
+        body: parsed.body,
+        recipients: parsed.recipients.map(r => ({ name: r.name, email: r.email, recipientType: r.recipientType })),
+        attachments: parsed.attachments.map(a => ({
+            filename: a.filename,
+            mimeType: a.mimeType,
+            size: a.size,
+            inline: a.inline,
+            sha256: a.content ? createHash('sha256').update(a.content).digest('hex') : null
+        })),
+        fields,
+        link: MailTo.build(fields)
+    };
+}
+
+function read(name) {
+    return JSON.parse(readFileSync(new URL(`${name}.json`, GOLDEN_DIR), 'utf8'));
+}
+
+/**
+ * Asserts actual output equals the named golden file, or writes it when
+ * updating.
+ * @param {string} name - Golden file name without extension.
+ * @param {Object} actual
+ */
+function check(name, actual) {
+    let file = new URL(`${name}.json`, GOLDEN_DIR);
+    if (UPDATE) {
+        mkdirSync(GOLDEN_DIR, { recursive: true });
+        writeFileSync(file, JSON.stringify(actual, null, 2) + '\n');
+        return;
+    }
+    assert.ok(existsSync(file), `Missing golden ${name}.json: run the suite with UPDATE_GOLDEN=1`);
+    assert.deepEqual(actual, read(name));
+}
+
+// --- Exported Object ---
+const Golden = {
+    check,
+    read,
+    summarize
+};
+
+export { Golden };
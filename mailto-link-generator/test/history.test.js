@@ -0,0 +1,134 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV } from '../js/csv.js';
+import { Page } from './page.js';
+
+let page, State, storage;
+
+/**
+ * Library as nested names: folders become [name, children].
+ */
+function tree(items = State.data.library) {
+    return items.map(item => item.type === 'folder' ? [item.name, tree(item.children)] : item.name);
+}
+
+const idOf = (name) => State.flattenLibrary().find(row => row.name === name)?.id
+    ?? State.getAllFolders().find(folder => folder.name === name).id;
+
+beforeEach(() => {
+    storage = Page.memoryStorage();
+    page = Page.load({ localStorage: storage });
+    State = page.State;
+    State.data = { version: 2, library: [
+        { ...State.createFolder('Sales'), children: [State.createTemplate({}, { name: 'Offer' }), State.createTemplate({}, { name: 'Invoice' })] },
+        State.createFolder('Support'),
+        State.createTemplate({}, { name: 'Lunch' })
+    ] };
+});
+
+describe('library commands', () => {
+    const START = [['Sales', ['Offer', 'Invoice']], ['Support', []], 'Lunch'];
+
+    test('insert, then undo and redo it', () => {
+        State.execute(State.commands.insert(idOf('Support'), State.createTemplate({}, { name: 'Ticket' })));
+        assert.deepEqual(tree(), [['Sales', ['Offer', 'Invoice']], ['Support', ['Ticket']], 'Lunch']);
+        State.undo();
+        assert.deepEqual(tree(), START);
+        State.redo();
+        assert.deepEqual(tree(), [['Sales', ['Offer', 'Invoice']], ['Support', ['Ticket']], 'Lunch']);
+    });
+
+    test('restore a removed item at its old position', () => {
+        State.execute(State.commands.remove(idOf('Offer')));
+        assert.deepEqual(tree(), [['Sales', ['Invoice']], ['Support', []], 'Lunch']);
+        State.undo();
+        assert.deepEqual(tree(), START);
+    });
+
+    test('move back to the original folder and index', () => {
+        State.execute(State.commands.move(idOf('Offer'), 'root', 0));
+        assert.deepEqual(tree(), ['Offer', ['Sales', ['Invoice']], ['Support', []], 'Lunch']);
+        State.undo();
+        assert.deepEqual(tree(), START);
+    });
+
+    test('restore the properties an update replaced', () => {
+        let id = idOf('Lunch');
+        State.execute(State.commands.update(id, { name: 'Dinner', description: 'Evening' }));
+        assert.equal(State.findItem(id).item.description, 'Evening');
+        State.undo();
+        assert.equal(State.findItem(id).item.name, 'Lunch');
+        assert.equal(State.findItem(id).item.description, '');
+    });
+
+    test('undo a batch as one step, in reverse order', () => {
+        let offer = idOf('Offer');
+        State.execute(State.commands.batch('Reshuffle', [
+            State.commands.move(offer, idOf('Support')),
+            State.commands.update(offer, { name: 'Offer v2' }),
+            State.commands.remove(idOf('Sales'))
+        ]));
+        assert.deepEqual(tree(), [['Support', ['Offer v2']], 'Lunch']);
+        assert.equal(State.undo().label, 'Reshuffle');
+        assert.deepEqual(tree(), START);
+        assert.equal(State.undo(), null);
+    });
+
+    test('stay valid when other commands were undone in between', () => {
+        let offer = idOf('Offer');
+        State.execute(State.commands.update(offer, { name: 'Offer v2' }));
+        State.execute(State.commands.move(offer, 'root'));
+        State.undo();
+        State.undo();
+        State.redo();
+        State.redo();
+        assert.deepEqual(tree(), [['Sales', ['Invoice']], ['Support', []], 'Lunch', 'Offer v2']);
+    });
+});
+
+describe('history', () => {
+    test('clear redo on a new command', () => {
+        State.execute(State.commands.update(idOf('Lunch'), { name: 'Dinner' }));
+        State.undo();
+        assert.equal(State.history.redo.length, 1);
+        State.execute(State.commands.update(idOf('Lunch'), { name: 'Brunch' }));
+        assert.equal(State.history.redo.length, 0);
+        assert.equal(State.redo(), null);
+    });
+
+    test('keep only the most recent commands', () => {
+        let id = idOf('Lunch');
+        for (let i = 0; i < page.CONFIG.HISTORY_LIMIT + 5; i++) State.execute(State.commands.update(id, { name: `Lunch ${i}` }));
+        assert.equal(State.history.undo.length, page.CONFIG.HISTORY_LIMIT);
+        while (State.undo());
+        assert.equal(State.findItem(id).item.name, 'Lunch 4');
+    });
+
+    test('save after every step', async () => {
+        let id = idOf('Lunch');
+        let stored = () => JSON.parse(storage.getItem(page.CONFIG.STORAGE_KEY)).library[2].name;
+        State.execute(State.commands.update(id, { name: 'Dinner' }));
+        await page.Persistence.queue;
+        assert.equal(stored(), 'Dinner');
+        State.undo();
+        await page.Persistence.queue;
+        assert.equal(stored(), 'Lunch');
+    });
+});
+
+describe('CSV import', () => {
+    test('reuse existing folders and create missing ones once', () => {
+        let { templates } = CSV.readTemplates([
+            'name,path,to,cc,bcc,subject,body,tags',
+            'Quote,/Sales,,,,,,a; b',
+            'Refund,Billing/EU,,,,,,',
+            'Dunning,/Billing/EU/,,,,,,',
+            'Hello,,,,,,,'
+        ].join('\n'));
+        State.execute(State.importFromCSV(templates));
+        assert.deepEqual(tree(), [['Sales', ['Offer', 'Invoice', 'Quote']], ['Support', []], 'Lunch', ['Billing', [['EU', ['Refund', 'Dunning']]]], 'Hello']);
+        assert.deepEqual(State.findItem(idOf('Quote')).item.tags, ['a', 'b']);
+        State.undo();
+        assert.deepEqual(tree(), [['Sales', ['Offer', 'Invoice']], ['Support', []], 'Lunch']);
+    });
+});
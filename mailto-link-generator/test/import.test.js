@@ -0,0 +1,82 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+let page, State;
+
+/**
+ * Library as nested names: folders become [name, children].
+ */
+function tree(items = State.data.library) {
+    return items.map(item => item.type === 'folder' ? [item.name, tree(item.children)] : item.name);
+}
+
+const entry = (path, name) => ({ path, item: State.createTemplate({}, { name }) });
+
+/**
+ * Minimal FileSystemEntry tree for Utils.collectDroppedFiles. Directories
+ * hand out their children in chunks of two, like the browser's paging.
+ */
+function fakeEntry(name, children = null) {
+    if (!children) return { name, isFile: true, file: (resolve) => resolve({ name }) };
+    return {
+        name,
+        isDirectory: true,
+        createReader: () => {
+            let rest = [...children];
+            return { readEntries: (resolve) => resolve(rest.splice(0, 2)) };
+        }
+    };
+}
+
+beforeEach(() => {
+    page = Page.load();
+    State = page.State;
+    State.data = { version: 2, library: [
+        { ...State.createFolder('Inbox'), children: [State.createFolder('Clients')] },
+        State.createTemplate({}, { name: 'Lunch' })
+    ] };
+});
+
+describe('State.planImport', () => {
+    test('place items relative to the target folder', () => {
+        let inbox = State.data.library[0].id;
+        State.execute(State.planImport([entry('', 'Top'), entry('Clients', 'Acme'), entry('Clients/2024/', 'Old')], inbox));
+        assert.deepEqual(tree(), [['Inbox', [['Clients', ['Acme', ['2024', ['Old']]]], 'Top']], 'Lunch']);
+    });
+
+    test('create a new folder once for all its items', () => {
+        State.execute(State.planImport([entry('/Drop/a', 'One'), entry('Drop/a', 'Two'), entry('Drop', 'Three')]));
+        assert.deepEqual(tree(), [['Inbox', [['Clients', []]]], 'Lunch', ['Drop', [['a', ['One', 'Two']], 'Three']]]);
+    });
+
+    test('undo the whole import as one step', () => {
+        let command = State.planImport([entry('Drop', 'One'), entry('', 'Two')], 'root', 'Import 2 emails');
+        assert.equal(command.label, 'Import 2 emails');
+        State.execute(command);
+        assert.equal(State.undo().label, 'Import 2 emails');
+        assert.deepEqual(tree(), [['Inbox', [['Clients', []]]], 'Lunch']);
+    });
+});
+
+describe('dropped files', () => {
+    test('walk directories and keep their paths', async () => {
+        let dataTransfer = { items: [
+            { webkitGetAsEntry: () => fakeEntry('top.eml') },
+            { webkitGetAsEntry: () => fakeEntry('Mail', [fakeEntry('a.msg'), fakeEntry('b.msg'), fakeEntry('Old', [fakeEntry('c.oft')])]) }
+        ] };
+        let files = await page.Utils.collectDroppedFiles(dataTransfer);
+        assert.deepEqual(files.map(f => [f.path, f.file.name]), [['', 'top.eml'], ['Mail', 'a.msg'], ['Mail', 'b.msg'], ['Mail/Old', 'c.oft']]);
+    });
+
+    test('fall back to the file list without entries', async () => {
+        let files = await page.Utils.collectDroppedFiles({ files: [{ name: 'a.eml' }] });
+        assert.deepEqual(files, [{ file: { name: 'a.eml' }, path: '' }]);
+    });
+
+    test('recognize email files by extension', () => {
+        assert.equal(page.App.isEmailFile('Offer.MSG'), true);
+        assert.equal(page.App.isEmailFile('notes.email'), true);
+        assert.equal(page.App.isEmailFile('photo.png'), false);
+    });
+});
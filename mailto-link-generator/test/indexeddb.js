@@ -0,0 +1,107 @@
+/**
+ * In-Memory IndexedDB
+ * * just enough of window.indexedDB for the Persistence module: object
+ * stores with an in-line key path, get/getAll/put/delete, and transactions
+ * that commit all at once on a later task, as browsers do.
+ */
+
+'use strict';
+
+const later = (fn) => setTimeout(fn, 0);
+
+/**
+ * Request stand-in; handlers are attached after the call returns, so
+ * results are delivered on a later task.
+ */
+function settle(request, produce) {
+    later(() => {
+        request.result = produce();
+        request.onsuccess?.();
+    });
+    return request;
+}
+
+function openStore(tx, name) {
+    if (!tx.staged.has(name)) tx.staged.set(name, new Map(tx.stored.stores.get(name).records));
+    let records = tx.staged.get(name);
+    let { keyPath } = tx.stored.stores.get(name);
+    let write = (op, key) => {
+        if (tx.mode !== 'readwrite') throw new DOMException('Transaction is read-only', 'ReadOnlyError');
+        tx.factory.writes.push({ store: name, op, key });
+    };
+    return {
+        get: (key) => settle({}, () => structuredClone(records.get(key))),
+        getAll: () => settle({}, () => [...records.values()].map(value => structuredClone(value))),
+        put: (value) => {
+            write('put', value[keyPath]);
+            records.set(value[keyPath], structuredClone(value));
+            return settle({}, () => value[keyPath]);
+        },
+        delete: (key) => {
+            write('delete', key);
+            records.delete(key);
+            return settle({}, () => undefined);
+        }
+    };
+}
+
+function connection(factory, stored) {
+    return {
+        objectStoreNames: { contains: (name) => stored.stores.has(name) },
+        createObjectStore: (name, { keyPath }) => { stored.stores.set(name, { keyPath, records: new Map() }); },
+        close: () => {},
+        transaction: (names, mode = 'readonly') => {
+            let tx = { factory, stored, mode, staged: new Map(), error: null };
+            tx.objectStore = (name) => openStore(tx, name);
+            // Two tasks later, so requests queued right after this call settle first
+            later(() => later(() => {
+                if (mode === 'readwrite' && factory.failNextWrite) {
+                    tx.error = factory.failNextWrite;
+                    factory.failNextWrite = null;
+                    tx.onerror?.();
+                    return;
+                }
+                tx.staged.forEach((records, name) => { stored.stores.get(name).records = records; });
+                tx.oncomplete?.();
+            }));
+            return tx;
+        }
+    };
+}
+
+/**
+ * Creates an empty IndexedDB factory.
+ * @returns {Object} indexedDB stand-in, plus `writes` (every put/delete in
+ *   order), `failNextWrite` (error for the next read-write transaction) and
+ *   `records(db, store)` to inspect committed data.
+ */
+function create() {
+    let databases = new Map();
+    let factory = {
+        writes: [],
+        failNextWrite: null,
+        open: (name, version) => {
+            let request = { result: null, error: null };
+            later(() => {
+                let stored = databases.get(name) || { version: 0, stores: new Map() };
+                databases.set(name, stored);
+                request.result = connection(factory, stored);
+                if (stored.version < version) {
+                    stored.version = version;
+                    request.onupgradeneeded?.();
+                }
+                request.onsuccess?.();
+            });
+            return request;
+        },
+        records: (db, store) => [...databases.get(db).stores.get(store).records.values()]
+    };
+    return factory;
+}
+
+// --- Exported Object ---
+const IndexedDB = {
+    create
+};
+
+export { IndexedDB };
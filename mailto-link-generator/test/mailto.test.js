@@ -0,0 +1,238 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MailTo, LINK_CONFIG as CONFIG } from '../js/mailtolink.js';
+import { Page } from './page.js';
+
+const { App, State } = Page.load();
+State.data = { version: 2, library: [] };
+
+const LONG = {
+    to: 'ana@example.com',
+    subject: 'Report',
+    body: 'Dear Ana,\n\n' + 'The quarterly numbers are attached below. '.repeat(80)
+};
+
+describe('MailTo.build', () => {
+    test('encode fields and send body line breaks as CRLF', () => {
+        assert.equal(
+            MailTo.build({ to: 'a@example.com', cc: 'b@example.com', subject: 'Hi & bye', body: 'one\ntwo' }),
+            'mailto:a%40example.com?cc=b%40example.com&subject=Hi%20%26%20bye&body=one%0D%0Atwo'
+        );
+    });
+
+    test('leave out empty fields', () => {
+        assert.equal(MailTo.build({ to: 'a@example.com', cc: '', subject: 'Hi' }), 'mailto:a%40example.com?subject=Hi');
+    });
+});
+
+describe('recipients in links', () => {
+    const DATA = { to: 'Jane Doe <jane@example.org>; "Doe, J" <j@example.org>', cc: '{{boss}}' };
+
+    test('link bare addresses by default', () => {
+        assert.equal(MailTo.build(DATA), 'mailto:jane%40example.org,j%40example.org?cc=%7B%7Bboss%7D%7D');
+    });
+
+    test('keep display names when asked', () => {
+        assert.equal(
+            MailTo.build(DATA, { displayNames: true }),
+            'mailto:Jane%20Doe%20%3Cjane%40example.org%3E,%22Doe%2C%20J%22%20%3Cj%40example.org%3E?cc=%7B%7Bboss%7D%7D'
+        );
+    });
+
+    test('follow the stored setting', () => {
+        State.setSetting('displayNames', true);
+        assert.match(App.buildLink(DATA).href, /^mailto:Jane%20Doe/);
+        State.setSetting('displayNames', false);
+        assert.match(App.buildLink(DATA).href, /^mailto:jane%40/);
+    });
+});
+
+describe('extra headers', () => {
+    test('emit valid headers as their own parameters', () => {
+        let headers = 'In-Reply-To: <1@example.com>\nTo: b@example.com\nno colon\nX-Tag: a&b';
+        assert.equal(
+            MailTo.build({ to: 'a@example.com', subject: 'Hi', headers }),
+            'mailto:a%40example.com?subject=Hi&In-Reply-To=%3C1%40example.com%3E&X-Tag=a%26b'
+        );
+    });
+
+    test('read unknown parameters back as headers, any case', () => {
+        let data = MailTo.parse('mailto:a@example.com?SUBJECT=Hi&CC=b@example.com&cc=c@example.com&Reply-To=d%40example.com&keywords=x');
+        assert.deepEqual([data.subject, data.cc, data.headers], ['Hi', 'b@example.com, c@example.com', 'Reply-To: d@example.com\nkeywords: x']);
+    });
+
+    test('explain skipped lines and what clients do with the rest', () => {
+        assert.deepEqual(MailTo.checkHeaders('Reply-To: a@example.com\n\nbroken line\nCc: x@example.com\nBad Name: v\nFrom: me@example.com\nX-Custom: 1'), [
+            { line: 1, name: 'Reply-To', level: 'warning', message: CONFIG.HEADER_NOTES['reply-to'] },
+            { line: 3, name: '', level: 'error', message: 'Expected "Name: value"' },
+            { line: 4, name: 'Cc', level: 'error', message: 'Use the Cc field instead' },
+            { line: 5, name: 'Bad Name', level: 'error', message: 'Invalid header name' },
+            { line: 6, name: 'From', level: 'warning', message: 'Clients refuse to set this header from a link' },
+            { line: 7, name: 'X-Custom', level: 'warning', message: CONFIG.HEADER_NOTES.default }
+        ]);
+    });
+});
+
+describe('download as email', () => {
+    /**
+     * Opens the download modal and returns its HTML.
+     */
+    function modalFor(fields) {
+        let page = Page.load({ MsgWriter: {} });
+        let content = null;
+        page.UI.showModal = (title, html) => { content = html; };
+        page.App.openDownloadModal({ to: '', cc: '', bcc: '', subject: 'Hi', body: '', ...fields });
+        return content;
+    }
+
+    test('warn that .msg and .oft leave out extra headers', () => {
+        assert.match(modalFor({ headers: 'Reply-To: a@example.com\nbroken\nX-Tag: 1' }), /leave out the extra headers \(Reply-To, X-Tag\)/);
+    });
+
+    test('not warn without extra headers', () => {
+        assert.doesNotMatch(modalFor({ headers: 'broken' }), /extra headers/);
+    });
+});
+
+describe('encoding profiles', () => {
+    const DATA = { to: 'a@example.com', subject: 'a+b; c@d', body: 'one\r\ntwo\rthree' };
+
+    test('encode everything but unreserved characters by default', () => {
+        assert.equal(MailTo.build(DATA), 'mailto:a%40example.com?subject=a%2Bb%3B%20c%40d&body=one%0D%0Atwo%0D%0Athree');
+    });
+
+    test('leave RFC 6068 literals unencoded in strict mode, but never +', () => {
+        assert.equal(MailTo.build(DATA, { profile: 'strict' }), 'mailto:a@example.com?subject=a%2Bb;%20c@d&body=one%0D%0Atwo%0D%0Athree');
+    });
+
+    test('write bare LF line breaks when asked', () => {
+        assert.match(MailTo.build(DATA, { profile: 'lf' }), /body=one%0Atwo%0Athree$/);
+    });
+
+    test('fall back to the first profile for unknown ids', () => {
+        assert.equal(MailTo.getProfile('nope').id, 'compatible');
+    });
+});
+
+describe('MailTo.parse', () => {
+    test('keep plus signs and malformed escapes', () => {
+        let data = MailTo.parse('MAILTO:a+tag@example.com?subject=1+1%3D2%zz&body=a%0D%0Ab%0Dc');
+        assert.deepEqual([data.to, data.subject, data.body], ['a+tag@example.com', '1+1=2%zz', 'a\nb\nc']);
+    });
+
+    test('merge recipients from the path and repeated parameters', () => {
+        let data = MailTo.parse('mailto:a@example.com,b@example.com?to=c@example.com&bcc=d@example.com;e@example.com');
+        assert.deepEqual([data.to, data.bcc], ['a@example.com, b@example.com, c@example.com', 'd@example.com, e@example.com']);
+    });
+
+    test('read a link without a query', () => {
+        assert.equal(MailTo.parse('mailto:a%40example.com').to, 'a@example.com');
+        assert.equal(MailTo.parse('https://example.com').to, '');
+    });
+});
+
+describe('MailTo.verifyRoundTrip', () => {
+    const FIELDS = {
+        to: '"Doe, Jane" <jane@example.org>; bo@example.com',
+        cc: '', bcc: 'x@example.com',
+        subject: 'Ärger & 50% + mehr ✓',
+        body: 'Line 1\r\n\r\n  indented {{name}}\n',
+        headers: 'Reply-To: r@example.com'
+    };
+
+    test('pass fields every profile carries unchanged', () => {
+        for (let profile of CONFIG.ENCODING_PROFILES) {
+            assert.deepEqual(MailTo.verifyRoundTrip(FIELDS, { profile: profile.id }), [], profile.id);
+            assert.deepEqual(MailTo.verifyRoundTrip(FIELDS, { profile: profile.id, displayNames: true }), [], profile.id);
+        }
+    });
+
+    test('list the fields the link changes', () => {
+        let losses = MailTo.verifyRoundTrip({ ...FIELDS, headers: 'Reply-To: r@example.com\nnot a header' });
+        assert.deepEqual(losses, [{ key: 'headers', expected: 'Reply-To: r@example.com\nnot a header', actual: 'Reply-To: r@example.com' }]);
+    });
+});
+
+describe('MailTo.analyze', () => {
+    test('list fields by encoded size and the limits passed', () => {
+        let analysis = MailTo.analyze(LONG);
+        assert.equal(analysis.length, MailTo.build(LONG).length);
+        assert.deepEqual(analysis.fields.map(f => f.key), ['body', 'to', 'subject']);
+        assert.equal(analysis.fields[2].length, 'Report'.length);
+        assert.deepEqual(analysis.exceeded.map(c => c.id), ['shell', 'outlook']);
+    });
+
+    test('report nothing exceeded for short links', () => {
+        assert.deepEqual(MailTo.analyze({ to: 'a@example.com', body: 'Hi' }).exceeded, []);
+    });
+});
+
+describe('MailTo.trimBody', () => {
+    test('fit the limit, cut at a word and add the note', () => {
+        let trimmed = MailTo.trimBody(LONG, 2048);
+        let length = MailTo.build(trimmed).length;
+        assert.ok(length <= 2048 && length > 1900, `${length} characters`);
+        assert.ok(trimmed.body.endsWith(CONFIG.TRUNCATION_NOTE));
+        assert.match(trimmed.body.slice(0, -CONFIG.TRUNCATION_NOTE.length), /\b(The|quarterly|numbers|are|attached|below\.)$/);
+        assert.equal(trimmed.subject, 'Report');
+    });
+
+    test('keep bodies that already fit', () => {
+        let data = { to: 'a@example.com', body: 'Hi' };
+        assert.equal(MailTo.trimBody(data, 2048), data);
+    });
+
+    test('never split a surrogate pair', () => {
+        let trimmed = MailTo.trimBody({ body: '😀'.repeat(500) }, 300);
+        assert.doesNotThrow(() => decodeURIComponent(MailTo.build(trimmed).split('body=')[1]));
+        assert.ok(MailTo.build(trimmed).length <= 300);
+    });
+
+    test('drop the body when not even the note fits', () => {
+        assert.equal(MailTo.trimBody({ to: 'a@example.com', body: 'x'.repeat(100) }, 40).body, '');
+    });
+});
+
+describe('MailTo.fromMessage', () => {
+    test('sort recipients by type, keep display names and skip entries without an address', () => {
+        let fields = MailTo.fromMessage({
+            subject: 'Hi',
+            body: null,
+            recipients: [
+                { name: 'Ana', email: 'ana@example.com', recipientType: 1 },
+                { name: 'Doe, Jane', email: 'jane@example.org', recipientType: 3 },
+                { name: 'bob@example.com', recipientType: 2 },
+                { name: 'Nobody', recipientType: 2 },
+                { email: 'audit@example.com', recipientType: 3 },
+                { email: 'cy@example.com' }
+            ]
+        });
+        assert.deepEqual(fields, { to: 'Ana <ana@example.com>, cy@example.com', cc: 'bob@example.com', bcc: '"Doe, Jane" <jane@example.org>, audit@example.com', subject: 'Hi', body: '', headers: '' });
+    });
+});
+
+describe('App.buildLink', () => {
+    test('apply the chosen strategy only over the limit', () => {
+        App.lengthStrategy = 'trim';
+        assert.equal(App.buildLink({ to: 'a@example.com', body: 'Hi' }).applied, null);
+        let trimmed = App.buildLink(LONG);
+        assert.equal(trimmed.applied, 'trim');
+        assert.ok(trimmed.href.length <= MailTo.strictestLimit());
+    });
+
+    test('leave the body out to copy it instead', () => {
+        App.lengthStrategy = 'clipboard';
+        let link = App.buildLink(LONG);
+        assert.equal(link.applied, 'clipboard');
+        assert.equal(link.clipboardText, LONG.body);
+        assert.equal(link.href, MailTo.build({ ...LONG, body: '' }));
+    });
+
+    test('keep the full link by default', () => {
+        App.lengthStrategy = 'none';
+        let link = App.buildLink(LONG);
+        assert.equal(link.applied, null);
+        assert.equal(link.href, MailTo.build(LONG));
+        assert.equal(link.analysis.exceeded.length, 2);
+    });
+});
@@ -0,0 +1,268 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { MsgReader } from '../js/msgreader.js';
+import { Compound } from './fixtures/compound.js';
+import { FIXTURES, pattern } from './fixtures/index.js';
+import { Mime } from './fixtures/mime.js';
+import { Golden } from './golden.js';
+
+const fixture = (file) => FIXTURES.find(f => f.file === file);
+const header = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, 512);
+
+/**
+ * Byte offset of the directory entry with the given name.
+ */
+function findEntry(bytes, name) {
+    let needle = new Uint8Array(name.length * 2);
+    for (let i = 0; i < name.length; i++) needle[i * 2] = name.charCodeAt(i);
+    for (let i = 0; i + needle.length <= bytes.length; i += 128) {
+        if (needle.every((b, j) => bytes[i + j] === b)) return i;
+    }
+    throw new Error(`No entry ${name}`);
+}
+
+/**
+ * PR_RTF_COMPRESSED stream holding rtf as LZFu literals only, with the
+ * header's raw size set to rawSize.
+ */
+function lzfu(rtf, rawSize = rtf.length, type = 'LZFu') {
+    let body = [];
+    for (let i = 0; i < rtf.length; i += 8) body.push(0, ...Array.from(rtf.slice(i, i + 8), ch => ch.charCodeAt(0)));
+    let bytes = new Uint8Array(16 + body.length);
+    let view = new DataView(bytes.buffer);
+    view.setUint32(0, bytes.length - 4, true);
+    view.setUint32(4, rawSize, true);
+    bytes.set(Array.from(type, ch => ch.charCodeAt(0)), 8);
+    bytes.set(body, 16);
+    return bytes;
+}
+
+describe('golden outputs', () => {
+    FIXTURES.forEach(({ file, golden, build, skip }) => {
+        test(file, { skip }, () => {
+            Golden.check(golden, Golden.summarize(build()));
+        });
+    });
+});
+
+describe('fixture layouts', () => {
+    test('version 4 files use 4096-byte sectors', () => {
+        let bytes = fixture('basic-4096.oft').build();
+        assert.equal(header(bytes).getUint16(26, true), 4);
+        assert.equal(header(bytes).getUint16(30, true), 12);
+        assert.equal(bytes.length % 4096, 0);
+    });
+
+    test('the large message needs DIFAT sectors', () => {
+        let view = header(fixture('large-difat.msg').build());
+        assert.ok(view.getUint32(44, true) > 109, 'more FAT sectors than the header lists');
+        assert.ok(view.getUint32(72, true) > 0, 'DIFAT sector count');
+        assert.ok(view.getUint32(48, true) > 109 * 128, 'directory mapped by a DIFAT-listed FAT sector');
+    });
+
+    test('ANSI fixtures store PT_STRING8 streams', () => {
+        let names = (bytes) => new TextDecoder('utf-16le').decode(bytes).match(/__substg1\.0_[0-9A-F]{8}/g);
+        assert.ok(names(fixture('basic-ansi.msg').build()).every(n => !n.endsWith('001F')));
+        assert.ok(names(fixture('basic-unicode.msg').build()).every(n => !n.endsWith('001E')));
+    });
+});
+
+describe('MsgReader', () => {
+    test('accepts a Uint8Array', () => {
+        let bytes = fixture('basic-unicode.msg').build();
+        assert.equal(MsgReader.read(bytes).subject, Golden.read('basic').subject);
+    });
+
+    test('rejects a truncated OLE header', () => {
+        let bytes = fixture('basic-unicode.msg').build().slice(0, 256);
+        assert.throws(() => MsgReader.read(bytes.buffer), /too small/);
+    });
+
+    test('reads streams on both sides of the mini stream cutoff', () => {
+        let parsed = MsgReader.read(fixture('cutoff-unicode.msg').build().buffer);
+        assert.deepEqual(parsed.attachments.map(a => a.content), [pattern(4095, 7), pattern(4096, 11)]);
+        assert.ok(parsed.body.endsWith('end of body'));
+    });
+
+    test('reads attachment data through the DIFAT', () => {
+        let parsed = MsgReader.read(fixture('large-difat.msg').build().buffer);
+        let digest = (bytes) => createHash('sha256').update(bytes).digest('hex');
+        assert.equal(digest(parsed.attachments[0].content), digest(pattern(7.5 * 1024 * 1024, 3)));
+    });
+
+    test('joins quoted-printable soft line breaks', () => {
+        let parsed = MsgReader.read(fixture('alternative-qp.eml').build().buffer);
+        assert.match(parsed.body, /seventy-six characters, with = signs and naïve accents\.\nShort line\.$/);
+    });
+
+    test('decodes legacy charsets in bodies and encoded words', () => {
+        let latin1 = MsgReader.read(fixture('latin1-qp.eml').build().buffer);
+        assert.equal(latin1.subject, '«Offre» spéciale à 50 %');
+        assert.equal(latin1.recipients[0].name, 'François Lefèvre');
+        let koi8 = MsgReader.read(fixture('koi8r-base64.eml').build().buffer);
+        assert.equal(koi8.subject, 'Привет из Москвы');
+        assert.equal(koi8.body, 'Добрый день!\nВстреча в пятницу.');
+    });
+});
+
+describe('diagnostics', () => {
+    const notes = (parsed, level) => parsed.diagnostics.filter(d => d.level === level).map(d => d.message);
+
+    test('name the decoder kept for the subject and body', () => {
+        let unicode = MsgReader.read(fixture('basic-unicode.msg').build());
+        assert.ok(notes(unicode, 'info').includes('Subject: Unicode property decoded as UTF-16LE'));
+        assert.ok(notes(unicode, 'info').includes('OLE compound file, version 3 (512-byte sectors)'));
+        assert.deepEqual(notes(unicode, 'warning'), []);
+        let ansi = MsgReader.read(fixture('basic-ansi.msg').build());
+        assert.ok(notes(ansi, 'info').includes('Body: ANSI property decoded as UTF-8'));
+        assert.deepEqual(notes(ansi, 'warning'), []);
+    });
+
+    test('flag a Unicode property that only reads as 8-bit text', () => {
+        let bytes = fixture('basic-ansi.msg').build();
+        // Retag the ANSI subject stream as PT_UNICODE
+        new DataView(bytes.buffer).setUint16(findEntry(bytes, '__substg1.0_0037001E') + 38, 'F'.charCodeAt(0), true);
+        let parsed = MsgReader.read(bytes);
+        assert.equal(parsed.subject, Golden.read('basic').subject);
+        assert.ok(notes(parsed, 'warning').includes('Subject: stored as Unicode but decoded as UTF-8, which gave more readable text'));
+    });
+
+    test('report ANSI text that is not UTF-8', () => {
+        let bytes = fixture('basic-ansi.msg').build();
+        let at = Buffer.from(bytes.buffer).indexOf('Café menu');
+        assert.ok(at > 0);
+        bytes.set([0xE9, 0x20], at + 3);
+        let parsed = MsgReader.read(bytes);
+        assert.match(parsed.subject, /^Café {2}menu /);
+        assert.ok(notes(parsed, 'warning').includes('Subject: not valid UTF-8, decoded as Windows-1252'));
+    });
+
+    test('report the raw MIME scan', () => {
+        let parsed = MsgReader.read(fixture('headers-only-ansi.msg').build());
+        assert.ok(notes(parsed, 'warning').some(m => /^No subject property, read from MIME headers found at byte \d+$/.test(m)));
+    });
+
+    test('describe MIME body parts and charset fallbacks', () => {
+        let latin1 = MsgReader.read(fixture('latin1-qp.eml').build());
+        assert.ok(notes(latin1, 'info').includes('Body: text/plain part (iso-8859-1, quoted-printable)'));
+        let unknown = MsgReader.read(Mime.buildEml([['Subject', 'Unknown charset']], {
+            type: 'text/plain', charset: 'x-unknown', bytes: new TextEncoder().encode('Grüße')
+        }));
+        assert.equal(unknown.body, 'Grüße');
+        assert.deepEqual(notes(unknown, 'warning'), ['Unknown charset "x-unknown", decoded as UTF-8']);
+    });
+
+    test('errors carry the diagnostics gathered so far', () => {
+        let bytes = fixture('large-difat.msg').build().slice(0, 4 * 1024 * 1024);
+        assert.throws(() => MsgReader.read(bytes), (err) => err.diagnostics[0].code === 'format');
+    });
+});
+
+describe('message bodies', () => {
+    test('keep {{placeholders}} in plain text', () => {
+        let body = 'Hallo {{name}},\n\nyour order {{ order|#1 }} ships {{date}}.';
+        assert.equal(MsgReader.read(Compound.buildMessage({ subject: 'Order', body })).body, body);
+    });
+
+    test('drop Outlook CSS rules from HTML-only bodies', () => {
+        let bodyHTML = '<p>p.MsoNormal {margin:0cm} Dear {{name}},</p>';
+        assert.equal(MsgReader.read(Compound.buildMessage({ subject: 'Order', bodyHTML })).body, 'Dear {{name}},');
+    });
+});
+
+describe('recipients', () => {
+    test('read quoted names and internationalized addresses from .eml headers', () => {
+        let eml = [
+            'To: "Müller, Jörg" <jörg@bücher.de>, info@xn--bcher-kva.de',
+            'Cc: "john doe"@example.com; root@[192.0.2.1]',
+            'Subject: Hi',
+            '',
+            'Body'
+        ].join('\r\n');
+        let parsed = MsgReader.read(new TextEncoder().encode(eml));
+        assert.deepEqual(parsed.recipients.map(r => [r.recipientType, r.name, r.email]), [
+            [1, 'Müller, Jörg', 'jörg@bücher.de'],
+            [1, '', 'info@xn--bcher-kva.de'],
+            [2, '', '"john doe"@example.com'],
+            [2, '', 'root@[192.0.2.1]']
+        ]);
+    });
+});
+
+describe('compressed RTF bodies', () => {
+    const RTF = '{\\rtf1\\ansi\\ansicpg1252 Hello from RTF\\par}';
+
+    test('convert an RTF-only body to text', () => {
+        let parsed = MsgReader.read(Compound.buildMessage({ subject: 'RTF', rtfCompressed: lzfu(RTF) }));
+        assert.equal(parsed.body, 'Hello from RTF');
+    });
+
+    test('recover the HTML an RTF body was generated from', () => {
+        let rtf = '{\\rtf1\\ansi\\fromhtml1 {\\*\\htmltag64 <p>}Hello from HTML{\\*\\htmltag72 </p>}}';
+        let parsed = MsgReader.read(Compound.buildMessage({ subject: 'RTF', rtfCompressed: lzfu(rtf) }));
+        assert.equal(parsed.bodyHTML, '<p>Hello from HTML</p>');
+        assert.equal(parsed.body, 'Hello from HTML');
+    });
+
+    test('size the output from the compressed data, not the header', () => {
+        let bytes = Compound.buildMessage({ subject: 'RTF', rtfCompressed: lzfu(RTF, 0xFFFFFFF0) });
+        // Engines allocate zeroed buffers lazily, so record the sizes asked for
+        const NativeUint8Array = Uint8Array;
+        let largest = 0;
+        globalThis.Uint8Array = new Proxy(NativeUint8Array, {
+            construct(target, args, newTarget) {
+                if (typeof args[0] === 'number') largest = Math.max(largest, args[0]);
+                return Reflect.construct(target, args, newTarget);
+            }
+        });
+        let parsed;
+        try {
+            parsed = MsgReader.read(bytes);
+        } finally {
+            globalThis.Uint8Array = NativeUint8Array;
+        }
+        assert.equal(parsed.body, 'Hello from RTF');
+        assert.ok(largest < 64 * 1024, `allocated ${largest} bytes`);
+    });
+
+    test('leave the body empty and report an unknown compression type', () => {
+        let parsed = MsgReader.read(Compound.buildMessage({ subject: 'RTF', rtfCompressed: lzfu(RTF, RTF.length, 'XXXX') }));
+        assert.equal(parsed.subject, 'RTF');
+        assert.equal(parsed.body, null);
+        assert.ok(parsed.diagnostics.some(d => d.code === 'rtf-unreadable'));
+    });
+});
+
+describe('corrupt OLE files', () => {
+    test('reject unsupported sector sizes', () => {
+        let bytes = fixture('basic-unicode.msg').build();
+        header(bytes).setUint16(30, 10, true);
+        assert.throws(() => MsgReader.read(bytes.buffer), /Unsupported OLE sector size \(2\^10 bytes\)/);
+    });
+
+    test('report a sector chain that loops', () => {
+        let bytes = fixture('basic-unicode.msg').build();
+        let view = header(bytes);
+        let dirStart = view.getUint32(48, true);
+        new DataView(bytes.buffer).setUint32((view.getUint32(76, true) + 1) * 512 + dirStart * 4, dirStart, true);
+        assert.throws(() => MsgReader.read(bytes.buffer), new RegExp(`directory chain loops at sector ${dirStart}`));
+    });
+
+    test('report a stream outside the MiniFAT', () => {
+        let bytes = fixture('basic-unicode.msg').build();
+        new DataView(bytes.buffer).setUint32(findEntry(bytes, '__substg1.0_1000001F') + 116, 0xFFFFFF, true);
+        assert.throws(() => MsgReader.read(bytes.buffer), /"__substg1\.0_1000001F" chain points to sector 16777215, outside the MiniFAT/);
+    });
+
+    test('report an incomplete DIFAT chain', () => {
+        let bytes = fixture('large-difat.msg').build();
+        header(bytes).setUint32(68, 0xFFFFFFFE, true);
+        assert.throws(() => MsgReader.read(bytes.buffer), /found 109 of \d+ FAT sectors/);
+    });
+
+    test('report a truncated file instead of partial data', () => {
+        let bytes = fixture('large-difat.msg').build();
+        assert.throws(() => MsgReader.read(bytes.slice(0, 4 * 1024 * 1024).buffer), /past the end of the file/);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MsgReader } from '../js/msgreader.js';
+import { MsgWriter } from '../js/msgwriter.js';
+
+const FIELDS = {
+    to: '"Jörg Müller" <joerg@example.de>; "Doe, Jane" <jane@example.org>',
+    cc: 'team@example.com',
+    bcc: '',
+    subject: 'Résumé ✓ {{name}}',
+    body: 'Hallo {{name}},\n\nanbei mein Lebenslauf — Grüße!\n'
+};
+const DATE = new Date(Date.UTC(2024, 4, 17, 12, 0, 0));
+
+const eml = (fields, options) => new TextEncoder().encode(MsgWriter.buildEml(fields, { date: DATE, ...options }));
+const recipients = (parsed) => parsed.recipients.map(r => [r.recipientType, r.name, r.email]);
+
+/**
+ * Header lines of a built .eml, folded as written.
+ */
+function headerLines(fields) {
+    let text = MsgWriter.buildEml(fields, { date: DATE });
+    return text.slice(0, text.indexOf('\r\n\r\n')).split('\r\n');
+}
+
+describe('.eml round trip', () => {
+    test('keep subject, recipients and body', () => {
+        let parsed = MsgReader.read(eml(FIELDS));
+        assert.equal(parsed.subject, FIELDS.subject);
+        assert.equal(parsed.body.replace(/\r\n/g, '\n'), FIELDS.body.trim());
+        assert.deepEqual(recipients(parsed), [
+            [1, 'Jörg Müller', 'joerg@example.de'],
+            [1, 'Doe, Jane', 'jane@example.org'],
+            [2, '', 'team@example.com']
+        ]);
+    });
+
+    test('keep spaces between encoded words', () => {
+        for (let subject of ['Grüße aus Köln', 'Ärger über Öl ✓ done', 'plain then ünïcödé words']) {
+            assert.equal(MsgReader.read(eml({ subject })).subject, subject);
+        }
+    });
+
+    test('keep long non-ASCII subjects intact', () => {
+        let subject = '日本語の件名はとても長いのでエンコードされた単語を複数に分割する必要があります {{name}}';
+        assert.equal(MsgReader.read(eml({ subject })).subject, subject);
+    });
+
+    test('split encoded words and fold header lines', () => {
+        let lines = headerLines({
+            to: Array.from({ length: 8 }, (_, i) => `"Empfänger ${i}" <user${i}@example.com>`).join(', '),
+            subject: 'Ünïcödé '.repeat(20) + 'and a long ASCII tail '.repeat(5)
+        });
+        lines.forEach(line => assert.ok(line.length <= 78, `${line.length} chars: ${line}`));
+        (lines.join(' ').match(/=\?[^?]+\?[BQ]\?[^?]*\?=/g) || []).forEach(word => assert.ok(word.length <= 75, word));
+        assert.ok(lines.some(line => /^\s/.test(line)), 'has continuation lines');
+    });
+
+    test('add extra headers except the ones it writes itself', () => {
+        let lines = headerLines({ subject: 'Hi', headers: 'Reply-To: b@example.com\nDate: yesterday\nbroken line\nX-Tag: a' });
+        assert.deepEqual(lines.filter(line => /^(Reply-To|Date|X-Tag|broken)/.test(line)), ['Reply-To: b@example.com', 'X-Tag: a', 'Date: Fri, 17 May 2024 12:00:00 +0000']);
+    });
+
+    test('mark drafts as unsent', () => {
+        assert.match(MsgWriter.buildEml(FIELDS, { unsent: true }), /\r\nX-Unsent: 1\r\n/);
+        assert.doesNotMatch(MsgWriter.buildEml(FIELDS), /X-Unsent/);
+    });
+});
+
+describe('.msg round trip', () => {
+    test('keep subject, recipients and body', () => {
+        let parsed = MsgReader.read(MsgWriter.buildMsg(FIELDS));
+        assert.equal(parsed.subject, FIELDS.subject);
+        assert.equal(parsed.body.replace(/\r\n/g, '\n'), FIELDS.body.trim());
+        assert.deepEqual(recipients(parsed), [
+            [1, 'Jörg Müller', 'joerg@example.de'],
+            [1, 'Doe, Jane', 'jane@example.org'],
+            [2, 'team@example.com', 'team@example.com']
+        ]);
+    });
+
+    test('read a message without recipients', () => {
+        let parsed = MsgReader.read(MsgWriter.buildMsg({ subject: 'Leer', body: '' }));
+        assert.equal(parsed.subject, 'Leer');
+        assert.deepEqual(parsed.recipients, []);
+    });
+
+    test('keep bodies past the MiniFAT cutoff', () => {
+        let body = 'Zeile mit Ümlauten ✓\n'.repeat(400);
+        let parsed = MsgReader.read(MsgWriter.buildMsg({ subject: 'Lang', body }));
+        assert.equal(parsed.body.replace(/\r\n/g, '\n'), body.trim());
+    });
+});
@@ -0,0 +1,75 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+let State, ids;
+
+const names = (folderId) => State.getOrderedChildren(folderId).map(item => item.name);
+
+beforeEach(() => {
+    ({ State } = Page.load());
+    let nested = State.createFolder('Nested');
+    let parent = { ...State.createFolder('Parent'), children: [nested, State.createTemplate({}, { name: 'Inner' })] };
+    let zeta = State.createTemplate({}, { name: 'zeta' });
+    let alpha = State.createTemplate({}, { name: 'Alpha' });
+    let archive = State.createFolder('Archive');
+    State.data = { version: 2, library: [zeta, parent, alpha, archive] };
+    ids = { nested: nested.id, parent: parent.id, zeta: zeta.id, alpha: alpha.id, archive: archive.id, inner: parent.children[1].id };
+});
+
+describe('State.canMove', () => {
+    test('allow templates and folders into other folders', () => {
+        assert.equal(State.canMove(ids.zeta, ids.nested), true);
+        assert.equal(State.canMove(ids.archive, ids.parent), true);
+        assert.equal(State.canMove(ids.nested, 'root'), true);
+    });
+
+    test('reject a folder into itself or its descendants', () => {
+        assert.equal(State.canMove(ids.parent, ids.parent), false);
+        assert.equal(State.canMove(ids.parent, ids.nested), false);
+    });
+
+    test('reject targets that are not folders, and unknown items', () => {
+        assert.equal(State.canMove(ids.zeta, ids.alpha), false);
+        assert.equal(State.canMove(ids.zeta, 'missing'), false);
+        assert.equal(State.canMove('missing', ids.parent), false);
+    });
+});
+
+describe('folder order', () => {
+    test('list folders first, then by name', () => {
+        assert.deepEqual(names('root'), ['Archive', 'Parent', 'Alpha', 'zeta']);
+        assert.deepEqual(names(ids.parent), ['Nested', 'Inner']);
+    });
+
+    test('keep a hand-made order, and undo it', () => {
+        State.execute(State.commands.reorder('root', [ids.alpha, ids.zeta, ids.archive, ids.parent]));
+        assert.equal(State.isManualOrder('root'), true);
+        assert.deepEqual(names('root'), ['Alpha', 'zeta', 'Archive', 'Parent']);
+        State.undo();
+        assert.equal(State.isManualOrder('root'), false);
+        assert.deepEqual(State.data.library.map(item => item.name), ['zeta', 'Parent', 'Alpha', 'Archive']);
+    });
+
+    test('flag subfolders separately from the root', () => {
+        State.execute(State.commands.reorder(ids.parent, [ids.inner, ids.nested]));
+        assert.equal(State.isManualOrder(ids.parent), true);
+        assert.equal(State.isManualOrder('root'), false);
+        assert.deepEqual(names(ids.parent), ['Inner', 'Nested']);
+    });
+
+    test('go back to name order on sort', () => {
+        State.execute(State.commands.reorder('root', [ids.alpha, ids.zeta, ids.archive, ids.parent]));
+        let sorted = State.getChildren('root').map(item => item.id);
+        State.execute(State.commands.reorder('root', sorted, false));
+        assert.equal(State.isManualOrder('root'), false);
+        assert.deepEqual(names('root'), ['Archive', 'Parent', 'Alpha', 'zeta']);
+        State.undo();
+        assert.equal(State.isManualOrder('root'), true);
+    });
+
+    test('drop a moved item at an index', () => {
+        State.execute(State.commands.move(ids.zeta, ids.parent, 1));
+        assert.deepEqual(State.getChildren(ids.parent).map(item => item.name), ['Nested', 'zeta', 'Inner']);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Page Loader
+ * * runs js/mailto.js outside the browser with just enough of the page's
+ * globals for its modules to load. App.init never runs, so the DOM-free
+ * parts of the controller (State, Placeholders, ...) can be tested in Node;
+ * the ES modules init would import are passed in as page globals instead.
+ */
+
+'use strict';
+
+import { readFileSync } from 'node:fs';
+import { MailTo, Addresses, LINK_CONFIG } from '../js/mailtolink.js';
+import { CSV } from '../js/csv.js';
+
+const SOURCE = readFileSync(new URL('../js/mailto.js', import.meta.url), 'utf8');
+// Top-level modules of the classic script, returned to the caller
+const MODULES = [...SOURCE.matchAll(/^const (\w+) =/gm)].map(match => match[1]);
+
+/**
+ * In-memory stand-in for window.localStorage.
+ * @param {Object<string, string>} [initial] - Items to start with.
+ */
+function memoryStorage(initial = {}) {
+    let items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+        key: (index) => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+}
+
+/**
+ * Element stand-in for Utils.escapeHTML: serializes its text content the
+ * way browsers do for innerHTML.
+ */
+function textElement() {
+    let text = '';
+    return {
+        get textContent() { return text; },
+        set textContent(value) { text = String(value); },
+        get innerHTML() {
+            return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00A0/g, '&nbsp;');
+        }
+    };
+}
+
+/**
+ * Evaluates a fresh copy of the controller.
+ * @param {Object} [globals] - Extra or replacement page globals (localStorage, ...).
+ * @returns {Object} The script's top-level modules by name.
+ */
+function load(globals = {}) {
+    let scope = {
+        document: { readyState: 'loading', addEventListener() {}, createElement: textElement },
+        localStorage: memoryStorage(),
+        MailTo,
+        Addresses,
+        CSV,
+        ...globals
+    };
+    scope.window = scope;
+    let run = new Function(...Object.keys(scope), `${SOURCE}\nreturn { ${MODULES.join(', ')} };`);
+    let modules = run(...Object.values(scope));
+    Object.assign(modules.CONFIG, LINK_CONFIG); // As App.init does
+    return { ...modules, MailTo: scope.MailTo, Addresses: scope.Addresses, CSV: scope.CSV };
+}
+
+// --- Exported Object ---
+const Page = {
+    load,
+    memoryStorage
+};
+
+export { Page };
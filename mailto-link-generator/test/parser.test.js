@@ -0,0 +1,111 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const file = (name, size = 16) => ({ name, size, bytes: new ArrayBuffer(size) });
+
+class FileReader {
+    readAsArrayBuffer(blob) {
+        setTimeout(() => this.onload({ target: { result: blob.bytes } }), 0);
+    }
+}
+
+/**
+ * Worker stand-in that reports ready and keeps what it was sent; tests
+ * answer through onmessage.
+ */
+function workerClass(workers) {
+    return class {
+        constructor() {
+            this.posted = [];
+            this.terminated = false;
+            workers.push(this);
+            setTimeout(() => this.onmessage?.({ data: { ready: true } }), 0);
+        }
+        postMessage(data) { this.posted.push(data); }
+        terminate() { this.terminated = true; }
+    };
+}
+
+/**
+ * Loads the page with the given MsgReader.read and, optionally, workers.
+ */
+function load(read, workers = null) {
+    let globals = { FileReader, MsgReader: { read } };
+    if (workers) globals.Worker = workerClass(workers);
+    let page = Page.load(globals);
+    page.toasts = [];
+    page.UI.showToast = (message) => page.toasts.push(message);
+    page.App.elements = {
+        parseProgress: { classList: { add() {}, remove() {} } },
+        parseProgressBar: {},
+        parseProgressLabel: {}
+    };
+    return page;
+}
+
+describe('Parser in a worker', () => {
+    test('resolve with the worker\'s answer', async () => {
+        let workers = [];
+        let { Parser } = load(() => assert.fail('parsed on the main thread'), workers);
+        let parsing = Parser.parse(file('a.msg'));
+        await tick();
+        let [worker] = workers;
+        worker.onmessage({ data: { id: worker.posted[0].id, result: { subject: 'Hi' } } });
+        assert.deepEqual(await parsing, { subject: 'Hi' });
+    });
+
+    test('stop a parse that runs past the time limit', async () => {
+        let workers = [];
+        let { Parser, CONFIG } = load(null, workers);
+        CONFIG.PARSE_TIMEOUT_MS = 10;
+        await assert.rejects(Parser.parse(file('slow.msg')), /^Error: slow\.msg took longer than 0\.01 s to parse$/);
+        assert.equal(workers[0].terminated, true);
+        assert.equal(Parser.worker, null);
+    });
+
+    test('stop the worker on cancel', async () => {
+        let workers = [];
+        let { Parser } = load(null, workers);
+        let parsing = Parser.parse(file('a.msg'));
+        await tick();
+        Parser.cancel();
+        await assert.rejects(parsing, { name: 'AbortError' });
+        assert.equal(workers[0].terminated, true);
+    });
+});
+
+describe('Parser on the main thread', () => {
+    test('refuse files over the size limit before reading them', async () => {
+        let { Parser, CONFIG } = load(() => assert.fail('read'));
+        await assert.rejects(Parser.parse(file('big.msg', CONFIG.PARSE_MAX_BYTES + 1)), /big\.msg is 50\.0 MB, over the 50\.0 MB import limit/);
+    });
+
+    test('fail a file that ran past the time limit', async () => {
+        let { Parser, CONFIG } = load(() => {
+            let start = Date.now();
+            while (Date.now() - start < 2); // Outlast a zero limit
+            return { subject: 'Late' };
+        });
+        CONFIG.PARSE_TIMEOUT_MS = 0;
+        await assert.rejects(Parser.parse(file('slow.eml')), /slow\.eml took longer than 0 s to parse/);
+    });
+
+    test('leave the rest of the queue alone after a cancel', async () => {
+        let read = [];
+        let page = load(() => {
+            read.push(read.length);
+            if (read.length === 1) page.Parser.cancel(); // As if Cancel was clicked while reading
+            return { subject: 'Hi' };
+        });
+        let files = ['a.eml', 'b.eml', 'c.eml'].map(name => ({ file: file(name), path: '' }));
+        assert.equal(await page.App.parseFiles(files), null);
+        assert.equal(read.length, 1);
+        assert.deepEqual(page.toasts, ['Import cancelled']);
+
+        let results = await page.App.parseFiles(files.slice(1));
+        assert.deepEqual(results.map(r => [r.file.name, r.parsed.subject]), [['b.eml', 'Hi'], ['c.eml', 'Hi']]);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+import { IndexedDB } from './indexeddb.js';
+
+const KEY = 'mailto_generator_data';
+const DB = 'mailto_generator';
+
+const LIBRARY = {
+    version: 2,
+    library: [
+        { id: 'f1', type: 'folder', name: 'Sales', created: 1, updated: 1, children: [
+            { id: 't1', type: 'template', name: 'Offer', fields: { to: 'ana@example.com', subject: 'Offer' }, tags: [], created: 1, updated: 1 },
+            { id: 't2', type: 'template', name: 'Invoice', fields: { subject: 'Invoice' }, tags: [], created: 1, updated: 1 }
+        ] },
+        { id: 't3', type: 'template', name: 'Lunch', fields: { subject: 'Lunch' }, tags: [], created: 1, updated: 1 }
+    ],
+    settings: { displayNames: true }
+};
+
+/**
+ * Library as nested names: folders become [name, children].
+ */
+const tree = (items) => items.map(item => item.type === 'folder' ? [item.name, tree(item.children)] : item.name);
+
+/**
+ * Starts the page on the given storage and waits for load and its writes.
+ */
+async function start(indexedDB, storage = Page.memoryStorage()) {
+    let page = Page.load({ localStorage: storage, indexedDB, navigator: {} });
+    page.toasts = [];
+    page.UI.showToast = (message) => page.toasts.push(message);
+    await page.State.load();
+    await page.Persistence.queue;
+    return { ...page, storage };
+}
+
+describe('IndexedDB storage', () => {
+    test('move a localStorage library over and drop the old key', async () => {
+        let indexedDB = IndexedDB.create();
+        let { Persistence, storage } = await start(indexedDB, Page.memoryStorage({ [KEY]: JSON.stringify(LIBRARY) }));
+        assert.equal(Persistence.backend, 'indexeddb');
+        assert.equal(storage.getItem(KEY), null);
+        assert.deepEqual(indexedDB.records(DB, 'items').map(r => [r.id, r.parentId, r.position]), [
+            ['f1', 'root', 0], ['t1', 'f1', 0], ['t2', 'f1', 1], ['t3', 'root', 1]
+        ]);
+
+        let reloaded = await start(indexedDB);
+        assert.deepEqual(tree(reloaded.State.data.library), [['Sales', ['Offer', 'Invoice']], 'Lunch']);
+        assert.deepEqual(reloaded.State.data.settings, { displayNames: true });
+        assert.deepEqual(reloaded.State.data.library[0].children[0].fields, LIBRARY.library[0].children[0].fields);
+    });
+
+    test('keep a backup of an older schema in the database', async () => {
+        let v1 = { library: [{ id: 't1', type: 'template', name: 'Old', mailto: 'mailto:a@example.com?subject=Hi' }] };
+        let indexedDB = IndexedDB.create();
+        let { State } = await start(indexedDB, Page.memoryStorage({ [KEY]: JSON.stringify(v1) }));
+        assert.equal(State.data.library[0].fields.subject, 'Hi');
+        let backup = indexedDB.records(DB, 'meta').find(r => r.key === 'backup_v1');
+        assert.deepEqual(JSON.parse(backup.value), v1);
+    });
+
+    test('write only the items that changed', async () => {
+        let indexedDB = IndexedDB.create();
+        let { State, Persistence } = await start(indexedDB, Page.memoryStorage({ [KEY]: JSON.stringify(LIBRARY) }));
+        indexedDB.writes = [];
+
+        State.execute(State.commands.update('t2', { name: 'Bill' }));
+        await Persistence.queue;
+        assert.deepEqual(indexedDB.writes, [{ store: 'items', op: 'put', key: 't2' }]);
+
+        indexedDB.writes = [];
+        State.execute(State.commands.remove('t1'));
+        await Persistence.queue;
+        assert.deepEqual(indexedDB.writes, [{ store: 'items', op: 'put', key: 't2' }, { store: 'items', op: 'delete', key: 't1' }]);
+        assert.deepEqual(tree((await start(indexedDB)).State.data.library), [['Sales', ['Bill']], 'Lunch']);
+    });
+
+    test('keep the localStorage copy when the first write fails', async () => {
+        let indexedDB = IndexedDB.create();
+        indexedDB.failNextWrite = new DOMException('Quota exceeded', 'QuotaExceededError');
+        let { State, storage, toasts } = await start(indexedDB, Page.memoryStorage({ [KEY]: JSON.stringify(LIBRARY) }));
+        assert.deepEqual(tree(State.data.library), [['Sales', ['Offer', 'Invoice']], 'Lunch']);
+        assert.deepEqual(JSON.parse(storage.getItem(KEY)), LIBRARY);
+        assert.deepEqual(toasts, ['Storage full: export and remove unused templates']);
+    });
+
+    test('leave a library from a newer build untouched', async () => {
+        let indexedDB = IndexedDB.create();
+        let future = { ...LIBRARY, version: 3 };
+        let { State, storage } = await start(indexedDB, Page.memoryStorage({ [KEY]: JSON.stringify(future) }));
+        assert.equal(State.readOnly, true);
+        assert.deepEqual(indexedDB.writes, []);
+        assert.deepEqual(JSON.parse(storage.getItem(KEY)), future);
+    });
+
+    test('fall back to localStorage without IndexedDB', async () => {
+        let { Persistence, storage, State } = await start(undefined, Page.memoryStorage({ [KEY]: JSON.stringify(LIBRARY) }));
+        assert.equal(Persistence.backend, 'localstorage');
+        State.execute(State.commands.update('t3', { name: 'Dinner' }));
+        await Persistence.queue;
+        assert.equal(JSON.parse(storage.getItem(KEY)).library[1].name, 'Dinner');
+    });
+});
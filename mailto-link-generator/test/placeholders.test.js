@@ -0,0 +1,56 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+const { Placeholders } = Page.load();
+
+describe('Placeholders.detect', () => {
+    test('list distinct placeholders in order of appearance', () => {
+        let found = Placeholders.detect({
+            to: '{{ email }}',
+            subject: 'Offer for {{company}} ({{date}})',
+            body: 'Dear {{name|customer}},\n{{company}} is due on {{date}}.'
+        });
+        assert.deepEqual(found, [
+            { name: 'email', defaultValue: '', builtin: false },
+            { name: 'company', defaultValue: '', builtin: false },
+            { name: 'date', defaultValue: '', builtin: true },
+            { name: 'name', defaultValue: 'customer', builtin: false }
+        ]);
+    });
+
+    test('take a default from a later occurrence', () => {
+        let [found] = Placeholders.detect({ subject: 'Hi {{name}}', body: 'Dear {{name| friend }}' });
+        assert.equal(found.defaultValue, 'friend');
+    });
+
+    test('ignore single braces and empty fields', () => {
+        assert.deepEqual(Placeholders.detect({ subject: '{name} and {}', body: null }), []);
+    });
+});
+
+describe('Placeholders.fill', () => {
+    test('prefer values, then defaults, then built-ins', () => {
+        let data = { subject: '{{name}} / {{team|Sales}} / {{year}}', body: 'Hi {{name|there}}' };
+        let filled = Placeholders.fill(data, { name: 'Ana' });
+        assert.equal(filled.subject, `Ana / Sales / ${new Date().getFullYear()}`);
+        assert.equal(filled.body, 'Hi Ana');
+    });
+
+    test('apply a default declared on another occurrence', () => {
+        let filled = Placeholders.fill({ subject: '{{name}}', body: '{{name|friend}}' });
+        assert.equal(filled.subject, 'friend');
+    });
+
+    test('leave placeholders without any value untouched', () => {
+        let filled = Placeholders.fill({ to: '{{email}}', subject: 'Hi {{name}}' }, { name: '' });
+        assert.equal(filled.to, '{{email}}');
+        assert.equal(filled.subject, 'Hi {{name}}');
+    });
+
+    test('not modify its input', () => {
+        let data = { subject: 'Hi {{name}}' };
+        Placeholders.fill(data, { name: 'Ana' });
+        assert.equal(data.subject, 'Hi {{name}}');
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QRCode } from '../js/qrcode.js';
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+const ECC_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+const DATA_CODEWORDS_V1 = { L: 19, M: 16, Q: 13, H: 9 };
+
+/**
+ * Reads the 15 format bits next to the top-left finder.
+ */
+function formatBits(qr) {
+    let m = qr.modules;
+    let bits = [0, 1, 2, 3, 4, 5, 7, 8].map(y => m[y][8]).concat([7, 5, 4, 3, 2, 1, 0].map(x => m[8][x]));
+    return bits.reduce((value, dark, i) => value | (dark ? 1 << i : 0), 0) ^ 0x5412;
+}
+
+/**
+ * Unmasks a version 1 symbol and reads its byte-mode payload back.
+ */
+function readVersion1(qr) {
+    let format = formatBits(qr);
+    let mask = MASKS[(format >>> 10) & 7];
+    let isFunction = (x, y) => (x < 9 && y < 9) || (x > 12 && y < 9) || (x < 9 && y > 12) || x === 6 || y === 6;
+    let bits = [];
+    for (let right = 20; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vert = 0; vert < 21; vert++) {
+            for (let j = 0; j < 2; j++) {
+                let x = right - j;
+                let y = ((right + 1) & 2) === 0 ? 20 - vert : vert;
+                if (!isFunction(x, y)) bits.push(qr.modules[y][x] !== mask(x, y) ? 1 : 0);
+            }
+        }
+    }
+    let read = (start, length) => bits.slice(start, start + length).reduce((value, bit) => value * 2 + bit, 0);
+    assert.equal(read(0, 4), 0b0100, 'byte mode');
+    let length = read(4, 8);
+    let bytes = Array.from({ length }, (_, i) => read(12 + i * 8, 8));
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+describe('QRCode.encode', () => {
+    test('pick the smallest version and raise the level when it is free', () => {
+        let small = QRCode.encode('mailto:a@b.io');
+        assert.deepEqual([small.version, small.ecc, small.size], [1, 'M', 21]);
+        assert.equal(QRCode.encode('hi', { ecc: 'l' }).ecc, 'H');
+        let long = QRCode.encode(`mailto:a@example.com?body=${'x'.repeat(300)}`);
+        assert.equal(long.size, long.version * 4 + 17);
+        assert.ok(long.version > 7);
+    });
+
+    test('draw finder and timing patterns', () => {
+        let { modules, size } = QRCode.encode('mailto:a@example.com?subject=Hi');
+        for (let [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            assert.deepEqual([-3, -2, -1, 0, 1, 2, 3].map(d => modules[cy][cx + d]), [true, false, true, true, true, false, true]);
+        }
+        for (let i = 8; i < size - 8; i++) assert.equal(modules[6][i], i % 2 === 0);
+        assert.equal(modules[size - 8][8], true, 'dark module');
+    });
+
+    test('write valid format information', () => {
+        for (let ecc of ['L', 'M', 'Q', 'H']) {
+            // Fill version 1 at this level so it is not raised
+            let format = formatBits(QRCode.encode('x'.repeat(DATA_CODEWORDS_V1[ecc] - 2), { ecc }));
+            let data = format >>> 10;
+            let rem = data;
+            for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+            assert.equal(format & 0x3FF, rem & 0x3FF, `${ecc} BCH code`);
+            assert.equal(data >>> 3, ECC_BITS[ecc]);
+        }
+    });
+
+    test('carry the text as UTF-8 bytes', () => {
+        for (let [text, ecc] of [['mailto:a@b.io', 'M'], ['Grüße ✓', 'Q'], ['a', 'H']]) {
+            let qr = QRCode.encode(text, { ecc });
+            assert.equal(qr.version, 1);
+            assert.ok(new TextEncoder().encode(text).length + 2 <= DATA_CODEWORDS_V1[qr.ecc]);
+            assert.equal(readVersion1(qr), text);
+        }
+    });
+
+    test('reject text that does not fit any version', () => {
+        assert.throws(() => QRCode.encode('x'.repeat(3000)), /Too much data for a QR code \(3000 bytes\)/);
+        assert.throws(() => QRCode.encode('x', { ecc: 'Z' }), /Unknown error correction level "Z"/);
+    });
+});
+
+describe('QRCode.toSVG', () => {
+    test('draw one square per dark module inside the quiet zone', () => {
+        let qr = QRCode.encode('hi');
+        let svg = QRCode.toSVG(qr, { scale: 2, margin: 1 });
+        let dark = qr.modules.flat().filter(Boolean).length;
+        assert.match(svg, /width="46" height="46" viewBox="0 0 23 23"/);
+        assert.equal(svg.match(/h1v1h-1z/g).length, dark);
+        assert.match(svg, /M1,1h1v1h-1z/);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+const { Search, State } = Page.load();
+
+State.data = { version: 2, library: [
+    State.createTemplate({ to: 'ana@example.com', subject: 'Quarterly offer', body: 'Prices for {{company}}' }, { name: 'Offer', tags: ['sales'] }),
+    { ...State.createFolder('Helpdesk'), children: [
+        State.createTemplate({ to: 'help@example.com', cc: 'lead@example.com', subject: 'Ticket update', body: 'Your offer request is open' }, { name: 'Ticket', description: 'Support reply' })
+    ] },
+    State.createTemplate({ to: 'team@example.com', bcc: 'audit@example.com', subject: 'Lunch', body: 'Pizza on Friday' }, { name: 'Lunch' })
+] };
+const ROWS = State.flattenLibrary();
+const names = (results) => results.map(r => r.row.name);
+
+describe('Search.query', () => {
+    test('rank matches by the weight of the fields they hit', () => {
+        let results = Search.query(ROWS, 'offer');
+        assert.deepEqual(names(results), ['Offer', 'Ticket']);
+        assert.deepEqual(results[0].fields, ['name', 'subject']);
+        assert.deepEqual(results[1].fields, ['body']);
+    });
+
+    test('require every token to match some field', () => {
+        assert.deepEqual(names(Search.query(ROWS, 'offer support')), ['Ticket']);
+        assert.deepEqual(names(Search.query(ROWS, 'offer pizza')), []);
+    });
+
+    test('match tags, paths and addresses case-insensitively', () => {
+        assert.deepEqual(names(Search.query(ROWS, 'SALES')), ['Offer']);
+        assert.deepEqual(names(Search.query(ROWS, 'helpdesk')), ['Ticket']);
+        assert.deepEqual(names(Search.query(ROWS, 'audit@')), ['Lunch']);
+    });
+
+    test('apply filters with or without a term', () => {
+        assert.deepEqual(names(Search.query(ROWS, '', ['hasCc'])), ['Ticket']);
+        assert.deepEqual(names(Search.query(ROWS, '', ['hasBcc'])), ['Lunch']);
+        assert.deepEqual(names(Search.query(ROWS, '', ['hasPlaceholder'])), ['Offer']);
+        assert.deepEqual(names(Search.query(ROWS, 'offer', ['hasCc'])), ['Ticket']);
+        assert.deepEqual(names(Search.query(ROWS, '')), ['Lunch', 'Offer', 'Ticket']);
+    });
+});
+
+describe('Search.highlight', () => {
+    test('mark every token and escape the rest', () => {
+        assert.equal(Search.highlight('Offer <b> & OFFER', ['offer']), '<mark>Offer</mark> &lt;b&gt; &amp; <mark>OFFER</mark>');
+    });
+
+    test('treat tokens as literal text', () => {
+        assert.equal(Search.highlight('a.b axb (c)', ['a.b', '(c)']), '<mark>a.b</mark> axb <mark>(c)</mark>');
+    });
+
+    test('only escape without tokens', () => {
+        assert.equal(Search.highlight('<i>', []), '&lt;i&gt;');
+    });
+});
+
+describe('Search.snippet', () => {
+    test('cut an excerpt around the first match', () => {
+        let text = `${'x'.repeat(100)} needle\n${'y'.repeat(100)}`;
+        assert.equal(Search.snippet(text, ['needle'], 10), `…${'x'.repeat(9)} needle ${'y'.repeat(13)}…`);
+    });
+
+    test('start at the beginning without a match', () => {
+        assert.equal(Search.snippet('short text', ['missing']), 'short text');
+    });
+});
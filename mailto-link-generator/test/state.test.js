@@ -0,0 +1,101 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+
+const KEY = 'mailto_generator_data';
+
+// Version 0: the bare library array with mailto strings
+const V0 = [
+    { id: 'f1', type: 'folder', name: 'Sales', children: [
+        { id: 't1', type: 'template', name: 'Offer', mailto: 'mailto:ana@example.com?cc=boss%40example.com&subject=Offer%20%E2%9C%93&body=Hi%0D%0AAna' }
+    ] },
+    { id: 't2', type: 'template', name: 'Bare', mailto: 'mailto:kitchen@example.org' }
+];
+
+/**
+ * Loads the page with the given payload in localStorage.
+ */
+async function loadStored(payload) {
+    let storage = Page.memoryStorage({ [KEY]: JSON.stringify(payload) });
+    let page = Page.load({ localStorage: storage });
+    await page.State.load();
+    await page.Persistence.queue;
+    return { ...page, storage };
+}
+
+describe('State.migrate', () => {
+    test('upgrade version 0 through 1 to 2', () => {
+        let { State } = Page.load();
+        let v1 = State.migrations[1](V0);
+        assert.equal(State.getSchemaVersion(v1), 1);
+        assert.deepEqual(v1.library, V0);
+
+        let data = State.migrate(structuredClone(V0));
+        assert.equal(data.version, 2);
+        let [folder, bare] = data.library;
+        assert.equal(folder.type, 'folder');
+        assert.ok(folder.created && folder.updated);
+
+        let [offer] = folder.children;
+        assert.equal(offer.id, 't1');
+        assert.equal(offer.name, 'Offer');
+        assert.equal('mailto' in offer, false);
+        assert.deepEqual(offer.fields, { to: 'ana@example.com', cc: 'boss@example.com', bcc: '', subject: 'Offer ✓', body: 'Hi\nAna', headers: '' });
+        assert.deepEqual([offer.tags, offer.usageCount, offer.sourceFile], [[], 0, null]);
+        assert.equal(bare.fields.to, 'kitchen@example.org');
+    });
+
+    test('upgrade version 1 to 2', () => {
+        let { State } = Page.load();
+        let data = State.migrate({ library: structuredClone(V0) });
+        assert.equal(data.version, 2);
+        assert.equal(data.library[0].children[0].fields.subject, 'Offer ✓');
+    });
+
+    test('leave current payloads alone', () => {
+        let { State } = Page.load();
+        let current = State.migrate(structuredClone(V0));
+        assert.deepEqual(State.migrate(structuredClone(current)), current);
+    });
+
+    test('refuse payloads from a newer schema', () => {
+        let { State } = Page.load();
+        assert.throws(() => State.migrate({ version: 3, library: [] }), /schema version 3; this version of the app reads up to 2/);
+    });
+});
+
+describe('State.load', () => {
+    test('migrate the stored library and keep a backup', async () => {
+        let { State, storage } = await loadStored(V0);
+        assert.equal(State.data.library[0].children[0].fields.to, 'ana@example.com');
+        assert.deepEqual(JSON.parse(storage.getItem(`${KEY}_backup_v0`)), V0);
+        assert.equal(JSON.parse(storage.getItem(KEY)).version, 2);
+    });
+
+    test('leave a library from a newer build untouched', async () => {
+        let future = { version: 3, library: [{ id: 'x', type: 'note' }] };
+        let { State, storage } = await loadStored(future);
+        assert.equal(State.readOnly, true);
+        assert.deepEqual(State.data.library, []);
+
+        State.data.library.push(State.createFolder('New'));
+        assert.equal(await State.save(), false);
+        assert.deepEqual(JSON.parse(storage.getItem(KEY)), future);
+    });
+});
+
+describe('State.readArchiveLibrary', () => {
+    test('migrate the manifest library and give items fresh ids', () => {
+        let { State } = Page.load();
+        let items = State.readArchiveLibrary({ schemaVersion: 1, templateCount: 99, library: structuredClone(V0) });
+        assert.equal(State.flattenLibrary(items).length, 2);
+        assert.equal(items[0].children[0].fields.to, 'ana@example.com');
+        assert.notEqual(items[0].id, 'f1');
+        assert.notEqual(items[0].children[0].id, 't1');
+    });
+
+    test('read a manifest without a library as empty', () => {
+        let { State } = Page.load();
+        assert.deepEqual(State.readArchiveLibrary({ schemaVersion: 2, library: 'oops' }), []);
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Page } from './page.js';
+import { IndexedDB } from './indexeddb.js';
+
+const KEY = 'mailto_generator_data';
+
+const LIBRARY = {
+    version: 2,
+    library: [
+        { id: 'f1', type: 'folder', name: 'Sales', created: 1, updated: 1, children: [
+            { id: 't1', type: 'template', name: 'Offer', fields: { to: 'ana@example.com', subject: 'Offer', body: '' }, tags: [], created: 1, updated: 1 },
+            { id: 't2', type: 'template', name: 'Invoice', fields: { subject: 'Invoice' }, tags: [], created: 1, updated: 1 }
+        ] },
+        { id: 't3', type: 'template', name: 'Lunch', fields: { subject: 'Lunch' }, tags: [], created: 1, updated: 1 }
+    ]
+};
+
+const tree = (items) => items.map(item => item.type === 'folder' ? [item.name, tree(item.children)] : item.name);
+
+/**
+ * Opens a tab on the shared database and waits for load and its writes.
+ */
+async function open(indexedDB, storage = Page.memoryStorage()) {
+    let page = Page.load({ localStorage: storage, indexedDB, navigator: {} });
+    page.UI.showToast = () => {};
+    await page.State.load();
+    await page.Persistence.queue;
+    return page;
+}
+
+/**
+ * Two tabs on one database, both having read the same library.
+ */
+async function twoTabs() {
+    let indexedDB = IndexedDB.create();
+    let mine = await open(indexedDB, Page.memoryStorage({ [KEY]: JSON.stringify(LIBRARY) }));
+    let theirs = await open(indexedDB);
+    return { mine, theirs };
+}
+
+async function edit(tab, command) {
+    tab.State.execute(command);
+    await tab.Persistence.queue;
+}
+
+describe('Sync.mergeProps', () => {
+    const { Sync } = Page.load();
+
+    test('take each side\'s changes to different keys', () => {
+        let base = { name: 'Offer', fields: { subject: 'Hi', body: '' } };
+        let mine = { name: 'Offer', fields: { subject: 'Hi', body: 'Thanks' } };
+        let theirs = { name: 'Deal', fields: { subject: 'Hi', body: '' } };
+        assert.deepEqual(Sync.mergeProps(base, mine, theirs), {
+            merged: { name: 'Deal', fields: { subject: 'Hi', body: 'Thanks' } },
+            conflicts: []
+        });
+    });
+
+    test('report keys both sides changed and hold their value', () => {
+        let { merged, conflicts } = Sync.mergeProps({ fields: { subject: 'Hi' } }, { fields: { subject: 'Hello' } }, { fields: { subject: 'Hey' } });
+        assert.deepEqual(conflicts, ['fields.subject']);
+        assert.equal(merged.fields.subject, 'Hey');
+    });
+
+    test('drop a key one side deleted and the other left alone', () => {
+        let { merged } = Sync.mergeProps({ a: 1, b: 2 }, { a: 1 }, { a: 1, b: 2 });
+        assert.deepEqual(merged, { a: 1 });
+    });
+
+    test('add up usage counts and keep the later timestamp', () => {
+        let { merged, conflicts } = Sync.mergeProps({ usageCount: 3, updated: 10 }, { usageCount: 5, updated: 20 }, { usageCount: 4, updated: 15 });
+        assert.deepEqual(conflicts, []);
+        assert.deepEqual(merged, { usageCount: 6, updated: 20 });
+    });
+});
+
+describe('Sync.pull', () => {
+    test('return null when nothing was stored since the last read', async () => {
+        let { mine } = await twoTabs();
+        assert.equal(await mine.Sync.pull(), null);
+    });
+
+    test('merge edits to different fields of one template', async () => {
+        let { mine, theirs } = await twoTabs();
+        await edit(theirs, theirs.State.commands.update('t1', { fields: { ...LIBRARY.library[0].children[0].fields, subject: 'Deal' } }));
+        mine.State.findItem('t1').item.fields.body = 'Thanks';
+
+        assert.deepEqual(await mine.Sync.pull(), { changed: ['t1'], conflicts: [] });
+        assert.deepEqual(mine.State.findItem('t1').item.fields, { to: 'ana@example.com', subject: 'Deal', body: 'Thanks' });
+    });
+
+    test('report a property both tabs changed', async () => {
+        let { mine, theirs } = await twoTabs();
+        await edit(theirs, theirs.State.commands.update('t3', { name: 'Dinner' }));
+        mine.State.findItem('t3').item.name = 'Brunch';
+
+        let { conflicts } = await mine.Sync.pull();
+        assert.deepEqual(conflicts.map(c => [c.id, c.keys, c.mine.name, c.theirs.name]), [['t3', ['name'], 'Brunch', 'Dinner']]);
+        assert.equal(mine.State.findItem('t3').item.name, 'Dinner');
+    });
+
+    test('pick up items the other tab added, moved and removed', async () => {
+        let { mine, theirs } = await twoTabs();
+        let { State } = theirs;
+        await edit(theirs, State.commands.insert('root', { ...State.createFolder('Support'), id: 'f2', children: [] }));
+        await edit(theirs, State.commands.move('t3', 'f2'));
+        await edit(theirs, State.commands.remove('t2'));
+
+        let { changed } = await mine.Sync.pull();
+        assert.deepEqual(changed.sort(), ['f2', 't2', 't3']);
+        assert.deepEqual(tree(mine.State.data.library), [['Sales', ['Offer']], ['Support', ['Lunch']]]);
+    });
+
+    test('keep an item edited here that the other tab removed', async () => {
+        let { mine, theirs } = await twoTabs();
+        await edit(theirs, theirs.State.commands.remove('t3'));
+        mine.State.findItem('t3').item.name = 'Dinner';
+
+        await mine.Sync.pull();
+        assert.deepEqual(tree(mine.State.data.library), [['Sales', ['Offer', 'Invoice']], 'Dinner']);
+    });
+});
+
+describe('history after a sync', () => {
+    test('forget only the steps on items the other tab changed', async () => {
+        let { mine, theirs } = await twoTabs();
+        await edit(mine, mine.State.commands.update('t3', { name: 'Dinner' }));
+        await edit(mine, mine.State.commands.update('t2', { name: 'Bill' }));
+        await theirs.Sync.pull();
+        await edit(theirs, theirs.State.commands.update('t2', { name: 'Receipt' }));
+
+        let { changed } = await mine.Sync.pull();
+        mine.State.forgetHistory(changed);
+        assert.deepEqual(mine.State.history.undo.map(c => c.label), ['Edit "Lunch"']);
+
+        mine.State.undo();
+        assert.deepEqual(tree(mine.State.data.library), [['Sales', ['Offer', 'Receipt']], 'Lunch']);
+    });
+
+    test('forget a folder delete when the other tab edited something inside it', async () => {
+        let { mine, theirs } = await twoTabs();
+        await edit(theirs, theirs.State.commands.update('t1', { name: 'Deal' }));
+        mine.State.save = async () => true; // Not stored yet when the other tab's edit arrives
+        mine.State.execute(mine.State.commands.update('t3', { name: 'Dinner' }));
+        mine.State.execute(mine.State.commands.remove('f1'));
+
+        let { changed } = await mine.Sync.pull();
+        mine.State.forgetHistory(changed);
+        assert.deepEqual(mine.State.history.undo.map(c => c.label), ['Edit "Lunch"']);
+        assert.deepEqual(tree(mine.State.data.library).sort(), ['Deal', 'Dinner']);
+    });
+});
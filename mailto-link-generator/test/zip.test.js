@@ -0,0 +1,143 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { Zip } from '../js/zip.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Single-entry archive holding content deflated, with the central
+ * directory declaring size bytes once inflated.
+ */
+function deflatedZip(name, content, size = content.length) {
+    let nameBytes = new TextEncoder().encode(name);
+    let data = deflateRawSync(content);
+    let bytes = new Uint8Array(30 + nameBytes.length + data.length + 46 + nameBytes.length + 22);
+    let view = new DataView(bytes.buffer);
+    let central = 30 + nameBytes.length + data.length;
+
+    view.setUint32(0, 0x04034B50, true);
+    view.setUint16(8, 8, true);
+    view.setUint16(26, nameBytes.length, true);
+    bytes.set(nameBytes, 30);
+    bytes.set(data, 30 + nameBytes.length);
+
+    view.setUint32(central, 0x02014B50, true);
+    view.setUint16(central + 8, 0x0800, true);
+    view.setUint16(central + 10, 8, true);
+    view.setUint16(central + 14, 0x21, true); // 1980-01-01
+    view.setUint32(central + 16, Zip.crc32(content), true);
+    view.setUint32(central + 20, data.length, true);
+    view.setUint32(central + 24, size, true);
+    view.setUint16(central + 28, nameBytes.length, true);
+    bytes.set(nameBytes, central + 46);
+
+    let eocd = central + 46 + nameBytes.length;
+    view.setUint32(eocd, 0x06054B50, true);
+    view.setUint16(eocd + 8, 1, true);
+    view.setUint16(eocd + 10, 1, true);
+    view.setUint32(eocd + 12, 46 + nameBytes.length, true);
+    view.setUint32(eocd + 16, central, true);
+    return bytes;
+}
+
+/**
+ * Runs fn and returns the largest Uint8Array size asked for.
+ * Engines allocate zeroed buffers lazily, so the sizes are recorded
+ * instead of memory use.
+ */
+function largestAllocation(fn) {
+    const NativeUint8Array = Uint8Array;
+    let largest = 0;
+    globalThis.Uint8Array = new Proxy(NativeUint8Array, {
+        construct(target, args, newTarget) {
+            if (typeof args[0] === 'number') largest = Math.max(largest, args[0]);
+            return Reflect.construct(target, args, newTarget);
+        }
+    });
+    try {
+        fn();
+    } finally {
+        globalThis.Uint8Array = NativeUint8Array;
+    }
+    return largest;
+}
+
+describe('archives', () => {
+    test('read back what create wrote', () => {
+        let binary = Uint8Array.from({ length: 256 }, (_, i) => i);
+        let date = new Date(2024, 4, 17, 13, 45, 30);
+        let files = Zip.read(Zip.create([
+            { name: 'manifest.json', content: '{"schemaVersion":3}', date },
+            { name: 'Vorlagen/Grüße ✓.txt', content: 'Hallo {{name}}', date },
+            { name: 'blob.bin', content: binary, date }
+        ]));
+
+        assert.deepEqual(files.map(f => f.name), ['manifest.json', 'Vorlagen/Grüße ✓.txt', 'blob.bin']);
+        assert.equal(text(files[0].content), '{"schemaVersion":3}');
+        assert.equal(text(files[1].content), 'Hallo {{name}}');
+        assert.deepEqual(files[2].content, binary);
+        files.forEach(f => assert.equal(f.date.getTime(), date.getTime()));
+    });
+
+    test('accept an ArrayBuffer', () => {
+        let bytes = Zip.create([{ name: 'a.txt', content: 'a' }]);
+        assert.equal(text(Zip.read(bytes.slice().buffer)[0].content), 'a');
+    });
+
+    test('read deflated entries', () => {
+        let content = new TextEncoder().encode('Dear {{name}},\n'.repeat(500));
+        let [file] = Zip.read(deflatedZip('letter.txt', content));
+        assert.equal(file.name, 'letter.txt');
+        assert.deepEqual(file.content, content);
+    });
+
+    test('reject a checksum mismatch', () => {
+        let bytes = Zip.create([{ name: 'a.txt', content: 'abc' }]);
+        bytes[30 + 'a.txt'.length] = 'x'.charCodeAt(0);
+        assert.throws(() => Zip.read(bytes), /Checksum mismatch in "a\.txt"/);
+    });
+
+    test('reject files that are not archives', () => {
+        assert.throws(() => Zip.read(new Uint8Array(10)), /Not a ZIP archive/);
+        assert.throws(() => Zip.read(new Uint8Array(100)), /no central directory/);
+    });
+
+    test('stop an entry at its declared size', () => {
+        let bytes = deflatedZip('bomb.txt', new Uint8Array(1024 * 1024), 1000);
+        assert.throws(() => Zip.read(bytes), /Decompressed data exceeds 1000 bytes/);
+    });
+
+    test('reject archives over the total size limit', () => {
+        let bytes = Zip.create([{ name: 'a.txt', content: 'x'.repeat(600) }, { name: 'b.txt', content: 'x'.repeat(600) }]);
+        assert.equal(Zip.read(bytes, { maxTotalSize: 1200 }).length, 2);
+        assert.throws(() => Zip.read(bytes, { maxTotalSize: 1000 }), /Archive expands to more than 1000 bytes/);
+    });
+});
+
+describe('inflate', () => {
+    test('match zlib', () => {
+        let content = Uint8Array.from({ length: 100000 }, (_, i) => (i * 7919) % 251);
+        assert.deepEqual(Zip.inflate(deflateRawSync(content)), content);
+        assert.deepEqual(Zip.inflate(deflateRawSync(content, { level: 0 })), content);
+        assert.equal(Zip.inflate(deflateRawSync(new Uint8Array(0))).length, 0);
+    });
+
+    test('grow past a size hint that is too small', () => {
+        let content = new TextEncoder().encode('abc'.repeat(10000));
+        assert.deepEqual(Zip.inflate(deflateRawSync(content), 10), content);
+    });
+
+    test('size the first buffer from the compressed data, not the hint', () => {
+        let content = new TextEncoder().encode('Hello');
+        let result;
+        let largest = largestAllocation(() => { result = Zip.inflate(deflateRawSync(content), 0xFFFFFFFF); });
+        assert.deepEqual(result, content);
+        assert.ok(largest < 64 * 1024, `allocated ${largest} bytes`);
+    });
+
+    test('reject corrupt data', () => {
+        assert.throws(() => Zip.inflate(new Uint8Array([0x07])), /Invalid block type/);
+        assert.throws(() => Zip.inflate(deflateRawSync(new Uint8Array(1000)).subarray(0, 2)), /Unexpected end of compressed data/);
+    });
+});